@@ -54,7 +54,16 @@ export const en_translation = {
 
     // Vanity Creation
     vanityPrefixNote: 'Note: addresses will always start with:', //
-    vanityPrefixInput: 'Address Prefix', //
+    vanityPrefixInput: 'Address Patterns (comma-separated)', //
+    vanityModePrefix: 'Starts with', //
+    vanityModeSuffix: 'Ends with', //
+    vanityModeContains: 'Contains', //
+    vanityCaseSensitive: 'Case-sensitive', //
+    vanityHD: 'Search Seed Phrases (slower, creates an HD wallet)', //
+    vanityDifficulty: 'Difficulty: 1 in {difficulty}', //
+    vanityETA: '{rate} keys/s, 50% chance within {eta}', //
+    vanityStop: 'Stop (Searched {attempts} keys)', //
+    vanityResume: 'Resume Search ({attempts} keys searched)', //
 
     // Seed Phrase Creation
     thisIsYourSeed: 'This is your seed phrase:', //
@@ -65,15 +74,35 @@ export const en_translation = {
     digitalStoreNotAdvised: 'It is <b>NOT</b> advised to store this digitally.', //
     optionalPassphrase: 'Optional Passphrase (BIP39)', //
     writtenDown: 'I have written down my seed phrase', //
+    shamirSplitTitle: 'Split into Shamir backup shares (SLIP-39)', //
+    shamirSplitNote:
+        'Any <b>threshold</b> of the shares can recover your seed phrase, while fewer reveal nothing. Your passphrase is not included in the shares.', //
+    shamirOf: 'of', //
+    shamirSplit: 'Create Shares', //
+    shamirShareLabel: 'Share {index} of {count} ({threshold} needed):', //
+    shamirPassphraseWarning:
+        'You have set a passphrase: it is NOT included in these shares! Back it up separately, as the shares alone cannot recover your wallet.', //
 
     // Seed Phrase Import
     importSeedValid: 'Seed Phrase is valid!', //
+    shamirMoreTitle: 'More Shamir shares needed', //
+    shamirMoreNote:
+        'Enter {missing} more share(s) to recover your seed phrase:', //
     importSeedError: 'Seed Phrase is invalid!', //
     importSeedErrorSize: 'A Seed Phrase should be 12 or 24 words long!', //
     importSeedErrorTypo:
         'Seed Phrase contains typing errors! Check your input carefully', //
     importSeedErrorSkip:
         'Seed Phrase appears invalid, but the warning was skipped by the user', //
+    importSeedErrorWords:
+        'Seed Phrase contains words that are not in the wordlist: {words}', //
+    seedUnknownWord: '"{word}" is not a Seed Phrase word, did you mean:', //
+    seedRepairTitle: 'Did you mean...?', //
+    seedRepairNote:
+        'Your Seed Phrase is invalid, but these similar phrases are valid. Choose the one you wrote down:', //
+    seedRepairChecking: 'Checking for funds...', //
+    seedRepairUnused: 'Unused', //
+    seedRepairFunds: '{balance} {ticker} ({txs} transactions)', //
 
     // Wallet Dashboard
     gettingStarted: 'Getting Started', //
@@ -134,6 +163,187 @@ export const en_translation = {
     editContactTitle: 'Change "{strName}" Contact', //
     newName: 'New Name', //
 
+    // Accounts System
+    accounts: 'Accounts', //
+    accountDefaultName: 'Account {index}', //
+    accountActive: 'Active', //
+    accountShowHidden: 'Show hidden accounts ({count})', //
+    accountHideHidden: 'Hide hidden accounts', //
+    editAccountTitle: 'Rename "{strName}"', //
+
+    // Multisig
+    multisig: 'Multisig', //
+    multisigOf: '{required} of {total}', //
+    multisigReviewSpend: 'Review a spend', //
+    multisigPasteSpend: 'Paste the spend shared by your cosigner', //
+    multisigCreateTitle: 'Create a Multisig wallet', //
+    multisigCreateNote:
+        'Pick your cosigners from your Contacts, you are always included:', //
+    multisigRequired: 'Signatures required to spend:', //
+    multisigIdLabel: 'Multisig ID (the same for every cosigner):', //
+    multisigIdNote:
+        'Your cosigners must create this wallet with the same ID, so share it with them. Each ID gives a different wallet, even with the same cosigners.', //
+    multisigId: 'ID {id}', //
+    multisigRemoveTitle: 'Remove "{strName}"?', //
+    multisigRemoveNote:
+        'The funds stay safe with your cosigners, and you may re-create this wallet with the same cosigners and ID at any time.', //
+    multisigSpendTitle: 'Spend from "{strName}"', //
+    multisigSignatures: '{signed} of {required} signatures', //
+    multisigSignTitle: 'Sign this spend?', //
+    multisigBroadcastTitle: 'Broadcast this spend?', //
+    multisigShareTitle: 'Share with your cosigners', //
+    multisigShareNote:
+        'This spend needs more signatures, send it to your next cosigner to review:', //
+    multisigCopy: 'Copy', //
+    vaults: 'Vaults', //
+    vaultNote:
+        'Lock coins until a block height or date: until then, nobody (including you) can move them.', //
+    vaultUnlockPlaceholder: 'Unlock block height, or date (YYYY-MM-DD HH:MM)', //
+    vaultUnlocks: 'unlocks at {unlock}', //
+    locktimeBlock: 'block {height}', //
+    vaultCreateTitle: 'Create "{strName}"?', //
+    vaultCreateNote:
+        '<b>{amount} {ticker}</b> will be locked, and {unlock}.<br><br>Until then, these coins cannot be moved by anyone, including you!', //
+    vaultRedeemTitle: 'Redeem "{strName}"?', //
+    vaultRemoveTitle: 'Remove "{strName}"?', //
+    vaultRemoveNote:
+        'Only remove a vault once it is empty: its details are needed to redeem the coins locked in it.', //
+    htlcs: 'Atomic Swaps', //
+    htlcNote:
+        'Lock coins for your counterparty, claimable with a secret, or refunded to you after the refund time. Leave the secret hash empty to start a swap, or enter theirs to join one.', //
+    htlcAddressPlaceholder: 'Counterparty address', //
+    htlcHashPlaceholder: 'Secret hash (to join their swap)', //
+    htlcLocktimePlaceholder: 'Refund block height, or date (YYYY-MM-DD HH:MM)', //
+    htlcImport: 'Import a swap', //
+    htlcPaste: 'Paste the swap shared by your counterparty', //
+    htlcRoleRedeem: 'claimable by you with the secret', //
+    htlcRoleRefund: 'refundable to you at {locktime}', //
+    htlcSecret: 'Secret: {secret}', //
+    htlcCreateTitle: 'Create "{strName}"?', //
+    htlcCreateNote:
+        '<b>{amount} {ticker}</b> will be locked for <div class="inline-address">{address}</div>, who can claim it with the secret.<br><br>If they do not, it will be refundable to you at {locktime}.', //
+    htlcShareTitle: 'Share "{strName}"', //
+    htlcShareNote:
+        'Send this to your counterparty, so they can check and import the swap.', //
+    htlcSecretNote:
+        'Your secret: keep it private, it is revealed when you claim the other side of the swap.', //
+    htlcSecretPrompt:
+        'Enter the secret your counterparty revealed when claiming the other side of the swap', //
+    htlcRedeemTitle: 'Claim "{strName}"?', //
+    htlcRefundTitle: 'Refund "{strName}"?', //
+    htlcRemoveTitle: 'Remove "{strName}"?', //
+    htlcRemoveNote:
+        'Only remove a swap once it is spent: its details are needed to claim or refund the coins locked in it.', //
+
+    // Invoices
+    invoices: 'Invoices', //
+    invoiceNote:
+        'Bill in PIV, or price it in your currency: each invoice gets a fresh address, so its payments are tracked automatically.', //
+    invoiceLabelPlaceholder: 'Label (i.e: client or order)', //
+    invoiceMessagePlaceholder: 'Message for the payer (optional)', //
+    invoiceFiatPlaceholder: 'or value in {currency}', //
+    invoiceExpiryPlaceholder: 'Expiry date, YYYY-MM-DD HH:MM (optional)', //
+    invoiceUnpaid: 'unpaid', //
+    invoicePartial: 'partially paid', //
+    invoicePaid: 'paid', //
+    invoiceOverpaid: 'overpaid', //
+    invoiceExpired: 'expired', //
+    invoiceReceived: 'Received {received} of {amount} {ticker}', //
+    invoiceExport: 'Export as CSV', //
+    invoiceCreated: 'Created {date}', //
+    invoiceExpires: 'Expires {date}', //
+    invoiceRemoveTitle: 'Remove "{strName}"?', //
+    invoiceRemoveNote:
+        'Its payments will no longer be tracked, but payments to its address still reach your wallet.', //
+
+    // Point of Sale
+    pos: 'Point of Sale', //
+    posSetupNote:
+        'Turn this device into a cashier kiosk: sales are paid to fresh addresses of this xpub, and no private keys are loaded. The PIN is needed to exit the kiosk.', //
+    posPinPlaceholder: 'PIN', //
+    posPinConfirmPlaceholder: 'Confirm PIN', //
+    posExit: 'Exit the Point of Sale?', //
+    posChargeIn: 'Charge in {unit}', //
+    posNoPrice: 'The price is unavailable', //
+    posCharge: 'Charge', //
+    posWaiting: 'Waiting for payment...', //
+    posPaid: 'Paid!', //
+    posNewSale: 'New sale', //
+    posReport: 'Sales Report', //
+    posDailyTotals: 'Daily totals', //
+    posDate: 'Date', //
+    posSales: 'Sales', //
+    posFiat: 'Value', //
+    posNoSales: 'No sales yet', //
+    posSalesOn: 'Sales on {date}', //
+
+    // Staking Providers
+    stakingProviders: 'Staking Providers', //
+    stakingProvider: 'Staking provider', //
+    stakingProviderDefault: 'Default', //
+    stakingProvidersNote:
+        'Save the Cold Staking addresses of the providers you delegate to, and pick one each time you stake.', //
+    stakingProviderAddressPlaceholder: 'Cold Staking address', //
+    stakingProviderRemoveTitle: 'Remove {strName}?', //
+    stakingProviderRemoveNote:
+        'Your existing delegations to this provider will keep staking, until you unstake them.', //
+    stakingByStaker: 'Delegations by staker', //
+    stakingDelegations: '{count} delegation(s)', //
+    stakeOwner: 'Owner address (optional)', //
+    stakeOwnerPlaceholder: 'A new address of this wallet', //
+    stakeOwnerExternalTitle: 'Delegate to an external owner?', //
+    stakeOwnerExternalNote:
+        '<b>{address}</b> is not an address of this wallet.<br><br>Only the owner of this address will be able to unstake or spend these coins, this wallet will not see them.', //
+
+    // Watch-only
+    watchOnly: 'Watch-only', //
+    watchOnlyKey: 'Address or xpub', //
+    watchOnlyTotal: 'Watch-only: {balance} {ticker}', //
+    watchOnlyLoading: 'Loading history...', //
+    watchOnlyNoHistory: 'No transactions yet', //
+    watchOnlyOffline: 'History is unavailable in Offline Mode', //
+
+    // Sign Message
+    signMessage: 'Sign / Verify Message', //
+    signMessageNote:
+        "Prove you own an address by signing a message with it, or verify someone else's signed message.", //
+    signMessageAddress: 'Address', //
+    signMessageText: 'Message', //
+    signMessageSignature: 'Signature', //
+    signMessageSign: 'Sign', //
+    signMessageVerify: 'Verify', //
+
+    // BIP38
+    bip38Title: 'Decrypt BIP38 Key', //
+    bip38Note: 'Enter the passphrase this BIP38 key was encrypted with.', //
+    bip38Export: 'Export as BIP38', //
+    bip38ExportTitle: 'Export as BIP38', //
+    bip38ExportNote:
+        'Choose a passphrase to encrypt your private key with. You will need it to import the key again, so keep it safe!', //
+    sweepTitle: 'Sweep Private Key', //
+    sweepNote:
+        'Move all funds from a private key (plain WIF or BIP38 encrypted) in to your wallet.', //
+    sweepKey: 'Private Key', //
+
+    // Paper Wallets
+    paperWallet: 'Paper Wallets', //
+    paperWalletCreate: 'Create Paper Wallets', //
+    paperWalletNote:
+        'Print wallets to hand out, or keep in cold storage. Each sheet folds in half, so the secret can be sealed away from view.', //
+    paperWalletKey: 'Private Key', //
+    paperWalletSeed: 'Seed Phrase', //
+    paperWalletNoEncryption: 'No encryption', //
+    paperWalletPasswordEncryption: 'Password (MPW import)', //
+    paperWalletCount: 'Amount of wallets', //
+    paperWalletPrint: 'Generate & Print', //
+    paperWalletProgress: 'Generating wallet {current} of {total}...', //
+    paperWalletEncrypted: 'Password encrypted', //
+    paperWalletAddress: 'Address', //
+    paperWalletLoad: 'Send {ticker} to this address to load the wallet', //
+    paperWalletFold: 'Fold here', //
+    paperWalletSeal: 'Seal here with tamper-evident tape', //
+    paperWalletSpend: 'Import in to MyPIVXWallet to spend. Keep this secret!', //
+
     removeContactTitle: 'Remove {strName}?', //
     removeContactSubtext:
         'Are you sure you wish to remove {strName} from your Contacts?', //
@@ -188,6 +398,93 @@ export const en_translation = {
     settingsLanguage: 'Choose a Language:', //
     settingsPivxNode: 'Choose a PIVX node:', //
     settingsAutoSelectNet: 'Auto-select Explorers and Nodes', //
+    settingsGapLimit: 'Address gap limit:', //
+    settingsGapLimitNote:
+        'How many unused addresses in a row to scan before giving up, raise this if a restored wallet is missing funds', //
+    discoveryScan: 'Scan for addresses', //
+    discoveryProgress: 'Scanning {chain} address #{index} ({used} used found)', //
+    settingsAutoLock: 'Auto-lock after inactivity (minutes):', //
+    settingsAutoLockNote:
+        'Lock an unlocked wallet after this many minutes without activity, even if the tab is hidden. 0 never locks', //
+    profileBackup: 'Profile backup:', //
+    profileBackupNote:
+        'Export your wallet, contacts, promo codes, masternode and settings as a password-encrypted file, to restore on another device or browser', //
+    profileExport: 'Export Profile', //
+    profileExportNote:
+        'Choose a password to encrypt your profile backup with. Your wallet key stays encrypted with your wallet password inside it, too.', //
+    profileImport: 'Restore Profile', //
+    profileImportNote:
+        'Enter the password this profile backup was encrypted with.', //
+    profileConflicts: 'Resolve Conflicts', //
+    profileConflictNote:
+        'Some of the backup differs from what is saved on this device, choose which to keep:', //
+    profileConflictContact: 'Contact', //
+    profileConflictPromo: 'Promo Code', //
+    profileConflictMasternode: 'Masternode', //
+    profileKeepLocal: "Keep this device's: {item}", //
+    profileUseBackup: "Use the backup's: {item}", //
+    settingsMinConfirmations: 'Minimum confirmations to spend:', //
+    settingsMinConfirmationsNote:
+        'Only spend coins with at least this many confirmations, 0 allows spending unconfirmed change', //
+    coinControl: 'Coin Control', //
+    coinControlSelected: '{inputs} input(s) selected: {amount} {ticker}', //
+    coinControlFee: 'Estimated fee: {fee} {ticker}', //
+    coinControlChange: 'Change: {amount} {ticker}', //
+    coinControlMissing: 'Missing: {amount} {ticker}', //
+    coinControlConfirmations: '{confirmations} confirmations', //
+    coinControlLabelChange: 'Change', //
+    coinControlLabelReward: 'Reward', //
+    coinControlLabelPending: 'Pending', //
+    coinControlLabelImmature: 'Immature', //
+    coinControlLabelCollateral: 'Masternode collateral', //
+    coinControlEmpty: 'No coins to spend', //
+    coinControlSelectAll: 'Select All', //
+    coinControlClear: 'Clear', //
+    fee: 'Fee', //
+    feeLow: 'Low', //
+    feeNormal: 'Normal', //
+    feeHigh: 'High', //
+    feeCustom: 'Custom', //
+    feeRate: '{rate} sat/B', //
+    feeEstimateUnavailable:
+        'Fee estimates are unavailable, using the default rate', //
+    feeConfirm: 'Fee: <b>{fee} {ticker}</b> ({rate} sat/B)', //
+    txConfirmRow:
+        'You will send <b>{amount} {ticker}</b> to <div class="inline-address">{address}</div>', //
+    batchSend: 'Batch Send', //
+    batchSendNote:
+        'Pay many recipients in a single transaction, with a single fee. Recipients may be addresses, contacts or xpubs.', //
+    batchRecipient: 'Address, contact or xpub', //
+    batchAddRow: 'Add recipient', //
+    batchCSV: 'address,amount', //
+    batchLoadCSV: 'Add pasted CSV', //
+    batchImportCSV: 'Import CSV file', //
+    batchTotal: '{recipients} recipient(s): {amount} {ticker}', //
+    batchInvalidAddress: 'invalid address', //
+    batchInvalidAmount: 'the amount must be at least {min} {ticker}', //
+    sendMemo: 'Memo (optional)', //
+    sendMemoPlaceholder: 'Payment reference', //
+    memoConfirm: 'Memo: <i>{memo}</i>', //
+    offlineSigning: 'Offline Signing', //
+    offlineSigningNote:
+        'Create an unsigned transaction with a view-only wallet, sign it with the wallet holding your keys, then broadcast it from the view-only wallet.', //
+    offlineCreate: 'Create unsigned transaction', //
+    offlineTxData: 'Paste a transaction', //
+    offlineLoad: 'Load', //
+    offlineImportFile: 'Import file', //
+    offlineScanQR: 'Scan QR', //
+    offlineSign: 'Sign', //
+    offlineBroadcast: 'Broadcast', //
+    offlineDownload: 'Download', //
+    offlineUnsigned:
+        'Unsigned transaction: sign it with the wallet holding your keys', //
+    offlineSigned: 'Signed transaction: broadcast it from an online wallet', //
+    offlineUnknownScript: 'an unknown script', //
+    offlineChange: '{address} (your change)', //
+    txFee: 'Fee: <b>{fee} {ticker}</b>', //
+    discoveryReceiving: 'receiving', //
+    discoveryChange: 'change', //
+    discoveryDone: 'Scan complete: found {used} used addresses', //
     settingsAnalytics: 'Choose your analytics contribution level:', //
     settingsToggleDebug: 'Debug Mode', //
     settingsToggleTestnet: 'Testnet Mode', //
@@ -239,6 +536,12 @@ export const en_translation = {
     walletUnlockProposal: 'Unlock to create a proposal!',
     walletUnlockPromo: 'Unlock to finalise your Promo Code!',
     walletUnlockTx: 'Unlock to send your transaction!',
+    walletUnlockAccount: 'Unlock to create a new account!',
+    walletUnlockMultisig: 'Unlock to sign your Multisig spend!', //
+    walletUnlockVault: 'Unlock to use your vault!', //
+    walletUnlockHtlc: 'Unlock to use your swap!', //
+    walletUnlockSignMessage: 'Unlock to sign your message!', //
+    walletUnlockBIP38: 'Unlock to export your key as BIP38!', //
     walletUnlockStake: 'Unlock to stake your',
     walletUnlockUnstake: 'Unlock to unstake your',
     changelogTitle: "What's New in",
@@ -302,6 +605,11 @@ export const en_translation = {
         '<b>Testnet Mode is ON!</b><br>Wallet encryption disabled',
     PASSWORD_TOO_SMALL:
         'That password is a little short!<br>Use at least <b>{MIN_PASS_LENGTH} characters.</b>',
+    SHAMIR_INVALID:
+        '<b>Invalid Shamir shares!</b><br>Check for typos, and that every share belongs to the same backup',
+    SHAMIR_NOT_ENOUGH: 'Not enough Shamir shares to recover the seed phrase!',
+    SHAMIR_INVALID_PARAMS:
+        'The threshold must be at least 2, and no more than the total shares (up to {max})!',
     PASSWORD_DOESNT_MATCH: "Your passwords don't match!",
     NEW_PASSWORD_SUCCESS:
         "<b>You're Secured! 🔐</b><br>Nice stuff, Armoured PIVian!",
@@ -389,6 +697,105 @@ export const en_translation = {
         '<b>New Contact added!</b><br>{strName} has been added, hurray!',
     CONTACTS_YOU_HAVE_NONE: 'You have no contacts!',
 
+    /* Accounts System Alerts */
+    ACCOUNTS_ENCRYPT_FIRST:
+        'You need to hit "{button}" before you can use Accounts!',
+    ACCOUNTS_NOT_HD: 'Accounts are only available for Seed Phrase wallets!',
+    ACCOUNTS_CANNOT_HIDE_ACTIVE: 'You cannot hide the active account!',
+    ACCOUNTS_CREATED:
+        '<b>New Account created!</b><br>{strName} is now your active account',
+    ACCOUNTS_SWITCHED: '<b>Switched account!</b><br>Now using {strName}',
+    MULTISIG_ENCRYPT_FIRST: 'Encrypt your wallet before using Multisig!',
+    MULTISIG_NOT_HD: 'Multisig is only available for Seed Phrase wallets!',
+    MULTISIG_NO_NAME: 'Give your Multisig wallet a name!',
+    MULTISIG_NO_CONTACTS:
+        'Add your cosigners to your Contacts first, using their Master Public Key (xpub)!',
+    MULTISIG_INVALID_PARAMS:
+        'A Multisig wallet needs between 2 and {max} unique cosigners, and a valid amount of required signatures!',
+    MULTISIG_CREATED:
+        '<b>Created {strName}!</b><br>Receive at {address}<br>Share the Multisig ID {id} with your cosigners',
+    MULTISIG_LOW_BALANCE: 'The Multisig wallet does not have enough funds!',
+    MULTISIG_NOT_COSIGNER: 'You are not a cosigner of this Multisig wallet!',
+    MULTISIG_NOT_ENOUGH_SIGS: 'This spend does not have enough signatures yet!',
+    MULTISIG_INVALID_SPEND: 'This Multisig spend is invalid or corrupted!',
+    MULTISIG_SENT: '<b>Multisig spend sent!</b>',
+    VAULT_ENCRYPT_FIRST: 'Encrypt your wallet before using Vaults!',
+    VAULT_HARDWARE: 'Vaults are not available for hardware wallets!',
+    VAULT_NO_NAME: 'Give your vault a name!',
+    VAULT_INVALID_UNLOCK:
+        'The unlock must be a future block height, or a future date!',
+    VAULT_CREATED: '<b>Created {strName}!</b><br>It {unlock}',
+    VAULT_LOCKED: 'This vault is still locked, it {unlock}',
+    VAULT_EMPTY: 'This vault has no coins to redeem!',
+    VAULT_REDEEMED: '<b>Vault redeemed!</b>',
+    HTLC_ENCRYPT_FIRST: 'Encrypt your wallet before using Atomic Swaps!',
+    HTLC_HARDWARE: 'Atomic Swaps are not available for hardware wallets!',
+    HTLC_NO_NAME: 'Give your swap a name!',
+    HTLC_INVALID_LOCKTIME:
+        'The refund must be a future block height, or a future date!',
+    HTLC_INVALID_HASH: 'The secret hash must be 64 hex characters!',
+    HTLC_INVALID: 'This swap is invalid or corrupted!',
+    HTLC_NOT_OURS: 'This swap does not pay, or refund, this wallet!',
+    HTLC_NOT_REFUNDABLE: 'This swap is refundable at {locktime}',
+    HTLC_EMPTY: 'This swap has no coins to spend!',
+    HTLC_WRONG_SECRET: 'This is not the secret of this swap!',
+    HTLC_SECRET_FOUND:
+        '<b>{strName} was claimed!</b><br>Its secret was revealed, use it to claim the other side of the swap.',
+    HTLC_SPENT: '<b>Swap spent!</b>',
+    INVOICE_ENCRYPT_FIRST: 'Encrypt your wallet before using Invoices!',
+    INVOICE_NOT_HD:
+        'Invoices need a fresh address each, which only HD wallets (i.e: seed phrases) can create!',
+    INVOICE_NO_LABEL: 'Give your invoice a label!',
+    INVOICE_TOO_LONG: 'The label and message must be at most {max} characters!',
+    INVOICE_NO_PRICE:
+        'The price is unavailable, enter the amount in PIV instead!',
+    INVOICE_BAD_EXPIRY: 'The expiry must be a future date!',
+    INVOICE_NO_ADDRESS:
+        'You have too many unpaid invoices: remove some, or wait for them to be paid, before creating another!',
+    INVOICE_PAYMENT:
+        '<b>{strName} received a payment!</b><br>It is now {status}.',
+    POS_INVALID_XPUB: 'Enter a valid xpub for the Point of Sale!',
+    POS_INVALID_PIN: 'The PIN must be at least {length} digits!',
+    POS_PIN_MISMATCH: 'The PINs do not match!',
+    POS_WRONG_PIN: 'Wrong PIN!',
+    POS_NO_ADDRESS:
+        'Could not reach the explorer for a fresh address, try again!',
+    STAKING_PROVIDER_NO_NAME: 'Please give the staking provider a name!',
+    STAKING_PROVIDER_NAME_TOO_LONG:
+        'That name is too long, the maximum is {max} characters!',
+    STAKING_PROVIDER_EXISTS: 'You already saved this staking provider!',
+    WATCH_ONLY_NO_LABEL: 'Give your Watch-only entry a label!',
+    WATCH_ONLY_EXISTS: 'You are already watching this address or xpub!',
+    WATCH_ONLY_ADDED: '<b>Now watching {label}!</b>',
+    MESSAGE_NOT_OWN_ADDRESS:
+        '<b>Cannot sign!</b><br>{address} is not an address of your wallet',
+    MESSAGE_SIGNED: '<b>Message signed!</b>',
+    MESSAGE_VALID:
+        '<b>Signature is valid!</b><br>The message was signed by {address}',
+    MESSAGE_INVALID:
+        '<b>Signature is invalid!</b><br>The message was not signed by {address}',
+    BIP38_DECRYPTING:
+        'Decrypting your BIP38 key, this may take a few seconds...',
+    BIP38_ENCRYPTING:
+        'Encrypting your key as BIP38, this may take a few seconds...',
+    BIP38_WRONG_PASSPHRASE:
+        '<b>Wrong passphrase!</b><br>The BIP38 key could not be decrypted',
+    BIP38_UNCOMPRESSED:
+        'This BIP38 key uses an uncompressed public key, which MPW wallets do not support. Use "Sweep Private Key" to move its funds in to your wallet instead!',
+    BIP38_NOT_LEGACY: 'BIP38 export is only available for Private Key wallets!',
+    BIP38_SWEEP_OFFLINE:
+        'Sweeping requires a connection, disable Offline Mode first!',
+    BIP38_SWEEP_EMPTY: 'There are no funds to sweep from {address}',
+    BIP38_SWEEP_TOO_LOW:
+        'The balance to sweep ({amount} {ticker}) is too low to cover the fee ({fee} {ticker})!',
+    BIP38_SWEPT:
+        '<b>Swept {amount} {ticker}!</b><br>The funds will arrive in your wallet shortly',
+    PAPER_WALLET_INVALID_COUNT:
+        'You can generate between 1 and {max} paper wallets at once!',
+    PAPER_WALLET_BIP38_SEED:
+        'BIP38 can only encrypt Private Keys, not Seed Phrases!',
+    VANITY_TOO_LONG: 'Vanity patterns may be at most {max} characters long!',
+
     PROPOSAL_FINALISED: 'Proposal Launched!',
     PROPOSAL_UNCONFIRMED: "The proposal hasn't confirmed yet",
     PROPOSAL_EXPIRED: 'The proposal has expired. Create a new one.',
@@ -407,6 +814,47 @@ export const en_translation = {
 
     SWITCHED_EXPLORERS: '<b>Switched explorer!</b><br>Now using {explorerName}',
     SWITCHED_NODE: '<b>Switched node!</b><br>Now using {node}',
+    GAP_LIMIT_INVALID:
+        'The gap limit must be a whole number between 1 and {max}!',
+    DISCOVERY_NOT_HD:
+        'Address scanning is only available for HD (Seed Phrase) wallets!',
+    DISCOVERY_OFFLINE:
+        'Address scanning needs networking, please enable it first!',
+    DISCOVERY_FAILED: 'Address scanning failed, please try again later!',
+    AUTO_LOCK_INVALID:
+        'The auto-lock timeout must be a whole number of minutes between 0 and {max}!',
+    WALLET_AUTO_LOCKED:
+        '<b>Wallet locked</b><br>Your wallet was locked after {minutes} minutes of inactivity, it will ask for your password when needed.',
+    MIN_CONFIRMATIONS_INVALID:
+        'The minimum confirmations must be a whole number between 0 and {max}!',
+    FEE_RATE_INVALID:
+        'The fee rate must be a whole number of sat/B between {min} and {max}!',
+    BATCH_CSV_EMPTY: 'There are no recipients to pay!',
+    BATCH_ROW_INVALID: '<b>Row {row}:</b> {reason}',
+    BATCH_NO_FEE:
+        "Your balance can't cover the fee of this batch, please lower an amount!",
+    MEMO_TOO_LONG: 'The memo is too long, it must be at most {max} bytes!',
+    OFFLINE_TX_INVALID: 'This is not a valid MPW offline transaction!',
+    OFFLINE_TX_UNPROVEN_INPUT:
+        'This transaction spends coins whose amounts can not be verified, it may be tampered with!',
+    OFFLINE_TX_NO_PREV:
+        'Unable to fetch the transactions spent by this transaction, please try again!',
+    OFFLINE_TX_WRONG_NETWORK:
+        'This transaction is for {network}, switch network to use it!',
+    OFFLINE_TX_HARDWARE:
+        'Hardware wallets cannot sign offline transactions, sign them with an imported wallet!',
+    OFFLINE_TX_NOT_OWN:
+        'This transaction spends coins that do not belong to this wallet!',
+    OFFLINE_TX_SIGNED:
+        'Transaction signed! Now broadcast it from an online wallet.',
+    PROFILE_INVALID: 'This is not a valid MPW profile backup!',
+    PROFILE_WRONG_NETWORK:
+        'This profile backup is for the {network} network, please switch to it first!',
+    PROFILE_WALLET_SKIPPED:
+        "The backup's wallet was not restored, as a different wallet is already on this device. Your contacts and other data were still merged.",
+    PROFILE_ENTRIES_REJECTED:
+        '{count} invalid entries of the backup were skipped!',
+    PROFILE_RESTORED: '<b>Profile restored!</b><br>Reload MPW to apply it.',
     SWITCHED_ANALYTICS: '<b>Switched analytics level!</b><br>Now {level}',
     SWITCHED_SYNC: '<b>Switched sync mode!</b><br>Now using {sync} sync',
     UNABLE_SWITCH_TESTNET:
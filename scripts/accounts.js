@@ -7,11 +7,17 @@ export class Account {
     /**
      * Create an Account.
      * @param {Object} accountData - The account data.
-     * @param {String} accountData.publicKey - The public key.
+     * @param {String} accountData.publicKey - The public key, for HD wallets: the xpub of the seed's first BIP44 account, which identifies the wallet.
      * @param {String} [accountData.encWif] - The encrypted WIF.
      * @param {Array<Object>} [accountData.localProposals] - The local proposals.
      * @param {Array<Contact>} [accountData.contacts] - The Contacts saved in this account.
      * @param {String} [account.name] - The Contact Name of the account.
+     * @param {Array<HdAccount>} [accountData.hdAccounts] - The BIP44 accounts derived from this account's seed.
+     * @param {Number} [accountData.activeAccount] - The index of the active BIP44 account.
+     * @param {Array<import('./multisig.js').MultisigWallet>} [accountData.multisigs] - The Multisig wallets this account is a cosigner of.
+     * @param {Array<import('./vault.js').Vault>} [accountData.vaults] - The time-locked vaults of this account.
+     * @param {Array<import('./htlc.js').Htlc>} [accountData.htlcs] - The atomic swap HTLCs of this account.
+     * @param {Array<import('./invoices.js').Invoice>} [accountData.invoices] - The payment requests of this account.
      */
     constructor(accountData) {
         // Keys take the Constructor as priority, but if missing, default to their "Type" in empty form for type-safety
@@ -20,9 +26,15 @@ export class Account {
         this.localProposals = accountData?.localProposals || [];
         this.contacts = accountData?.contacts || [];
         this.name = accountData?.name || '';
+        this.hdAccounts = accountData?.hdAccounts || [];
+        this.activeAccount = accountData?.activeAccount || 0;
+        this.multisigs = accountData?.multisigs || [];
+        this.vaults = accountData?.vaults || [];
+        this.htlcs = accountData?.htlcs || [];
+        this.invoices = accountData?.invoices || [];
     }
 
-    /** @type {String} The public key. */
+    /** @type {String} The public key, for HD wallets: the xpub of the seed's first BIP44 account, which identifies the wallet. */
     publicKey = '';
 
     /** @type {String} The encrypted WIF. */
@@ -37,6 +49,33 @@ export class Account {
     /** @type {String} The Contact Name of the account. */
     name = '';
 
+    /** @type {Array<HdAccount>} The BIP44 accounts derived from this account's seed. */
+    hdAccounts = [];
+
+    /** @type {Number} The index of the active BIP44 account. */
+    activeAccount = 0;
+
+    /** @type {Array<import('./multisig.js').MultisigWallet>} The Multisig wallets this account is a cosigner of. */
+    multisigs = [];
+
+    /** @type {Array<import('./vault.js').Vault>} The time-locked vaults of this account. */
+    vaults = [];
+
+    /** @type {Array<import('./htlc.js').Htlc>} The atomic swap HTLCs of this account. */
+    htlcs = [];
+
+    /** @type {Array<import('./invoices.js').Invoice>} The payment requests of this account. */
+    invoices = [];
+
+    /**
+     * Fetch a BIP44 account by it's index
+     * @param {Number} nIndex - The BIP44 account index
+     * @returns {HdAccount?} - The BIP44 account, if found
+     */
+    getHdAccount(nIndex) {
+        return this.hdAccounts.find((a) => a.index === nIndex) || null;
+    }
+
     /**
      * Search for a Contact in this account, by specific properties
      * @param {Object} settings
@@ -59,3 +98,43 @@ export class Account {
         return null;
     }
 }
+
+/**
+ * A BIP44 account of an HD wallet, i.e: `m/44'/119'/{index}'`
+ */
+export class HdAccount {
+    /**
+     * Create a BIP44 account.
+     * @param {Object} options
+     * @param {Number} options.index - The BIP44 account index
+     * @param {String} options.name - The user-chosen name of the account
+     * @param {String} options.publicKey - The account-level xpub, used while the wallet is locked
+     * @param {boolean} [options.hidden] - Whether the account is hidden from the account list
+     */
+    constructor({ index, name, publicKey, hidden = false }) {
+        this.index = index;
+        this.name = name;
+        this.publicKey = publicKey;
+        this.hidden = hidden;
+    }
+
+    /** The BIP44 account index
+     * @type {Number}
+     */
+    index;
+
+    /** The user-chosen name of the account
+     * @type {String}
+     */
+    name;
+
+    /** The account-level xpub, used while the wallet is locked
+     * @type {String}
+     */
+    publicKey;
+
+    /** Whether the account is hidden from the account list
+     * @type {boolean}
+     */
+    hidden;
+}
@@ -1,3 +1,6 @@
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { isBase64 } from './misc.js';
+
 const buff_to_base64 = (buff) => btoa(String.fromCharCode.apply(null, buff));
 
 const base64_to_buf = (b64) =>
@@ -6,12 +9,46 @@ const base64_to_buf = (b64) =>
 const enc = new TextEncoder();
 const dec = new TextDecoder();
 
-export async function encrypt(data, strPassword = '') {
+/**
+ * The Key Derivation Functions supported by the encryption envelope
+ * @enum {number}
+ */
+export const KDF = {
+    PBKDF2: 0,
+    SCRYPT: 1,
+};
+
+/**
+ * Key Derivation Function parameters
+ * @typedef {Object} KDFParams
+ * @property {KDF} type - The KDF used to derive the AES key from the password
+ * @property {number} [iterations] - PBKDF2: the SHA-256 iterations
+ * @property {number} [N] - scrypt: the CPU/memory cost (a power of two)
+ * @property {number} [r] - scrypt: the block size
+ * @property {number} [p] - scrypt: the parallelisation
+ */
+
+/** @type {KDFParams} The parameters used for all new encryptions (64 MiB of memory per derivation) */
+export const DEFAULT_KDF = { type: KDF.SCRYPT, N: 2 ** 16, r: 8, p: 1 };
+
+/** @type {KDFParams} The fixed parameters of the original, un-versioned format */
+const LEGACY_KDF = { type: KDF.PBKDF2, iterations: 250000 };
+
+/** The current envelope version (the original, un-versioned format is considered v1) */
+const ENVELOPE_VERSION = 2;
+
+/** Envelopes are prefixed with a marker, which can't appear in the Base64 of the un-versioned format */
+const ENVELOPE_PREFIX = '$mpw$';
+
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+export async function encrypt(data, strPassword = '', cKDF = DEFAULT_KDF) {
     const strPass =
         strPassword ||
         window.prompt('Please enter your wallet encryption password');
     if (!strPass) return false;
-    return await encryptData(data, strPass);
+    return await encryptData(data, strPass, cKDF);
 }
 
 export async function decrypt(data, strPassword) {
@@ -22,21 +59,152 @@ export async function decrypt(data, strPassword) {
     return (await decryptData(data, strPass)) || 'decryption failed!';
 }
 
-const getPasswordKey = (password) =>
-    window.crypto.subtle.importKey(
+/**
+ * Check if a string looks like MPW-encrypted data, in either the versioned or un-versioned format
+ * @param {string} strData
+ * @returns {boolean}
+ */
+export function isEncrypted(strData) {
+    return (
+        strData.startsWith(ENVELOPE_PREFIX) ||
+        (strData.length >= 128 && isBase64(strData))
+    );
+}
+
+/**
+ * Check if encrypted data uses an outdated format or weaker KDF parameters than the default,
+ * and thus should be re-encrypted when the password is next available
+ * @param {string} strData - The encrypted data
+ * @returns {boolean}
+ */
+export function needsReencryption(strData) {
+    try {
+        const { cKDF } = parseEnvelope(strData);
+        return Object.keys(DEFAULT_KDF).some(
+            (strKey) => cKDF[strKey] !== DEFAULT_KDF[strKey]
+        );
+    } catch (e) {
+        // Unparsable envelopes can't be upgraded
+        return false;
+    }
+}
+
+/**
+ * Serialise a KDF and it's parameters for the envelope header
+ * @param {KDFParams} cKDF
+ * @returns {Uint8Array}
+ */
+function serialiseKDF(cKDF) {
+    switch (cKDF.type) {
+        case KDF.PBKDF2: {
+            const arrParams = new Uint8Array(5);
+            arrParams[0] = KDF.PBKDF2;
+            new DataView(arrParams.buffer).setUint32(1, cKDF.iterations);
+            return arrParams;
+        }
+        case KDF.SCRYPT:
+            return Uint8Array.from([
+                KDF.SCRYPT,
+                Math.log2(cKDF.N),
+                cKDF.r,
+                cKDF.p,
+            ]);
+        default:
+            throw new Error('Unknown KDF type: ' + cKDF.type);
+    }
+}
+
+/**
+ * Parse encrypted data in to it's KDF parameters and ciphered components
+ * @param {string} strData - The encrypted data, in either the versioned or un-versioned format
+ * @returns {{cKDF: KDFParams, header: Uint8Array, salt: Uint8Array, iv: Uint8Array, data: Uint8Array}}
+ */
+function parseEnvelope(strData) {
+    // Un-versioned data is simply the salt, IV and ciphertext
+    if (!strData.startsWith(ENVELOPE_PREFIX)) {
+        const buff = base64_to_buf(strData);
+        return {
+            cKDF: LEGACY_KDF,
+            header: new Uint8Array(0),
+            salt: buff.slice(0, SALT_LENGTH),
+            iv: buff.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH),
+            data: buff.slice(SALT_LENGTH + IV_LENGTH),
+        };
+    }
+
+    const buff = base64_to_buf(strData.slice(ENVELOPE_PREFIX.length));
+    if (buff[0] !== ENVELOPE_VERSION)
+        throw new Error('Unsupported envelope version: ' + buff[0]);
+    let cKDF, nHeaderLen;
+    switch (buff[1]) {
+        case KDF.PBKDF2:
+            cKDF = {
+                type: KDF.PBKDF2,
+                iterations: new DataView(buff.buffer).getUint32(2),
+            };
+            nHeaderLen = 6;
+            break;
+        case KDF.SCRYPT:
+            cKDF = {
+                type: KDF.SCRYPT,
+                N: 2 ** buff[2],
+                r: buff[3],
+                p: buff[4],
+            };
+            nHeaderLen = 5;
+            break;
+        default:
+            throw new Error('Unknown KDF type: ' + buff[1]);
+    }
+    return {
+        cKDF,
+        header: buff.slice(0, nHeaderLen),
+        salt: buff.slice(nHeaderLen, nHeaderLen + SALT_LENGTH),
+        iv: buff.slice(
+            nHeaderLen + SALT_LENGTH,
+            nHeaderLen + SALT_LENGTH + IV_LENGTH
+        ),
+        data: buff.slice(nHeaderLen + SALT_LENGTH + IV_LENGTH),
+    };
+}
+
+/**
+ * Derive an AES-GCM key from a password
+ * @param {string} password - The password to derive from
+ * @param {Uint8Array} salt - The random salt
+ * @param {KDFParams} cKDF - The KDF and it's parameters
+ * @param {Array<string>} keyUsage - The WebCrypto usages of the key
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(password, salt, cKDF, keyUsage) {
+    if (cKDF.type === KDF.SCRYPT) {
+        const bKey = await scryptAsync(enc.encode(password), salt, {
+            N: cKDF.N,
+            r: cKDF.r,
+            p: cKDF.p,
+            dkLen: 32,
+        });
+        return await window.crypto.subtle.importKey(
+            'raw',
+            bKey,
+            { name: 'AES-GCM' },
+            false,
+            keyUsage
+        );
+    }
+
+    const passwordKey = await window.crypto.subtle.importKey(
         'raw',
         enc.encode(password),
         'PBKDF2',
         false,
         ['deriveKey']
     );
-
-const deriveKey = (passwordKey, salt, keyUsage) =>
-    window.crypto.subtle.deriveKey(
+    return await window.crypto.subtle.deriveKey(
         {
             name: 'PBKDF2',
             salt,
-            iterations: 250000,
+            iterations: cKDF.iterations,
             hash: 'SHA-256',
         },
         passwordKey,
@@ -44,17 +212,23 @@ const deriveKey = (passwordKey, salt, keyUsage) =>
         false,
         keyUsage
     );
+}
 
-async function encryptData(secretData, password) {
+async function encryptData(secretData, password, cKDF) {
     try {
-        const salt = window.crypto.getRandomValues(new Uint8Array(16));
-        const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        const passwordKey = await getPasswordKey(password);
-        const aesKey = await deriveKey(passwordKey, salt, ['encrypt']);
+        const header = Uint8Array.from([
+            ENVELOPE_VERSION,
+            ...serialiseKDF(cKDF),
+        ]);
+        const salt = window.crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const aesKey = await deriveKey(password, salt, cKDF, ['encrypt']);
         const encryptedContent = await window.crypto.subtle.encrypt(
             {
                 name: 'AES-GCM',
                 iv: iv,
+                // Authenticate the header, so the KDF parameters can't be tampered with
+                additionalData: header,
             },
             aesKey,
             enc.encode(secretData)
@@ -62,12 +236,19 @@ async function encryptData(secretData, password) {
 
         const encryptedContentArr = new Uint8Array(encryptedContent);
         let buff = new Uint8Array(
-            salt.byteLength + iv.byteLength + encryptedContentArr.byteLength
+            header.byteLength +
+                salt.byteLength +
+                iv.byteLength +
+                encryptedContentArr.byteLength
+        );
+        buff.set(header, 0);
+        buff.set(salt, header.byteLength);
+        buff.set(iv, header.byteLength + salt.byteLength);
+        buff.set(
+            encryptedContentArr,
+            header.byteLength + salt.byteLength + iv.byteLength
         );
-        buff.set(salt, 0);
-        buff.set(iv, salt.byteLength);
-        buff.set(encryptedContentArr, salt.byteLength + iv.byteLength);
-        return buff_to_base64(buff);
+        return ENVELOPE_PREFIX + buff_to_base64(buff);
     } catch (e) {
         console.log(`Error - ${e}`);
         return '';
@@ -76,16 +257,13 @@ async function encryptData(secretData, password) {
 
 async function decryptData(encryptedData, password) {
     try {
-        const encryptedDataBuff = base64_to_buf(encryptedData);
-        const salt = encryptedDataBuff.slice(0, 16);
-        const iv = encryptedDataBuff.slice(16, 16 + 12);
-        const data = encryptedDataBuff.slice(16 + 12);
-        const passwordKey = await getPasswordKey(password);
-        const aesKey = await deriveKey(passwordKey, salt, ['decrypt']);
+        const { cKDF, header, salt, iv, data } = parseEnvelope(encryptedData);
+        const aesKey = await deriveKey(password, salt, cKDF, ['decrypt']);
         const decryptedContent = await window.crypto.subtle.decrypt(
             {
                 name: 'AES-GCM',
                 iv: iv,
+                additionalData: header,
             },
             aesKey,
             data
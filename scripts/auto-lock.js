@@ -0,0 +1,70 @@
+import { lockWallet } from './global.js';
+import { ALERTS, tr } from './i18n.js';
+import { createAlert } from './misc.js';
+import { nAutoLockMinutes } from './settings.js';
+
+/** The user interactions which count as activity, resetting the inactivity timer */
+const ACTIVITY_EVENTS = [
+    'pointerdown',
+    'pointermove',
+    'keydown',
+    'wheel',
+    'touchstart',
+];
+
+/** How often to check for inactivity, in milliseconds */
+const CHECK_INTERVAL = 10 * 1000;
+
+/** The timestamp of the user's last activity */
+let nLastActivity = Date.now();
+
+/** The amount of flows (i.e: confirming and signing a transaction) currently pausing the auto-lock */
+let nPauses = 0;
+
+/**
+ * Pause the auto-lock, so the keys aren't wiped in the middle of a flow that needs them
+ * @returns {() => void} A function to resume the auto-lock, with a fresh inactivity timer
+ */
+export function pauseAutoLock() {
+    nPauses++;
+    let fResumed = false;
+    return () => {
+        if (fResumed) return;
+        fResumed = true;
+        nPauses--;
+        nLastActivity = Date.now();
+    };
+}
+
+/**
+ * Lock the wallet if the user has been inactive for longer than the auto-lock timeout
+ */
+async function checkInactivity() {
+    if (nAutoLockMinutes === 0 || nPauses > 0) return;
+
+    // Timers are throttled in hidden tabs and paused while the device sleeps, so we
+    // ... compare against the clock rather than relying on a timeout firing on time
+    if (Date.now() - nLastActivity < nAutoLockMinutes * 60 * 1000) return;
+    if (await lockWallet())
+        createAlert(
+            'info',
+            tr(ALERTS.WALLET_AUTO_LOCKED, [{ minutes: nAutoLockMinutes }]),
+            7500
+        );
+}
+
+/**
+ * Start watching for user activity, automatically locking the wallet after inactivity
+ */
+export function startAutoLock() {
+    const onActivity = () => (nLastActivity = Date.now());
+    for (const strEvent of ACTIVITY_EVENTS) {
+        document.addEventListener(strEvent, onActivity, { passive: true });
+    }
+
+    // Check immediately when the tab is shown again (i.e: after the device wakes), before any new activity is counted
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) checkInactivity();
+    });
+    setInterval(checkInactivity, CHECK_INTERVAL);
+}
@@ -0,0 +1,226 @@
+import { cChainParams, COIN } from './chain_params.js';
+import {
+    getCoinControlSelection,
+    guiClearCoinControl,
+} from './coin-control.js';
+import { doms } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { createAlert, isScriptAddress, isStandardAddress } from './misc.js';
+import {
+    createAndSendTransaction,
+    getReceiverAddress,
+} from './transactions.js';
+
+/** The smallest amount a batch row may pay, in satoshis */
+const MIN_BATCH_AMOUNT = 10000;
+
+/**
+ * A row of a batch send, as entered by the user
+ * @typedef {Object} BatchRow
+ * @property {string} recipient - An address, contact name or xpub
+ * @property {string} amount - The amount to pay, in coins
+ */
+
+/** @type {Array<BatchRow>} The rows of the batch being built */
+let arrBatchRows = [{ recipient: '', amount: '' }];
+
+/**
+ * Parse CSV rows of `recipient,amount` (commas, semicolons or tabs), skipping blank lines, comments and a header
+ * @param {string} strCSV - The CSV text
+ * @returns {Array<BatchRow>} - The parsed rows
+ */
+export function parseBatchCSV(strCSV) {
+    const arrRows = [];
+    let fFirstLine = true;
+    for (const strLine of strCSV.split(/\r?\n/)) {
+        const strTrimmed = strLine.trim();
+        if (!strTrimmed || strTrimmed.startsWith('#')) continue;
+
+        // Prefer tabs or semicolons, as those allow the amount to use a decimal comma
+        const strDelimiter = strTrimmed.includes('\t')
+            ? '\t'
+            : strTrimmed.includes(';')
+            ? ';'
+            : ',';
+        const [strRecipient = '', strAmount = ''] = strTrimmed
+            .split(strDelimiter)
+            .map((strCell) => strCell.trim().replace(/^"(.*)"$/, '$1'));
+        const cRow = {
+            recipient: strRecipient,
+            amount:
+                strDelimiter === ',' ? strAmount : strAmount.replace(',', '.'),
+        };
+
+        // A first line without a numeric amount is a header (i.e: 'address,amount')
+        const fHeader = fFirstLine && isNaN(parseFloat(cRow.amount));
+        fFirstLine = false;
+        if (!fHeader) arrRows.push(cRow);
+    }
+    return arrRows;
+}
+
+/**
+ * Check if a batch row is untouched by the user
+ * @param {BatchRow} cRow
+ * @returns {boolean}
+ */
+function isEmptyRow(cRow) {
+    return !cRow.recipient.trim() && !cRow.amount.trim();
+}
+
+/**
+ * Render the total of the batch being built
+ */
+function renderBatchTotal() {
+    const nTotal = arrBatchRows.reduce(
+        (a, b) => a + Math.round((parseFloat(b.amount) || 0) * COIN),
+        0
+    );
+    const nRecipients = arrBatchRows.filter((r) => !isEmptyRow(r)).length;
+    doms.domBatchTotal.innerText = tr(translation.batchTotal, [
+        { recipients: nRecipients },
+        { amount: nTotal / COIN },
+        { ticker: cChainParams.current.TICKER },
+    ]);
+}
+
+/**
+ * Render the rows of the batch being built
+ */
+export function guiRenderBatch() {
+    let strHTML = '';
+    for (let i = 0; i < arrBatchRows.length; i++) {
+        strHTML += `
+            <div class="d-flex px-3 py-1" style="align-items: center;">
+                <small style="opacity: 0.75; width: 30px;">${i + 1}</small>
+                <input id="batchRecipient${i}" class="m-0" style="width: 65%;" placeholder="${
+            translation.batchRecipient
+        }" autocomplete="nope" oninput="MPW.guiUpdateBatchRow(${i}, 'recipient', this.value)">
+                <input id="batchAmount${i}" type="number" class="m-0" style="width: 35%; margin-left: 5px !important;" placeholder="${
+            translation.amount
+        }" autocomplete="nope" oninput="MPW.guiUpdateBatchRow(${i}, 'amount', this.value)">
+                <i style="cursor: pointer; padding-left: 10px;" onclick="MPW.guiRemoveBatchRow(${i})" class="fa-solid fa-trash"></i>
+            </div>
+        `;
+    }
+    doms.domBatchRows.innerHTML = strHTML;
+
+    // Values are set via the DOM, so user-entered text is never parsed as HTML
+    for (let i = 0; i < arrBatchRows.length; i++) {
+        document.getElementById('batchRecipient' + i).value =
+            arrBatchRows[i].recipient;
+        document.getElementById('batchAmount' + i).value =
+            arrBatchRows[i].amount;
+    }
+    renderBatchTotal();
+}
+
+/**
+ * Update a field of a batch row from it's input
+ * @param {number} nIndex - The row index
+ * @param {'recipient'|'amount'} strField - The field to update
+ * @param {string} strValue - The new value
+ */
+export function guiUpdateBatchRow(nIndex, strField, strValue) {
+    arrBatchRows[nIndex][strField] = strValue;
+    renderBatchTotal();
+}
+
+/**
+ * Add an empty row to the batch
+ */
+export function guiAddBatchRow() {
+    arrBatchRows.push({ recipient: '', amount: '' });
+    guiRenderBatch();
+}
+
+/**
+ * Remove a row from the batch
+ * @param {number} nIndex - The row index
+ */
+export function guiRemoveBatchRow(nIndex) {
+    arrBatchRows.splice(nIndex, 1);
+    if (!arrBatchRows.length) arrBatchRows.push({ recipient: '', amount: '' });
+    guiRenderBatch();
+}
+
+/**
+ * Add the rows of the pasted CSV to the batch
+ */
+export function guiLoadBatchCSV() {
+    const arrRows = parseBatchCSV(doms.domBatchCSV.value);
+    if (!arrRows.length)
+        return createAlert('warning', ALERTS.BATCH_CSV_EMPTY, 3000);
+
+    // Replace any untouched rows, and keep the rest
+    arrBatchRows = [...arrBatchRows.filter((r) => !isEmptyRow(r)), ...arrRows];
+    doms.domBatchCSV.value = '';
+    guiRenderBatch();
+}
+
+/**
+ * Load a CSV file chosen by the user in to the batch
+ */
+export async function guiImportBatchCSV() {
+    const cFile = doms.domBatchFile.files[0];
+    if (!cFile) return;
+    doms.domBatchCSV.value = await cFile.text();
+    // Reset the input, so the same file may be chosen again
+    doms.domBatchFile.value = '';
+    guiLoadBatchCSV();
+}
+
+/**
+ * Validate every row of the batch, and send them all in a single transaction
+ */
+export async function guiBatchSend() {
+    const arrRows = arrBatchRows.filter((r) => !isEmptyRow(r));
+    if (!arrRows.length)
+        return createAlert('warning', ALERTS.BATCH_CSV_EMPTY, 3000);
+
+    // Resolve and validate each row, reporting the first invalid row
+    const arrRecipients = [];
+    for (const [i, cRow] of arrRows.entries()) {
+        const invalidRow = (strReason) =>
+            createAlert(
+                'warning',
+                tr(ALERTS.BATCH_ROW_INVALID, [
+                    { row: arrBatchRows.indexOf(cRow) + 1 },
+                    { reason: strReason },
+                ]),
+                5000
+            );
+        const strAddress = await getReceiverAddress(cRow.recipient.trim());
+        if (strAddress === null)
+            return createAlert(
+                'warning',
+                ALERTS.WALLET_OFFLINE_AUTOMATIC,
+                3500
+            );
+        if (!isStandardAddress(strAddress) && !isScriptAddress(strAddress))
+            return invalidRow(translation.batchInvalidAddress);
+
+        const nAmount = Math.round(parseFloat(cRow.amount) * COIN);
+        if (!Number.isSafeInteger(nAmount) || nAmount < MIN_BATCH_AMOUNT)
+            return invalidRow(
+                tr(translation.batchInvalidAmount, [
+                    { min: MIN_BATCH_AMOUNT / COIN },
+                    { ticker: cChainParams.current.TICKER },
+                ])
+            );
+        arrRecipients[i] = { address: strAddress, amount: nAmount };
+    }
+
+    const cRes = await createAndSendTransaction({
+        recipients: arrRecipients,
+        utxos: getCoinControlSelection(),
+    });
+
+    // If successful, start a fresh batch
+    if (cRes?.ok) {
+        guiClearCoinControl();
+        arrBatchRows = [{ recipient: '', amount: '' }];
+        guiRenderBatch();
+        $('#batchSendModal').modal('hide');
+    }
+}
@@ -0,0 +1,526 @@
+import * as nobleSecp256k1 from '@noble/secp256k1';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { sha256 } from '@noble/hashes/sha256';
+import { ripemd160 } from '@noble/hashes/ripemd160';
+import bs58 from 'bs58';
+import bitjs from './bitTrx.js';
+import { cChainParams, COIN } from './chain_params.js';
+import {
+    deriveAddress,
+    encodeAddressHash,
+    generateOrEncodePrivkey,
+    parseWIF,
+} from './encoding.js';
+import { doms, getBalance, restoreWallet, sweepAddress } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { LegacyMasterKey } from './masterkey.js';
+import { confirmPopup, createAlert, sanitizeHTML } from './misc.js';
+import { getNetwork } from './network.js';
+import { OP } from './script.js';
+import { bytesToHex, dSHA256 } from './utils.js';
+import { getNewAddress, hasEncryptedWallet, wallet } from './wallet.js';
+
+/** The byte length of a BIP38 key, excluding it's checksum */
+const BIP38_BYTE_LENGTH = 39;
+
+/** The prefix bytes of a non-EC-multiplied BIP38 key */
+const BIP38_PREFIX_NON_EC = 0x42;
+
+/** The prefix bytes of an EC-multiplied BIP38 key (i.e: generated by a third party, such as a paper wallet service) */
+const BIP38_PREFIX_EC = 0x43;
+
+/** The smallest amount that may be swept, after the fee, in satoshis */
+const MIN_SWEEP_SATS = 10000;
+
+/** The scrypt parameters used to derive the key from the passphrase */
+const BIP38_SCRYPT_PARAMS = { N: 16384, r: 8, p: 8 };
+
+/** The scrypt parameters used to derive the key from the EC-multiplied passpoint */
+const BIP38_SCRYPT_EC_PARAMS = { N: 1024, r: 1, p: 1 };
+
+/**
+ * A decrypted BIP38 key
+ * @typedef {Object} BIP38Key
+ * @property {Uint8Array} pkBytes - The raw private key bytes
+ * @property {boolean} fCompressed - Whether the key's address uses a compressed public key
+ * @property {string} address - The address of the key
+ */
+
+/**
+ * Decode a Base58Check string, verifying it's checksum
+ * @param {string} strKey
+ * @returns {Uint8Array?} - The payload bytes, or `null` if the encoding or checksum is invalid
+ */
+function decodeBase58Check(strKey) {
+    try {
+        const bKey = bs58.decode(strKey);
+        const bPayload = bKey.slice(0, -4);
+        const bChecksum = dSHA256(bPayload).slice(0, 4);
+        return bKey.slice(-4).every((n, i) => n === bChecksum[i])
+            ? bPayload
+            : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check if a string is a BIP38 encrypted private key
+ * @param {string} strKey
+ * @returns {boolean}
+ */
+export function isBIP38(strKey = '') {
+    if (!strKey.startsWith('6P')) return false;
+    const bKey = decodeBase58Check(strKey.trim());
+    return (
+        !!bKey &&
+        bKey.length === BIP38_BYTE_LENGTH &&
+        bKey[0] === 0x01 &&
+        (bKey[1] === BIP38_PREFIX_NON_EC || bKey[1] === BIP38_PREFIX_EC)
+    );
+}
+
+/**
+ * Parse a WIF private key being swept, which may be compressed, or uncompressed (a 51-character key)
+ * @param {string} strWIF
+ * @returns {BIP38Key}
+ */
+function parseSweepWIF(strWIF) {
+    // An uncompressed WIF is the network byte and the key, without the trailing compression flag
+    const bPayload = decodeBase58Check(strWIF);
+    if (
+        bPayload?.length === 33 &&
+        bPayload[0] === cChainParams.current.SECRET_KEY
+    ) {
+        const pkBytes = bPayload.slice(1);
+        return {
+            pkBytes,
+            fCompressed: false,
+            address: deriveKeyAddress(pkBytes, false),
+        };
+    }
+
+    // Otherwise, it should be a regular (compressed) WIF
+    const pkBytes = parseWIF(strWIF);
+    return { pkBytes, fCompressed: true, address: deriveKeyAddress(pkBytes) };
+}
+
+/**
+ * Derive the address of a private key, optionally from it's uncompressed public key
+ * @param {Uint8Array} pkBytes - The raw private key bytes
+ * @param {boolean} fCompressed - Whether to use the compressed public key
+ * @returns {string}
+ */
+export function deriveKeyAddress(pkBytes, fCompressed = true) {
+    if (fCompressed) return deriveAddress({ pkBytes });
+    return encodeAddressHash(
+        ripemd160(sha256(nobleSecp256k1.getPublicKey(pkBytes, false))),
+        cChainParams.current.PUBKEY_ADDRESS
+    );
+}
+
+/**
+ * Compute the 'address hash' of an address, used as a salt and to verify passphrases
+ * @param {string} strAddress
+ * @returns {Uint8Array} - The first 4 bytes of the double SHA-256 of the address
+ */
+function getAddressHash(strAddress) {
+    return dSHA256(new TextEncoder().encode(strAddress)).slice(0, 4);
+}
+
+/**
+ * XOR two equal-length byte arrays
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array}
+ */
+function xorBytes(a, b) {
+    return a.map((n, i) => n ^ b[i]);
+}
+
+/**
+ * Import a raw AES-256 key for the given usage
+ * @param {Uint8Array} bKey - The 32 AES key bytes
+ * @param {string} strUsage - `encrypt` or `decrypt`
+ * @returns {Promise<CryptoKey>}
+ */
+function importAESKey(bKey, strUsage) {
+    return window.crypto.subtle.importKey('raw', bKey, 'AES-CBC', false, [
+        strUsage,
+    ]);
+}
+
+/**
+ * Encrypt a single 16-byte block with AES-256 (ECB mode, as used by BIP38)
+ *
+ * WebCrypto lacks ECB, but the first block of a CBC cipher with a zero IV is identical to ECB.
+ * @param {Uint8Array} bBlock - The 16 byte plaintext block
+ * @param {Uint8Array} bKey - The 32 AES key bytes
+ * @returns {Promise<Uint8Array>} - The 16 byte ciphertext block
+ */
+async function aesEncryptBlock(bBlock, bKey) {
+    const cKey = await importAESKey(bKey, 'encrypt');
+    const bCipher = await window.crypto.subtle.encrypt(
+        { name: 'AES-CBC', iv: new Uint8Array(16) },
+        cKey,
+        bBlock
+    );
+    return new Uint8Array(bCipher).slice(0, 16);
+}
+
+/**
+ * Decrypt a single 16-byte block with AES-256 (ECB mode, as used by BIP38)
+ *
+ * WebCrypto lacks ECB, and enforces CBC's PKCS#7 padding, so we append a ciphertext block
+ * which is crafted to decrypt in to a valid padding block.
+ * @param {Uint8Array} bBlock - The 16 byte ciphertext block
+ * @param {Uint8Array} bKey - The 32 AES key bytes
+ * @returns {Promise<Uint8Array>} - The 16 byte plaintext block
+ */
+async function aesDecryptBlock(bBlock, bKey) {
+    const bPadding = await aesEncryptBlock(
+        xorBytes(new Uint8Array(16).fill(16), bBlock),
+        bKey
+    );
+    const cKey = await importAESKey(bKey, 'decrypt');
+    const bPlain = await window.crypto.subtle.decrypt(
+        { name: 'AES-CBC', iv: new Uint8Array(16) },
+        cKey,
+        new Uint8Array([...bBlock, ...bPadding])
+    );
+    return new Uint8Array(bPlain);
+}
+
+/**
+ * Encrypt a private key with a passphrase, as a (non-EC-multiplied) BIP38 key
+ * @param {Uint8Array} pkBytes - The raw private key bytes
+ * @param {string} strPassphrase - The passphrase to encrypt with
+ * @param {boolean} fCompressed - Whether the key's address uses a compressed public key
+ * @returns {Promise<string>} - The `6P...` BIP38 key
+ */
+export async function encryptBIP38(pkBytes, strPassphrase, fCompressed = true) {
+    const bAddressHash = getAddressHash(deriveKeyAddress(pkBytes, fCompressed));
+    const bDerived = await scryptAsync(
+        strPassphrase.normalize('NFC'),
+        bAddressHash,
+        { ...BIP38_SCRYPT_PARAMS, dkLen: 64 }
+    );
+    const bHalf1 = bDerived.slice(0, 32);
+    const bHalf2 = bDerived.slice(32);
+
+    const bEncrypted1 = await aesEncryptBlock(
+        xorBytes(pkBytes.slice(0, 16), bHalf1.slice(0, 16)),
+        bHalf2
+    );
+    const bEncrypted2 = await aesEncryptBlock(
+        xorBytes(pkBytes.slice(16, 32), bHalf1.slice(16)),
+        bHalf2
+    );
+
+    const bPayload = new Uint8Array([
+        0x01,
+        BIP38_PREFIX_NON_EC,
+        0xc0 | (fCompressed ? 0x20 : 0),
+        ...bAddressHash,
+        ...bEncrypted1,
+        ...bEncrypted2,
+    ]);
+    return bs58.encode([...bPayload, ...dSHA256(bPayload).slice(0, 4)]);
+}
+
+/**
+ * Decrypt a BIP38 key (both non-EC-multiplied and EC-multiplied keys are supported)
+ * @param {string} strKey - The `6P...` BIP38 key
+ * @param {string} strPassphrase - The passphrase the key was encrypted with
+ * @returns {Promise<BIP38Key?>} - The decrypted key, or `null` if the passphrase is wrong
+ */
+export async function decryptBIP38(strKey, strPassphrase) {
+    const bKey = decodeBase58Check(strKey.trim());
+    if (!bKey || bKey.length !== BIP38_BYTE_LENGTH)
+        throw new Error('Invalid BIP38 key');
+    const fEC = bKey[1] === BIP38_PREFIX_EC;
+    const nFlag = bKey[2];
+    const fCompressed = (nFlag & 0x20) !== 0;
+    const bAddressHash = bKey.slice(3, 7);
+    const strPass = strPassphrase.normalize('NFC');
+
+    let pkBytes;
+    if (!fEC) {
+        const bDerived = await scryptAsync(strPass, bAddressHash, {
+            ...BIP38_SCRYPT_PARAMS,
+            dkLen: 64,
+        });
+        const bHalf1 = bDerived.slice(0, 32);
+        const bHalf2 = bDerived.slice(32);
+        const bDecrypted1 = await aesDecryptBlock(bKey.slice(7, 23), bHalf2);
+        const bDecrypted2 = await aesDecryptBlock(bKey.slice(23, 39), bHalf2);
+        pkBytes = new Uint8Array([
+            ...xorBytes(bDecrypted1, bHalf1.slice(0, 16)),
+            ...xorBytes(bDecrypted2, bHalf1.slice(16)),
+        ]);
+    } else {
+        // Re-derive the 'passfactor' from the owner's entropy (with optional lot/sequence numbers)
+        const bOwnerEntropy = bKey.slice(7, 15);
+        const fLotSequence = (nFlag & 0x04) !== 0;
+        const bOwnerSalt = fLotSequence
+            ? bOwnerEntropy.slice(0, 4)
+            : bOwnerEntropy;
+        const bPreFactor = await scryptAsync(strPass, bOwnerSalt, {
+            ...BIP38_SCRYPT_PARAMS,
+            dkLen: 32,
+        });
+        const bPassFactor = fLotSequence
+            ? dSHA256([...bPreFactor, ...bOwnerEntropy])
+            : bPreFactor;
+        const nPassFactor = BigInt('0x' + bytesToHex(bPassFactor));
+        if (nPassFactor <= 0n || nPassFactor >= nobleSecp256k1.CURVE.n)
+            return null;
+        const bPassPoint = nobleSecp256k1.getPublicKey(bPassFactor, true);
+
+        // Decrypt the 'seedb' used to derive the key from the passfactor
+        const bDerived = await scryptAsync(
+            bPassPoint,
+            new Uint8Array([...bAddressHash, ...bOwnerEntropy]),
+            { ...BIP38_SCRYPT_EC_PARAMS, dkLen: 64 }
+        );
+        const bHalf1 = bDerived.slice(0, 32);
+        const bHalf2 = bDerived.slice(32);
+        const bDecrypted2 = xorBytes(
+            await aesDecryptBlock(bKey.slice(23, 39), bHalf2),
+            bHalf1.slice(16)
+        );
+        const bEncrypted1 = new Uint8Array([
+            ...bKey.slice(15, 23),
+            ...bDecrypted2.slice(0, 8),
+        ]);
+        const bDecrypted1 = xorBytes(
+            await aesDecryptBlock(bEncrypted1, bHalf2),
+            bHalf1.slice(0, 16)
+        );
+        const bSeedB = new Uint8Array([
+            ...bDecrypted1,
+            ...bDecrypted2.slice(8, 16),
+        ]);
+        const nFactorB = BigInt('0x' + bytesToHex(dSHA256(bSeedB)));
+        const nKey = (nPassFactor * nFactorB) % nobleSecp256k1.CURVE.n;
+        if (nKey === 0n) return null;
+        pkBytes = nobleSecp256k1.utils.hexToBytes(
+            nKey.toString(16).padStart(64, '0')
+        );
+    }
+
+    // A mismatching address hash means the passphrase was wrong
+    if (!nobleSecp256k1.utils.isValidPrivateKey(pkBytes)) return null;
+    const strAddress = deriveKeyAddress(pkBytes, fCompressed);
+    const bCheckHash = getAddressHash(strAddress);
+    if (!bCheckHash.every((n, i) => n === bAddressHash[i])) return null;
+
+    return { pkBytes, fCompressed, address: strAddress };
+}
+
+/**
+ * Sweep the funds of an uncompressed-key address in to our wallet
+ *
+ * MPW's own signer only produces compressed-key scripts, so the inputs are signed manually here.
+ * @param {BIP38Key} cKey - The decrypted key to sweep
+ * @returns {Promise<string|false>} - TXID on success, false or error on failure
+ */
+async function sweepUncompressedKey(cKey) {
+    const cNet = getNetwork();
+    const arrUTXOs = (await cNet.getUTXOs(cKey.address)) || [];
+    const bPubkey = nobleSecp256k1.getPublicKey(cKey.pkBytes, false);
+    const bPubkeyHash = ripemd160(sha256(bPubkey));
+
+    // Spend every UTXO, using it's P2PKH script for signing
+    const cTx = new bitjs.transaction();
+    let nTotal = 0;
+    for (const cUTXO of arrUTXOs) {
+        nTotal += parseInt(cUTXO.value);
+        cTx.addinput({
+            txid: cUTXO.txid,
+            index: cUTXO.vout,
+            script: [
+                OP['DUP'],
+                OP['HASH160'],
+                bPubkeyHash.length,
+                ...bPubkeyHash,
+                OP['EQUALVERIFY'],
+                OP['CHECKSIG'],
+            ],
+        });
+    }
+
+    // Estimate the fee with the signed size (~140 bytes per uncompressed input)
+    const nFee = cNet.getFee(cTx.serialize().length + arrUTXOs.length * 280);
+    if (nTotal - nFee < MIN_SWEEP_SATS) {
+        createAlert(
+            'warning',
+            tr(ALERTS.BIP38_SWEEP_TOO_LOW, [
+                { amount: nTotal / COIN },
+                { fee: nFee / COIN },
+                { ticker: cChainParams.current.TICKER },
+            ]),
+            5000
+        );
+        return false;
+    }
+    const [strAddress] = await getNewAddress();
+    cTx.addoutput(strAddress, (nTotal - nFee) / COIN);
+
+    // Sign every input, pushing the uncompressed public key
+    const strWIF = generateOrEncodePrivkey(cKey.pkBytes).strWIF;
+    const arrSigs = [];
+    for (let i = 0; i < cTx.inputs.length; i++) {
+        arrSigs.push(await cTx.transactionSig(i, strWIF));
+    }
+    arrSigs.forEach((arrSig, i) => {
+        cTx.inputs[i].script = [
+            arrSig.length,
+            ...arrSig,
+            bPubkey.length,
+            ...bPubkey,
+        ];
+    });
+    return await cNet.sendTransaction(cTx.serialize());
+}
+
+/**
+ * Prompt for the passphrase of a BIP38 key, then decrypt it
+ * @param {string} strKey - The `6P...` BIP38 key
+ * @param {string} strPassphrase - The passphrase, if already known (skips the prompt)
+ * @returns {Promise<BIP38Key?>} - The decrypted key, or `null` if cancelled or the passphrase was wrong
+ */
+export async function guiDecryptBIP38(strKey, strPassphrase = '') {
+    if (!strPassphrase) {
+        const fConfirmed = await confirmPopup({
+            title: translation.bip38Title,
+            html: `<p style="opacity: 0.75;">${translation.bip38Note}</p>
+                <input type="password" id="bip38Passphrase" placeholder="${translation.password}" style="text-align: center;">`,
+        });
+        if (!fConfirmed) return null;
+        const domPassphrase = document.getElementById('bip38Passphrase');
+        strPassphrase = domPassphrase.value;
+        domPassphrase.value = '';
+    }
+
+    // scrypt is deliberately slow, so let the user know we're working on it
+    createAlert('info', ALERTS.BIP38_DECRYPTING, 2500);
+    const cKey = await decryptBIP38(strKey, strPassphrase);
+    if (!cKey) createAlert('warning', ALERTS.BIP38_WRONG_PASSPHRASE, 3500);
+    return cKey;
+}
+
+/**
+ * Sweep the funds of an external private key (WIF or BIP38) in to our wallet
+ */
+export async function guiSweepPrivateKey() {
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.BIP38_SWEEP_OFFLINE, 3500);
+
+    const fConfirmed = await confirmPopup({
+        title: translation.sweepTitle,
+        html: `<p style="opacity: 0.75;">${translation.sweepNote}</p>
+            <input type="password" id="sweepKey" placeholder="${translation.sweepKey}" style="text-align: center;">`,
+    });
+    if (!fConfirmed) return;
+    const domKey = document.getElementById('sweepKey');
+    const strKey = domKey.value.trim();
+    domKey.value = '';
+
+    // Parse the key, decrypting it first if it's BIP38
+    let cKey;
+    if (isBIP38(strKey)) {
+        cKey = await guiDecryptBIP38(strKey);
+        if (!cKey) return;
+    } else {
+        try {
+            cKey = parseSweepWIF(strKey);
+        } catch (e) {
+            return createAlert(
+                'warning',
+                ALERTS.FAILED_TO_IMPORT + '<br>' + e.message,
+                6000
+            );
+        }
+    }
+
+    // Ensure there's something to sweep
+    const arrUTXOs = (await getNetwork().getUTXOs(cKey.address)) || [];
+    if (!arrUTXOs.length) {
+        return createAlert(
+            'warning',
+            tr(ALERTS.BIP38_SWEEP_EMPTY, [
+                { address: sanitizeHTML(cKey.address) },
+            ]),
+            3500
+        );
+    }
+
+    let strTXID;
+    if (cKey.fCompressed) {
+        const arrFullUTXOs = [];
+        for (const cUTXO of arrUTXOs) {
+            arrFullUTXOs.push(await getNetwork().getUTXOFullInfo(cUTXO));
+        }
+        strTXID = await sweepAddress(
+            arrFullUTXOs,
+            new LegacyMasterKey({ pkBytes: cKey.pkBytes })
+        );
+    } else {
+        strTXID = await sweepUncompressedKey(cKey);
+    }
+
+    if (strTXID) {
+        const nAmount = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+        createAlert(
+            'success',
+            tr(ALERTS.BIP38_SWEPT, [
+                { amount: nAmount / COIN },
+                { ticker: cChainParams.current.TICKER },
+            ]),
+            5000
+        );
+        getBalance(true);
+    }
+}
+
+/**
+ * Export the private key of a Legacy (non-HD) wallet as a BIP38 key, in the Export UI
+ */
+export async function guiExportBIP38() {
+    // Only Legacy wallets with a private key (encrypted or not) can be exported
+    if (
+        wallet.isHD() ||
+        wallet.isHardwareWallet() ||
+        (wallet.isViewOnly() && !(await hasEncryptedWallet()))
+    )
+        return createAlert('warning', ALERTS.BIP38_NOT_LEGACY, 3500);
+
+    // Ensure the wallet is unlocked
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockBIP38))
+    )
+        return;
+
+    const fConfirmed = await confirmPopup({
+        title: translation.bip38ExportTitle,
+        html: `<p style="opacity: 0.75;">${translation.bip38ExportNote}</p>
+            <input type="password" id="bip38ExportPassphrase" placeholder="${translation.password}" style="text-align: center;">
+            <input type="password" id="bip38ExportPassphraseRetype" placeholder="${translation.encryptPasswordSecond}" style="text-align: center;">`,
+    });
+    if (!fConfirmed) return;
+    const domPass = document.getElementById('bip38ExportPassphrase');
+    const domRetype = document.getElementById('bip38ExportPassphraseRetype');
+    const strPass = domPass.value;
+    const strRetype = domRetype.value;
+    domPass.value = '';
+    domRetype.value = '';
+    if (!strPass) return;
+    if (strPass !== strRetype)
+        return createAlert('warning', ALERTS.PASSWORD_DOESNT_MATCH, 2250);
+
+    createAlert('info', ALERTS.BIP38_ENCRYPTING, 2500);
+    const pkBytes = await wallet.getMasterKey().getPrivateKeyBytes();
+    doms.domExportPrivateKey.innerHTML = await encryptBIP38(pkBytes, strPass);
+}
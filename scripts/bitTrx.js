@@ -2,7 +2,7 @@ import { hexToBytes, bytesToHex, dSHA256 } from './utils.js';
 import * as nobleSecp256k1 from '@noble/secp256k1';
 import { BigInteger } from 'biginteger';
 import bs58 from 'bs58';
-import { OP } from './script.js';
+import { OP, getScriptForBurn } from './script.js';
 import { wallet } from './wallet.js';
 import { parseWIF, deriveAddress } from './encoding.js';
 import { sha256 } from '@noble/hashes/sha256';
@@ -46,16 +46,36 @@ export default class bitjs {
             let buf = [];
             const addrDecoded = this.addressDecode(address);
             o.value = new BigInteger('' + Math.round(value * 1 * 1e8), 10);
-            buf.push(OP['DUP']);
-            buf.push(OP['HASH160']);
-            buf.push(addrDecoded.length);
-            buf = [...buf, ...addrDecoded]; // address in bytes
-            buf.push(OP['EQUALVERIFY']);
-            buf.push(OP['CHECKSIG']);
+            if (
+                bitjs.isValidDestination(
+                    address,
+                    cChainParams.current.SCRIPT_ADDRESS
+                )
+            ) {
+                // Pay-to-Script-Hash (i.e: Multisig)
+                buf.push(OP['HASH160']);
+                buf.push(addrDecoded.length);
+                buf = [...buf, ...addrDecoded]; // script hash in bytes
+                buf.push(OP['EQUAL']);
+            } else {
+                buf.push(OP['DUP']);
+                buf.push(OP['HASH160']);
+                buf.push(addrDecoded.length);
+                buf = [...buf, ...addrDecoded]; // address in bytes
+                buf.push(OP['EQUALVERIFY']);
+                buf.push(OP['CHECKSIG']);
+            }
             o.script = buf;
             return this.outputs.push(o);
         }
 
+        addmemooutput(memo) {
+            return this.outputs.push({
+                value: new BigInteger('0', 10),
+                script: getScriptForBurn(memo),
+            });
+        }
+
         addproposaloutput(hash, value) {
             return this.outputs.push({
                 value: new BigInteger('' + Math.round(value * 1 * 1e8), 10),
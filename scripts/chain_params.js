@@ -9,6 +9,36 @@ export const COIN = 10 ** 8;
 /** The maximum gap (absence of transactions within a range of derived addresses) before an account search ends */
 export const MAX_ACCOUNT_GAP = 20;
 
+/** The highest gap limit a user may configure, to keep HD discovery (and explorer load) reasonable */
+export const MAX_GAP_LIMIT = 1000;
+
+/** The default minutes of inactivity before an unlocked wallet locks itself */
+export const DEFAULT_AUTO_LOCK = 15;
+
+/** The longest auto-lock timeout a user may configure (one day), in minutes */
+export const MAX_AUTO_LOCK = 1440;
+
+/** The highest minimum confirmations a user may require to spend UTXOs */
+export const MAX_MIN_CONFIRMATIONS = 100;
+
+/** The largest memo that may be attached to a payment, in bytes (the network's OP_RETURN relay limit) */
+export const MAX_MEMO_BYTES = 80;
+
+/** The fee rate used when no estimates are available, in satoshis per byte */
+export const DEFAULT_FEE_RATE = 50;
+
+/** The lowest fee rate the network relays (10,000 sats per kB), in satoshis per byte */
+export const MIN_FEE_RATE = 10;
+
+/** The highest fee rate that may be used, guarding against faulty estimates, in satoshis per byte */
+export const MAX_FEE_RATE = 1000;
+
+/** Lock times below this are block heights, any higher are unix timestamps (in seconds) */
+export const LOCKTIME_THRESHOLD = 500000000;
+
+/** The target time between blocks, in seconds */
+export const BLOCK_TIME = 60;
+
 /* Internal tweaking parameters */
 // A new encryption password must be 'at least' this long.
 export const MIN_PASS_LENGTH = 6;
@@ -26,7 +56,10 @@ export const cChainParams = {
         TICKER: 'PIV',
         PUBKEY_PREFIX: ['D'],
         STAKING_PREFIX: 'S',
+        SCRIPT_PREFIX: ['6'],
         PUBKEY_ADDRESS: 30,
+        SCRIPT_ADDRESS: 13,
+        STAKING_ADDRESS: 63,
         SECRET_KEY: 212,
         BIP44_TYPE: 119,
         BIP44_TYPE_LEDGER: 77,
@@ -57,7 +90,10 @@ export const cChainParams = {
         TICKER: 'tPIV',
         PUBKEY_PREFIX: ['x', 'y'],
         STAKING_PREFIX: 'W',
+        SCRIPT_PREFIX: ['8', '9'],
         PUBKEY_ADDRESS: 139,
+        SCRIPT_ADDRESS: 19,
+        STAKING_ADDRESS: 73,
         SECRET_KEY: 239,
         BIP44_TYPE: 1,
         BIP44_TYPE_LEDGER: 1,
@@ -0,0 +1,214 @@
+import bitjs from './bitTrx.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { Database } from './database.js';
+import { doms, isMasternodeUTXO, mempool } from './global.js';
+import { tr, translation } from './i18n.js';
+import { Mempool } from './mempool.js';
+import { getNetwork } from './network.js';
+import { nMinConfirmations } from './settings.js';
+import { wallet } from './wallet.js';
+
+/** The outpoints (`txid:vout`) of the UTXOs manually chosen to spend */
+const setSelectedUTXOs = new Set();
+
+/**
+ * Get the outpoint of a UTXO, which uniquely identifies it
+ * @param {import('./mempool.js').UTXO} cUTXO
+ * @returns {string}
+ */
+function getOutpoint(cUTXO) {
+    return `${cUTXO.id}:${cUTXO.vout}`;
+}
+
+/**
+ * Check if a UTXO may be spent under the Coin Control rules
+ * @param {import('./mempool.js').UTXO} cUTXO - The UTXO to check
+ * @param {import('./masternode.js').default?} cMasternode - The user's Masternode, which has a locked collateral
+ * @returns {boolean}
+ */
+export function isSpendableUTXO(cUTXO, cMasternode) {
+    return (
+        Mempool.isValidUTXO(cUTXO) &&
+        !isMasternodeUTXO(cUTXO, cMasternode) &&
+        cUTXO.getConfirmations() >= nMinConfirmations
+    );
+}
+
+/**
+ * Get the UTXOs manually chosen via Coin Control, ignoring any which have since been spent
+ * @returns {Array<import('./mempool.js').UTXO>?} - The chosen UTXOs, or `null` if inputs should be selected automatically
+ */
+export function getCoinControlSelection() {
+    if (setSelectedUTXOs.size === 0) return null;
+    return mempool
+        .getStandardUTXOs()
+        .filter((cUTXO) => setSelectedUTXOs.has(getOutpoint(cUTXO)));
+}
+
+/**
+ * Estimate the fee of a transaction spending the given UTXOs, the same way `createAndSendTransaction` does
+ * @param {Array<import('./mempool.js').UTXO>} arrUTXOs - The UTXOs to spend
+ * @returns {number} - The fee in satoshis
+ */
+function estimateFee(arrUTXOs) {
+    const cTx = new bitjs.transaction();
+    for (const cUTXO of arrUTXOs) {
+        cTx.addinput({
+            txid: cUTXO.id,
+            index: cUTXO.vout,
+            script: cUTXO.script,
+            path: cUTXO.path,
+        });
+    }
+    return getNetwork().getFee(cTx.serialize().length);
+}
+
+/**
+ * Re-render the Coin Control totals, and the selection summary of the Send menu
+ */
+function updateCoinControlTotals() {
+    const arrSelected = getCoinControlSelection() || [];
+    const strTicker = cChainParams.current.TICKER;
+    const nTotal = arrSelected.reduce((a, b) => a + b.sats, 0);
+    const nFee = estimateFee(arrSelected);
+    let strTotals = tr(translation.coinControlSelected, [
+        { inputs: arrSelected.length },
+        { amount: nTotal / COIN },
+        { ticker: strTicker },
+    ]);
+    strTotals +=
+        '<br>' +
+        tr(translation.coinControlFee, [
+            { fee: nFee / COIN },
+            { ticker: strTicker },
+        ]);
+
+    // If an amount is being sent, display the change it leaves (or the shortfall)
+    const nAmount = Math.round(
+        Number(doms.domSendAmountCoins.value.trim()) * COIN
+    );
+    if (arrSelected.length && nAmount > 0) {
+        const nChange = nTotal - nAmount - nFee;
+        strTotals +=
+            '<br>' +
+            tr(
+                nChange >= 0
+                    ? translation.coinControlChange
+                    : translation.coinControlMissing,
+                [{ amount: Math.abs(nChange) / COIN }, { ticker: strTicker }]
+            );
+    }
+    doms.domCoinControlTotals.innerHTML = strTotals;
+
+    doms.domCoinControlSummary.innerText = arrSelected.length
+        ? tr(translation.coinControlSelected, [
+              { inputs: arrSelected.length },
+              { amount: nTotal / COIN },
+              { ticker: strTicker },
+          ])
+        : '';
+}
+
+/**
+ * Get the total value of the UTXOs manually chosen via Coin Control
+ * @returns {number} - The total in satoshis (0 if selecting automatically)
+ */
+export function getCoinControlTotal() {
+    return (getCoinControlSelection() || []).reduce((a, b) => a + b.sats, 0);
+}
+
+/**
+ * Render every wallet UTXO in the Coin Control UI, for the user to choose which to spend
+ */
+export async function guiRenderCoinControl() {
+    const cMasternode = await (await Database.getInstance()).getMasternode();
+    const cMasterKey = wallet.getMasterKey();
+    const strTicker = cChainParams.current.TICKER;
+
+    // Display the largest UTXOs first
+    const arrUTXOs = mempool.getStandardUTXOs().sort((a, b) => b.sats - a.sats);
+    let strHTML = '';
+    for (const cUTXO of arrUTXOs) {
+        const strOutpoint = getOutpoint(cUTXO);
+        const fSpendable = isSpendableUTXO(cUTXO, cMasternode);
+        if (!fSpendable) setSelectedUTXOs.delete(strOutpoint);
+
+        // Label the UTXO's origin, and any reason it can't be spent
+        const arrLabels = [];
+        if (cUTXO.path?.split('/')[4] === '1')
+            arrLabels.push(translation.coinControlLabelChange);
+        if (cUTXO.isReward) arrLabels.push(translation.coinControlLabelReward);
+        if (cUTXO.status === Mempool.PENDING)
+            arrLabels.push(translation.coinControlLabelPending);
+        if (isMasternodeUTXO(cUTXO, cMasternode))
+            arrLabels.push(translation.coinControlLabelCollateral);
+        else if (!Mempool.isValidUTXO(cUTXO))
+            arrLabels.push(translation.coinControlLabelImmature);
+
+        strHTML += `
+            <label class="px-3 py-2 contactItem d-flex ptr" style="align-items: center; margin: 0px; opacity: ${
+                fSpendable ? 1 : 0.5
+            };">
+                <input type="checkbox" style="margin-right: 15px;" onchange="MPW.guiToggleCoinControlUTXO('${strOutpoint}')" ${
+            setSelectedUTXOs.has(strOutpoint) ? 'checked' : ''
+        } ${fSpendable ? '' : 'disabled'}>
+                <div style="width: 100%; line-height: 15px;">
+                    <span style="color: #d5adff; font-weight: 600; display: block;">${
+                        cUTXO.sats / COIN
+                    } ${strTicker}</span>
+                    <span style="word-wrap: anywhere; font-size: 13px;">${await cMasterKey.getAddress(
+                        cUTXO.path
+                    )} <span style="opacity: 0.75;">(${
+            cUTXO.path
+        })</span></span>
+                    <small style="display: block; opacity: 0.75;">${[
+                        tr(translation.coinControlConfirmations, [
+                            { confirmations: cUTXO.getConfirmations() },
+                        ]),
+                        ...arrLabels,
+                    ].join(' · ')}</small>
+                </div>
+            </label>
+        `;
+    }
+    doms.domCoinControlList.innerHTML =
+        strHTML ||
+        `<p style="text-align: center; opacity: 0.75;">${translation.coinControlEmpty}</p>`;
+    updateCoinControlTotals();
+}
+
+/**
+ * Toggle whether a UTXO is chosen to be spent
+ * @param {string} strOutpoint - The `txid:vout` of the UTXO
+ */
+export function guiToggleCoinControlUTXO(strOutpoint) {
+    if (setSelectedUTXOs.has(strOutpoint)) setSelectedUTXOs.delete(strOutpoint);
+    else setSelectedUTXOs.add(strOutpoint);
+    updateCoinControlTotals();
+}
+
+/**
+ * Choose every spendable UTXO to be spent
+ */
+export async function guiSelectAllCoinControl() {
+    const cMasternode = await (await Database.getInstance()).getMasternode();
+    for (const cUTXO of mempool.getStandardUTXOs()) {
+        if (isSpendableUTXO(cUTXO, cMasternode))
+            setSelectedUTXOs.add(getOutpoint(cUTXO));
+    }
+    await guiRenderCoinControl();
+}
+
+/**
+ * Clear the Coin Control selection, returning to automatic input selection
+ */
+export function guiClearCoinControl() {
+    setSelectedUTXOs.clear();
+    // Uncheck any rendered UTXOs
+    for (const domCheckbox of doms.domCoinControlList.querySelectorAll(
+        'input[type=checkbox]'
+    )) {
+        domCheckbox.checked = false;
+    }
+    updateCoinControlTotals();
+}
@@ -0,0 +1,231 @@
+import bitjs from './bitTrx.js';
+import { COIN } from './chain_params.js';
+import { getNetwork } from './network.js';
+
+/**
+ * The strategies used to select the inputs of a transaction
+ * @enum {string}
+ */
+export const CoinSelection = {
+    /** Search for a set of inputs which needs no change output */
+    BRANCH_AND_BOUND: 'branch-and-bound',
+    /** The smallest single input that covers the amount, or the largest inputs first */
+    SMALLEST_SUFFICIENT: 'smallest-sufficient',
+    /** The most confirmed inputs first, consolidating old coins */
+    OLDEST_FIRST: 'oldest-first',
+    /** Inputs from only one address, so addresses aren't linked on-chain */
+    PRIVACY: 'privacy',
+};
+
+/** The maximum branches the Branch and Bound search may explore before giving up */
+const BNB_MAX_TRIES = 100000;
+
+/** A Pay-to-PubKey-Hash script, used to measure the cost of spending future change */
+const P2PKH_SCRIPT = '76a914' + '00'.repeat(20) + '88ac';
+
+/**
+ * A coin selection
+ * @typedef {Object} Selection
+ * @property {CoinSelection} strategy - The strategy which chose the inputs
+ * @property {Array<import('./mempool.js').UTXO>} arrUTXOs - The chosen inputs
+ * @property {number} nFee - The fee of spending the inputs, in satoshis
+ * @property {number} nChange - The value left over after the amount and fee, in satoshis
+ */
+
+/**
+ * Get the fee of a transaction containing the given inputs, the same way `createAndSendTransaction` does
+ * @param {Array<{id: string, vout: number, script: string, path: string}>} arrInputs
+ * @returns {number} - The fee in satoshis
+ */
+function getInputsFee(arrInputs) {
+    const cTx = new bitjs.transaction();
+    for (const cInput of arrInputs) {
+        cTx.addinput({
+            txid: cInput.id,
+            index: cInput.vout,
+            script: cInput.script,
+            path: cInput.path,
+        });
+    }
+    return getNetwork().getFee(cTx.serialize().length);
+}
+
+/**
+ * Get the fee of the outputs a transaction's size estimate doesn't cover: the estimate only allows for one receiver
+ * (and change), so every extra receiver of a batch, and any memo, must pay for it's own output
+ * @param {Array<{address: string, amount: number}>} arrRecipients - The extra receivers
+ * @param {string} [strMemo] - The memo, if any
+ * @returns {number} - The fee in satoshis
+ */
+export function getOutputsFee(arrRecipients, strMemo = '') {
+    const cTx = new bitjs.transaction();
+    const nEmptySize = cTx.serialize().length;
+    for (const cRecipient of arrRecipients) {
+        cTx.addoutput(cRecipient.address, cRecipient.amount / COIN);
+    }
+    if (strMemo) cTx.addmemooutput(strMemo);
+    return getNetwork().getFee(cTx.serialize().length - nEmptySize);
+}
+
+/**
+ * Get the cost of creating change: the fee it will take to spend it later.
+ *
+ * Change worth less than this is dust, and is better left to the fee.
+ * @returns {number} - The cost in satoshis
+ */
+export function getChangeCost() {
+    const cDummyInput = {
+        id: '00'.repeat(32),
+        vout: 0,
+        script: P2PKH_SCRIPT,
+        path: null,
+    };
+    return getInputsFee([cDummyInput]) - getInputsFee([]);
+}
+
+/**
+ * Add inputs in order until their effective value covers the target
+ * @param {Array<{cUTXO: import('./mempool.js').UTXO, nEffective: number}>} arrCandidates - The candidates, in order of preference
+ * @param {number} nTarget - The value to cover, including the base fee
+ * @returns {Array<import('./mempool.js').UTXO>?} - The inputs, or null if the candidates can't cover the target
+ */
+function accumulate(arrCandidates, nTarget) {
+    const arrSelected = [];
+    let nValue = 0;
+    for (const { cUTXO, nEffective } of arrCandidates) {
+        // Inputs that cost more to spend than they're worth only add to the fee
+        if (nEffective <= 0) continue;
+        arrSelected.push(cUTXO);
+        nValue += nEffective;
+        if (nValue >= nTarget) return arrSelected;
+    }
+    return null;
+}
+
+/**
+ * Depth-first search for the set of inputs which exceeds the target by the least, without needing change
+ * @param {Array<{cUTXO: import('./mempool.js').UTXO, nEffective: number}>} arrCandidates - The candidates, largest first
+ * @param {number} nTarget - The value to cover, including the base fee
+ * @param {number} nChangeCost - The most the target may be exceeded by (the excess is left to the fee)
+ * @returns {Array<import('./mempool.js').UTXO>?} - The inputs, or null if no change-less set was found
+ */
+function branchAndBound(arrCandidates, nTarget, nChangeCost) {
+    const arrPositive = arrCandidates.filter((c) => c.nEffective > 0);
+    let nTries = 0;
+    let nBestWaste = Infinity;
+    let arrBest = null;
+    const arrPath = [];
+    const search = (i, nValue, nRemaining) => {
+        if (++nTries > BNB_MAX_TRIES) return;
+        // Overshot the window, this branch would need change
+        if (nValue > nTarget + nChangeCost) return;
+        if (nValue >= nTarget) {
+            if (nValue - nTarget < nBestWaste) {
+                nBestWaste = nValue - nTarget;
+                arrBest = [...arrPath];
+            }
+            return;
+        }
+        // The rest of the candidates can't reach the target
+        if (i >= arrPositive.length || nValue + nRemaining < nTarget) return;
+
+        // Explore with, then without, this candidate
+        const { cUTXO, nEffective } = arrPositive[i];
+        arrPath.push(cUTXO);
+        search(i + 1, nValue + nEffective, nRemaining - nEffective);
+        arrPath.pop();
+        if (nBestWaste === 0) return;
+        search(i + 1, nValue, nRemaining - nEffective);
+    };
+    search(
+        0,
+        0,
+        arrPositive.reduce((a, b) => a + b.nEffective, 0)
+    );
+    return arrBest;
+}
+
+/**
+ * Choose the inputs spending the least on fees and dust, by trying every selection strategy
+ * @param {Array<import('./mempool.js').UTXO>} arrUTXOs - The spendable UTXOs
+ * @param {number} nAmount - The amount being sent, in satoshis
+ * @returns {Selection?} - The cheapest selection, or null if the UTXOs can't cover the amount
+ */
+export function selectCoins(arrUTXOs, nAmount) {
+    const nBaseFee = getInputsFee([]);
+    const nChangeCost = getChangeCost();
+    const nTarget = nAmount + nBaseFee;
+
+    // An input's effective value is what it contributes after paying to be spent
+    const arrCandidates = arrUTXOs
+        .map((cUTXO) => ({
+            cUTXO,
+            nEffective: cUTXO.sats - (getInputsFee([cUTXO]) - nBaseFee),
+        }))
+        .sort((a, b) => b.nEffective - a.nEffective);
+
+    // Group the candidates by address, for the privacy strategy
+    const mapAddresses = new Map();
+    for (const cCandidate of arrCandidates) {
+        const strKey = cCandidate.cUTXO.script;
+        if (!mapAddresses.has(strKey)) mapAddresses.set(strKey, []);
+        mapAddresses.get(strKey).push(cCandidate);
+    }
+
+    const arrSelections = [
+        [
+            CoinSelection.BRANCH_AND_BOUND,
+            branchAndBound(arrCandidates, nTarget, nChangeCost),
+        ],
+        [
+            CoinSelection.SMALLEST_SUFFICIENT,
+            accumulate(
+                [
+                    ...arrCandidates
+                        .filter((c) => c.nEffective >= nTarget)
+                        .slice(-1),
+                    ...arrCandidates,
+                ],
+                nTarget
+            ),
+        ],
+        [
+            CoinSelection.OLDEST_FIRST,
+            accumulate(
+                [...arrCandidates].sort(
+                    (a, b) =>
+                        b.cUTXO.getConfirmations() - a.cUTXO.getConfirmations()
+                ),
+                nTarget
+            ),
+        ],
+        [
+            CoinSelection.PRIVACY,
+            // Spend the smallest single address that covers the amount, in full, to avoid leaving it partially spent
+            [...mapAddresses.values()]
+                .map((arrGroup) => ({
+                    arrGroup,
+                    nValue: arrGroup.reduce((a, b) => a + b.nEffective, 0),
+                }))
+                .filter(({ nValue }) => nValue >= nTarget)
+                .sort((a, b) => a.nValue - b.nValue)[0]
+                ?.arrGroup.map((c) => c.cUTXO) || null,
+        ],
+    ];
+
+    // Score each selection by it's fee, plus either the future cost of spending it's change, or the dust left to the fee
+    let cBest = null;
+    let nBestCost = Infinity;
+    for (const [strategy, arrSelected] of arrSelections) {
+        if (!arrSelected) continue;
+        const nFee = getInputsFee(arrSelected);
+        const nChange =
+            arrSelected.reduce((a, b) => a + b.sats, 0) - nAmount - nFee;
+        const nCost = nFee + Math.min(nChange, nChangeCost);
+        if (nCost < nBestCost) {
+            nBestCost = nCost;
+            cBest = { strategy, arrUTXOs: arrSelected, nFee, nChange };
+        }
+    }
+    return cBest;
+}
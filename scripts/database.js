@@ -10,11 +10,12 @@ import {
     isEmpty,
 } from './misc.js';
 import { PromoWallet } from './promos.js';
+import { WatchOnlyEntry } from './watchonly.js';
 import { ALERTS, translation } from './i18n.js';
 import { Account } from './accounts.js';
 
 /** The current version of the DB - increasing this will prompt the Upgrade process for clients with an older version */
-export const DB_VERSION = 2;
+export const DB_VERSION = 3;
 
 /**
  *
@@ -86,6 +87,32 @@ export class Database {
         await store.delete(promo);
     }
 
+    /**
+     * Add an external address or xpub to the Watch-only portfolio
+     * @param {WatchOnlyEntry} entry
+     */
+    async addWatchOnly(entry) {
+        const store = this.#db
+            .transaction('watchonly', 'readwrite')
+            .objectStore('watchonly');
+        // The address or xpub is our key, as watching the same one twice is meaningless
+        await store.put(
+            { label: entry.label, pubkey: entry.pubkey, time: entry.time },
+            entry.pubkey
+        );
+    }
+
+    /**
+     * Removes an entry from the Watch-only portfolio
+     * @param {string} pubkey - the address or xpub to remove
+     */
+    async removeWatchOnly(pubkey) {
+        const store = this.#db
+            .transaction('watchonly', 'readwrite')
+            .objectStore('watchonly');
+        await store.delete(pubkey);
+    }
+
     /**
      * Adds an account to the database
      *
@@ -291,6 +318,16 @@ export class Database {
         return (await store.getAll()).map((promo) => new PromoWallet(promo));
     }
 
+    /**
+     * @returns {Promise<Array<WatchOnlyEntry>>} all Watch-only entries stored in the db
+     */
+    async getAllWatchOnly() {
+        const store = this.#db
+            .transaction('watchonly', 'readonly')
+            .objectStore('watchonly');
+        return (await store.getAll()).map((entry) => new WatchOnlyEntry(entry));
+    }
+
     /**
      * @returns {Promise<Settings>}
      */
@@ -395,6 +432,11 @@ export class Database {
                 if (oldVersion <= 1) {
                     db.createObjectStore('promos');
                 }
+
+                // The introduction of the Watch-only portfolio (safely added during <v3 upgrades)
+                if (oldVersion <= 2) {
+                    db.createObjectStore('watchonly');
+                }
             },
             blocking: () => {
                 // Another instance is waiting to upgrade, and we're preventing it
@@ -127,6 +127,60 @@ export function deriveAddress({ pkBytes, publicKey, output = 'ENCODED' }) {
     return bs58.encode(pubKeyPreBase);
 }
 
+/**
+ * Network encode a HASH160 as a Base58 address
+ * @param {Array<Number> | Uint8Array} hash160 - The 20-byte public key or script hash
+ * @param {Number} nPrefix - The network prefix byte of the address type
+ * @returns {String} The network-encoded address
+ */
+export function encodeAddressHash(hash160, nPrefix) {
+    const hashNetwork = new Uint8Array(pubKeyHashNetworkLen);
+    hashNetwork[0] = nPrefix;
+    writeToUint8(hashNetwork, hash160, 1);
+
+    // Append the checksum, and encode as Base58
+    const checksum = dSHA256(hashNetwork).slice(0, 4);
+    const preBase = new Uint8Array(pubPrebaseLen);
+    writeToUint8(preBase, hashNetwork, 0);
+    writeToUint8(preBase, checksum, pubKeyHashNetworkLen);
+    return bs58.encode(preBase);
+}
+
+/**
+ * Decode a Base58 address in to it's HASH160, verifying it's checksum
+ * @param {String} strAddress - The network-encoded address
+ * @returns {Uint8Array?} The 20-byte public key or script hash, or null if the address is invalid
+ */
+export function decodeAddressHash(strAddress) {
+    let bAddress;
+    try {
+        bAddress = bs58.decode(strAddress);
+    } catch (e) {
+        return null;
+    }
+    if (bAddress.length !== pubPrebaseLen) return null;
+    const bChecksum = dSHA256(bAddress.slice(0, pubKeyHashNetworkLen)).slice(
+        0,
+        4
+    );
+    if (!bChecksum.every((n, i) => n === bAddress[pubKeyHashNetworkLen + i]))
+        return null;
+    return bAddress.slice(1, pubKeyHashNetworkLen);
+}
+
+/**
+ * Derive a Pay-to-Script-Hash address from a redeem script
+ * @param {Array<Number> | Uint8Array} redeemScript - The redeem script bytes
+ * @returns {String} The network-encoded P2SH address
+ */
+export function deriveScriptAddress(redeemScript) {
+    // HASH160 of the script, with the script network prefix
+    return encodeAddressHash(
+        ripemd160(sha256(new Uint8Array(redeemScript))),
+        cChainParams.current.SCRIPT_ADDRESS
+    );
+}
+
 // Verify the integrity of a WIF private key, optionally parsing and returning the key payload
 export function verifyWIF(
     strWIF = '',
@@ -0,0 +1,165 @@
+import {
+    DEFAULT_FEE_RATE,
+    MAX_FEE_RATE,
+    MIN_FEE_RATE,
+} from './chain_params.js';
+import { doms } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { createAlert } from './misc.js';
+import { getNetwork } from './network.js';
+
+/**
+ * The fee levels a user may choose between when sending
+ * @enum {string}
+ */
+export const FeeLevel = {
+    LOW: 'low',
+    NORMAL: 'normal',
+    HIGH: 'high',
+    CUSTOM: 'custom',
+};
+
+/** The confirmation target of each estimated fee level, in blocks */
+const FEE_TARGETS = {
+    [FeeLevel.LOW]: 25,
+    [FeeLevel.NORMAL]: 6,
+    [FeeLevel.HIGH]: 2,
+};
+
+/** How long fee estimates are cached before being refreshed, in milliseconds */
+const FEE_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+/** The fee rate of each level, in satoshis per byte */
+const cFeeRates = {
+    [FeeLevel.LOW]: DEFAULT_FEE_RATE,
+    [FeeLevel.NORMAL]: DEFAULT_FEE_RATE,
+    [FeeLevel.HIGH]: DEFAULT_FEE_RATE,
+    [FeeLevel.CUSTOM]: DEFAULT_FEE_RATE,
+};
+
+/** The fee level chosen by the user */
+let strFeeLevel = FeeLevel.NORMAL;
+
+/** Whether the current fee rates are estimates, or the default fallback */
+let fEstimated = false;
+
+/** The timestamp of the last fee estimate refresh */
+let nLastRefresh = 0;
+
+/**
+ * Get the fee rate of the user's chosen fee level
+ * @returns {number} - The fee rate in satoshis per byte
+ */
+export function getFeeRate() {
+    return cFeeRates[strFeeLevel];
+}
+
+/**
+ * Restrict a fee rate to the range MPW allows
+ * @param {number} nRate - The fee rate in satoshis per byte
+ * @returns {number}
+ */
+function clampFeeRate(nRate) {
+    return Math.min(Math.max(nRate, MIN_FEE_RATE), MAX_FEE_RATE);
+}
+
+/**
+ * Refresh the estimated fee rates from the network, falling back to the default rate if they're unavailable
+ */
+export async function refreshFeeRates() {
+    const cNet = getNetwork();
+    if (!cNet.enabled || Date.now() - nLastRefresh < FEE_REFRESH_INTERVAL)
+        return;
+    nLastRefresh = Date.now();
+    try {
+        const [nLow, nNormal, nHigh] = await Promise.all(
+            [FeeLevel.LOW, FeeLevel.NORMAL, FeeLevel.HIGH].map((strLevel) =>
+                cNet.getFeeEstimate(FEE_TARGETS[strLevel])
+            )
+        );
+        // Nodes without enough data to estimate return a negative (or zero) rate
+        if (![nLow, nNormal, nHigh].every((n) => Number.isFinite(n) && n > 0))
+            throw new Error('No fee estimates available');
+
+        // Estimates aren't always in order, so lower priority levels never cost more than higher ones
+        cFeeRates[FeeLevel.NORMAL] = clampFeeRate(nNormal);
+        cFeeRates[FeeLevel.LOW] = Math.min(
+            clampFeeRate(nLow),
+            cFeeRates[FeeLevel.NORMAL]
+        );
+        cFeeRates[FeeLevel.HIGH] = Math.max(
+            clampFeeRate(nHigh),
+            cFeeRates[FeeLevel.NORMAL]
+        );
+        fEstimated = true;
+    } catch (e) {
+        console.warn(e);
+        // Fall back to the fixed rate MPW has always used, which is safely above the network minimum
+        cFeeRates[FeeLevel.LOW] = DEFAULT_FEE_RATE;
+        cFeeRates[FeeLevel.NORMAL] = DEFAULT_FEE_RATE;
+        cFeeRates[FeeLevel.HIGH] = DEFAULT_FEE_RATE;
+        fEstimated = false;
+    }
+}
+
+/**
+ * Render the fee levels, their rates and the user's choice in the Send menu
+ */
+function renderFees() {
+    for (const strLevel of Object.values(FeeLevel)) {
+        const domButton = document.getElementById(strLevel + 'Fee');
+        domButton.classList.toggle(
+            'feeButtonSelected',
+            strLevel === strFeeLevel
+        );
+        domButton.querySelector('.feeRate').innerText = tr(
+            translation.feeRate,
+            [{ rate: cFeeRates[strLevel] }]
+        );
+    }
+    doms.domCustomFeeRate.hidden = strFeeLevel !== FeeLevel.CUSTOM;
+    doms.domFeeEstimateNote.innerText = fEstimated
+        ? ''
+        : translation.feeEstimateUnavailable;
+}
+
+/**
+ * Refresh the fee estimates (if they're outdated) and render them in the Send menu
+ */
+export async function guiRefreshFees() {
+    await refreshFeeRates();
+    renderFees();
+}
+
+/**
+ * Choose the fee level to send with
+ * @param {FeeLevel} strLevel - The fee level
+ */
+export function guiSelectFee(strLevel) {
+    strFeeLevel = strLevel;
+    renderFees();
+}
+
+/**
+ * Set the custom fee rate from the Send menu's input
+ */
+export function guiSetCustomFee() {
+    const nRate = Number(doms.domCustomFeeRate.value);
+    if (
+        !Number.isSafeInteger(nRate) ||
+        nRate < MIN_FEE_RATE ||
+        nRate > MAX_FEE_RATE
+    ) {
+        doms.domCustomFeeRate.value = cFeeRates[FeeLevel.CUSTOM];
+        return createAlert(
+            'warning',
+            tr(ALERTS.FEE_RATE_INVALID, [
+                { min: MIN_FEE_RATE },
+                { max: MAX_FEE_RATE },
+            ]),
+            3000
+        );
+    }
+    cFeeRates[FeeLevel.CUSTOM] = nRate;
+    renderFees();
+}
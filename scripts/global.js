@@ -6,8 +6,11 @@ import {
     wallet,
     hasEncryptedWallet,
     importWallet,
+    importSavedWallet,
     decryptWallet,
     getNewAddress,
+    generateWallet,
+    changeWalletPassword,
 } from './wallet.js';
 import { LegacyMasterKey } from './masterkey.js';
 import { getNetwork, HistoricalTxType } from './network.js';
@@ -30,13 +33,12 @@ import {
     MAP_B58,
     parseBIP21Request,
     isValidBech32,
-    isBase64,
     sleep,
     beautifyNumber,
     isStandardAddress,
 } from './misc.js';
 import { cChainParams, COIN, MIN_PASS_LENGTH } from './chain_params.js';
-import { decrypt } from './aes-gcm.js';
+import { decrypt, isEncrypted } from './aes-gcm.js';
 
 import { registerWorker } from './native.js';
 import { refreshPriceDisplay } from './prices.js';
@@ -57,6 +59,20 @@ import {
 } from './contacts-book.js';
 import { Buffer } from 'buffer';
 import { Account } from './accounts.js';
+import { guiRenderSeedSuggestions } from './mnemonic.js';
+import { refreshWatchOnly } from './watchonly.js';
+import { startAutoLock } from './auto-lock.js';
+import { subscribeToInvoicePayments } from './invoices.js';
+import { startPointOfSale } from './pos.js';
+import { renderStakers } from './staking-providers.js';
+import { getCoinControlTotal } from './coin-control.js';
+import { isBIP38 } from './bip38.js';
+import {
+    formatVanityDuration,
+    getVanityDifficulty,
+    MAX_VANITY_LENGTH,
+    parseVanityPatterns,
+} from './vanity.js';
 
 /** A flag showing if base MPW is fully loaded or not */
 export let fIsLoaded = false;
@@ -106,9 +122,13 @@ export async function start() {
         ),
         domStakeAmount: document.getElementById('delegateAmount'),
         domUnstakeAmount: document.getElementById('undelegateAmount'),
+        domStakeProvider: document.getElementById('delegateProvider'),
+        domStakeOwner: document.getElementById('delegateOwner'),
+        domStakers: document.getElementById('stakingStakers'),
         domStakeTab: document.getElementById('stakeTab'),
         domAddress1s: document.getElementById('address1s'),
         domSendAmountCoins: document.getElementById('sendAmountCoins'),
+        domSendMemo: document.getElementById('sendMemo'),
         domSendAmountCoinsTicker: document.getElementById(
             'sendAmountCoinsTicker'
         ),
@@ -203,6 +223,11 @@ export async function start() {
         domImportWalletText: document.getElementById('importWalletText'),
         domAccessWalletBtn: document.getElementById('accessWalletBtn'),
         domVanityUiButtonTxt: document.getElementById('vanButtonText'),
+        domVanityOptions: document.getElementById('vanityOptions'),
+        domVanityMode: document.getElementById('vanityMode'),
+        domVanityCaseSensitive: document.getElementById('vanityCaseSensitive'),
+        domVanityHD: document.getElementById('vanityHD'),
+        domVanityStats: document.getElementById('vanityStats'),
         domGenKeyWarning: document.getElementById('genKeyWarning'),
         domEncryptWalletLabel: document.getElementById('encryptWalletLabel'),
         domEncryptPasswordCurrent: document.getElementById(
@@ -217,6 +242,9 @@ export async function start() {
         domIdenticon: document.getElementById('identicon'),
         domPrivKey: document.getElementById('privateKey'),
         domPrivKeyPassword: document.getElementById('privateKeyPassword'),
+        domImportSeedSuggestions: document.getElementById(
+            'importSeedSuggestions'
+        ),
         domAvailToDelegate: document.getElementById('availToDelegate'),
         domAvailToUndelegate: document.getElementById('availToUndelegate'),
         domAnalyticsDescriptor: document.getElementById('analyticsDescriptor'),
@@ -229,6 +257,16 @@ export async function start() {
         domMnemonicModalPassphrase: document.getElementById(
             'ModalMnemonicPassphrase'
         ),
+        domMnemonicModalShamirThreshold: document.getElementById(
+            'ModalMnemonicShamirThreshold'
+        ),
+        domMnemonicModalShamirCount: document.getElementById(
+            'ModalMnemonicShamirCount'
+        ),
+        domMnemonicModalShamirButton: document.getElementById(
+            'ModalMnemonicShamirButton'
+        ),
+        domMnemonicModalShares: document.getElementById('ModalMnemonicShares'),
         domExportPrivateKey: document.getElementById('exportPrivateKeyText'),
         domExportWallet: document.getElementById('guiExportWalletItem'),
         domWipeWallet: document.getElementById('guiWipeWallet'),
@@ -265,6 +303,43 @@ export async function start() {
         ),
         domPromoTable: document.getElementById('promo-table'),
         domContactsTable: document.getElementById('contactsList'),
+        domAccountsTable: document.getElementById('accountsList'),
+        domMultisigTable: document.getElementById('multisigList'),
+        domVaultTable: document.getElementById('vaultList'),
+        domHtlcTable: document.getElementById('htlcList'),
+        domInvoiceTable: document.getElementById('invoiceList'),
+        domStakingProvidersTable: document.getElementById(
+            'stakingProvidersList'
+        ),
+        domWatchOnlyTable: document.getElementById('watchOnlyList'),
+        domWatchOnlyTotal: document.getElementById('watchOnlyTotal'),
+        domWatchOnlyBalance: document.getElementById('guiWatchOnlyBalance'),
+        domExportBIP38: document.getElementById('exportBIP38'),
+        domPaperWalletType: document.getElementById('paperWalletType'),
+        domPaperWalletEncryption: document.getElementById(
+            'paperWalletEncryption'
+        ),
+        domPaperWalletPassword: document.getElementById('paperWalletPassword'),
+        domPaperWalletCount: document.getElementById('paperWalletCount'),
+        domPaperWalletProgress: document.getElementById('paperWalletProgress'),
+        domPaperWalletPrint: document.getElementById('paperWalletPrint'),
+        domPosKiosk: document.getElementById('posKiosk'),
+        domPosKeypadScreen: document.getElementById('posKeypadScreen'),
+        domPosAmount: document.getElementById('posAmount'),
+        domPosAmountAlt: document.getElementById('posAmountAlt'),
+        domPosUnit: document.getElementById('posUnit'),
+        domPosPayScreen: document.getElementById('posPayScreen'),
+        domPosPayAmount: document.getElementById('posPayAmount'),
+        domPosQR: document.getElementById('posQR'),
+        domPosPayAddress: document.getElementById('posPayAddress'),
+        domPosPayStatus: document.getElementById('posPayStatus'),
+        domPosPaidScreen: document.getElementById('posPaidScreen'),
+        domPosPaidAmount: document.getElementById('posPaidAmount'),
+        domSignMessageAddress: document.getElementById('signMessageAddress'),
+        domSignMessageText: document.getElementById('signMessageText'),
+        domSignMessageSignature: document.getElementById(
+            'signMessageSignature'
+        ),
         domActivityList: document.getElementById('activity-list-content'),
         domActivityLoadMore: document.getElementById('activityLoadMore'),
         domActivityLoadMoreIcon: document.getElementById(
@@ -302,6 +377,28 @@ export async function start() {
         domExplorerSelect: document.getElementById('explorer'),
         domNodeSelect: document.getElementById('node'),
         domAutoSwitchToggle: document.getElementById('autoSwitchToggler'),
+        domGapLimitInput: document.getElementById('gapLimit'),
+        domAutoLockInput: document.getElementById('autoLock'),
+        domMinConfirmationsInput: document.getElementById('minConfirmations'),
+        domCoinControlToggle: document.getElementById('coinControlToggle'),
+        domCoinControlList: document.getElementById('coinControlList'),
+        domCoinControlTotals: document.getElementById('coinControlTotals'),
+        domCoinControlSummary: document.getElementById('coinControlSummary'),
+        domCustomFeeRate: document.getElementById('customFeeRate'),
+        domFeeEstimateNote: document.getElementById('feeEstimateNote'),
+        domBatchRows: document.getElementById('batchRows'),
+        domBatchTotal: document.getElementById('batchTotal'),
+        domBatchCSV: document.getElementById('batchCSV'),
+        domBatchFile: document.getElementById('batchFile'),
+        domOfflineTxData: document.getElementById('offlineTxData'),
+        domOfflineTxFile: document.getElementById('offlineTxFile'),
+        domOfflineTxReview: document.getElementById('offlineTxReview'),
+        domOfflineTxQR: document.getElementById('offlineTxQR'),
+        domOfflineTxSign: document.getElementById('offlineTxSign'),
+        domOfflineTxBroadcast: document.getElementById('offlineTxBroadcast'),
+        domOfflineTxDownload: document.getElementById('offlineTxDownload'),
+        domProfileFile: document.getElementById('profileFile'),
+        domDiscoveryProgress: document.getElementById('discoveryProgress'),
         domTranslationSelect: document.getElementById('translation'),
         domDisplayDecimalsSlider: document.getElementById('displayDecimals'),
         domDisplayDecimalsSliderDisplay:
@@ -422,17 +519,20 @@ export async function start() {
         : 0;
     await settingsStart();
 
-    // Customise the UI if a saved wallet exists
-    if (await hasEncryptedWallet()) {
+    // Start the Point-of-Sale kiosk if it's active (it runs from it's xpub alone, so no wallet is loaded behind it)
+    // ... otherwise, customise the UI if a saved wallet exists
+    if (await startPointOfSale()) {
+        getNetwork().getBlockCount();
+    } else if (await hasEncryptedWallet()) {
         // Hide the 'Generate wallet' buttons
         doms.domGenerateWallet.style.display = 'none';
         doms.domGenVanityWallet.style.display = 'none';
         const database = await Database.getInstance();
-        const { publicKey } = await database.getAccount();
+        const cAccount = await database.getAccount();
 
         // Import the wallet, and toggle the startup flag, which delegates the chain data refresh to settingsStart();
-        if (publicKey) {
-            await importWallet({ newWif: publicKey, fStartup: true });
+        if (cAccount.publicKey) {
+            await importSavedWallet(cAccount, true);
 
             // Update the "Receive" UI to apply Translation and Contacts updates
             await guiToggleReceiveType(cReceiveType);
@@ -472,10 +572,16 @@ export async function start() {
     }
 
     subscribeToNetworkEvents();
+    subscribeToInvoicePayments();
+
+    // Lock the wallet after inactivity
+    startAutoLock();
 
     doms.domPrefix.value = '';
     doms.domPrefixNetwork.innerText =
         cChainParams.current.PUBKEY_PREFIX.join(' or ');
+    // Offer to resume an unfinished Vanity search
+    if (!wallet.isLoaded()) await restoreVanityCheckpoint();
     // If allowed by settings: submit a simple 'hit' (app load) to Labs Analytics
     getNetwork().submitAnalytics('hit');
     setInterval(() => {
@@ -533,7 +639,15 @@ function subscribeToNetworkEvents() {
         } else {
             console.error('Error sending transaction:');
             console.error(result);
-            createAlert('warning', ALERTS.TX_FAILED, 2500);
+            // Show why the network rejected it, if it told us (i.e: a lock time which hasn't passed yet)
+            const strReason = result?.error?.message || result?.error;
+            createAlert(
+                'warning',
+                typeof strReason === 'string'
+                    ? `${ALERTS.TX_FAILED}<br>${sanitizeHTML(strReason)}`
+                    : ALERTS.TX_FAILED,
+                typeof strReason === 'string' ? 6000 : 2500
+            );
         }
     });
 }
@@ -712,6 +826,9 @@ export function getStakingBalance(updateGUI = false) {
 
         // Update price displays
         updatePriceDisplay(doms.domGuiStakingValue, true);
+
+        // Update the delegations per staker
+        renderStakers();
     }
 
     return nBalance;
@@ -724,7 +841,12 @@ export function getStakingBalance(updateGUI = false) {
  * @param {boolean} fCold - Use the Cold Staking balance, or Available balance
  */
 export function selectMaxBalance(domCoin, domValue, fCold = false) {
-    domCoin.value = (fCold ? getStakingBalance() : getBalance()) / COIN;
+    // If the user manually chose their inputs to Send, then the max is everything they chose
+    const nCoinControlTotal =
+        domCoin === doms.domSendAmountCoins ? getCoinControlTotal() : 0;
+    domCoin.value =
+        (nCoinControlTotal || (fCold ? getStakingBalance() : getBalance())) /
+        COIN;
     // Update the Send menu's value (assumption: if it's not a Cold balance, it's probably for Sending!)
     updateAmountInputPair(domCoin, domValue, true);
 }
@@ -979,6 +1101,7 @@ export function setDisplayForAllWalletOptions(strDisplayCSS) {
     // Set the display and Reset the Vanity address input
     doms.domPrefix.value = '';
     doms.domPrefix.style.display = strDisplayCSS;
+    doms.domVanityOptions.style.display = strDisplayCSS;
 
     // Set all "*Wallet" buttons
     doms.domGenerateWallet.style.display = strDisplayCSS;
@@ -1185,6 +1308,7 @@ export async function accessOrImportWallet() {
     // Hide and Reset the Vanity address input
     doms.domPrefix.value = '';
     doms.domPrefix.style.display = 'none';
+    doms.domVanityOptions.style.display = 'none';
 
     // Show Import button, hide access button
     doms.domImportWallet.style.display = 'block';
@@ -1211,17 +1335,17 @@ export async function accessOrImportWallet() {
  */
 export async function guiUpdateImportInput() {
     if (await hasEncryptedWallet()) return;
-    // Check whether the string is Base64 (would likely be an MPW-encrypted import)
-    // and it doesn't have any spaces (would be a mnemonic seed)
+    // Check whether the string is MPW-encrypted (an encrypted import)
+    // and whether it has any spaces (would be a mnemonic seed)
     const fContainsSpaces = doms.domPrivKey.value.trim().includes(' ');
 
     // If this could require a Seed Passphrase (BIP39 Passphrase) and Advanced Mode is enabled
-    // ...or if this is an Encrypted Import (Encrypted Base64 MPW key)
+    // ...or if this is an Encrypted Import (Encrypted MPW key)
     const fBIP39Passphrase = fContainsSpaces && fAdvancedMode;
+    // ...or if this is a BIP38 key (Passphrase-encrypted private key)
+    const fBIP38 = isBIP38(doms.domPrivKey.value.trim());
     doms.domPrivKeyPassword.hidden =
-        (doms.domPrivKey.value.length < 128 ||
-            !isBase64(doms.domPrivKey.value)) &&
-        !fBIP39Passphrase;
+        !isEncrypted(doms.domPrivKey.value) && !fBIP39Passphrase && !fBIP38;
 
     doms.domPrivKeyPassword.placeholder = fContainsSpaces
         ? translation.optionalPassphrase
@@ -1233,6 +1357,9 @@ export async function guiUpdateImportInput() {
 
     // Uncloak the private input IF spaces are detected, to make Seed Phrases easier to input and verify
     doms.domPrivKey.setAttribute('type', fContainsSpaces ? 'text' : 'password');
+
+    // Assist with typing Seed Phrase words
+    guiRenderSeedSuggestions();
 }
 
 /**
@@ -1242,7 +1369,7 @@ export async function guiImportWallet() {
     // Important: These fields will be wiped by importWallet();
     const strPrivKey = doms.domPrivKey.value;
     const strPassword = doms.domPrivKeyPassword.value;
-    const fEncrypted = strPrivKey.length >= 128 && isBase64(strPrivKey);
+    const fEncrypted = isEncrypted(strPrivKey);
 
     // If we are in testnet: prompt an import
     if (cChainParams.current.isTestnet) return importWallet();
@@ -1265,7 +1392,7 @@ export async function guiImportWallet() {
             if (wallet.isLoaded()) {
                 // Prepare a new Account to add
                 const cAccount = new Account({
-                    publicKey: await wallet.getKeyToExport(),
+                    publicKey: await wallet.getMasterKey().getKeyToExport(0),
                     encWif: strPrivKey,
                 });
 
@@ -1302,18 +1429,18 @@ export async function guiEncryptWallet() {
     if (strPass !== strPassRetype)
         return createAlert('warning', ALERTS.PASSWORD_DOESNT_MATCH, 2250);
 
-    // If this wallet is already encrypted, then we'll check for the current password and ensure it decrypts properly too
+    // If this wallet is already encrypted, then we re-encrypt the stored wallet, so long as the current password decrypts properly too
     if (await hasEncryptedWallet()) {
         // Grab the pass, and wipe the dialog immediately
         const strCurrentPass = doms.domEncryptPasswordCurrent.value;
         doms.domEncryptPasswordCurrent.value = '';
 
         // If the decryption fails: we don't allow changing the password
-        if (!(await decryptWallet(strCurrentPass))) return;
+        if (!(await changeWalletPassword(strCurrentPass, strPass))) return;
+    } else {
+        // Encrypt the wallet using the new password
+        await wallet.encryptWallet(strPass);
     }
-
-    // Encrypt the wallet using the new password
-    await wallet.encryptWallet(strPass);
     createAlert('success', ALERTS.NEW_PASSWORD_SUCCESS, 5500);
 
     // Hide and reset the encryption modal
@@ -1361,6 +1488,9 @@ export async function toggleExportUI() {
                 exportHidden = true;
             }
         }
+        // Legacy (non-HD) keys may also be exported as BIP38
+        doms.domExportBIP38.hidden =
+            !wallet.isLoaded() || wallet.isHD() || wallet.isHardwareWallet();
     } else {
         doms.domExportPrivateKey.innerHTML = '';
         exportHidden = false;
@@ -1371,7 +1501,8 @@ export function checkVanity() {
     var e = event || window.event; // get event object
     var key = e.keyCode || e.which; // get key cross-browser
     var char = String.fromCharCode(key).trim(); // convert key to char
-    if (char.length == 0) return;
+    // Commas separate multiple patterns
+    if (char.length == 0 || char === ',') return;
 
     // Ensure the input is base58 compatible
     if (!MAP_B58.toLowerCase().includes(char.toLowerCase())) {
@@ -1388,60 +1519,159 @@ export function checkVanity() {
 let isVanityGenerating = false;
 const arrWorkers = [];
 let vanUiUpdater;
+// The checkpoint of an unfinished search, restored from the database on load
+let cVanityCheckpoint = null;
 
-function stopSearch() {
+/**
+ * Read the Vanity search options from the UI
+ * @returns {import('./vanity.js').VanitySearch}
+ */
+function getVanitySearch() {
+    return {
+        patterns: parseVanityPatterns(doms.domPrefix.value),
+        mode: doms.domVanityMode.value,
+        fCaseSensitive: doms.domVanityCaseSensitive.checked,
+        fHD: doms.domVanityHD.checked,
+    };
+}
+
+/**
+ * Lock or unlock the Vanity search options
+ * @param {boolean} fDisabled - Whether the options should be disabled
+ */
+function setVanityInputsDisabled(fDisabled) {
+    doms.domPrefix.disabled = fDisabled;
+    doms.domVanityMode.disabled = fDisabled;
+    doms.domVanityCaseSensitive.disabled = fDisabled;
+    doms.domVanityHD.disabled = fDisabled;
+}
+
+/**
+ * Render the difficulty of the Vanity search, and while searching, it's speed and ETA
+ * @param {number} nRate - The measured search speed in keys per second
+ */
+export function guiUpdateVanityStats(nRate = 0) {
+    const cSearch = getVanitySearch();
+    if (cSearch.patterns.length === 0) {
+        doms.domVanityStats.innerText = '';
+        return;
+    }
+    const nDifficulty = getVanityDifficulty(cSearch);
+    let strStats = tr(translation.vanityDifficulty, [
+        { difficulty: nDifficulty.toLocaleString('en-GB') },
+    ]);
+    if (nRate > 0) {
+        // Every key is an independent attempt, so the time to a 50% chance of a match is always the same
+        strStats +=
+            ' · ' +
+            tr(translation.vanityETA, [
+                { rate: Math.round(nRate).toLocaleString('en-GB') },
+                { eta: formatVanityDuration((nDifficulty * Math.LN2) / nRate) },
+            ]);
+    }
+    doms.domVanityStats.innerText = strStats;
+}
+
+/**
+ * Restore an unfinished Vanity search from it's checkpoint, ready to be resumed
+ */
+async function restoreVanityCheckpoint() {
+    const database = await Database.getInstance();
+    const { vanityCheckpoint } = await database.getSettings();
+    if (!vanityCheckpoint) return;
+    cVanityCheckpoint = vanityCheckpoint;
+
+    // Re-fill and display the search options
+    const { search: cSearch, attempts } = cVanityCheckpoint;
+    doms.domPrefix.value = cSearch.patterns.join(', ');
+    doms.domVanityMode.value = cSearch.mode;
+    doms.domVanityCaseSensitive.checked = cSearch.fCaseSensitive;
+    doms.domVanityHD.checked = cSearch.fHD;
+    doms.domPrefix.style.display = 'block';
+    doms.domPrefix.style.opacity = '1';
+    doms.domVanityOptions.style.display = 'block';
+    doms.domVanityUiButtonTxt.innerText = tr(translation.vanityResume, [
+        { attempts: attempts.toLocaleString('en-GB') },
+    ]);
+    guiUpdateVanityStats();
+}
+
+/**
+ * Save (or clear) the Vanity search checkpoint
+ * @param {Object?} cCheckpoint - The search and it's attempts, or `null` to clear
+ */
+async function saveVanityCheckpoint(cCheckpoint) {
+    cVanityCheckpoint = cCheckpoint;
+    const database = await Database.getInstance();
+    await database.setSettings({ vanityCheckpoint: cCheckpoint });
+}
+
+async function stopSearch() {
     isVanityGenerating = false;
     for (let thread of arrWorkers) {
         thread.terminate();
     }
     while (arrWorkers.length) arrWorkers.pop();
-    doms.domPrefix.disabled = false;
+    setVanityInputsDisabled(false);
     doms.domVanityUiButtonTxt.innerText = translation.dCardTwoButton;
     clearInterval(vanUiUpdater);
+    guiUpdateVanityStats();
+    await saveVanityCheckpoint(null);
 }
 
 export async function generateVanityWallet() {
-    if (isVanityGenerating) return stopSearch();
+    if (isVanityGenerating) return await stopSearch();
     if (typeof Worker === 'undefined')
         return createAlert('error', ALERTS.UNSUPPORTED_WEBWORKERS, 7500);
-    // Generate a vanity address with the given prefix
+    // Generate a vanity address with the given patterns
     if (
         doms.domPrefix.value.length === 0 ||
         doms.domPrefix.style.display === 'none'
     ) {
         // No prefix, display the intro!
         doms.domPrefix.style.display = 'block';
+        doms.domVanityOptions.style.display = 'block';
         setTimeout(() => {
             doms.domPrefix.style.opacity = '1';
         }, 100);
         doms.domPrefix.focus();
     } else {
-        // Remove spaces from prefix
-        doms.domPrefix.value = doms.domPrefix.value.replace(/ /g, '');
-
-        // Cache a lowercase equivilent for lower-entropy comparisons (a case-insensitive search is ALOT faster!) and strip accidental spaces
-        const nInsensitivePrefix = doms.domPrefix.value.toLowerCase();
-        const nPrefixLen = nInsensitivePrefix.length;
-
-        // Ensure the input is base58 compatible
-        for (const char of doms.domPrefix.value) {
-            if (!MAP_B58.toLowerCase().includes(char.toLowerCase()))
-                return createAlert(
-                    'warning',
-                    tr(ALERTS.UNSUPPORTED_CHARACTER, [{ char: char }]),
-                    3500
-                );
-            // We also don't want users to be mining addresses for years... so cap the letters to four until the generator is more optimized
-            if (doms.domPrefix.value.length > 5)
+        const cSearch = getVanitySearch();
+        if (cSearch.patterns.length === 0) return;
+
+        // Ensure the input is base58 compatible (case-insensitive patterns only need one compatible case)
+        for (const strPattern of cSearch.patterns) {
+            for (const char of strPattern) {
+                const fBase58 = cSearch.fCaseSensitive
+                    ? MAP_B58.includes(char)
+                    : MAP_B58.toLowerCase().includes(char.toLowerCase());
+                if (!fBase58)
+                    return createAlert(
+                        'warning',
+                        tr(ALERTS.UNSUPPORTED_CHARACTER, [{ char: char }]),
+                        3500
+                    );
+            }
+            // We also don't want users to be mining addresses for centuries...
+            if (strPattern.length > MAX_VANITY_LENGTH)
                 return createAlert(
                     'warning',
-                    tr(ALERTS.UNSUPPORTED_CHARACTER, [{ char: char }]),
+                    tr(ALERTS.VANITY_TOO_LONG, [{ max: MAX_VANITY_LENGTH }]),
                     3500
                 );
         }
         isVanityGenerating = true;
-        doms.domPrefix.disabled = true;
-        let attempts = 0;
+        setVanityInputsDisabled(true);
+
+        // Resume from the checkpoint, if this is the same search
+        let attempts =
+            cVanityCheckpoint &&
+            JSON.stringify(cVanityCheckpoint.search) === JSON.stringify(cSearch)
+                ? cVanityCheckpoint.attempts
+                : 0;
+        const nStartAttempts = attempts;
+        const nStartTime = Date.now();
+        await saveVanityCheckpoint({ search: cSearch, attempts });
 
         // Setup workers
         const nThreads = Math.max(
@@ -1450,42 +1680,53 @@ export async function generateVanityWallet() {
         );
         console.log('Spawning ' + nThreads + ' vanity search threads!');
         while (arrWorkers.length < nThreads) {
-            arrWorkers.push(
-                new Worker(new URL('./vanitygen_worker.js', import.meta.url))
+            const worker = new Worker(
+                new URL('./vanitygen_worker.js', import.meta.url)
             );
-            const checkResult = (data) => {
-                attempts++;
-                if (
-                    data.pub.substr(1, nPrefixLen).toLowerCase() ==
-                    nInsensitivePrefix
-                ) {
-                    importWallet({
-                        newWif: data.priv,
+            arrWorkers.push(worker);
+            worker.onmessage = async ({ data }) => {
+                if (!isVanityGenerating) return;
+                attempts += data.attempts;
+                if (!data.keypair) return;
+
+                // Found a match!
+                await stopSearch();
+                if (data.keypair.mnemonic) {
+                    await generateWallet(false, data.keypair.mnemonic);
+                } else {
+                    await importWallet({
+                        newWif: data.keypair.priv,
                         fRaw: true,
                     });
-                    stopSearch();
-                    doms.domGuiBalance.innerHTML = '0';
-                    return console.log(
-                        'VANITY: Found an address after ' +
-                            attempts +
-                            ' attempts!'
-                    );
                 }
+                doms.domGuiBalance.innerHTML = '0';
+                return console.log(
+                    'VANITY: Found an address after ' + attempts + ' attempts!'
+                );
             };
-
-            arrWorkers[arrWorkers.length - 1].onmessage = (event) =>
-                checkResult(event.data);
-            arrWorkers[arrWorkers.length - 1].postMessage(
-                cChainParams.current.PUBKEY_ADDRESS
-            );
+            worker.postMessage({
+                search: cSearch,
+                fTestnet: cChainParams.current.isTestnet,
+            });
         }
 
         // GUI Updater
-        doms.domVanityUiButtonTxt.innerText =
-            'Stop (Searched ' + attempts.toLocaleString('en-GB') + ' keys)';
+        const updateVanityUI = () => {
+            doms.domVanityUiButtonTxt.innerText = tr(translation.vanityStop, [
+                { attempts: attempts.toLocaleString('en-GB') },
+            ]);
+            const nSeconds = (Date.now() - nStartTime) / 1000;
+            guiUpdateVanityStats((attempts - nStartAttempts) / nSeconds);
+        };
+        updateVanityUI();
+        let nLastCheckpoint = Date.now();
         vanUiUpdater = setInterval(() => {
-            doms.domVanityUiButtonTxt.innerText =
-                'Stop (Searched ' + attempts.toLocaleString('en-GB') + ' keys)';
+            updateVanityUI();
+            // Periodically checkpoint the search, so that it may resume after a reload
+            if (Date.now() - nLastCheckpoint > 5000) {
+                nLastCheckpoint = Date.now();
+                saveVanityCheckpoint({ search: cSearch, attempts });
+            }
         }, 200);
     }
 }
@@ -1604,6 +1845,25 @@ export async function wipePrivateData() {
     }
 }
 
+/**
+ * Lock an unlocked, encrypted wallet without prompting, wiping it's private keys from memory
+ * @returns {Promise<boolean>} - `true` if the wallet was locked
+ */
+export async function lockWallet() {
+    // Unencrypted wallets can't be unlocked again, so would be lost, and Hardware Wallets hold no keys
+    if (
+        !wallet.isLoaded() ||
+        wallet.isViewOnly() ||
+        wallet.isHardwareWallet() ||
+        !(await hasEncryptedWallet())
+    )
+        return false;
+    wallet.wipePrivateData();
+    doms.domWipeWallet.hidden = true;
+    doms.domRestoreWallet.hidden = false;
+    return true;
+}
+
 /**
  * Prompt the user in the GUI to unlock their wallet
  * @param {string} strReason - An optional reason for the unlock
@@ -2576,6 +2836,9 @@ export function refreshChainData() {
         if (doms.domGovTab.classList.contains('active')) {
             updateGovernanceTab();
         }
+
+        // Sync the Watch-only portfolio alongside the wallet, once per block
+        refreshWatchOnly(true);
     });
     getBalance(true);
 }
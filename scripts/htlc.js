@@ -0,0 +1,703 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { Buffer } from 'buffer';
+import bitjs from './bitTrx.js';
+import { decodePushes, encodeScriptNum, OP, pushData } from './script.js';
+import { Database } from './database.js';
+import { doms, restoreWallet } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import {
+    confirmPopup,
+    createAlert,
+    getSafeRand,
+    isStandardAddress,
+    sanitizeHTML,
+} from './misc.js';
+import {
+    decodeAddressHash,
+    deriveAddress,
+    deriveScriptAddress,
+    parseWIF,
+} from './encoding.js';
+import { getNetwork } from './network.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { getLocktimeText, isLocktimeFinal, parseLocktime } from './locktime.js';
+import {
+    createAndSendTransaction,
+    createTxConfirmation,
+} from './transactions.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+import { wallet, hasEncryptedWallet, isActiveAccountPath } from './wallet.js';
+
+/** The size of an HTLC secret, in bytes */
+const SECRET_BYTES = 32;
+
+/** The smallest amount that may be locked in, or spent from, an HTLC, in satoshis */
+const MIN_HTLC_SATS = 10000;
+
+/**
+ * Our side of an HTLC
+ * @enum {string}
+ */
+export const HtlcRole = {
+    /** We're paid, by revealing the secret */
+    REDEEM: 'redeem',
+    /** We funded it, and are refunded if it's not redeemed before the lock time */
+    REFUND: 'refund',
+};
+
+/**
+ * A Hash Time-Locked Contract: paying the recipient if they reveal the secret, or refunding after the lock time.
+ *
+ * Two HTLCs with the same secret, one on each chain, form an atomic swap: claiming one reveals the secret to claim the other.
+ */
+export class Htlc {
+    /**
+     * Create an HTLC.
+     * @param {Object} options
+     * @param {string} options.name - The user-chosen name of the swap
+     * @param {string} options.hash - The SHA256 hash (hex) of the secret
+     * @param {string} [options.secret] - The secret (hex), once known
+     * @param {string} options.recipient - The address paid with the secret
+     * @param {string} options.refund - The address refunded after the lock time
+     * @param {number} options.locktime - The block height, or unix timestamp (in seconds), the refund unlocks at
+     * @param {HtlcRole} options.role - Our side of the contract
+     * @param {string} options.path - The derivation path of our side's key
+     */
+    constructor({
+        name,
+        hash,
+        secret = '',
+        recipient,
+        refund,
+        locktime,
+        role,
+        path,
+    }) {
+        this.name = name;
+        this.hash = hash;
+        this.secret = secret;
+        this.recipient = recipient;
+        this.refund = refund;
+        this.locktime = locktime;
+        this.role = role;
+        this.path = path;
+    }
+
+    /** The user-chosen name of the swap
+     * @type {string}
+     */
+    name;
+
+    /** The SHA256 hash (hex) of the secret
+     * @type {string}
+     */
+    hash;
+
+    /** The secret (hex), once known
+     * @type {string}
+     */
+    secret;
+
+    /** The address paid with the secret
+     * @type {string}
+     */
+    recipient;
+
+    /** The address refunded after the lock time
+     * @type {string}
+     */
+    refund;
+
+    /** The block height, or unix timestamp (in seconds), the refund unlocks at
+     * @type {number}
+     */
+    locktime;
+
+    /** Our side of the contract
+     * @type {HtlcRole}
+     */
+    role;
+
+    /** The derivation path of our side's key
+     * @type {string}
+     */
+    path;
+}
+
+/**
+ * Construct the redeem script of an HTLC:
+ * ```
+ * OP_IF
+ *     OP_SIZE 32 OP_EQUALVERIFY OP_SHA256 <hash> OP_EQUALVERIFY OP_DUP OP_HASH160 <recipient>
+ * OP_ELSE
+ *     <locktime> OP_CHECKLOCKTIMEVERIFY OP_DROP OP_DUP OP_HASH160 <refund>
+ * OP_ENDIF
+ * OP_EQUALVERIFY OP_CHECKSIG
+ * ```
+ * The secret's size is fixed, so it's valid on any other chain the swap uses
+ * @param {Htlc} cHtlc
+ * @returns {Array<number>} The redeem script bytes
+ */
+export function getHtlcRedeemScript(cHtlc) {
+    return [
+        OP['IF'],
+        OP['SIZE'],
+        ...pushData(encodeScriptNum(SECRET_BYTES)),
+        OP['EQUALVERIFY'],
+        OP['SHA256'],
+        ...pushData(hexToBytes(cHtlc.hash)),
+        OP['EQUALVERIFY'],
+        OP['DUP'],
+        OP['HASH160'],
+        ...pushData(decodeAddressHash(cHtlc.recipient)),
+        OP['ELSE'],
+        ...pushData(encodeScriptNum(cHtlc.locktime)),
+        OP['CHECKLOCKTIMEVERIFY'],
+        OP['DROP'],
+        OP['DUP'],
+        OP['HASH160'],
+        ...pushData(decodeAddressHash(cHtlc.refund)),
+        OP['ENDIF'],
+        OP['EQUALVERIFY'],
+        OP['CHECKSIG'],
+    ];
+}
+
+/**
+ * Get the P2SH address of an HTLC
+ * @param {Htlc} cHtlc
+ * @returns {string}
+ */
+export function getHtlcAddress(cHtlc) {
+    return deriveScriptAddress(getHtlcRedeemScript(cHtlc));
+}
+
+/**
+ * Check if a secret unlocks an HTLC
+ * @param {Htlc} cHtlc
+ * @param {string} strSecret - The secret (hex)
+ * @returns {boolean}
+ */
+export function isHtlcSecret(cHtlc, strSecret) {
+    return (
+        /^[0-9a-f]{64}$/.test(strSecret) &&
+        bytesToHex(sha256(hexToBytes(strSecret))) === cHtlc.hash
+    );
+}
+
+/**
+ * Encode an HTLC as text, for sharing with the counterparty (never including our secret)
+ * @param {Htlc} cHtlc
+ * @returns {string}
+ */
+export function encodeHtlc(cHtlc) {
+    const { name, hash, recipient, refund, locktime } = cHtlc;
+    return Buffer.from(
+        JSON.stringify({ name, hash, recipient, refund, locktime })
+    ).toString('base64');
+}
+
+/**
+ * Decode (and sanity check) an HTLC shared by the counterparty
+ * @param {string} strHtlc
+ * @returns {Htlc}
+ */
+export function decodeHtlc(strHtlc) {
+    const cData = JSON.parse(Buffer.from(strHtlc.trim(), 'base64').toString());
+    if (
+        typeof cData?.name !== 'string' ||
+        !/^[0-9a-f]{64}$/.test(cData.hash) ||
+        !isStandardAddress(cData.recipient) ||
+        !decodeAddressHash(cData.recipient) ||
+        !isStandardAddress(cData.refund) ||
+        !decodeAddressHash(cData.refund) ||
+        !Number.isSafeInteger(cData.locktime) ||
+        cData.locktime <= 0 ||
+        cData.locktime > 0xffffffff
+    ) {
+        throw new Error(ALERTS.HTLC_INVALID);
+    }
+    return new Htlc({
+        name: cData.name,
+        hash: cData.hash,
+        recipient: cData.recipient,
+        refund: cData.refund,
+        locktime: cData.locktime,
+    });
+}
+
+/**
+ * Search the spends of an HTLC for the secret, revealed when the recipient redeems it
+ * @param {Htlc} cHtlc
+ * @returns {Promise<string?>} The secret (hex), or null if it hasn't been redeemed
+ */
+export async function findHtlcSecret(cHtlc) {
+    const arrTxs = await getNetwork().getAddressTxs(getHtlcAddress(cHtlc));
+    for (const cTx of arrTxs) {
+        for (const cInput of cTx.vin || []) {
+            if (!cInput.hex) continue;
+            for (const bPush of decodePushes(hexToBytes(cInput.hex)) || []) {
+                if (bPush.length !== SECRET_BYTES) continue;
+                const strSecret = bytesToHex(bPush);
+                if (isHtlcSecret(cHtlc, strSecret)) return strSecret;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Construct and sign the transaction spending every UTXO of an HTLC (from our side) to a fresh address of ours
+ * @param {Htlc} cHtlc
+ * @param {Array<import('./network.js').BlockbookUTXO>} arrUTXOs - The HTLC's UTXOs
+ * @returns {Promise<{strHex: string, nSats: number, strAddress: string, nFee: number}?>} The signed transaction,
+ * ... or null if the HTLC's balance can't cover the fee
+ */
+async function createHtlcSpend(cHtlc, arrUTXOs) {
+    const fRefund = cHtlc.role === HtlcRole.REFUND;
+    const bRedeemScript = getHtlcRedeemScript(cHtlc);
+    const cTx = new bitjs.transaction();
+    // Refunds must be set with the lock time before adding inputs, so they're given a non-final sequence, and CLTV is enforced
+    if (fRefund) cTx.locktime = cHtlc.locktime;
+    for (const cUTXO of arrUTXOs) {
+        // When signing P2SH inputs, the redeem script takes the place of the output script
+        cTx.addinput({
+            txid: cUTXO.txid,
+            index: cUTXO.vout,
+            script: bytesToHex(bRedeemScript),
+            path: cHtlc.path,
+        });
+    }
+
+    // Fees are computed in the same (hex length) units as regular transactions, including the signature script's pushes
+    const nValue = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+    const [strAddress] = await wallet.getNewAddress();
+    cTx.addoutput(strAddress, nValue / COIN);
+    const nSigInputBytes = 74 + 34 + 1 + 2 + (fRefund ? 0 : 1 + SECRET_BYTES);
+    const nFee = getNetwork().getFee(
+        cTx.serialize().length + cTx.inputs.length * nSigInputBytes * 2
+    );
+    const nSats = nValue - nFee;
+    if (nSats < MIN_HTLC_SATS) return null;
+    cTx.outputs = [];
+    cTx.addoutput(strAddress, nSats / COIN);
+
+    // Sign every input with our key, then finalise them with the branch we're spending:
+    // ... `<sig> <pubkey> <secret> OP_TRUE <redeemScript>` or `<sig> <pubkey> OP_FALSE <redeemScript>`
+    const strWIF = await wallet.getMasterKey().getPrivateKey(cHtlc.path);
+    const bPubkey = hexToBytes(
+        deriveAddress({ pkBytes: parseWIF(strWIF), output: 'COMPRESSED_HEX' })
+    );
+    const arrSigs = [];
+    for (let i = 0; i < cTx.inputs.length; i++) {
+        arrSigs.push(await cTx.transactionSig(i, strWIF));
+    }
+    cTx.inputs.forEach((cInput, i) => {
+        cInput.script = [
+            ...pushData(arrSigs[i]),
+            ...pushData(bPubkey),
+            ...(fRefund
+                ? [OP['FALSE']]
+                : [...pushData(hexToBytes(cHtlc.secret)), OP['TRUE']]),
+            ...pushData(bRedeemScript),
+        ];
+    });
+    return { strHex: cTx.serialize(), nSats, strAddress, nFee };
+}
+
+/**
+ * Save an HTLC to the Account, replacing it if it already exists
+ * @param {Htlc} cHtlc
+ */
+async function saveHtlc(cHtlc) {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const strAddress = getHtlcAddress(cHtlc);
+    const nIndex = cAccount.htlcs.findIndex(
+        (h) => getHtlcAddress(h) === strAddress
+    );
+    if (nIndex >= 0) cAccount.htlcs[nIndex] = cHtlc;
+    else cAccount.htlcs.push(cHtlc);
+    await cDB.updateAccount(cAccount);
+}
+
+/**
+ * Check that the wallet can hold HTLCs, alerting the user if not
+ * @returns {Promise<boolean>}
+ */
+async function canUseHtlcs() {
+    if (wallet.isHardwareWallet()) {
+        createAlert('warning', ALERTS.HTLC_HARDWARE, 4000);
+        return false;
+    }
+    if (!(await hasEncryptedWallet())) {
+        createAlert('warning', ALERTS.HTLC_ENCRYPT_FIRST, 4000);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Render the HTLCs list, fetch their balances, and watch for the secrets of the ones we're refunded by
+ */
+export async function guiRenderHtlcs() {
+    if (!(await canUseHtlcs())) return;
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+
+    let strHTML = '';
+    cAccount.htlcs.forEach((cHtlc, i) => {
+        // Only the active account's HTLCs are shown
+        if (!isActiveAccountPath(cHtlc.path)) return;
+        const strAddress = getHtlcAddress(cHtlc);
+        const fRefund = cHtlc.role === HtlcRole.REFUND;
+        strHTML += `
+            <div class="d-flex px-3 py-3 contactItem">
+                <div style="width: 100%; line-height: 15px;">
+                    <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+                        cHtlc.name
+                    )} <small>(${
+            fRefund
+                ? tr(translation.htlcRoleRefund, [
+                      { locktime: getLocktimeText(cHtlc.locktime) },
+                  ])
+                : translation.htlcRoleRedeem
+        })</small></span>
+                    <span class="ptr" onclick="MPW.toClipboard('${strAddress}', this)" style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${strAddress}</span><br>
+                    <span id="htlcBalance${i}" style="font-size: 13px; position: relative; top: 6px;"></span>
+                    <small id="htlcSecret${i}" class="mono" style="word-wrap: anywhere; display: block; margin-top: 10px;">${
+            fRefund && cHtlc.secret
+                ? tr(translation.htlcSecret, [{ secret: cHtlc.secret }])
+                : ''
+        }</small>
+                </div>
+                <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                    <i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiShareHtlc(${i})" class="fa-solid fa-share-nodes"></i>
+                    <i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiSpendHtlc(${i})" class="fa-solid ${
+            fRefund ? 'fa-rotate-left' : 'fa-hand-holding-dollar'
+        }"></i>
+                    <i style="cursor:pointer;" onclick="MPW.guiRemoveHtlc(${i})" class="fa-solid fa-trash"></i>
+                </div>
+            </div>
+        `;
+    });
+
+    // The "Import a swap" and "Create a swap" UIs
+    strHTML += `
+        <span class="d-flex px-3 py-3 contactItem ptr" onclick="MPW.guiImportHtlc()">
+            <i class="fa-solid fa-file-import" style="margin-right: 10px;"></i> ${translation.htlcImport}
+        </span>
+        <div class="px-3" style="margin-top:20px;">
+            <p style="opacity: 0.75; text-align: center;">${translation.htlcNote}</p>
+            <input id="htlcNameInput" class="m-0" style="width: 100%;" placeholder="${translation.name}" autocomplete="nope">
+            <input id="htlcAddressInput" class="m-0" style="width: 100%; margin-top: 5px !important;" placeholder="${translation.htlcAddressPlaceholder}" autocomplete="nope">
+            <input id="htlcAmountInput" type="number" class="m-0" style="width: 100%; margin-top: 5px !important;" placeholder="${translation.amount}" autocomplete="nope">
+            <input id="htlcHashInput" class="m-0 mono" style="width: 100%; margin-top: 5px !important;" placeholder="${translation.htlcHashPlaceholder}" autocomplete="nope">
+            <div class="d-flex addContact" style="margin-top: 5px;">
+                <div class="contactName" style="width: 100%;">
+                    <input id="htlcLocktimeInput" class="m-0" style="width: 100%;" placeholder="${translation.htlcLocktimePlaceholder}" autocomplete="nope">
+                </div>
+                <div class="d-flex" style="align-items: center;">
+                    <div onclick="MPW.guiCreateHtlc()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                        <i class="fas fa-plus"></i>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    doms.domHtlcTable.innerHTML = strHTML;
+
+    // Watch the balances, and the secrets revealed by our counterparties, in the background
+    if (!getNetwork().enabled) return;
+    cAccount.htlcs.forEach(async (cHtlc, i) => {
+        if (!isActiveAccountPath(cHtlc.path)) return;
+        const arrUTXOs =
+            (await getNetwork().getUTXOs(getHtlcAddress(cHtlc))) || [];
+        const nBalance = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+        const domBalance = document.getElementById(`htlcBalance${i}`);
+        if (domBalance) {
+            domBalance.innerText = `${nBalance / COIN} ${
+                cChainParams.current.TICKER
+            }`;
+        }
+
+        if (cHtlc.role !== HtlcRole.REFUND || cHtlc.secret) return;
+        const strSecret = await findHtlcSecret(cHtlc);
+        if (!strSecret) return;
+        cHtlc.secret = strSecret;
+        await saveHtlc(cHtlc);
+        createAlert(
+            'success',
+            tr(ALERTS.HTLC_SECRET_FOUND, [
+                { strName: sanitizeHTML(cHtlc.name) },
+            ]),
+            5000
+        );
+        const domSecret = document.getElementById(`htlcSecret${i}`);
+        if (domSecret) {
+            domSecret.innerText = tr(translation.htlcSecret, [
+                { secret: strSecret },
+            ]);
+        }
+    });
+}
+
+/**
+ * Create an HTLC from the user's input, and fund it.
+ *
+ * Without a secret hash, we start the swap, with a fresh secret. With one, we're joining a swap started by the counterparty.
+ */
+export async function guiCreateHtlc() {
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+
+    const strName = document.getElementById('htlcNameInput').value.trim();
+    if (!strName) return createAlert('warning', ALERTS.HTLC_NO_NAME, 2500);
+
+    const strRecipient = document
+        .getElementById('htlcAddressInput')
+        .value.trim();
+    if (!isStandardAddress(strRecipient) || !decodeAddressHash(strRecipient))
+        return createAlert(
+            'warning',
+            tr(ALERTS.INVALID_ADDRESS, [
+                { address: sanitizeHTML(strRecipient) },
+            ]),
+            2500
+        );
+
+    const nSats = Math.round(
+        Number(document.getElementById('htlcAmountInput').value) * COIN
+    );
+    if (!Number.isSafeInteger(nSats) || nSats < MIN_HTLC_SATS)
+        return createAlert('warning', ALERTS.INVALID_AMOUNT, 2500);
+
+    const nLocktime = parseLocktime(
+        document.getElementById('htlcLocktimeInput').value.trim()
+    );
+    if (nLocktime === null)
+        return createAlert('warning', ALERTS.HTLC_INVALID_LOCKTIME, 4000);
+
+    let strHash = document
+        .getElementById('htlcHashInput')
+        .value.trim()
+        .toLowerCase();
+    let strSecret = '';
+    if (!strHash) {
+        strSecret = bytesToHex(getSafeRand(SECRET_BYTES));
+        strHash = bytesToHex(sha256(hexToBytes(strSecret)));
+    } else if (!/^[0-9a-f]{64}$/.test(strHash)) {
+        return createAlert('warning', ALERTS.HTLC_INVALID_HASH, 3500);
+    }
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.htlcCreateTitle, [
+            { strName: sanitizeHTML(strName) },
+        ]),
+        html: tr(translation.htlcCreateNote, [
+            { amount: nSats / COIN },
+            { ticker: cChainParams.current.TICKER },
+            { address: strRecipient },
+            { locktime: getLocktimeText(nLocktime) },
+        ]),
+    });
+    if (!fConfirmed) return;
+
+    // We're refunded to a fresh address of ours
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockHtlc))
+    )
+        return;
+    const [strRefund, strPath] = await wallet.getNewAddress();
+    const cHtlc = new Htlc({
+        name: strName,
+        hash: strHash,
+        secret: strSecret,
+        recipient: strRecipient,
+        refund: strRefund,
+        locktime: nLocktime,
+        role: HtlcRole.REFUND,
+        path: strPath,
+    });
+
+    // Save the HTLC before funding it, so it's coins can never be sent somewhere we can't refund
+    await saveHtlc(cHtlc);
+    const cRes = await createAndSendTransaction({
+        address: getHtlcAddress(cHtlc),
+        amount: nSats,
+    });
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    if (!cRes?.ok) {
+        // Nothing was locked, so the HTLC isn't needed
+        cAccount.htlcs = cAccount.htlcs.filter(
+            (h) => getHtlcAddress(h) !== getHtlcAddress(cHtlc)
+        );
+        await cDB.updateAccount(cAccount, true);
+        return;
+    }
+    await guiRenderHtlcs();
+    await guiShareHtlc(
+        cAccount.htlcs.findIndex(
+            (h) => getHtlcAddress(h) === getHtlcAddress(cHtlc)
+        )
+    );
+}
+
+/**
+ * Prompt the user to paste an HTLC shared by the counterparty, and save it if it pays (or refunds) us
+ */
+export async function guiImportHtlc() {
+    const fContinue = await confirmPopup({
+        title: translation.htlcImport,
+        html: `<textarea id="htlcImportInput" rows="6" style="width: 100%;" placeholder="${translation.htlcPaste}"></textarea>`,
+    });
+    if (!fContinue) return;
+
+    let cHtlc;
+    try {
+        cHtlc = decodeHtlc(document.getElementById('htlcImportInput').value);
+    } catch (e) {
+        console.error(e);
+        return createAlert('warning', ALERTS.HTLC_INVALID, 4000);
+    }
+
+    // Find our side of the contract
+    const strRedeemPath = await wallet.isOwnAddress(cHtlc.recipient);
+    const strRefundPath =
+        !strRedeemPath && (await wallet.isOwnAddress(cHtlc.refund));
+    if (!strRedeemPath && !strRefundPath)
+        return createAlert('warning', ALERTS.HTLC_NOT_OURS, 4000);
+    cHtlc.role = strRedeemPath ? HtlcRole.REDEEM : HtlcRole.REFUND;
+    cHtlc.path = strRedeemPath || strRefundPath;
+
+    await saveHtlc(cHtlc);
+    await guiRenderHtlcs();
+}
+
+/**
+ * Display an HTLC for sharing with the counterparty, along with our secret (if we started the swap)
+ * @param {number} nIndex - The index of the HTLC
+ */
+export async function guiShareHtlc(nIndex) {
+    const cDB = await Database.getInstance();
+    const cHtlc = (await cDB.getAccount()).htlcs[nIndex];
+    if (!cHtlc) return;
+
+    await confirmPopup({
+        title: tr(translation.htlcShareTitle, [
+            { strName: sanitizeHTML(cHtlc.name) },
+        ]),
+        html: `<p>${translation.htlcShareNote}</p>
+               <textarea id="htlcShareOutput" rows="6" style="width: 100%;" readonly>${encodeHtlc(
+                   cHtlc
+               )}</textarea>
+               <button class="pivx-button-small" onclick="MPW.toClipboard('htlcShareOutput', this)">${
+                   translation.multisigCopy
+               }</button>
+               ${
+                   cHtlc.role === HtlcRole.REFUND && cHtlc.secret
+                       ? `<br><br><p>${translation.htlcSecretNote}</p><small class="mono" style="word-wrap: anywhere;">${cHtlc.secret}</small>`
+                       : ''
+               }`,
+        hideConfirm: true,
+    });
+}
+
+/**
+ * Spend an HTLC from our side: redeeming it with the secret, or refunding it after the lock time
+ * @param {number} nIndex - The index of the HTLC
+ */
+export async function guiSpendHtlc(nIndex) {
+    const cDB = await Database.getInstance();
+    const cHtlc = (await cDB.getAccount()).htlcs[nIndex];
+    if (!cHtlc) return;
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+    const fRefund = cHtlc.role === HtlcRole.REFUND;
+    if (fRefund && !isLocktimeFinal(cHtlc.locktime))
+        return createAlert(
+            'warning',
+            tr(ALERTS.HTLC_NOT_REFUNDABLE, [
+                { locktime: getLocktimeText(cHtlc.locktime) },
+            ]),
+            4000
+        );
+
+    const arrUTXOs = (await getNetwork().getUTXOs(getHtlcAddress(cHtlc))) || [];
+    if (!arrUTXOs.length)
+        return createAlert('warning', ALERTS.HTLC_EMPTY, 3500);
+
+    // Redeeming needs the secret, revealed when the counterparty claimed the other side of the swap
+    if (!fRefund && !cHtlc.secret) {
+        const fContinue = await confirmPopup({
+            title: tr(translation.htlcRedeemTitle, [
+                { strName: sanitizeHTML(cHtlc.name) },
+            ]),
+            html: `<p>${translation.htlcSecretPrompt}</p>
+                   <input type="text" id="htlcSecretInput" class="mono" style="text-align: center; width: 100%;">`,
+        });
+        if (!fContinue) return;
+        const strSecret = document
+            .getElementById('htlcSecretInput')
+            .value.trim()
+            .toLowerCase();
+        if (!isHtlcSecret(cHtlc, strSecret))
+            return createAlert('warning', ALERTS.HTLC_WRONG_SECRET, 3500);
+        cHtlc.secret = strSecret;
+        await saveHtlc(cHtlc);
+    }
+
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockHtlc))
+    )
+        return;
+    const cSpend = await createHtlcSpend(cHtlc, arrUTXOs);
+    if (!cSpend) return createAlert('warning', ALERTS.HTLC_EMPTY, 3500);
+
+    const fConfirmed = await confirmPopup({
+        title: tr(
+            fRefund ? translation.htlcRefundTitle : translation.htlcRedeemTitle,
+            [{ strName: sanitizeHTML(cHtlc.name) }]
+        ),
+        html:
+            createTxConfirmation([[cSpend.strAddress, cSpend.nSats / COIN]]) +
+            '<br><br>' +
+            tr(translation.txFee, [
+                { fee: cSpend.nFee / COIN },
+                { ticker: cChainParams.current.TICKER },
+            ]),
+    });
+    if (!fConfirmed) return;
+
+    const strTxid = await getNetwork().sendTransaction(cSpend.strHex);
+    if (strTxid) {
+        createAlert('success', ALERTS.HTLC_SPENT, 4000);
+        await guiRenderHtlcs();
+    }
+}
+
+/**
+ * Remove an HTLC from the Account (it's coins stay locked, but it's details are needed to spend them)
+ * @param {number} nIndex - The index of the HTLC
+ */
+export async function guiRemoveHtlc(nIndex) {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const cHtlc = cAccount.htlcs[nIndex];
+    if (!cHtlc) return;
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.htlcRemoveTitle, [
+            { strName: sanitizeHTML(cHtlc.name) },
+        ]),
+        html: translation.htlcRemoveNote,
+    });
+    if (!fConfirmed) return;
+
+    cAccount.htlcs.splice(nIndex, 1);
+    await cDB.updateAccount(cAccount, true);
+    await guiRenderHtlcs();
+}
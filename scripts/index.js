@@ -37,6 +37,7 @@ export {
     destroyMasternode,
     startMasternode,
     checkVanity,
+    guiUpdateVanityStats,
     toggleDropDown,
     unblurPrivKey,
     toggleBottomMenu,
@@ -49,7 +50,103 @@ export {
     getNewAddress,
     generateWallet,
     importWallet,
+    guiRenderAccounts,
+    guiCreateAccount,
+    guiSwitchAccount,
+    guiEditAccountNamePrompt,
+    guiToggleAccountHidden,
+    guiToggleHiddenAccounts,
+    guiDiscoverAddresses,
 } from './wallet.js';
+export { guiApplySeedWord } from './mnemonic.js';
+export {
+    guiRenderMultisigs,
+    guiCreateMultisig,
+    guiRemoveMultisig,
+    guiCreateMultisigSpend,
+    guiImportMultisigSpend,
+} from './multisig.js';
+export {
+    guiRenderVaults,
+    guiCreateVault,
+    guiRedeemVault,
+    guiRemoveVault,
+} from './vault.js';
+export {
+    guiRenderHtlcs,
+    guiCreateHtlc,
+    guiImportHtlc,
+    guiShareHtlc,
+    guiSpendHtlc,
+    guiRemoveHtlc,
+} from './htlc.js';
+export {
+    guiRenderInvoices,
+    guiCreateInvoice,
+    guiShowInvoice,
+    guiExportInvoices,
+    guiRemoveInvoice,
+} from './invoices.js';
+export {
+    guiSetupPos,
+    guiExitPos,
+    guiPosKey,
+    guiPosToggleUnit,
+    guiPosCharge,
+    guiPosCancel,
+    guiPosNewSale,
+    guiPosReport,
+    guiPosExportSales,
+} from './pos.js';
+export {
+    renderStakingProviderSelect,
+    guiRenderStakingProviders,
+    guiAddStakingProvider,
+    guiSetDefaultStakingProvider,
+    guiRemoveStakingProvider,
+} from './staking-providers.js';
+export {
+    guiRenderWatchOnly,
+    guiAddWatchOnly,
+    guiRemoveWatchOnly,
+    guiToggleWatchOnlyHistory,
+} from './watchonly.js';
+export { guiExportProfile, guiImportProfile } from './profile-backup.js';
+export {
+    guiRenderCoinControl,
+    guiToggleCoinControlUTXO,
+    guiSelectAllCoinControl,
+    guiClearCoinControl,
+} from './coin-control.js';
+export { guiRefreshFees, guiSelectFee, guiSetCustomFee } from './fees.js';
+export {
+    guiRenderBatch,
+    guiUpdateBatchRow,
+    guiAddBatchRow,
+    guiRemoveBatchRow,
+    guiLoadBatchCSV,
+    guiImportBatchCSV,
+    guiBatchSend,
+} from './batch-send.js';
+export {
+    guiResetOfflineTx,
+    guiLoadOfflineTx,
+    guiImportOfflineTx,
+    guiScanOfflineTx,
+    guiDownloadOfflineTx,
+    guiSignOfflineTx,
+    guiBroadcastOfflineTx,
+} from './offline-signing.js';
+export {
+    guiRenderSignMessage,
+    guiSignMessage,
+    guiVerifyMessage,
+} from './message.js';
+export { guiSweepPrivateKey, guiExportBIP38 } from './bip38.js';
+export {
+    guiGeneratePaperWallets,
+    guiTogglePaperWalletEncryption,
+} from './paper-wallet.js';
 export {
     toggleTestnet,
     toggleDebug,
@@ -0,0 +1,551 @@
+import { Database } from './database.js';
+import { doms } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import {
+    arrayToCSV,
+    confirmPopup,
+    createAlert,
+    createBIP21Request,
+    createQR,
+    downloadBlob,
+    isStandardAddress,
+    sanitizeHTML,
+} from './misc.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { decodeAddressHash } from './encoding.js';
+import { getEventEmitter } from './event_bus.js';
+import { cMarket, strCurrency } from './settings.js';
+import {
+    getNewAddress,
+    hasEncryptedWallet,
+    isActiveAccountPath,
+    wallet,
+} from './wallet.js';
+
+/** The longest invoice label or message, in characters */
+const MAX_INVOICE_TEXT = 128;
+
+/**
+ * The payment status of an invoice
+ * @enum {string}
+ */
+export const InvoiceStatus = {
+    /** Nothing has been received */
+    UNPAID: 'unpaid',
+    /** Less than the amount has been received */
+    PARTIAL: 'partial',
+    /** The exact amount has been received */
+    PAID: 'paid',
+    /** More than the amount has been received */
+    OVERPAID: 'overpaid',
+};
+
+/**
+ * A payment received by an invoice
+ * @typedef {Object} InvoicePayment
+ * @property {string} txid - The transaction ID
+ * @property {number} vout - The output index
+ * @property {number} sats - The amount received, in satoshis
+ */
+
+/**
+ * A named payment request, with it's own fresh address so it's payments can be told apart
+ */
+export class Invoice {
+    /**
+     * Create an Invoice.
+     * @param {Object} options
+     * @param {string} options.label - The name of the invoice, shared as the BIP21 label
+     * @param {string} [options.message] - A message for the payer, shared as the BIP21 message
+     * @param {number} options.sats - The amount requested, in satoshis
+     * @param {number} [options.fiat] - The value of the amount in fiat, if it was priced in fiat
+     * @param {string} [options.currency] - The currency of the fiat value
+     * @param {string} options.address - The address to be paid
+     * @param {string} options.path - The derivation path of the address
+     * @param {number} options.created - When the invoice was created, as a unix timestamp (in seconds)
+     * @param {number} [options.expiry] - When the invoice expires, as a unix timestamp (in seconds), or 0 for never
+     * @param {Array<InvoicePayment>} [options.payments] - The payments received so far
+     */
+    constructor({
+        label,
+        message = '',
+        sats,
+        fiat = 0,
+        currency = '',
+        address,
+        path,
+        created,
+        expiry = 0,
+        payments = [],
+    }) {
+        this.label = label;
+        this.message = message;
+        this.sats = sats;
+        this.fiat = fiat;
+        this.currency = currency;
+        this.address = address;
+        this.path = path;
+        this.created = created;
+        this.expiry = expiry;
+        this.payments = payments;
+    }
+
+    /** @type {string} The name of the invoice, shared as the BIP21 label */
+    label;
+
+    /** @type {string} A message for the payer, shared as the BIP21 message */
+    message;
+
+    /** @type {number} The amount requested, in satoshis */
+    sats;
+
+    /** @type {number} The value of the amount in fiat, or 0 if it wasn't priced in fiat */
+    fiat;
+
+    /** @type {string} The currency of the fiat value */
+    currency;
+
+    /** @type {string} The address to be paid */
+    address;
+
+    /** @type {string} The derivation path of the address */
+    path;
+
+    /** @type {number} When the invoice was created, as a unix timestamp (in seconds) */
+    created;
+
+    /** @type {number} When the invoice expires, as a unix timestamp (in seconds), or 0 for never */
+    expiry;
+
+    /** @type {Array<InvoicePayment>} The payments received so far */
+    payments;
+}
+
+/**
+ * Get the total received by an invoice
+ * @param {Invoice} cInvoice
+ * @returns {number} The amount received, in satoshis
+ */
+export function getInvoiceReceived(cInvoice) {
+    return cInvoice.payments.reduce((a, b) => a + b.sats, 0);
+}
+
+/**
+ * Get the payment status of an invoice
+ * @param {Invoice} cInvoice
+ * @returns {InvoiceStatus}
+ */
+export function getInvoiceStatus(cInvoice) {
+    const nReceived = getInvoiceReceived(cInvoice);
+    if (nReceived === 0) return InvoiceStatus.UNPAID;
+    if (nReceived < cInvoice.sats) return InvoiceStatus.PARTIAL;
+    if (nReceived === cInvoice.sats) return InvoiceStatus.PAID;
+    return InvoiceStatus.OVERPAID;
+}
+
+/**
+ * Check if an invoice has expired without being paid in full
+ * @param {Invoice} cInvoice
+ * @returns {boolean}
+ */
+function isInvoiceExpired(cInvoice) {
+    return (
+        !!cInvoice.expiry &&
+        cInvoice.expiry < Date.now() / 1000 &&
+        getInvoiceReceived(cInvoice) < cInvoice.sats
+    );
+}
+
+/**
+ * Get the BIP21 Payment Request of an invoice
+ * @param {Invoice} cInvoice
+ * @returns {string}
+ */
+export function getInvoiceRequest(cInvoice) {
+    return createBIP21Request(cInvoice.address, {
+        amount: cInvoice.sats / COIN,
+        label: cInvoice.label,
+        message: cInvoice.message,
+    });
+}
+
+/**
+ * Describe the payment status of an invoice for the user
+ * @param {Invoice} cInvoice
+ * @returns {string}
+ */
+function getInvoiceStatusText(cInvoice) {
+    switch (getInvoiceStatus(cInvoice)) {
+        case InvoiceStatus.PARTIAL:
+            return translation.invoicePartial;
+        case InvoiceStatus.PAID:
+            return translation.invoicePaid;
+        case InvoiceStatus.OVERPAID:
+            return translation.invoiceOverpaid;
+        default:
+            return translation.invoiceUnpaid;
+    }
+}
+
+/**
+ * Check that the wallet can hold invoices, alerting the user if not
+ * @returns {Promise<boolean>}
+ */
+async function canUseInvoices() {
+    if (!(await hasEncryptedWallet())) {
+        createAlert('warning', ALERTS.INVOICE_ENCRYPT_FIRST, 4000);
+        return false;
+    }
+    // Each invoice needs it's own address, which only HD wallets can derive
+    if (!wallet.isHD()) {
+        createAlert('warning', ALERTS.INVOICE_NOT_HD, 4000);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Render the invoices list of an Account
+ * @param {import('./accounts.js').Account} cAccount
+ */
+function renderInvoices(cAccount) {
+    let strHTML = '';
+    cAccount.invoices.forEach((cInvoice, i) => {
+        // Only the active account's invoices are shown, as only it's payments are synced
+        if (!isActiveAccountPath(cInvoice.path)) return;
+        // The address is used within attributes too, so an invoice without a valid one (i.e: from an old backup) isn't rendered
+        if (
+            typeof cInvoice.address !== 'string' ||
+            !isStandardAddress(cInvoice.address) ||
+            !decodeAddressHash(cInvoice.address)
+        )
+            return;
+        const nReceived = getInvoiceReceived(cInvoice);
+        const strFiat = cInvoice.fiat
+            ? ` (${cInvoice.fiat} ${sanitizeHTML(
+                  cInvoice.currency.toUpperCase()
+              )})`
+            : '';
+        strHTML += `
+            <div class="d-flex px-3 py-3 contactItem">
+                <div style="width: 100%; line-height: 15px;">
+                    <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+                        cInvoice.label
+                    )} <small>(${getInvoiceStatusText(cInvoice)}${
+            isInvoiceExpired(cInvoice) ? ', ' + translation.invoiceExpired : ''
+        })</small></span>
+                    <span class="ptr" onclick="MPW.toClipboard('${
+                        cInvoice.address
+                    }', this)" style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${sanitizeHTML(
+            cInvoice.address
+        )}</span><br>
+                    <span style="font-size: 13px; position: relative; top: 6px;">${tr(
+                        translation.invoiceReceived,
+                        [
+                            { received: nReceived / COIN },
+                            { amount: cInvoice.sats / COIN + strFiat },
+                            { ticker: cChainParams.current.TICKER },
+                        ]
+                    )}</span>
+                </div>
+                <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                    <i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiShowInvoice(${i})" class="fa-solid fa-qrcode"></i>
+                    <i style="cursor:pointer;" onclick="MPW.guiRemoveInvoice(${i})" class="fa-solid fa-trash"></i>
+                </div>
+            </div>
+        `;
+    });
+
+    // The "Export" and "Create an invoice" UIs
+    if (cAccount.invoices.some((i) => isActiveAccountPath(i.path))) {
+        strHTML += `
+            <span class="d-flex px-3 py-3 contactItem ptr" onclick="MPW.guiExportInvoices()">
+                <i class="fa-solid fa-file-csv" style="margin-right: 10px;"></i> ${translation.invoiceExport}
+            </span>
+        `;
+    }
+    strHTML += `
+        <div class="px-3" style="margin-top:20px;">
+            <p style="opacity: 0.75; text-align: center;">${
+                translation.invoiceNote
+            }</p>
+            <input id="invoiceLabelInput" class="m-0" style="width: 100%;" placeholder="${
+                translation.invoiceLabelPlaceholder
+            }" autocomplete="nope">
+            <input id="invoiceMessageInput" class="m-0" style="width: 100%; margin-top: 5px !important;" placeholder="${
+                translation.invoiceMessagePlaceholder
+            }" autocomplete="nope">
+            <div class="d-flex" style="margin-top: 5px;">
+                <input id="invoiceAmountInput" type="number" class="m-0" style="width: 50%; margin-right: 5px !important;" placeholder="${
+                    translation.amount
+                } (${cChainParams.current.TICKER})" autocomplete="nope">
+                <input id="invoiceFiatInput" type="number" class="m-0" style="width: 50%;" placeholder="${tr(
+                    translation.invoiceFiatPlaceholder,
+                    [{ currency: strCurrency.toUpperCase() }]
+                )}" autocomplete="nope">
+            </div>
+            <div class="d-flex addContact" style="margin-top: 5px;">
+                <div class="contactName" style="width: 100%;">
+                    <input id="invoiceExpiryInput" class="m-0" style="width: 100%;" placeholder="${
+                        translation.invoiceExpiryPlaceholder
+                    }" autocomplete="nope">
+                </div>
+                <div class="d-flex" style="align-items: center;">
+                    <div onclick="MPW.guiCreateInvoice()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                        <i class="fas fa-plus"></i>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    doms.domInvoiceTable.innerHTML = strHTML;
+}
+
+/**
+ * Render the invoices list
+ */
+export async function guiRenderInvoices() {
+    if (!(await canUseInvoices())) return;
+    const cDB = await Database.getInstance();
+    renderInvoices(await cDB.getAccount());
+}
+
+/**
+ * Create an invoice from the user's input, with a fresh address
+ */
+export async function guiCreateInvoice() {
+    if (!(await canUseInvoices())) return;
+
+    const strLabel = document.getElementById('invoiceLabelInput').value.trim();
+    if (!strLabel) return createAlert('warning', ALERTS.INVOICE_NO_LABEL, 2500);
+    const strMessage = document
+        .getElementById('invoiceMessageInput')
+        .value.trim();
+    if (
+        strLabel.length > MAX_INVOICE_TEXT ||
+        strMessage.length > MAX_INVOICE_TEXT
+    )
+        return createAlert(
+            'warning',
+            tr(ALERTS.INVOICE_TOO_LONG, [{ max: MAX_INVOICE_TEXT }]),
+            2500
+        );
+
+    // The amount may be given in coins, or priced in fiat and converted at the current price
+    const strAmount = document.getElementById('invoiceAmountInput').value;
+    const nFiat = Number(document.getElementById('invoiceFiatInput').value);
+    let nSats = Math.round(Number(strAmount) * COIN);
+    if (!strAmount && nFiat > 0) {
+        const nPrice = await cMarket.getPrice(strCurrency);
+        if (!nPrice)
+            return createAlert('warning', ALERTS.INVOICE_NO_PRICE, 3500);
+        nSats = Math.round((nFiat / nPrice) * COIN);
+    }
+    if (!Number.isSafeInteger(nSats) || nSats <= 0)
+        return createAlert('warning', ALERTS.INVALID_AMOUNT, 2500);
+
+    // An optional expiry date
+    const strExpiry = document
+        .getElementById('invoiceExpiryInput')
+        .value.trim();
+    let nExpiry = 0;
+    if (strExpiry) {
+        nExpiry = Math.floor(Date.parse(strExpiry) / 1000);
+        if (!Number.isSafeInteger(nExpiry) || nExpiry <= Date.now() / 1000)
+            return createAlert('warning', ALERTS.INVOICE_BAD_EXPIRY, 3500);
+    }
+
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+
+    // Past the gap limit, fresh addresses are re-used: so refuse to share one between invoices
+    const [strAddress, strPath] = await wallet.getNewAddress();
+    if (cAccount.invoices.some((i) => i.address === strAddress))
+        return createAlert('warning', ALERTS.INVOICE_NO_ADDRESS, 5000);
+
+    const cInvoice = new Invoice({
+        label: strLabel,
+        message: strMessage,
+        sats: nSats,
+        fiat: nFiat > 0 ? nFiat : 0,
+        currency: nFiat > 0 ? strCurrency : '',
+        address: strAddress,
+        path: strPath,
+        created: Math.floor(Date.now() / 1000),
+        expiry: nExpiry,
+    });
+    cAccount.invoices.push(cInvoice);
+    await cDB.updateAccount(cAccount);
+
+    // Move the Receive address on, so the invoice's address is only given to it's payer
+    await getNewAddress({ updateGUI: true });
+
+    renderInvoices(cAccount);
+    await guiShowInvoice(cAccount.invoices.length - 1);
+}
+
+/**
+ * Show the BIP21 Payment Request of an invoice, and it's QR code
+ * @param {number} nIndex - The index of the invoice
+ */
+export async function guiShowInvoice(nIndex) {
+    const cDB = await Database.getInstance();
+    const cInvoice = (await cDB.getAccount()).invoices[nIndex];
+    if (!cInvoice) return;
+
+    const strRequest = getInvoiceRequest(cInvoice);
+    const pPopup = confirmPopup({
+        title: sanitizeHTML(cInvoice.label),
+        html: `<div id="invoiceQR"></div>
+               <p style="margin-top: 10px;">${tr(translation.invoiceCreated, [
+                   { date: new Date(cInvoice.created * 1000).toLocaleString() },
+               ])}${
+            cInvoice.expiry
+                ? '<br>' +
+                  tr(translation.invoiceExpires, [
+                      {
+                          date: new Date(
+                              cInvoice.expiry * 1000
+                          ).toLocaleString(),
+                      },
+                  ])
+                : ''
+        }</p>
+               <textarea id="invoiceRequestOutput" rows="3" style="width: 100%;" readonly>${sanitizeHTML(
+                   strRequest
+               )}</textarea>
+               <button class="pivx-button-small" onclick="MPW.toClipboard('invoiceRequestOutput', this)">${
+                   translation.multisigCopy
+               }</button>`,
+        hideConfirm: true,
+    });
+
+    // The popup's content is rendered immediately, so the QR can be added while it's open
+    const domQR = document.getElementById('invoiceQR');
+    createQR(strRequest, domQR, 0);
+    domQR.firstChild.style.width = '100%';
+    domQR.firstChild.style.height = 'auto';
+    domQR.firstChild.classList.add('no-antialias');
+    await pPopup;
+}
+
+/**
+ * Export the active account's invoices, and their payments, as a CSV file
+ */
+export async function guiExportInvoices() {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const strTicker = cChainParams.current.TICKER;
+
+    const arrCSV = [
+        // Titles
+        [
+            'Label',
+            'Message',
+            'Address',
+            `Amount (${strTicker})`,
+            'Fiat Value',
+            'Currency',
+            `Received (${strTicker})`,
+            'Status',
+            'Created',
+            'Expiry',
+            'Payments',
+        ],
+    ];
+    for (const cInvoice of cAccount.invoices) {
+        if (!isActiveAccountPath(cInvoice.path)) continue;
+        arrCSV.push([
+            cInvoice.label,
+            cInvoice.message,
+            cInvoice.address,
+            cInvoice.sats / COIN,
+            cInvoice.fiat || '',
+            cInvoice.currency.toUpperCase(),
+            getInvoiceReceived(cInvoice) / COIN,
+            getInvoiceStatus(cInvoice),
+            new Date(cInvoice.created * 1000).toISOString(),
+            cInvoice.expiry
+                ? new Date(cInvoice.expiry * 1000).toISOString()
+                : '',
+            cInvoice.payments.map((p) => `${p.txid}:${p.vout}`).join(' '),
+        ]);
+    }
+
+    downloadBlob(arrayToCSV(arrCSV), 'invoices.csv', 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Remove an invoice from the Account (payments to it's address still reach the wallet)
+ * @param {number} nIndex - The index of the invoice
+ */
+export async function guiRemoveInvoice(nIndex) {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const cInvoice = cAccount.invoices[nIndex];
+    if (!cInvoice) return;
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.invoiceRemoveTitle, [
+            { strName: sanitizeHTML(cInvoice.label) },
+        ]),
+        html: translation.invoiceRemoveNote,
+    });
+    if (!fConfirmed) return;
+
+    cAccount.invoices.splice(nIndex, 1);
+    await cDB.updateAccount(cAccount, true);
+    renderInvoices(cAccount);
+}
+
+/**
+ * Record the payments of our invoices, from the UTXOs (including unconfirmed ones) found by each wallet sync
+ * @param {Array<import('./network.js').BlockbookUTXO>} arrUTXOs - The wallet's UTXOs
+ */
+async function recordInvoicePayments(arrUTXOs) {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    if (!cAccount?.invoices.length) return;
+
+    // Payments are kept once seen, so invoices stay paid after their coins are spent
+    const arrPaid = [];
+    for (const cUTXO of arrUTXOs) {
+        const cInvoice = cAccount.invoices.find(
+            (i) => i.address === cUTXO.address
+        );
+        if (
+            !cInvoice ||
+            cInvoice.payments.some(
+                (p) => p.txid === cUTXO.txid && p.vout === cUTXO.vout
+            )
+        )
+            continue;
+        cInvoice.payments.push({
+            txid: cUTXO.txid,
+            vout: cUTXO.vout,
+            sats: parseInt(cUTXO.value),
+        });
+        if (!arrPaid.includes(cInvoice)) arrPaid.push(cInvoice);
+    }
+    if (!arrPaid.length) return;
+
+    await cDB.updateAccount(cAccount);
+    for (const cInvoice of arrPaid) {
+        createAlert(
+            'success',
+            tr(ALERTS.INVOICE_PAYMENT, [
+                { strName: sanitizeHTML(cInvoice.label) },
+                { status: getInvoiceStatusText(cInvoice) },
+            ]),
+            5000
+        );
+    }
+    renderInvoices(cAccount);
+}
+
+/**
+ * Watch the wallet's syncs for payments to our invoices
+ */
+export function subscribeToInvoicePayments() {
+    getEventEmitter().on('utxo', recordInvoicePayments);
+}
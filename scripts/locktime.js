@@ -0,0 +1,74 @@
+import { BLOCK_TIME, LOCKTIME_THRESHOLD } from './chain_params.js';
+import { tr, translation } from './i18n.js';
+import { getNetwork } from './network.js';
+
+/** The highest lock time a transaction can hold (a 32-bit unsigned integer) */
+const MAX_LOCKTIME = 0xffffffff;
+
+/**
+ * How long we wait after a timestamp lock time, in seconds: the network checks it against the chain's
+ * ... median time past (the median of the last 11 blocks), which trails the clock, and our clock may drift too
+ */
+const MEDIAN_TIME_MARGIN = 11 * BLOCK_TIME;
+
+/**
+ * Check if a lock time has passed, so a transaction using it may be mined
+ * @param {number} nLocktime - A block height, or unix timestamp (in seconds)
+ * @returns {boolean}
+ */
+export function isLocktimeFinal(nLocktime) {
+    // A lock time is final once the next block is past it
+    if (nLocktime < LOCKTIME_THRESHOLD)
+        return getNetwork().cachedBlockCount >= nLocktime;
+    // ... or for timestamps, once the chain's median time is past it
+    return Date.now() / 1000 - MEDIAN_TIME_MARGIN > nLocktime;
+}
+
+/**
+ * Get the (estimated, for block heights) unix timestamp at which a lock time becomes final
+ * @param {number} nLocktime - A block height, or unix timestamp (in seconds)
+ * @returns {number} The timestamp, in seconds
+ */
+export function getLocktimeTimestamp(nLocktime) {
+    if (nLocktime >= LOCKTIME_THRESHOLD) return nLocktime + MEDIAN_TIME_MARGIN;
+    return (
+        Date.now() / 1000 +
+        (nLocktime - getNetwork().cachedBlockCount) * BLOCK_TIME
+    );
+}
+
+/**
+ * Describe a lock time for the user
+ * @param {number} nLocktime - A block height, or unix timestamp (in seconds)
+ * @returns {string}
+ */
+export function getLocktimeText(nLocktime) {
+    if (nLocktime < LOCKTIME_THRESHOLD)
+        return tr(translation.locktimeBlock, [{ height: nLocktime }]);
+    return new Date(nLocktime * 1000).toLocaleString();
+}
+
+/**
+ * Parse a user-entered lock time: either a block height, or a date
+ * @param {string} strLocktime - The block height or date
+ * @returns {number?} The lock time, or null if it's invalid or not in the future
+ */
+export function parseLocktime(strLocktime) {
+    if (/^\d+$/.test(strLocktime)) {
+        const nHeight = Number(strLocktime);
+        if (
+            nHeight <= getNetwork().cachedBlockCount ||
+            nHeight >= LOCKTIME_THRESHOLD
+        )
+            return null;
+        return nHeight;
+    }
+    const nTimestamp = Math.floor(Date.parse(strLocktime) / 1000);
+    if (
+        !Number.isSafeInteger(nTimestamp) ||
+        nTimestamp <= Date.now() / 1000 ||
+        nTimestamp > MAX_LOCKTIME
+    )
+        return null;
+    return nTimestamp;
+}
@@ -90,6 +90,17 @@ export class UTXO {
             this.status === cUTXO.status
         );
     }
+
+    /**
+     * Get the amount of confirmations this UTXO has
+     * @returns {Number} The confirmations (0 if pending)
+     */
+    getConfirmations() {
+        if (this.status === Mempool.PENDING) return 0;
+        // Locally created UTXOs (i.e: change) don't know their height, but are at least confirmed
+        if (!this.height) return 1;
+        return Math.max(getNetwork().cachedBlockCount - this.height + 1, 1);
+    }
 }
 
 /** A Mempool instance, stores and handles UTXO data for the wallet */
@@ -112,6 +123,13 @@ export class Mempool {
     /** The PENDING state (standard UTXO is in mempool, pending confirmation) */
     static PENDING = 2;
 
+    /**
+     * Wipe all known UTXOs, i.e: when switching to another account
+     */
+    reset() {
+        this.UTXOs = [];
+    }
+
     /**
      * Fetch a UTXO by ID and Index
      * @param {string} id - Transaction ID of the UTXO
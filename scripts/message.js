@@ -0,0 +1,184 @@
+import * as nobleSecp256k1 from '@noble/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { ripemd160 } from '@noble/hashes/ripemd160';
+import { Buffer } from 'buffer';
+import bitjs from './bitTrx.js';
+import { cChainParams } from './chain_params.js';
+import { encodeAddressHash, parseWIF } from './encoding.js';
+import { doms, restoreWallet } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { cHardwareWallet } from './ledger.js';
+import { createAlert, isStandardAddress, sanitizeHTML } from './misc.js';
+import { dSHA256 } from './utils.js';
+import { wallet } from './wallet.js';
+
+/** The magic string prefixed to every signed message, as used by PIVX Core's `signmessage` */
+export const MESSAGE_MAGIC = 'DarkNet Signed Message:\n';
+
+/**
+ * The Compact Signature header base, to which the recovery ID is added
+ * (+4 if the key is compressed)
+ */
+const COMPACT_SIG_HEADER = 27;
+
+/**
+ * Compute the hash of a message, as signed by PIVX Core
+ * @param {string} strMessage - The plaintext message
+ * @returns {Uint8Array} - The double SHA-256 of the magic-prefixed message
+ */
+export function getMessageHash(strMessage) {
+    const cEncoder = new TextEncoder();
+    const arrMagic = cEncoder.encode(MESSAGE_MAGIC);
+    const arrMessage = cEncoder.encode(strMessage);
+    return dSHA256([
+        ...bitjs.numToVarInt(arrMagic.length),
+        ...arrMagic,
+        ...bitjs.numToVarInt(arrMessage.length),
+        ...arrMessage,
+    ]);
+}
+
+/**
+ * Sign a message with a private key, producing a PIVX Core-compatible Compact Signature
+ * @param {string} strWIF - The WIF-encoded private key to sign with
+ * @param {string} strMessage - The plaintext message
+ * @returns {Promise<string>} - The Base64-encoded Compact Signature
+ */
+export async function signMessage(strWIF, strMessage) {
+    // Generate low-s deterministic ECDSA signature as per RFC6979
+    const [arrSig, nRecovery] = await nobleSecp256k1.sign(
+        getMessageHash(strMessage),
+        parseWIF(strWIF, true),
+        { der: false, canonical: true, recovered: true }
+    );
+    // MPW keys are always compressed
+    return Buffer.from([
+        COMPACT_SIG_HEADER + 4 + nRecovery,
+        ...arrSig,
+    ]).toString('base64');
+}
+
+/**
+ * Verify that a message was signed by the owner of an address
+ * @param {string} strAddress - The address which supposedly signed the message
+ * @param {string} strSignature - The Base64-encoded Compact Signature
+ * @param {string} strMessage - The plaintext message
+ * @returns {boolean} - `true` if the signature is valid for the address and message
+ */
+export function verifyMessage(strAddress, strSignature, strMessage) {
+    const arrSig = Buffer.from(strSignature.trim(), 'base64');
+    if (arrSig.length !== 65) return false;
+
+    // The header encodes both the recovery ID, and whether the signing key was compressed
+    const nHeader = arrSig[0] - COMPACT_SIG_HEADER;
+    if (nHeader < 0 || nHeader > 7) return false;
+    const nRecovery = nHeader & 3;
+    const fCompressed = (nHeader & 4) !== 0;
+
+    try {
+        const arrPubkey = nobleSecp256k1.recoverPublicKey(
+            getMessageHash(strMessage),
+            nobleSecp256k1.Signature.fromCompact(arrSig.subarray(1)),
+            nRecovery,
+            fCompressed
+        );
+        return (
+            encodeAddressHash(
+                ripemd160(sha256(arrPubkey)),
+                cChainParams.current.PUBKEY_ADDRESS
+            ) === strAddress
+        );
+    } catch (e) {
+        // Malformed signatures may not recover to a valid point
+        return false;
+    }
+}
+
+/**
+ * Prepare the Sign/Verify Message UI, pre-filling the current receiving address
+ */
+export async function guiRenderSignMessage() {
+    doms.domSignMessageAddress.value = wallet.isLoaded()
+        ? await wallet.getCurrentAddress()
+        : '';
+    doms.domSignMessageText.value = '';
+    doms.domSignMessageSignature.value = '';
+}
+
+/**
+ * Sign the message in the UI with the given wallet address
+ */
+export async function guiSignMessage() {
+    const strAddress = doms.domSignMessageAddress.value.trim();
+    const strMessage = doms.domSignMessageText.value;
+
+    // Only our own addresses can be signed with
+    const strPath = wallet.isLoaded()
+        ? await wallet.isOwnAddress(strAddress)
+        : null;
+    if (!strPath) {
+        return createAlert(
+            'warning',
+            tr(ALERTS.MESSAGE_NOT_OWN_ADDRESS, [
+                { address: sanitizeHTML(strAddress) },
+            ]),
+            3000
+        );
+    }
+
+    // Hardware wallets sign on-device, with the same message format
+    if (wallet.isHardwareWallet()) {
+        try {
+            const { r, s, v } = await cHardwareWallet.signMessage(
+                strPath,
+                Buffer.from(strMessage).toString('hex')
+            );
+            doms.domSignMessageSignature.value = Buffer.from([
+                COMPACT_SIG_HEADER + 4 + v,
+                ...Buffer.from(r, 'hex'),
+                ...Buffer.from(s, 'hex'),
+            ]).toString('base64');
+        } catch (e) {
+            console.error(e);
+        }
+        return;
+    }
+
+    // Ensure the wallet is unlocked
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockSignMessage))
+    )
+        return;
+
+    const strWIF = await wallet.getMasterKey().getPrivateKey(strPath);
+    doms.domSignMessageSignature.value = await signMessage(strWIF, strMessage);
+    createAlert('success', ALERTS.MESSAGE_SIGNED, 2500);
+}
+
+/**
+ * Verify the signature in the UI against it's address and message
+ */
+export function guiVerifyMessage() {
+    const strAddress = doms.domSignMessageAddress.value.trim();
+    if (!isStandardAddress(strAddress)) {
+        return createAlert(
+            'warning',
+            tr(ALERTS.INVALID_ADDRESS, [{ address: sanitizeHTML(strAddress) }]),
+            2500
+        );
+    }
+
+    const fValid = verifyMessage(
+        strAddress,
+        doms.domSignMessageSignature.value,
+        doms.domSignMessageText.value
+    );
+    createAlert(
+        fValid ? 'success' : 'warning',
+        tr(fValid ? ALERTS.MESSAGE_VALID : ALERTS.MESSAGE_INVALID, [
+            { address: sanitizeHTML(strAddress) },
+        ]),
+        3000
+    );
+}
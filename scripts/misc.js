@@ -289,6 +289,18 @@ export function isStandardAddress(strAddress) {
     );
 }
 
+/**
+ * A quick check to see if an address is a Pay-to-Script-Hash address (i.e: Multisig)
+ * @param {string} strAddress - The address to check
+ * @returns {boolean} - `true` if a P2SH address, `false` if not
+ */
+export function isScriptAddress(strAddress) {
+    return (
+        strAddress.length === 34 &&
+        cChainParams.current.SCRIPT_PREFIX.includes(strAddress[0])
+    );
+}
+
 /**
  * A quick check to see if a string is an XPub key
  * @param {string} strXPub - The XPub to check
@@ -345,6 +357,23 @@ export function parseBIP21Request(strReq) {
     return { address: strAddress, options: cOptions };
 }
 
+/**
+ * Create a BIP21 Payment Request, the inverse of {@link parseBIP21Request}
+ * @param {string} strAddress - The address to be paid
+ * @param {Object<string, string|number>} [cOptions] - The request options, i.e: `amount`, `label` and `message`. Empty options are skipped
+ * @returns {string} - The BIP21 URI
+ */
+export function createBIP21Request(strAddress, cOptions = {}) {
+    const strOptions = Object.entries(cOptions)
+        .filter(([, value]) => value !== '' && value !== undefined)
+        .map(
+            ([key, value]) =>
+                encodeURIComponent(key) + '=' + encodeURIComponent(value)
+        )
+        .join('&');
+    return `${BIP21_PREFIX}:${strAddress}${strOptions ? '?' + strOptions : ''}`;
+}
+
 /**
  * @typedef {object} Bech32Check
  * @property {boolean} valid - If the string is a valid bech32 address
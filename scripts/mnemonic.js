@@ -0,0 +1,311 @@
+import { mnemonicToSeed, validateMnemonic, wordlists } from 'bip39';
+import { doms } from './global.js';
+import { HdMasterKey } from './masterkey.js';
+import { getNetwork } from './network.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { confirmPopup, sanitizeHTML, sleep } from './misc.js';
+import { tr, translation } from './i18n.js';
+import { isSlip39Word } from './slip39.js';
+
+/** The BIP39 wordlist used by MPW Seed Phrases */
+const arrWordlist = wordlists.english;
+
+/** A Set of the BIP39 wordlist, for fast lookups */
+const setWordlist = new Set(arrWordlist);
+
+/** The maximum amount of corrected Seed Phrases to offer the user */
+const MAX_SEED_CANDIDATES = 8;
+
+/**
+ * Check if a word is part of the BIP39 wordlist
+ * @param {string} strWord
+ * @returns {boolean}
+ */
+export function isSeedWord(strWord) {
+    return setWordlist.has(strWord);
+}
+
+/**
+ * Compute the edit (Levenshtein) distance between two words
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - The amount of insertions, deletions or substitutions to turn `a` into `b`
+ */
+export function getEditDistance(a, b) {
+    // A single row of the distance matrix is enough, as we only ever look at the previous row
+    let arrPrev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const arrRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            arrRow[j] = Math.min(
+                arrPrev[j] + 1,
+                arrRow[j - 1] + 1,
+                arrPrev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        arrPrev = arrRow;
+    }
+    return arrPrev[b.length];
+}
+
+/**
+ * Get the BIP39 words that begin with a prefix
+ * @param {string} strPrefix - The partially typed word
+ * @param {number} nMax - The maximum amount of words to return
+ * @returns {Array<string>}
+ */
+export function getWordCompletions(strPrefix, nMax = 5) {
+    if (!strPrefix) return [];
+    return arrWordlist.filter((w) => w.startsWith(strPrefix)).slice(0, nMax);
+}
+
+/**
+ * Get the nearest BIP39 words to a (likely mistyped) word, by edit distance
+ * @param {string} strWord - The mistyped word
+ * @param {number} nMax - The maximum amount of words to return
+ * @returns {Array<string>}
+ */
+export function getWordSuggestions(strWord, nMax = 3) {
+    return arrWordlist
+        .map((w) => [w, getEditDistance(strWord, w)])
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, nMax)
+        .map(([w]) => w);
+}
+
+/**
+ * Get the words of a Seed Phrase which are not in the BIP39 wordlist
+ * @param {string} strPhrase - A cleaned Seed Phrase
+ * @returns {Array<string>}
+ */
+export function getUnknownWords(strPhrase) {
+    return strPhrase.split(' ').filter((w) => !isSeedWord(w));
+}
+
+/**
+ * @typedef {Object} SeedCandidate
+ * @property {string} phrase - The corrected Seed Phrase, with a valid checksum
+ * @property {number} cost - How far the candidate is from the input, lower is more likely
+ * @property {Array<number>} changed - The indexes of the words which were changed
+ */
+
+/**
+ * Search for valid Seed Phrases that are a single typo away from an invalid one.
+ *
+ * If a word isn't in the wordlist, only that word is substituted, otherwise, every word is substituted
+ * with it's near-misses (by edit distance), and every pair of words is swapped.
+ * @param {string} strPhrase - A cleaned, invalid Seed Phrase
+ * @returns {Promise<Array<SeedCandidate>>} - The most likely candidates, sorted by cost
+ */
+export async function findSeedCandidates(strPhrase) {
+    const arrWords = strPhrase.split(' ');
+    if (arrWords.length !== 12 && arrWords.length !== 24) return [];
+
+    // More than one unknown word can't be fixed with a single correction
+    const arrUnknown = arrWords
+        .map((w, i) => (isSeedWord(w) ? -1 : i))
+        .filter((i) => i >= 0);
+    if (arrUnknown.length > 1) return [];
+
+    /** @type {Map<string, SeedCandidate>} */
+    const mapCandidates = new Map();
+    const tryCandidate = (arrTest, nCost, arrChanged) => {
+        const strTest = arrTest.join(' ');
+        if (mapCandidates.has(strTest) || !validateMnemonic(strTest)) return;
+        mapCandidates.set(strTest, {
+            phrase: strTest,
+            cost: nCost,
+            changed: arrChanged,
+        });
+    };
+
+    // Substitutions
+    const arrPositions = arrUnknown.length ? arrUnknown : arrWords.keys();
+    for (const i of arrPositions) {
+        for (const strWord of arrWordlist) {
+            const nCost = getEditDistance(arrWords[i], strWord);
+            // Any word has a ~1/16 chance of passing the checksum, so when every word is valid, we only try near-misses
+            if (nCost === 0 || (!arrUnknown.length && nCost > 2)) continue;
+            const arrTest = [...arrWords];
+            arrTest[i] = strWord;
+            tryCandidate(arrTest, nCost, [i]);
+        }
+        // Give the UI a breather between positions
+        await sleep(0);
+    }
+
+    // Swaps (adjacent swaps are the most common, so they're cheaper)
+    if (!arrUnknown.length) {
+        for (let i = 0; i < arrWords.length; i++) {
+            for (let j = i + 1; j < arrWords.length; j++) {
+                if (arrWords[i] === arrWords[j]) continue;
+                const arrTest = [...arrWords];
+                [arrTest[i], arrTest[j]] = [arrTest[j], arrTest[i]];
+                tryCandidate(arrTest, j === i + 1 ? 1 : 2, [i, j]);
+            }
+        }
+    }
+
+    return [...mapCandidates.values()]
+        .sort((a, b) => a.cost - b.cost)
+        .slice(0, MAX_SEED_CANDIDATES);
+}
+
+/**
+ * Fetch the on-chain activity of a Seed Phrase's first account
+ * @param {string} strPhrase - A valid Seed Phrase
+ * @param {string} strPassphrase - The optional BIP39 Passphrase
+ * @returns {Promise<import('./network.js').XPUBInfo>}
+ */
+async function getSeedActivity(strPhrase, strPassphrase) {
+    const seed = await mnemonicToSeed(strPhrase, strPassphrase);
+    const cMasterKey = new HdMasterKey({ seed });
+    return await getNetwork().getXPubInfo(cMasterKey.getKeyToExport(0));
+}
+
+/**
+ * Prompt the user to pick a corrected version of their invalid Seed Phrase, displaying which candidates hold funds
+ * @param {string} strPhrase - A cleaned, invalid Seed Phrase
+ * @param {string} strPassphrase - The optional BIP39 Passphrase
+ * @returns {Promise<string>} - The chosen Seed Phrase, or an empty string if there are no candidates or the user declined
+ */
+export async function guiRepairSeedPhrase(strPhrase, strPassphrase = '') {
+    const arrCandidates = await findSeedCandidates(strPhrase);
+    if (!arrCandidates.length) return '';
+
+    // Render the candidates, highlighting the corrected words
+    let strHTML = `<p>${translation.seedRepairNote}</p>`;
+    arrCandidates.forEach((cCandidate, i) => {
+        const strWords = cCandidate.phrase
+            .split(' ')
+            .map((w, n) => (cCandidate.changed.includes(n) ? `<b>${w}</b>` : w))
+            .join(' ');
+        strHTML += `
+            <label style="display: block; text-align: left; margin-bottom: 10px; cursor: pointer;">
+                <input type="radio" name="seedCandidate" value="${i}" ${
+            i === 0 ? 'checked' : ''
+        }>
+                <span class="mono" style="word-wrap: anywhere;">${strWords}</span><br>
+                <small id="seedCandidateFunds${i}" style="opacity: 0.75;">${
+            getNetwork().enabled ? translation.seedRepairChecking : ''
+        }</small>
+            </label>
+        `;
+    });
+
+    // Check which candidates hold funds, in the background, while the user decides
+    if (getNetwork().enabled) {
+        (async () => {
+            for (const [i, cCandidate] of arrCandidates.entries()) {
+                let strStatus = translation.seedRepairUnused;
+                try {
+                    const cInfo = await getSeedActivity(
+                        cCandidate.phrase,
+                        strPassphrase
+                    );
+                    if (cInfo.txs > 0) {
+                        strStatus = tr(translation.seedRepairFunds, [
+                            { balance: parseInt(cInfo.balance) / COIN },
+                            { ticker: cChainParams.current.TICKER },
+                            { txs: cInfo.txs },
+                        ]);
+                    }
+                } catch (e) {
+                    console.error(e);
+                    strStatus = '';
+                }
+                const domStatus = document.getElementById(
+                    `seedCandidateFunds${i}`
+                );
+                if (domStatus) domStatus.innerHTML = strStatus;
+            }
+        })();
+    }
+
+    const fConfirmed = await confirmPopup({
+        title: translation.seedRepairTitle,
+        html: strHTML,
+    });
+    if (!fConfirmed) return '';
+
+    const domChosen = document.querySelector(
+        'input[name="seedCandidate"]:checked'
+    );
+    return domChosen ? arrCandidates[parseInt(domChosen.value)].phrase : '';
+}
+
+/**
+ * Render word completions and typo suggestions for the Seed Phrase being typed in the import input
+ */
+export function guiRenderSeedSuggestions() {
+    const strInput = doms.domPrivKey.value.toLowerCase();
+    const arrWords = strInput.trim().split(/\s+/);
+
+    // Only assist with Seed Phrases (i.e: not keys), which are visible once they contain spaces
+    if (!strInput.trim().includes(' ')) {
+        doms.domImportSeedSuggestions.innerHTML = '';
+        return;
+    }
+
+    // The last word is still being typed, unless the input ends with a space
+    const fTyping = !/\s$/.test(strInput);
+    const strTyping = fTyping ? arrWords[arrWords.length - 1] : '';
+    const arrTyped = fTyping ? arrWords.slice(0, -1) : arrWords;
+
+    // SLIP-39 Shamir Shares use their own wordlist, so don't mistake their words for typos
+    if (
+        arrTyped.length &&
+        arrTyped.every(isSlip39Word) &&
+        !arrTyped.every(isSeedWord)
+    ) {
+        doms.domImportSeedSuggestions.innerHTML = '';
+        return;
+    }
+
+    let strHTML = '';
+
+    // Flag any finished words which aren't in the wordlist, with their nearest valid words
+    arrTyped.forEach((strWord, i) => {
+        if (isSeedWord(strWord)) return;
+        const strButtons = getWordSuggestions(strWord)
+            .map(
+                (w) =>
+                    `<span class="seedWordBtn" onclick="MPW.guiApplySeedWord(${i}, '${w}')">${w}</span>`
+            )
+            .join('');
+        strHTML += `<div>${tr(translation.seedUnknownWord, [
+            { word: sanitizeHTML(strWord) },
+        ])} ${strButtons}</div>`;
+    });
+
+    // Autocomplete the word being typed
+    const arrCompletions = getWordCompletions(strTyping).filter(
+        (w) => w !== strTyping
+    );
+    if (arrCompletions.length) {
+        strHTML += `<div>${arrCompletions
+            .map(
+                (w) =>
+                    `<span class="seedWordBtn" onclick="MPW.guiApplySeedWord(${arrTyped.length}, '${w}')">${w}</span>`
+            )
+            .join('')}</div>`;
+    }
+
+    doms.domImportSeedSuggestions.innerHTML = strHTML;
+}
+
+/**
+ * Replace (or complete) a word in the Seed Phrase import input
+ * @param {number} nIndex - The index of the word to replace
+ * @param {string} strWord - The BIP39 word to insert
+ */
+export function guiApplySeedWord(nIndex, strWord) {
+    const arrWords = doms.domPrivKey.value.trim().split(/\s+/);
+    arrWords[nIndex] = strWord;
+
+    // Completing the last word should let the user continue with the next one
+    const fLast = nIndex === arrWords.length - 1;
+    doms.domPrivKey.value = arrWords.join(' ') + (fLast ? ' ' : '');
+    doms.domPrivKey.focus();
+    guiRenderSeedSuggestions();
+}
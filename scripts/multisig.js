@@ -0,0 +1,722 @@
+import HDKey from 'hdkey';
+import * as nobleSecp256k1 from '@noble/secp256k1';
+import { Buffer } from 'buffer';
+import bitjs from './bitTrx.js';
+import { OP, pushData } from './script.js';
+import { Database } from './database.js';
+import { doms, restoreWallet } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import {
+    confirmPopup,
+    createAlert,
+    getSafeRand,
+    isScriptAddress,
+    isStandardAddress,
+    isXPub,
+    sanitizeHTML,
+} from './misc.js';
+import { deriveScriptAddress } from './encoding.js';
+import { getNetwork } from './network.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+import { wallet, hasEncryptedWallet } from './wallet.js';
+
+/** The maximum amount of cosigners, limited by the size of a P2SH redeem script (520 bytes) */
+export const MAX_COSIGNERS = 15;
+
+/** The smallest change output we'll create, any less is given to the fee instead */
+const MIN_CHANGE_SATS = 10000;
+
+/** The dedicated chain of Multisig keys (after receiving and change), so they're never reused as regular addresses */
+const MULTISIG_CHAIN = 2;
+
+/** The highest non-hardened derivation index */
+const MAX_MULTISIG_INDEX = 0x7fffffff;
+
+/**
+ * An M-of-N P2SH Multisig wallet, with keys derived from each cosigner's account xpub at `2/<index>`
+ */
+export class MultisigWallet {
+    /**
+     * Create a Multisig wallet.
+     * @param {Object} options
+     * @param {string} options.name - The user-chosen name of the wallet
+     * @param {number} options.required - The amount of signatures (M) needed to spend
+     * @param {Array<string>} options.xpubs - The account xpubs of every cosigner (N), including ours
+     * @param {number} [options.index] - The index of every cosigner's key on the Multisig chain
+     */
+    constructor({ name, required, xpubs, index }) {
+        this.name = name;
+        this.required = required;
+        this.xpubs = xpubs;
+        this.index = index;
+    }
+
+    /** The user-chosen name of the wallet
+     * @type {string}
+     */
+    name;
+
+    /** The amount of signatures (M) needed to spend
+     * @type {number}
+     */
+    required;
+
+    /** The account xpubs of every cosigner (N), including ours
+     * @type {Array<string>}
+     */
+    xpubs;
+
+    /** The index of every cosigner's key on the Multisig chain, shared between cosigners as the "Multisig ID".
+     * Unset for wallets created before the Multisig chain, which are keyed at `0/0`
+     * @type {number?}
+     */
+    index;
+}
+
+/**
+ * A Multisig spend being passed between cosigners, collecting signatures until it can be broadcasted
+ * @typedef {Object} MultisigSpend
+ * @property {MultisigWallet} multisig - The wallet being spent from
+ * @property {Array<{txid: string, vout: number, sats: number}>} inputs - The UTXOs being spent
+ * @property {Array<{address: string, sats: number}>} outputs - The receivers (and change)
+ * @property {Array<Object<string, string>>} signatures - Per input: a map of cosigner pubkeys to their signatures
+ */
+
+/**
+ * Get the chain and index of a Multisig wallet's keys, relative to each cosigner's account
+ * @param {MultisigWallet} cMultisig
+ * @returns {[number, number]}
+ */
+function getMultisigKeyPath(cMultisig) {
+    return cMultisig.index === undefined
+        ? [0, 0]
+        : [MULTISIG_CHAIN, cMultisig.index];
+}
+
+/**
+ * Derive the Multisig key of a cosigner from their account xpub
+ * @param {string} strXPub - The cosigner's account xpub
+ * @param {MultisigWallet} cMultisig - The Multisig wallet the key is for
+ * @returns {string} The compressed public key (hex)
+ */
+function getCosignerPubkey(strXPub, cMultisig) {
+    const [nChain, nIndex] = getMultisigKeyPath(cMultisig);
+    return bytesToHex(
+        HDKey.fromExtendedKey(strXPub).derive(`m/${nChain}/${nIndex}`).publicKey
+    );
+}
+
+/**
+ * Get the public keys of a Multisig wallet, sorted lexicographically (BIP67) so every cosigner derives the same script
+ * @param {MultisigWallet} cMultisig
+ * @returns {Array<string>} The compressed public keys (hex)
+ */
+export function getMultisigPubkeys(cMultisig) {
+    return cMultisig.xpubs
+        .map((strXPub) => getCosignerPubkey(strXPub, cMultisig))
+        .sort();
+}
+
+/**
+ * Generate a random Multisig ID, for the keys of a new Multisig wallet
+ * @returns {number}
+ */
+function getRandomMultisigIndex() {
+    return (
+        new DataView(getSafeRand(4).buffer).getUint32(0) & MAX_MULTISIG_INDEX
+    );
+}
+
+/**
+ * Check that a Multisig wallet (e.g: from a cosigner, or a backup) is well-formed
+ * @param {MultisigWallet} cMultisig
+ * @returns {boolean}
+ */
+export function isValidMultisig(cMultisig) {
+    return (
+        typeof cMultisig?.name === 'string' &&
+        Array.isArray(cMultisig.xpubs) &&
+        cMultisig.xpubs.length >= 2 &&
+        cMultisig.xpubs.length <= MAX_COSIGNERS &&
+        cMultisig.xpubs.every((x) => typeof x === 'string' && isXPub(x)) &&
+        new Set(cMultisig.xpubs).size === cMultisig.xpubs.length &&
+        Number.isSafeInteger(cMultisig.required) &&
+        cMultisig.required >= 1 &&
+        cMultisig.required <= cMultisig.xpubs.length &&
+        (cMultisig.index === undefined ||
+            (Number.isSafeInteger(cMultisig.index) &&
+                cMultisig.index >= 0 &&
+                cMultisig.index <= MAX_MULTISIG_INDEX))
+    );
+}
+
+/**
+ * Construct the redeem script of a Multisig wallet: `OP_M <pubkeys...> OP_N OP_CHECKMULTISIG`
+ * @param {MultisigWallet} cMultisig
+ * @returns {Array<number>} The redeem script bytes
+ */
+export function getMultisigRedeemScript(cMultisig) {
+    const arrPubkeys = getMultisigPubkeys(cMultisig);
+    let bScript = [OP[cMultisig.required]];
+    for (const strPubkey of arrPubkeys) {
+        const bPubkey = hexToBytes(strPubkey);
+        bScript = [...bScript, bPubkey.length, ...bPubkey];
+    }
+    bScript.push(OP[arrPubkeys.length]);
+    bScript.push(OP['CHECKMULTISIG']);
+    return bScript;
+}
+
+/**
+ * Get the P2SH address of a Multisig wallet
+ * @param {MultisigWallet} cMultisig
+ * @returns {string}
+ */
+export function getMultisigAddress(cMultisig) {
+    return deriveScriptAddress(getMultisigRedeemScript(cMultisig));
+}
+
+/**
+ * Construct the unsigned transaction of a Multisig spend
+ * @param {MultisigSpend} cSpend
+ * @returns {bitjs.transaction}
+ */
+function buildMultisigTx(cSpend) {
+    const strRedeemScript = bytesToHex(
+        getMultisigRedeemScript(cSpend.multisig)
+    );
+    const cTx = new bitjs.transaction();
+    for (const cInput of cSpend.inputs) {
+        // When signing P2SH inputs, the redeem script takes the place of the output script
+        cTx.addinput({
+            txid: cInput.txid,
+            index: cInput.vout,
+            script: strRedeemScript,
+            path: null,
+        });
+    }
+    for (const cOutput of cSpend.outputs) {
+        cTx.addoutput(cOutput.address, cOutput.sats / COIN);
+    }
+    return cTx;
+}
+
+/**
+ * Get the cosigners whose signatures are valid for every input of a Multisig spend
+ * @param {MultisigSpend} cSpend
+ * @returns {Array<string>} The compressed public keys (hex) of the signers
+ */
+export function getMultisigSigners(cSpend) {
+    const cTx = buildMultisigTx(cSpend);
+    const arrHashes = cSpend.inputs.map((_, i) => cTx.transactionHash(i));
+    return getMultisigPubkeys(cSpend.multisig).filter((strPubkey) =>
+        arrHashes.every((strHash, i) => {
+            const strSig = cSpend.signatures[i]?.[strPubkey];
+            if (!strSig) return false;
+            // Strip the SigHashType byte before verifying
+            return nobleSecp256k1.verify(
+                strSig.slice(0, -2),
+                strHash,
+                strPubkey
+            );
+        })
+    );
+}
+
+/**
+ * Create a new spend from a Multisig wallet, selecting it's UTXOs and returning any change to it
+ * @param {MultisigWallet} cMultisig - The wallet to spend from
+ * @param {string} strAddress - The receiver
+ * @param {number} nSats - The amount to send
+ * @returns {Promise<MultisigSpend>}
+ */
+export async function createMultisigSpend(cMultisig, strAddress, nSats) {
+    const strMultisigAddress = getMultisigAddress(cMultisig);
+    const arrUTXOs = (
+        (await getNetwork().getUTXOs(strMultisigAddress)) || []
+    ).sort((a, b) => parseInt(b.value) - parseInt(a.value));
+
+    // The unsigned inputs already contain the redeem script, so a signed input adds an OP_0, the signatures and a PUSHDATA
+    const nSigInputBytes = 1 + cMultisig.required * 74 + 3;
+
+    /** @type {MultisigSpend} */
+    const cSpend = {
+        multisig: cMultisig,
+        inputs: [],
+        outputs: [
+            { address: strAddress, sats: nSats },
+            { address: strMultisigAddress, sats: 0 },
+        ],
+        signatures: [],
+    };
+    let nValue = 0;
+    let nFee = 0;
+    for (const cUTXO of arrUTXOs) {
+        cSpend.inputs.push({
+            txid: cUTXO.txid,
+            vout: cUTXO.vout,
+            sats: parseInt(cUTXO.value),
+        });
+        cSpend.signatures.push({});
+        nValue += parseInt(cUTXO.value);
+
+        // Fees are computed in the same (hex length) units as regular transactions
+        nFee = getNetwork().getFee(
+            buildMultisigTx(cSpend).serialize().length +
+                cSpend.inputs.length * nSigInputBytes * 2
+        );
+        if (nValue >= nSats + nFee) break;
+    }
+    if (nValue < nSats + nFee) throw new Error(ALERTS.MULTISIG_LOW_BALANCE);
+
+    // Return the change to the Multisig, unless it's too small to be worth it
+    const nChange = nValue - nSats - nFee;
+    if (nChange >= MIN_CHANGE_SATS) cSpend.outputs[1].sats = nChange;
+    else cSpend.outputs.pop();
+    return cSpend;
+}
+
+/**
+ * Sign every input of a Multisig spend with our key
+ * @param {MultisigSpend} cSpend
+ */
+export async function signMultisigSpend(cSpend) {
+    const strPubkey = getCosignerPubkey(
+        await wallet.getKeyToExport(),
+        cSpend.multisig
+    );
+    if (!getMultisigPubkeys(cSpend.multisig).includes(strPubkey))
+        throw new Error(ALERTS.MULTISIG_NOT_COSIGNER);
+
+    const cTx = buildMultisigTx(cSpend);
+    const strWIF = await wallet
+        .getMasterKey()
+        .getPrivateKey(
+            wallet.getDerivationPath(...getMultisigKeyPath(cSpend.multisig))
+        );
+    for (let i = 0; i < cSpend.inputs.length; i++) {
+        const arrSig = await cTx.transactionSig(i, strWIF);
+        cSpend.signatures[i][strPubkey] = bytesToHex(arrSig);
+    }
+}
+
+/**
+ * Finalise a fully-signed Multisig spend into a broadcastable transaction
+ * @param {MultisigSpend} cSpend
+ * @returns {string} The signed transaction (hex)
+ */
+export function finaliseMultisigSpend(cSpend) {
+    const arrSigners = getMultisigSigners(cSpend).slice(
+        0,
+        cSpend.multisig.required
+    );
+    if (arrSigners.length < cSpend.multisig.required)
+        throw new Error(ALERTS.MULTISIG_NOT_ENOUGH_SIGS);
+
+    const bRedeemScript = getMultisigRedeemScript(cSpend.multisig);
+    const cTx = buildMultisigTx(cSpend);
+    cTx.inputs.forEach((cInput, i) => {
+        // OP_0 (the CHECKMULTISIG off-by-one), the signatures in pubkey order, then the redeem script
+        let bScript = [OP['0']];
+        for (const strPubkey of arrSigners) {
+            bScript = [
+                ...bScript,
+                ...pushData(hexToBytes(cSpend.signatures[i][strPubkey])),
+            ];
+        }
+        cInput.script = [...bScript, ...pushData(bRedeemScript)];
+    });
+    return cTx.serialize();
+}
+
+/**
+ * Encode a Multisig spend as text, for sharing with cosigners
+ * @param {MultisigSpend} cSpend
+ * @returns {string}
+ */
+export function encodeMultisigSpend(cSpend) {
+    return Buffer.from(JSON.stringify(cSpend)).toString('base64');
+}
+
+/**
+ * Decode (and sanity check) a Multisig spend shared by a cosigner
+ * @param {string} strSpend
+ * @returns {MultisigSpend}
+ */
+export function decodeMultisigSpend(strSpend) {
+    const cSpend = JSON.parse(
+        Buffer.from(strSpend.trim(), 'base64').toString()
+    );
+    const isSats = (n) => Number.isSafeInteger(n) && n > 0;
+    if (
+        !isValidMultisig(cSpend?.multisig) ||
+        !Array.isArray(cSpend.inputs) ||
+        !cSpend.inputs.length ||
+        !cSpend.inputs.every(
+            (i) =>
+                /^[0-9a-f]{64}$/.test(i?.txid) &&
+                Number.isSafeInteger(i.vout) &&
+                i.vout >= 0 &&
+                isSats(i.sats)
+        ) ||
+        !Array.isArray(cSpend.outputs) ||
+        !cSpend.outputs.length ||
+        !cSpend.outputs.every(
+            (o) =>
+                typeof o?.address === 'string' &&
+                (isStandardAddress(o.address) || isScriptAddress(o.address)) &&
+                isSats(o.sats)
+        ) ||
+        !Array.isArray(cSpend.signatures) ||
+        cSpend.signatures.length !== cSpend.inputs.length ||
+        !cSpend.signatures.every(
+            (s) =>
+                s &&
+                typeof s === 'object' &&
+                Object.values(s).every(
+                    (strSig) =>
+                        typeof strSig === 'string' &&
+                        /^([0-9a-f]{2})+$/.test(strSig)
+                )
+        )
+    ) {
+        throw new Error(ALERTS.MULTISIG_INVALID_SPEND);
+    }
+    return cSpend;
+}
+
+/**
+ * Check that the wallet can hold Multisig wallets, alerting the user if not
+ * @returns {Promise<boolean>}
+ */
+async function canUseMultisig() {
+    if (!wallet.isHD() || wallet.isHardwareWallet()) {
+        createAlert('warning', ALERTS.MULTISIG_NOT_HD, 4000);
+        return false;
+    }
+    if (!(await hasEncryptedWallet())) {
+        createAlert('warning', ALERTS.MULTISIG_ENCRYPT_FIRST, 4000);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Render the Multisig wallets list, and fetch their balances
+ */
+export async function guiRenderMultisigs() {
+    if (!(await canUseMultisig())) return;
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    // Only the Multisig wallets which the active account is a cosigner of are shown
+    const strXPub = await wallet.getKeyToExport();
+
+    let strHTML = '';
+    cAccount.multisigs.forEach((cMultisig, i) => {
+        if (!cMultisig.xpubs.includes(strXPub)) return;
+        const strAddress = getMultisigAddress(cMultisig);
+        strHTML += `
+            <div class="d-flex px-3 py-3 contactItem">
+                <div style="width: 100%; line-height: 15px;">
+                    <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+                        cMultisig.name
+                    )} <small>(${tr(translation.multisigOf, [
+            { required: cMultisig.required },
+            { total: cMultisig.xpubs.length },
+        ])}${
+            cMultisig.index === undefined
+                ? ''
+                : `, ${tr(translation.multisigId, [{ id: cMultisig.index }])}`
+        })</small></span>
+                    <span class="ptr" onclick="MPW.toClipboard('${strAddress}', this)" style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${strAddress}</span><br>
+                    <span id="multisigBalance${i}" style="font-size: 13px; position: relative; top: 6px;"></span>
+                </div>
+                <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                    <i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiCreateMultisigSpend(${i})" class="fa-solid fa-paper-plane"></i>
+                    <i style="cursor:pointer;" onclick="MPW.guiRemoveMultisig(${i})" class="fa-solid fa-trash"></i>
+                </div>
+            </div>
+        `;
+    });
+
+    // The "Review a spend" and "Create Multisig" UIs
+    strHTML += `
+        <span class="d-flex px-3 py-3 contactItem ptr" onclick="MPW.guiImportMultisigSpend()">
+            <i class="fa-solid fa-file-signature" style="margin-right: 10px;"></i> ${translation.multisigReviewSpend}
+        </span>
+        <div class="d-flex px-3 addContact" style="margin-top:20px;">
+            <div class="contactName" style="width: 100%;">
+                <input id="multisigNameInput" class="m-0" style="width: 100%;" placeholder="${translation.name}" autocomplete="nope">
+            </div>
+            <div class="d-flex" style="align-items: center;">
+                <div onclick="MPW.guiCreateMultisig()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                    <i class="fas fa-plus"></i>
+                </div>
+            </div>
+        </div>
+    `;
+    doms.domMultisigTable.innerHTML = strHTML;
+
+    // Watch the balances in the background
+    if (!getNetwork().enabled) return;
+    cAccount.multisigs.forEach(async (cMultisig, i) => {
+        if (!cMultisig.xpubs.includes(strXPub)) return;
+        const arrUTXOs =
+            (await getNetwork().getUTXOs(getMultisigAddress(cMultisig))) || [];
+        const nBalance = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+        const domBalance = document.getElementById(`multisigBalance${i}`);
+        if (domBalance) {
+            domBalance.innerText = `${nBalance / COIN} ${
+                cChainParams.current.TICKER
+            }`;
+        }
+    });
+}
+
+/**
+ * Prompt the user to pick the cosigners (from their Contacts) and threshold of a new Multisig wallet
+ */
+export async function guiCreateMultisig() {
+    const strName = document.getElementById('multisigNameInput').value.trim();
+    if (!strName) return createAlert('warning', ALERTS.MULTISIG_NO_NAME, 2500);
+
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const arrContacts = cAccount.contacts.filter((c) => isXPub(c.pubkey));
+    if (!arrContacts.length)
+        return createAlert('warning', ALERTS.MULTISIG_NO_CONTACTS, 4000);
+
+    const strContacts = arrContacts
+        .map(
+            (c, i) => `
+            <label style="display: block; text-align: left; cursor: pointer;">
+                <input type="checkbox" name="multisigCosigner" value="${i}"> ${sanitizeHTML(
+                c.label
+            )}
+            </label>`
+        )
+        .join('');
+    const fContinue = await confirmPopup({
+        title: translation.multisigCreateTitle,
+        html: `<p>${translation.multisigCreateNote}</p>
+               ${strContacts}
+               <br>
+               <label for="multisigRequiredInput">${
+                   translation.multisigRequired
+               }</label>
+               <input type="number" id="multisigRequiredInput" min="1" value="2" style="text-align: center;">
+               <label for="multisigIndexInput">${
+                   translation.multisigIdLabel
+               }</label>
+               <input type="number" id="multisigIndexInput" min="0" max="${MAX_MULTISIG_INDEX}" value="${getRandomMultisigIndex()}" style="text-align: center;">
+               <p style="opacity: 0.75;">${translation.multisigIdNote}</p>`,
+    });
+    if (!fContinue) return;
+
+    // We're always a cosigner of our own Multisig wallets
+    const arrXPubs = [
+        await wallet.getKeyToExport(),
+        ...[
+            ...document.querySelectorAll(
+                'input[name="multisigCosigner"]:checked'
+            ),
+        ].map((domCheck) => arrContacts[parseInt(domCheck.value)].pubkey),
+    ];
+    const nRequired = Number(
+        document.getElementById('multisigRequiredInput').value
+    );
+    const strIndex = document.getElementById('multisigIndexInput').value;
+    const cMultisig = new MultisigWallet({
+        name: strName,
+        required: nRequired,
+        xpubs: arrXPubs,
+        index: strIndex === '' ? NaN : Number(strIndex),
+    });
+    if (!isValidMultisig(cMultisig)) {
+        return createAlert(
+            'warning',
+            tr(ALERTS.MULTISIG_INVALID_PARAMS, [{ max: MAX_COSIGNERS }]),
+            4000
+        );
+    }
+
+    // Save the Multisig wallet (re-fetching the account, as it may have changed while prompting)
+    const cFreshAccount = await cDB.getAccount();
+    cFreshAccount.multisigs.push(cMultisig);
+    await cDB.updateAccount(cFreshAccount);
+    createAlert(
+        'success',
+        tr(ALERTS.MULTISIG_CREATED, [
+            { strName: sanitizeHTML(strName) },
+            { address: getMultisigAddress(cMultisig) },
+            { id: cMultisig.index },
+        ]),
+        5000
+    );
+    await guiRenderMultisigs();
+}
+
+/**
+ * Remove a Multisig wallet from the Account (the funds stay safe with the cosigners)
+ * @param {number} nIndex - The index of the Multisig wallet
+ */
+export async function guiRemoveMultisig(nIndex) {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const cMultisig = cAccount.multisigs[nIndex];
+    if (!cMultisig) return;
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.multisigRemoveTitle, [
+            { strName: sanitizeHTML(cMultisig.name) },
+        ]),
+        html: translation.multisigRemoveNote,
+    });
+    if (!fConfirmed) return;
+
+    cAccount.multisigs.splice(nIndex, 1);
+    await cDB.updateAccount(cAccount, true);
+    await guiRenderMultisigs();
+}
+
+/**
+ * Prompt the user for a receiver and amount, then create and sign a spend from a Multisig wallet
+ * @param {number} nIndex - The index of the Multisig wallet
+ */
+export async function guiCreateMultisigSpend(nIndex) {
+    const cDB = await Database.getInstance();
+    const cMultisig = (await cDB.getAccount()).multisigs[nIndex];
+    if (!cMultisig) return;
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+
+    const fContinue = await confirmPopup({
+        title: tr(translation.multisigSpendTitle, [
+            { strName: sanitizeHTML(cMultisig.name) },
+        ]),
+        html: `<input type="text" id="multisigSpendAddress" placeholder="${translation.address}" style="text-align: center;">
+               <input type="number" id="multisigSpendAmount" placeholder="${translation.amount}" style="text-align: center;">`,
+    });
+    if (!fContinue) return;
+
+    const strAddress = document
+        .getElementById('multisigSpendAddress')
+        .value.trim();
+    const nSats = Math.round(
+        Number(document.getElementById('multisigSpendAmount').value) * COIN
+    );
+    if (!isStandardAddress(strAddress) && !isScriptAddress(strAddress))
+        return createAlert(
+            'warning',
+            tr(ALERTS.INVALID_ADDRESS, [{ address: sanitizeHTML(strAddress) }]),
+            2500
+        );
+    if (!Number.isSafeInteger(nSats) || nSats < MIN_CHANGE_SATS)
+        return createAlert('warning', ALERTS.INVALID_AMOUNT, 2500);
+
+    try {
+        const cSpend = await createMultisigSpend(cMultisig, strAddress, nSats);
+        await guiReviewMultisigSpend(cSpend);
+    } catch (e) {
+        console.error(e);
+        createAlert('warning', e.message, 4000);
+    }
+}
+
+/**
+ * Prompt the user to paste a Multisig spend shared by a cosigner, then review it
+ */
+export async function guiImportMultisigSpend() {
+    const fContinue = await confirmPopup({
+        title: translation.multisigReviewSpend,
+        html: `<textarea id="multisigSpendInput" rows="6" style="width: 100%;" placeholder="${translation.multisigPasteSpend}"></textarea>`,
+    });
+    if (!fContinue) return;
+
+    try {
+        const cSpend = decodeMultisigSpend(
+            document.getElementById('multisigSpendInput').value
+        );
+        await guiReviewMultisigSpend(cSpend);
+    } catch (e) {
+        console.error(e);
+        createAlert('warning', ALERTS.MULTISIG_INVALID_SPEND, 4000);
+    }
+}
+
+/**
+ * Review a Multisig spend: offering to sign it if we haven't yet, broadcasting it once it has enough signatures,
+ * otherwise, displaying it for sharing with the other cosigners
+ * @param {MultisigSpend} cSpend
+ */
+async function guiReviewMultisigSpend(cSpend) {
+    const strOwnPubkey = getCosignerPubkey(
+        await wallet.getKeyToExport(),
+        cSpend.multisig
+    );
+    const strOutputs = cSpend.outputs
+        .map(
+            (o) =>
+                `<div style="word-wrap: anywhere;">${sanitizeHTML(
+                    o.address
+                )}: <b>${o.sats / COIN} ${
+                    cChainParams.current.TICKER
+                }</b></div>`
+        )
+        .join('');
+    const getSummary = () =>
+        `${strOutputs}<br><p>${tr(translation.multisigSignatures, [
+            { signed: getMultisigSigners(cSpend).length },
+            { required: cSpend.multisig.required },
+        ])}</p>`;
+
+    // Sign, if we're a cosigner that hasn't signed yet
+    if (
+        getMultisigPubkeys(cSpend.multisig).includes(strOwnPubkey) &&
+        !getMultisigSigners(cSpend).includes(strOwnPubkey)
+    ) {
+        const fSign = await confirmPopup({
+            title: translation.multisigSignTitle,
+            html: getSummary(),
+        });
+        if (!fSign) return;
+        if (
+            wallet.isViewOnly() &&
+            !(await restoreWallet(translation.walletUnlockMultisig))
+        )
+            return;
+        await signMultisigSpend(cSpend);
+    }
+
+    // Broadcast, if we have enough signatures
+    if (getMultisigSigners(cSpend).length >= cSpend.multisig.required) {
+        const fSend = await confirmPopup({
+            title: translation.multisigBroadcastTitle,
+            html: getSummary(),
+        });
+        if (!fSend) return;
+        const strTxid = await getNetwork().sendTransaction(
+            finaliseMultisigSpend(cSpend)
+        );
+        if (strTxid) {
+            createAlert('success', ALERTS.MULTISIG_SENT, 4000);
+            await guiRenderMultisigs();
+        }
+        return;
+    }
+
+    // Otherwise, it needs to be passed to the next cosigner
+    await confirmPopup({
+        title: translation.multisigShareTitle,
+        html: `${getSummary()}
+               <p>${translation.multisigShareNote}</p>
+               <textarea id="multisigSpendOutput" rows="6" style="width: 100%;" readonly>${encodeMultisigSpend(
+                   cSpend
+               )}</textarea>
+               <button class="pivx-button-small" onclick="MPW.toClipboard('multisigSpendOutput', this)">${
+                   translation.multisigCopy
+               }</button>`,
+        hideConfirm: true,
+    });
+}
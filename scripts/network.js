@@ -1,5 +1,5 @@
 import { cChainParams, COIN } from './chain_params.js';
-import { createAlert } from './misc.js';
+import { createAlert, isXPub } from './misc.js';
 import { Mempool, UTXO } from './mempool.js';
 import { getEventEmitter } from './event_bus.js';
 import {
@@ -8,8 +8,11 @@ import {
     cAnalyticsLevel,
     setExplorer,
     fAutoSwitch,
+    nGapLimit,
 } from './settings.js';
 import { ALERTS } from './i18n.js';
+import { getFeeRate } from './fees.js';
+import { getDataFromBurnScript } from './script.js';
 
 /**
  * @typedef {Object} XPUBAddress
@@ -66,6 +69,7 @@ export class HistoricalTx {
      * @param {number} time - The block time of the transaction.
      * @param {number} blockHeight - The block height of the transaction.
      * @param {number} amount - The amount transacted, in coins.
+     * @param {string?} memo - The memo (OP_RETURN text) attached to the transaction, if any.
      */
     constructor(
         type,
@@ -75,7 +79,8 @@ export class HistoricalTx {
         shieldedOutputs,
         time,
         blockHeight,
-        amount
+        amount,
+        memo = null
     ) {
         this.type = type;
         this.id = id;
@@ -85,6 +90,7 @@ export class HistoricalTx {
         this.time = time;
         this.blockHeight = blockHeight;
         this.amount = amount;
+        this.memo = memo;
     }
 }
 
@@ -105,6 +111,7 @@ export class Network {
         this.wallet = wallet;
 
         this.lastWallet = 0;
+        this.lastChange = 0;
         this.isHistorySynced = false;
     }
 
@@ -134,9 +141,17 @@ export class Network {
         this.enabled = !this.enabled;
     }
 
+    /**
+     * Get the fee for a transaction, at the user's chosen fee rate
+     * @param {number} bytes - The size of the transaction
+     * @returns {number} - The fee in satoshis
+     */
     getFee(bytes) {
-        // TEMPORARY: Hardcoded fee per-byte
-        return bytes * 50; // 50 sat/byte
+        return bytes * getFeeRate();
+    }
+
+    async getFeeEstimate(_nBlocks) {
+        throw new Error('getFeeEstimate must be implemented');
     }
 
     get cachedBlockCount() {
@@ -166,6 +181,10 @@ export class Network {
     async getTxInfo(_txHash) {
         throw new Error('getTxInfo must be implemented');
     }
+
+    async getAddressTxs(_strAddress) {
+        throw new Error('getAddressTxs must be implemented');
+    }
 }
 
 /**
@@ -233,6 +252,20 @@ export class ExplorerNetwork extends Network {
         }
     }
 
+    /**
+     * Estimate the fee rate needed for a transaction to confirm within a number of blocks
+     * @param {number} nBlocks - The confirmation target, in blocks
+     * @returns {Promise<number>} - The fee rate in satoshis per byte
+     */
+    async getFeeEstimate(nBlocks) {
+        // Estimates are optional, so we don't hop between explorers if this one can't provide them
+        const res = await fetchBlockbook(`/api/v2/estimatefee/${nBlocks}`);
+        if (!res.ok) throw new Error('Fee estimate unavailable');
+        const { result } = await res.json();
+        // Blockbook estimates are in coins per kilobyte
+        return Math.round((parseFloat(result) * COIN) / 1000);
+    }
+
     /**
      * @typedef {object} BlockbookUTXO
      * @property {string} txid - The TX hash of the output
@@ -240,6 +273,7 @@ export class ExplorerNetwork extends Network {
      * @property {string} value - The string-based satoshi value of the output
      * @property {number} height - The block height the TX was confirmed in
      * @property {number} confirmations - The depth of the TX in the blockchain
+     * @property {string} [address] - The address of the output (when fetched by xpub)
      */
 
     /**
@@ -256,13 +290,23 @@ export class ExplorerNetwork extends Network {
         }
         try {
             let publicKey = strAddress || (await this.wallet.getKeyToExport());
+            // HD wallets are scanned up to the user's gap limit
+            const strParams =
+                !strAddress && this.wallet.isHD() ? `?gap=${nGapLimit}` : '';
             // Fetch UTXOs for the key
             const arrUTXOs = await (
-                await retryWrapper(fetchBlockbook, `/api/v2/utxo/${publicKey}`)
+                await retryWrapper(
+                    fetchBlockbook,
+                    `/api/v2/utxo/${publicKey}${strParams}`
+                )
             ).json();
 
-            // If using MPW's wallet, then sync the UTXOs in MPW's state
-            if (!strAddress) getEventEmitter().emit('utxo', arrUTXOs);
+            // If using MPW's wallet, then sync the UTXOs in MPW's state (unless the account was switched mid-fetch)
+            if (
+                !strAddress &&
+                publicKey === (await this.wallet.getKeyToExport())
+            )
+                getEventEmitter().emit('utxo', arrUTXOs);
 
             // Return the UTXOs for additional utility use
             return arrUTXOs;
@@ -294,7 +338,7 @@ export class ExplorerNetwork extends Network {
                 (this.wallet.isHardwareWallet()
                     ? cChainParams.current.BIP44_TYPE_LEDGER
                     : cChainParams.current.BIP44_TYPE) + "'";
-            this.lastWallet = Math.max(parseInt(path[5]), this.lastWallet);
+            this.updateLastIndex(path);
             path = path.join('/');
         }
 
@@ -320,17 +364,91 @@ export class ExplorerNetwork extends Network {
         });
     }
 
+    /**
+     * Bump the highest used index of a path's chain, either receiving (0) or change (1)
+     * @param {Array<string>} arrPath - A BIP44 derivation path, split by '/'
+     */
+    updateLastIndex(arrPath) {
+        const nIndex = parseInt(arrPath[5]);
+        if (arrPath[4] === '1') {
+            this.lastChange = Math.max(nIndex, this.lastChange);
+        } else {
+            this.lastWallet = Math.max(nIndex, this.lastWallet);
+        }
+    }
+
     /**
      * Fetch an XPub's basic information
      * @param {string} strXPUB - The xpub to fetch info for
+     * @param {boolean} [fUsedTokens] - Whether to include the xpub's used addresses, as `tokens`
      * @returns {Promise<XPUBInfo>} - A JSON class of aggregated XPUB info
      */
-    async getXPubInfo(strXPUB) {
+    async getXPubInfo(strXPUB, fUsedTokens = false) {
+        return await (
+            await retryWrapper(
+                fetchBlockbook,
+                `/api/v2/xpub/${strXPUB}` +
+                    (fUsedTokens ? '?details=tokens&tokens=used' : '')
+            )
+        ).json();
+    }
+
+    /**
+     * Fetch an address's basic information
+     * @param {string} strAddress - The address to fetch info for
+     * @returns {Promise<{address: string, balance: string, txs: number}>} - A JSON class of basic address info
+     */
+    async getAddressInfo(strAddress) {
         return await (
-            await retryWrapper(fetchBlockbook, `/api/v2/xpub/${strXPUB}`)
+            await retryWrapper(
+                fetchBlockbook,
+                `/api/v2/address/${strAddress}?details=basic`
+            )
         ).json();
     }
 
+    /**
+     * Fetch the recent transaction history of an external (non-wallet) address or xpub
+     * @param {string} strKey - The address or xpub to fetch history for
+     * @param {number} nPageSize - The maximum amount of transactions to fetch
+     * @returns {Promise<Array<HistoricalTx>>} - The most recent transactions, newest first
+     */
+    async getExternalTxHistory(strKey, nPageSize = 50) {
+        const fXPub = isXPub(strKey);
+        const cData = await (
+            await retryWrapper(
+                fetchBlockbook,
+                `/api/v2/${fXPub ? 'xpub' : 'address'}/${strKey}` +
+                    `?details=txs&pageSize=${nPageSize}` +
+                    (fXPub ? '&tokens=derived' : '')
+            )
+        ).json();
+
+        // Only the derived addresses (or the address itself) count as 'ours' for the Tx deltas
+        const mapPaths = new Map(
+            fXPub
+                ? (cData.tokens || []).map((cAddr) => [cAddr.name, cAddr.path])
+                : [[strKey, ':)']]
+        );
+        return this.toHistoricalTXs(cData.transactions || [], mapPaths);
+    }
+
+    /**
+     * Fetch the raw transactions of an address, including their input scripts (i.e: to find how an output was spent)
+     * @param {string} strAddress - The address to fetch transactions for
+     * @param {number} nPageSize - The maximum amount of transactions to fetch
+     * @returns {Promise<Array<Object>>} - The Blockbook transactions, newest first
+     */
+    async getAddressTxs(strAddress, nPageSize = 50) {
+        const cData = await (
+            await retryWrapper(
+                fetchBlockbook,
+                `/api/v2/address/${strAddress}?details=txs&pageSize=${nPageSize}`
+            )
+        ).json();
+        return cData.transactions || [];
+    }
+
     async sendTransaction(hex) {
         try {
             const data = await (
@@ -376,7 +494,9 @@ export class ExplorerNetwork extends Network {
             const strRoot = `/api/v2/${
                 this.wallet.isHD() ? 'xpub/' : 'address/'
             }${strKey}`;
-            const strCoreParams = `?details=txs&tokens=derived&pageSize=200`;
+            const strCoreParams =
+                `?details=txs&tokens=derived&pageSize=200` +
+                (this.wallet.isHD() ? `&gap=${nGapLimit}` : '');
             const strAPI = strRoot + strCoreParams;
 
             // If we have a known block height, check for incoming transactions within the last 60 blocks
@@ -401,23 +521,26 @@ export class ExplorerNetwork extends Network {
                       ).json()
                     : {};
             if (this.wallet.isHD() && (cData.tokens || cRecentTXs.tokens)) {
-                // Map all address <--> derivation paths
+                // Map all address <--> derivation paths (of both the receiving and change chains)
                 // - From historical transactions
-                if (cData.tokens) {
-                    cData.tokens.forEach((cAddrPath) =>
-                        mapPaths.set(cAddrPath.name, cAddrPath.path)
-                    );
-                }
                 // - From new transactions
-                if (cRecentTXs.tokens) {
-                    cRecentTXs.tokens.forEach((cAddrPath) =>
-                        mapPaths.set(cAddrPath.name, cAddrPath.path)
-                    );
+                for (const cAddrPath of [
+                    ...(cData.tokens || []),
+                    ...(cRecentTXs.tokens || []),
+                ]) {
+                    mapPaths.set(cAddrPath.name, cAddrPath.path);
+                    // Used addresses also extend our known chains, for own-address detection
+                    if (cAddrPath.transfers > 0)
+                        this.updateLastIndex(cAddrPath.path.split('/'));
                 }
             } else {
                 mapPaths.set(strKey, ':)');
             }
 
+            // If the account was switched mid-sync, then this data is stale
+            if (strKey !== (await this.wallet.getKeyToExport()))
+                return this.arrTxHistory;
+
             // Process our aggregated history data
             if (
                 (cData && cData.transactions) ||
@@ -502,9 +625,18 @@ export class ExplorerNetwork extends Network {
                 const arrSenders =
                     tx.vin?.flatMap((vin) => vin.addresses) || [];
 
+                // The memo attached to this Tx, if any
+                let strMemo = null;
+                const arrVouts = (tx.vout || []).filter((vout) => {
+                    const strData = getDataFromBurnScript(vout.hex);
+                    if (strData === null) return true;
+                    strMemo = strData;
+                    // A memo isn't a receiver
+                    return false;
+                });
+
                 // The receiver addresses, if any
-                let arrReceivers =
-                    tx.vout?.flatMap((vout) => vout.addresses) || [];
+                let arrReceivers = arrVouts.flatMap((vout) => vout.addresses);
                 // Pretty-fy script addresses
                 arrReceivers = arrReceivers.map((addr) =>
                     addr.startsWith('OP_') ? 'Contract' : addr
@@ -571,12 +703,23 @@ export class ExplorerNetwork extends Network {
                     fShieldOuts,
                     tx.blockTime,
                     tx.blockHeight,
-                    Math.abs(nAmount)
+                    Math.abs(nAmount),
+                    strMemo
                 );
             })
             .filter((tx) => tx.amount != 0);
     }
 
+    /**
+     * Wipe the chain state tied to the wallet's current account, i.e: when switching accounts
+     */
+    reset() {
+        this.arrTxHistory = [];
+        this.isHistorySynced = false;
+        this.lastWallet = 0;
+        this.lastChange = 0;
+    }
+
     async setWallet(wallet) {
         // If the public Master Key (xpub, address...) is different, then wipe TX history
         if (
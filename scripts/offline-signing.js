@@ -0,0 +1,428 @@
+import { BigInteger } from 'biginteger';
+import bitjs from './bitTrx.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { doms, mempool, restoreWallet } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { encodeAddressHash } from './encoding.js';
+import { createAlert, createQR, downloadBlob, sanitizeHTML } from './misc.js';
+import { getNetwork } from './network.js';
+import { scanQRCode } from './scanner.js';
+import { getDataFromBurnScript, OP } from './script.js';
+import { createTxConfirmation } from './transactions.js';
+import { bytesToHex, dSHA256, hexToBytes } from './utils.js';
+import { wallet } from './wallet.js';
+
+/** The identifier of MPW offline transactions */
+const OFFLINE_TX_FORMAT = 'mpw-offline-tx';
+
+/** The current offline transaction version */
+const OFFLINE_TX_VERSION = 2;
+
+/** The most data a QR code can hold (version 40, low error correction), in bytes */
+const MAX_QR_BYTES = 2953;
+
+/**
+ * A transaction carried between an online (view-only) MPW, which builds and broadcasts it,
+ * ... and an offline MPW holding the keys, which signs it
+ * @typedef {Object} OfflineTx
+ * @property {string} format - Always `mpw-offline-tx`
+ * @property {number} version - The format version
+ * @property {string} network - The network the transaction is for
+ * @property {Array<{txid: string, vout: number, script: string, path: string, sats: number, prevTx: string}>} inputs - The UTXOs spent,
+ * ... with the raw transaction which created each, so the signer can verify their amounts
+ * @property {Array<{script: string, sats: number, path?: string}>} outputs - The outputs created, our change has it's path
+ * @property {string} [hex] - The signed transaction, once signed
+ */
+
+/** @type {OfflineTx?} The offline transaction loaded in the UI */
+let cLoadedTx = null;
+
+/**
+ * Create an offline transaction from an unsigned transaction
+ * @param {bitjs.transaction} cTx - The unsigned transaction
+ * @param {Array<import('./mempool.js').UTXO>} arrUTXOs - The UTXOs spent by the transaction
+ * @param {string?} strChangePath - The path of the change output (the first output), if the transaction has one
+ * @returns {Promise<OfflineTx?>} - The offline transaction, or null if the spent transactions couldn't be fetched (the user is alerted)
+ */
+export async function createOfflineTx(cTx, arrUTXOs, strChangePath) {
+    // The signer can't see the chain, so it's given the transactions we spend from, to prove their amounts
+    const mapPrevTxs = new Map();
+    try {
+        for (const cUTXO of arrUTXOs) {
+            if (mapPrevTxs.has(cUTXO.id)) continue;
+            const cTxInfo = await getNetwork().getTxInfo(cUTXO.id);
+            if (!cTxInfo?.hex) throw new Error('No hex for ' + cUTXO.id);
+            mapPrevTxs.set(cUTXO.id, cTxInfo.hex);
+        }
+    } catch (e) {
+        console.error(e);
+        createAlert('warning', ALERTS.OFFLINE_TX_NO_PREV, 5000);
+        return null;
+    }
+
+    return {
+        format: OFFLINE_TX_FORMAT,
+        version: OFFLINE_TX_VERSION,
+        network: cChainParams.current.name,
+        inputs: arrUTXOs.map((cUTXO) => ({
+            txid: cUTXO.id,
+            vout: cUTXO.vout,
+            script: cUTXO.script,
+            path: cUTXO.path,
+            sats: cUTXO.sats,
+            prevTx: mapPrevTxs.get(cUTXO.id),
+        })),
+        outputs: cTx.outputs.map((cOutput, i) => ({
+            script: bytesToHex(cOutput.script),
+            sats: Number(cOutput.value.toString()),
+            ...(i === 0 && strChangePath ? { path: strChangePath } : {}),
+        })),
+    };
+}
+
+/**
+ * Get an output of a raw transaction
+ * @param {string} strHex - The raw transaction, in hex
+ * @param {number} nVout - The index of the output
+ * @returns {{script: string, sats: number}?} - The output, or null if the transaction doesn't have it
+ */
+function getRawTxOutput(strHex, nVout) {
+    const bTx = hexToBytes(strHex);
+    // Skip the version (and type, for Sapling transactions)
+    let nPos = 4;
+    const readNumber = (nBytes) => {
+        let n = 0;
+        for (let i = 0; i < nBytes; i++) n += bTx[nPos++] * 2 ** (8 * i);
+        return n;
+    };
+    const readVarInt = () => {
+        const nFirst = readNumber(1);
+        if (nFirst < 0xfd) return nFirst;
+        return readNumber(nFirst === 0xfd ? 2 : nFirst === 0xfe ? 4 : 8);
+    };
+
+    // Skip the inputs: their outpoint, script and sequence
+    for (let nInputs = readVarInt(); nInputs > 0; nInputs--) {
+        nPos += 36;
+        const nScriptLength = readVarInt();
+        nPos += nScriptLength + 4;
+    }
+    const nOutputs = readVarInt();
+    for (let i = 0; i < nOutputs && nPos < bTx.length; i++) {
+        const nSats = readNumber(8);
+        const nScriptLength = readVarInt();
+        if (nPos + nScriptLength > bTx.length) return null;
+        if (i === nVout)
+            return {
+                script: bytesToHex(bTx.slice(nPos, nPos + nScriptLength)),
+                sats: nSats,
+            };
+        nPos += nScriptLength;
+    }
+    return null;
+}
+
+/**
+ * Check an offline transaction's input against the raw transaction which created it
+ * @param {OfflineTx['inputs'][number]} cInput
+ * @returns {boolean} - True if the input's txid, script and amount are proven by it's `prevTx`
+ */
+function isInputProven(cInput) {
+    if (
+        typeof cInput?.prevTx !== 'string' ||
+        !/^([0-9a-f]{2})+$/i.test(cInput.prevTx) ||
+        !Number.isSafeInteger(cInput.vout) ||
+        bytesToHex(dSHA256(hexToBytes(cInput.prevTx)).reverse()) !== cInput.txid
+    )
+        return false;
+    const cOutput = getRawTxOutput(cInput.prevTx, cInput.vout);
+    return (
+        !!cOutput &&
+        cOutput.script === cInput.script &&
+        cOutput.sats === cInput.sats
+    );
+}
+
+/**
+ * Parse and validate an offline transaction
+ * @param {string} strData - The offline transaction, as JSON
+ * @returns {Promise<OfflineTx?>} - The transaction, or null if it's invalid (the user is alerted)
+ */
+async function parseOfflineTx(strData) {
+    let cOfflineTx;
+    try {
+        cOfflineTx = JSON.parse(strData);
+    } catch (e) {
+        cOfflineTx = null;
+    }
+    if (
+        cOfflineTx?.format !== OFFLINE_TX_FORMAT ||
+        cOfflineTx.version !== OFFLINE_TX_VERSION ||
+        !Array.isArray(cOfflineTx.inputs) ||
+        !Array.isArray(cOfflineTx.outputs)
+    ) {
+        createAlert('warning', ALERTS.OFFLINE_TX_INVALID, 4000);
+        return null;
+    }
+    if (cOfflineTx.network !== cChainParams.current.name) {
+        createAlert(
+            'warning',
+            tr(ALERTS.OFFLINE_TX_WRONG_NETWORK, [
+                { network: sanitizeHTML(cOfflineTx.network) },
+            ]),
+            5000
+        );
+        return null;
+    }
+
+    // Every input amount must be proven, otherwise the fee shown for review can't be trusted
+    if (!cOfflineTx.inputs.every(isInputProven)) {
+        createAlert('warning', ALERTS.OFFLINE_TX_UNPROVEN_INPUT, 5000);
+        return null;
+    }
+
+    // A change output must really pay this wallet: it's only marked as ours if we can verify it
+    const cMasterKey = wallet.getMasterKey();
+    for (const cOutput of cOfflineTx.outputs) {
+        if (cOutput.path === undefined) continue;
+        if (!cMasterKey) {
+            delete cOutput.path;
+            continue;
+        }
+        if (
+            typeof cOutput.path !== 'string' ||
+            getScriptAddress(cOutput.script) !==
+                (await cMasterKey.getAddress(cOutput.path))
+        ) {
+            createAlert('warning', ALERTS.OFFLINE_TX_INVALID, 4000);
+            return null;
+        }
+    }
+    return cOfflineTx;
+}
+
+/**
+ * Get the address paid by an output script
+ * @param {string} strScript - The output script, in hex
+ * @returns {string?} - The address, or null if the script isn't P2PKH or P2SH
+ */
+function getScriptAddress(strScript) {
+    const bScript = hexToBytes(strScript);
+    // Pay-to-PubKey-Hash
+    if (
+        bScript.length === 25 &&
+        bScript[0] === OP['DUP'] &&
+        bScript[1] === OP['HASH160'] &&
+        bScript[2] === 20 &&
+        bScript[23] === OP['EQUALVERIFY'] &&
+        bScript[24] === OP['CHECKSIG']
+    )
+        return encodeAddressHash(
+            bScript.slice(3, 23),
+            cChainParams.current.PUBKEY_ADDRESS
+        );
+    // Pay-to-Script-Hash
+    if (
+        bScript.length === 23 &&
+        bScript[0] === OP['HASH160'] &&
+        bScript[1] === 20 &&
+        bScript[22] === OP['EQUAL']
+    )
+        return encodeAddressHash(
+            bScript.slice(2, 22),
+            cChainParams.current.SCRIPT_ADDRESS
+        );
+    return null;
+}
+
+/**
+ * Render the loaded offline transaction: it's summary, QR code, and the actions available for it
+ */
+function renderOfflineTx() {
+    const strData = cLoadedTx ? JSON.stringify(cLoadedTx) : '';
+    doms.domOfflineTxData.value = strData;
+
+    // Summarise the outputs and fee, for the user to review
+    let strReview = '';
+    if (cLoadedTx) {
+        const nIn = cLoadedTx.inputs.reduce((a, b) => a + b.sats, 0);
+        const nOut = cLoadedTx.outputs.reduce((a, b) => a + b.sats, 0);
+        // Memos are shown as text, and anything else we can't decode is flagged
+        const arrRows = [];
+        const arrMemos = [];
+        for (const cOutput of cLoadedTx.outputs) {
+            const strMemo = getDataFromBurnScript(cOutput.script);
+            if (strMemo !== null && cOutput.sats === 0) {
+                arrMemos.push(
+                    tr(translation.memoConfirm, [
+                        { memo: sanitizeHTML(strMemo) },
+                    ])
+                );
+                continue;
+            }
+            const strAddress =
+                getScriptAddress(cOutput.script) ||
+                translation.offlineUnknownScript;
+            arrRows.push([
+                cOutput.path
+                    ? tr(translation.offlineChange, [{ address: strAddress }])
+                    : strAddress,
+                cOutput.sats / COIN,
+            ]);
+        }
+        strReview =
+            `<b>${
+                cLoadedTx.hex
+                    ? translation.offlineSigned
+                    : translation.offlineUnsigned
+            }</b><br><br>` +
+            createTxConfirmation(arrRows) +
+            '<br><br>' +
+            arrMemos.map((strMemo) => strMemo + '<br><br>').join('') +
+            tr(translation.txFee, [
+                { fee: (nIn - nOut) / COIN },
+                { ticker: cChainParams.current.TICKER },
+            ]);
+    }
+    doms.domOfflineTxReview.innerHTML = strReview;
+
+    // Large transactions may not fit in a QR code, but can still be moved as a file or text
+    doms.domOfflineTxQR.innerHTML = '';
+    if (strData && new TextEncoder().encode(strData).length <= MAX_QR_BYTES)
+        createQR(strData, doms.domOfflineTxQR, 0);
+
+    doms.domOfflineTxSign.hidden = !cLoadedTx || !!cLoadedTx.hex;
+    doms.domOfflineTxBroadcast.hidden = !cLoadedTx?.hex;
+    doms.domOfflineTxDownload.hidden = !cLoadedTx;
+}
+
+/**
+ * Load an offline transaction in to the UI, i.e: one just created by this wallet
+ * @param {OfflineTx} cOfflineTx
+ */
+export function guiShowOfflineTx(cOfflineTx) {
+    cLoadedTx = cOfflineTx;
+    renderOfflineTx();
+    $('#offlineTxModal').modal('show');
+}
+
+/**
+ * Reset the offline transaction UI, ready to load a transaction
+ */
+export function guiResetOfflineTx() {
+    cLoadedTx = null;
+    renderOfflineTx();
+}
+
+/**
+ * Load the offline transaction pasted in to the UI
+ */
+export async function guiLoadOfflineTx() {
+    const cOfflineTx = await parseOfflineTx(doms.domOfflineTxData.value.trim());
+    if (!cOfflineTx) return;
+    cLoadedTx = cOfflineTx;
+    renderOfflineTx();
+}
+
+/**
+ * Load an offline transaction from a file chosen by the user
+ */
+export async function guiImportOfflineTx() {
+    const cFile = doms.domOfflineTxFile.files[0];
+    if (!cFile) return;
+    doms.domOfflineTxData.value = await cFile.text();
+    // Reset the input, so the same file may be chosen again
+    doms.domOfflineTxFile.value = '';
+    await guiLoadOfflineTx();
+}
+
+/**
+ * Load an offline transaction from a QR code scan
+ */
+export async function guiScanOfflineTx() {
+    const cScan = await scanQRCode();
+    if (!cScan?.data) return;
+    doms.domOfflineTxData.value = cScan.data;
+    await guiLoadOfflineTx();
+}
+
+/**
+ * Download the loaded offline transaction as a file
+ */
+export function guiDownloadOfflineTx() {
+    if (!cLoadedTx) return;
+    downloadBlob(
+        JSON.stringify(cLoadedTx),
+        `mpw-${cLoadedTx.hex ? 'signed' : 'unsigned'}-tx-${
+            cLoadedTx.network
+        }-${Date.now()}.json`,
+        'application/json'
+    );
+}
+
+/**
+ * Sign the loaded offline transaction with the wallet's keys
+ */
+export async function guiSignOfflineTx() {
+    if (!cLoadedTx || cLoadedTx.hex) return;
+    if (!(await wallet.hasWalletUnlocked())) return;
+    if (wallet.isHardwareWallet())
+        return createAlert('warning', ALERTS.OFFLINE_TX_HARDWARE, 4000);
+
+    // Ensure the wallet is unlocked
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockTx))
+    )
+        return;
+
+    // Rebuild the transaction, ensuring every input belongs to this wallet
+    const cMasterKey = wallet.getMasterKey();
+    const cTx = new bitjs.transaction();
+    for (const cInput of cLoadedTx.inputs) {
+        if (
+            getScriptAddress(cInput.script) !==
+            (await cMasterKey.getAddress(cInput.path))
+        )
+            return createAlert('warning', ALERTS.OFFLINE_TX_NOT_OWN, 5000);
+        cTx.addinput({
+            txid: cInput.txid,
+            index: cInput.vout,
+            script: cInput.script,
+            path: cInput.path,
+        });
+    }
+    for (const cOutput of cLoadedTx.outputs) {
+        cTx.outputs.push({
+            value: new BigInteger('' + cOutput.sats, 10),
+            script: hexToBytes(cOutput.script),
+        });
+    }
+
+    cLoadedTx = { ...cLoadedTx, hex: await cTx.sign(cMasterKey, 1) };
+    renderOfflineTx();
+    createAlert('success', ALERTS.OFFLINE_TX_SIGNED, 4000);
+}
+
+/**
+ * Broadcast the loaded, signed offline transaction
+ */
+export async function guiBroadcastOfflineTx() {
+    if (!cLoadedTx?.hex) return;
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+
+    const strTxid = await getNetwork().sendTransaction(cLoadedTx.hex);
+    if (!strTxid) return;
+
+    // The inputs are now spent (new outputs are picked up by the next sync)
+    for (const cInput of cLoadedTx.inputs) {
+        mempool.autoRemoveUTXO({
+            id: cInput.txid,
+            path: cInput.path,
+            vout: cInput.vout,
+        });
+    }
+    guiResetOfflineTx();
+    $('#offlineTxModal').modal('hide');
+}
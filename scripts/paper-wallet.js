@@ -0,0 +1,183 @@
+import { generateMnemonic, mnemonicToSeed } from 'bip39';
+import { encrypt } from './aes-gcm.js';
+import { encryptBIP38 } from './bip38.js';
+import { cChainParams, MIN_PASS_LENGTH } from './chain_params.js';
+import { deriveAddress, generateOrEncodePrivkey } from './encoding.js';
+import { doms } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { HdMasterKey } from './masterkey.js';
+import { createAlert, createQR, getSafeRand, sleep } from './misc.js';
+
+/** The maximum amount of paper wallets that may be generated in a single batch */
+export const MAX_PAPER_WALLETS = 50;
+
+/**
+ * The available paper wallet secret encryption methods
+ * @enum {string}
+ */
+export const PaperWalletEncryption = {
+    NONE: 'none',
+    PASSWORD: 'password',
+    BIP38: 'bip38',
+};
+
+/**
+ * A generated paper wallet
+ * @typedef {Object} PaperWallet
+ * @property {string} address - The public receiving address
+ * @property {string} secret - The (optionally encrypted) private key or seed phrase
+ * @property {boolean} fSeed - Whether the secret is a seed phrase
+ */
+
+/**
+ * Generate a new paper wallet
+ * @param {boolean} fSeed - Generate a seed phrase instead of a single private key
+ * @param {PaperWalletEncryption} strEncryption - How to encrypt the secret
+ * @param {string} strPassword - The password to encrypt with, if any
+ * @returns {Promise<PaperWallet>}
+ */
+export async function createPaperWallet(
+    fSeed = false,
+    strEncryption = PaperWalletEncryption.NONE,
+    strPassword = ''
+) {
+    let strAddress, strSecret, pkBytes;
+    if (fSeed) {
+        strSecret = generateMnemonic();
+        const cMasterKey = new HdMasterKey({
+            seed: await mnemonicToSeed(strSecret),
+        });
+        strAddress = await cMasterKey.getAddress(
+            cMasterKey.getDerivationPath(0, 0, 0)
+        );
+    } else {
+        pkBytes = getSafeRand();
+        strSecret = generateOrEncodePrivkey(pkBytes).strWIF;
+        strAddress = deriveAddress({ pkBytes });
+    }
+
+    // Encrypt the secret, so the paper alone isn't enough to spend the funds
+    if (strEncryption === PaperWalletEncryption.PASSWORD) {
+        strSecret = await encrypt(strSecret, strPassword);
+    } else if (strEncryption === PaperWalletEncryption.BIP38) {
+        strSecret = await encryptBIP38(pkBytes, strPassword);
+    }
+
+    return { address: strAddress, secret: strSecret, fSeed };
+}
+
+/**
+ * Render a paper wallet as a printable, foldable sheet
+ * @param {PaperWallet} cPaper - The paper wallet to render
+ * @param {string} strEncryption - The encryption method of the secret
+ * @returns {HTMLDivElement} - The sheet element
+ */
+function renderPaperWallet(cPaper, strEncryption) {
+    const domSheet = document.createElement('div');
+    domSheet.classList.add('paperWallet');
+
+    // The secret's label tells the recipient how to import it
+    let strSecretLabel = cPaper.fSeed
+        ? translation.paperWalletSeed
+        : translation.paperWalletKey;
+    if (strEncryption === PaperWalletEncryption.PASSWORD)
+        strSecretLabel += ` (${translation.paperWalletEncrypted})`;
+    else if (strEncryption === PaperWalletEncryption.BIP38)
+        strSecretLabel += ' (BIP38)';
+
+    domSheet.innerHTML = `
+        <div class="paperWalletPublic">
+            <b>${translation.paperWalletAddress}</b>
+            <div class="paperWalletQR"></div>
+            <code>${cPaper.address}</code>
+            <small>${tr(translation.paperWalletLoad, [
+                { ticker: cChainParams.current.TICKER },
+            ])}</small>
+        </div>
+        <div class="paperWalletFold">${translation.paperWalletFold}</div>
+        <div class="paperWalletPrivate">
+            <div class="paperWalletSeal">${translation.paperWalletSeal}</div>
+            <b>${strSecretLabel}</b>
+            <div class="paperWalletQR"></div>
+            <code>${cPaper.secret}</code>
+            <small>${translation.paperWalletSpend}</small>
+        </div>
+    `;
+
+    // Long secrets (seeds, encrypted keys) need larger QR codes, so let the QR pick it's own size
+    const [domAddressQR, domSecretQR] =
+        domSheet.querySelectorAll('.paperWalletQR');
+    createQR(cPaper.address, domAddressQR, 0);
+    createQR(cPaper.secret, domSecretQR, 0);
+    return domSheet;
+}
+
+/**
+ * Generate a batch of paper wallets from the Paper Wallet UI, then open the print dialog
+ */
+export async function guiGeneratePaperWallets() {
+    const fSeed = doms.domPaperWalletType.value === 'seed';
+    const strEncryption = doms.domPaperWalletEncryption.value;
+    const nCount = Number(doms.domPaperWalletCount.value);
+    const strPassword = doms.domPaperWalletPassword.value;
+
+    // Sanity checks
+    if (
+        !Number.isSafeInteger(nCount) ||
+        nCount < 1 ||
+        nCount > MAX_PAPER_WALLETS
+    )
+        return createAlert(
+            'warning',
+            tr(ALERTS.PAPER_WALLET_INVALID_COUNT, [{ max: MAX_PAPER_WALLETS }]),
+            3500
+        );
+    if (fSeed && strEncryption === PaperWalletEncryption.BIP38)
+        return createAlert('warning', ALERTS.PAPER_WALLET_BIP38_SEED, 3500);
+    if (
+        strEncryption !== PaperWalletEncryption.NONE &&
+        strPassword.length < MIN_PASS_LENGTH
+    )
+        return createAlert(
+            'warning',
+            tr(ALERTS.PASSWORD_TOO_SMALL, [
+                { MIN_PASS_LENGTH: MIN_PASS_LENGTH },
+            ]),
+            4000
+        );
+
+    // Generate the batch, rendering each sheet in to the print area
+    doms.domPaperWalletPrint.innerHTML = '';
+    for (let i = 0; i < nCount; i++) {
+        doms.domPaperWalletProgress.innerText = tr(
+            translation.paperWalletProgress,
+            [{ current: i + 1 }, { total: nCount }]
+        );
+        const cPaper = await createPaperWallet(
+            fSeed,
+            strEncryption,
+            strPassword
+        );
+        doms.domPaperWalletPrint.appendChild(
+            renderPaperWallet(cPaper, strEncryption)
+        );
+        // Give the UI a breather between wallets
+        await sleep(0);
+    }
+    doms.domPaperWalletProgress.innerText = '';
+
+    // Print only the paper wallets, then wipe them from the page
+    document.body.classList.add('paperWalletPrinting');
+    window.print();
+    document.body.classList.remove('paperWalletPrinting');
+    doms.domPaperWalletPrint.innerHTML = '';
+    doms.domPaperWalletPassword.value = '';
+}
+
+/**
+ * Toggle the Paper Wallet password input, based on the chosen encryption
+ */
+export function guiTogglePaperWalletEncryption() {
+    doms.domPaperWalletPassword.hidden =
+        doms.domPaperWalletEncryption.value === PaperWalletEncryption.NONE;
+}
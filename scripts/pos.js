@@ -0,0 +1,501 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { cChainParams, COIN } from './chain_params.js';
+import { Database } from './database.js';
+import { doms } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { HdMasterKey } from './masterkey.js';
+import {
+    arrayToCSV,
+    confirmPopup,
+    createAlert,
+    createBIP21Request,
+    createQR,
+    downloadBlob,
+    isXPub,
+    sleep,
+} from './misc.js';
+import { getNetwork } from './network.js';
+import { cMarket, strCurrency } from './settings.js';
+import { bytesToHex } from './utils.js';
+import { wallet } from './wallet.js';
+
+/** How often a sale is checked for it's payment, in milliseconds */
+const POS_POLL_MS = 5000;
+
+/** The shortest PIN that may lock the kiosk */
+const MIN_PIN_LENGTH = 4;
+
+/** The most digits the keypad accepts */
+const MAX_KEYPAD_DIGITS = 12;
+
+/** The days of sales shown in the report */
+const REPORT_DAYS = 30;
+
+/**
+ * A paid sale
+ * @typedef {Object} PosSale
+ * @property {string} address - The address the sale was paid to
+ * @property {number} [index] - The receiving index of the address (missing from sales made before it was recorded)
+ * @property {number} sats - The amount charged, in satoshis
+ * @property {number} received - The amount received, in satoshis
+ * @property {number} fiat - The value charged in fiat, or 0 if no price was available
+ * @property {string} currency - The currency of the fiat value
+ * @property {number} time - When the sale was paid, as a unix timestamp (in seconds)
+ * @property {Array<string>} txids - The transactions which paid the sale
+ */
+
+/**
+ * The Point-of-Sale kiosk, saved in the Settings so it survives a reload
+ * @typedef {Object} PosConfig
+ * @property {string} xpub - The merchant's xpub, which every sale's address is derived from
+ * @property {string} pin - The SHA256 hash (hex) of the PIN which unlocks the kiosk
+ * @property {boolean} active - Whether MPW starts in the kiosk
+ * @property {Array<PosSale>} sales - The paid sales
+ */
+
+/** @type {PosConfig?} The running kiosk */
+let cPosConfig = null;
+
+/** @type {HdMasterKey?} The view-only key of the running kiosk */
+let cPosKey = null;
+
+/** The amount typed on the keypad */
+let strPosAmount = '';
+
+/** Whether the keypad amount is in fiat, rather than coins */
+let fPosFiat = true;
+
+/** @type {{address: string, index: number, sats: number, fiat: number, currency: string}?} The sale awaiting payment */
+let cPosSale = null;
+
+/**
+ * Hash a kiosk PIN, so it's never saved in plain text
+ * @param {string} strPin
+ * @returns {string}
+ */
+function hashPin(strPin) {
+    return bytesToHex(sha256(strPin));
+}
+
+/**
+ * Check if a display currency is a real-world currency, rather than a crypto one (i.e: BTC, sats)
+ * @param {string} strFiat - The CoinGecko display currency
+ * @returns {boolean}
+ */
+function isWorldCurrency(strFiat) {
+    return Intl.supportedValuesOf('currency').includes(strFiat.toUpperCase());
+}
+
+/**
+ * Format a fiat value
+ * @param {number} nValue
+ * @param {string} [strFiat] - The currency of the value, defaulting to the display currency
+ * @returns {string}
+ */
+function formatFiat(nValue, strFiat = strCurrency) {
+    if (!isWorldCurrency(strFiat))
+        return `${Number(nValue.toFixed(8))} ${strFiat.toUpperCase()}`;
+    return nValue.toLocaleString('en-gb', {
+        style: 'currency',
+        currency: strFiat,
+        currencyDisplay: 'narrowSymbol',
+    });
+}
+
+/**
+ * Save the running kiosk's config
+ */
+async function savePosConfig() {
+    const database = await Database.getInstance();
+    await database.setSettings({ pointOfSale: cPosConfig });
+}
+
+/**
+ * Show one of the kiosk's screens, hiding the others
+ * @param {HTMLElement} domScreen - The keypad, payment, or paid screen
+ */
+function showPosScreen(domScreen) {
+    for (const domEach of [
+        doms.domPosKeypadScreen,
+        doms.domPosPayScreen,
+        doms.domPosPaidScreen,
+    ]) {
+        domEach.hidden = domEach !== domScreen;
+    }
+}
+
+/**
+ * Render the keypad amount, and it's value in the other unit
+ */
+async function renderPosAmount() {
+    const strTicker = cChainParams.current.TICKER;
+    const nAmount = Number(strPosAmount) || 0;
+    const nPrice = await cMarket.getPrice(strCurrency);
+
+    doms.domPosAmount.innerText = `${strPosAmount || '0'} ${
+        fPosFiat ? strCurrency.toUpperCase() : strTicker
+    }`;
+    doms.domPosUnit.innerText = tr(translation.posChargeIn, [
+        { unit: fPosFiat ? strTicker : strCurrency.toUpperCase() },
+    ]);
+
+    // Without a price, only coins can be charged
+    if (!nPrice) {
+        doms.domPosAmountAlt.innerText = fPosFiat ? translation.posNoPrice : '';
+        return;
+    }
+    doms.domPosAmountAlt.innerText = fPosFiat
+        ? `≈ ${Number((nAmount / nPrice).toFixed(8))} ${strTicker}`
+        : `≈ ${formatFiat(nAmount * nPrice)}`;
+}
+
+/**
+ * Derive the kiosk's next unused address, following the xpub's last used receiving address, and our own sales:
+ * ... the explorer only knows of confirmed payments, so a sale paid moments ago must not have it's address reused
+ * @returns {Promise<{address: string, index: number}?>} The address and it's index, or null if the explorer is
+ * ... unreachable (the user is alerted)
+ */
+async function getNextPosAddress() {
+    let cInfo;
+    try {
+        cInfo = await getNetwork().getXPubInfo(cPosConfig.xpub, true);
+    } catch (e) {
+        console.error(e);
+        createAlert('warning', ALERTS.POS_NO_ADDRESS, 4000);
+        return null;
+    }
+    let nIndex = 0;
+    for (const cToken of cInfo.tokens || []) {
+        const arrPath = cToken.path.split('/');
+        if (arrPath[4] === '0')
+            nIndex = Math.max(nIndex, parseInt(arrPath[5]) + 1);
+    }
+    for (const cSale of [...cPosConfig.sales, cPosSale]) {
+        if (Number.isSafeInteger(cSale?.index))
+            nIndex = Math.max(nIndex, cSale.index + 1);
+    }
+    return {
+        address: await cPosKey.getAddress(
+            cPosKey.getDerivationPath(0, 0, nIndex)
+        ),
+        index: nIndex,
+    };
+}
+
+/**
+ * Watch a sale's address until it's paid in full, or the sale is cancelled
+ * @param {typeof cPosSale} cSale
+ */
+async function watchPosSale(cSale) {
+    while (cPosSale === cSale) {
+        const arrUTXOs = (await getNetwork().getUTXOs(cSale.address)) || [];
+        if (cPosSale !== cSale) return;
+        const nReceived = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+
+        if (nReceived >= cSale.sats) {
+            cPosSale = null;
+            cPosConfig.sales.push({
+                ...cSale,
+                received: nReceived,
+                time: Math.floor(Date.now() / 1000),
+                txids: [...new Set(arrUTXOs.map((cUTXO) => cUTXO.txid))],
+            });
+            await savePosConfig();
+            doms.domPosPaidAmount.innerText = `${nReceived / COIN} ${
+                cChainParams.current.TICKER
+            }${
+                cSale.currency
+                    ? ` (${formatFiat(cSale.fiat, cSale.currency)})`
+                    : ''
+            }`;
+            showPosScreen(doms.domPosPaidScreen);
+            return;
+        }
+
+        // Partial payments are shown, so the cashier can ask for the rest
+        if (nReceived > 0) {
+            doms.domPosPayStatus.innerText = tr(translation.invoiceReceived, [
+                { received: nReceived / COIN },
+                { amount: cSale.sats / COIN },
+                { ticker: cChainParams.current.TICKER },
+            ]);
+        }
+        await sleep(POS_POLL_MS);
+    }
+}
+
+/**
+ * Start the Point-of-Sale kiosk, if it was left active
+ * @returns {Promise<boolean>} `true` if the kiosk started, in which case the wallet should not be loaded
+ */
+export async function startPointOfSale() {
+    const database = await Database.getInstance();
+    const { pointOfSale } = await database.getSettings();
+    if (!pointOfSale?.active) return false;
+
+    cPosConfig = pointOfSale;
+    cPosKey = new HdMasterKey({ xpub: pointOfSale.xpub });
+    document.body.classList.add('posActive');
+    doms.domPosKiosk.hidden = false;
+    await guiPosNewSale();
+    return true;
+}
+
+/**
+ * Set up the Point-of-Sale kiosk from an xpub, locked by a PIN, then restart MPW in to it
+ */
+export async function guiSetupPos() {
+    const strWalletXPub = wallet.isHD() ? await wallet.getXPub() : '';
+    const fConfirmed = await confirmPopup({
+        title: translation.pos,
+        html: `<p>${translation.posSetupNote}</p>
+               <input id="posXPubInput" class="mono" style="width: 100%;" placeholder="xpub" value="${strWalletXPub}" autocomplete="nope">
+               <input id="posPinInput" type="password" inputmode="numeric" style="width: 100%; margin-top: 5px;" placeholder="${translation.posPinPlaceholder}" autocomplete="nope">
+               <input id="posPinConfirmInput" type="password" inputmode="numeric" style="width: 100%; margin-top: 5px;" placeholder="${translation.posPinConfirmPlaceholder}" autocomplete="nope">`,
+    });
+    if (!fConfirmed) return;
+
+    const strXPub = document.getElementById('posXPubInput').value.trim();
+    const strPin = document.getElementById('posPinInput').value;
+    if (!isXPub(strXPub))
+        return createAlert('warning', ALERTS.POS_INVALID_XPUB, 3500);
+    if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},}$`).test(strPin))
+        return createAlert(
+            'warning',
+            tr(ALERTS.POS_INVALID_PIN, [{ length: MIN_PIN_LENGTH }]),
+            3500
+        );
+    if (strPin !== document.getElementById('posPinConfirmInput').value)
+        return createAlert('warning', ALERTS.POS_PIN_MISMATCH, 3500);
+
+    // Keep the sales of a kiosk previously run from this xpub
+    const database = await Database.getInstance();
+    const { pointOfSale } = await database.getSettings();
+    await database.setSettings({
+        pointOfSale: {
+            xpub: strXPub,
+            pin: hashPin(strPin),
+            active: true,
+            sales: pointOfSale?.xpub === strXPub ? pointOfSale.sales : [],
+        },
+    });
+
+    // Restart in to the kiosk, so no keys are left loaded behind it
+    window.location.reload();
+}
+
+/**
+ * Exit the kiosk with it's PIN, then restart MPW normally
+ */
+export async function guiExitPos() {
+    const fConfirmed = await confirmPopup({
+        title: translation.posExit,
+        html: `<input id="posExitPinInput" type="password" inputmode="numeric" style="width: 100%; text-align: center;" placeholder="${translation.posPinPlaceholder}" autocomplete="nope">`,
+    });
+    if (!fConfirmed) return;
+    const strPin = document.getElementById('posExitPinInput').value;
+    if (hashPin(strPin) !== cPosConfig.pin)
+        return createAlert('warning', ALERTS.POS_WRONG_PIN, 3000);
+
+    cPosSale = null;
+    cPosConfig.active = false;
+    await savePosConfig();
+    window.location.reload();
+}
+
+/**
+ * Type on the kiosk's keypad
+ * @param {string} strKey - A digit, `.`, or `back`
+ */
+export async function guiPosKey(strKey) {
+    if (strKey === 'back') {
+        strPosAmount = strPosAmount.slice(0, -1);
+    } else if (strKey === '.') {
+        if (!strPosAmount.includes('.'))
+            strPosAmount = (strPosAmount || '0') + '.';
+    } else {
+        const strNew = strPosAmount === '0' ? strKey : strPosAmount + strKey;
+        // Coins (and crypto display currencies) have 8 decimals, world currencies have cents
+        const nDecimals = strNew.split('.')[1]?.length || 0;
+        if (
+            nDecimals > (fPosFiat && isWorldCurrency(strCurrency) ? 2 : 8) ||
+            strNew.replace('.', '').length > MAX_KEYPAD_DIGITS
+        )
+            return;
+        strPosAmount = strNew;
+    }
+    await renderPosAmount();
+}
+
+/**
+ * Switch the keypad between charging in fiat, and in coins
+ */
+export async function guiPosToggleUnit() {
+    fPosFiat = !fPosFiat;
+    strPosAmount = '';
+    await renderPosAmount();
+}
+
+/**
+ * Charge the keypad amount: showing a fresh address as a full-screen QR, and waiting for it's payment
+ */
+export async function guiPosCharge() {
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+
+    const nAmount = Number(strPosAmount);
+    const nPrice = await cMarket.getPrice(strCurrency);
+    if (fPosFiat && !nPrice)
+        return createAlert('warning', ALERTS.INVOICE_NO_PRICE, 3500);
+    const nSats = Math.round((fPosFiat ? nAmount / nPrice : nAmount) * COIN);
+    if (!Number.isSafeInteger(nSats) || nSats <= 0)
+        return createAlert('warning', ALERTS.INVALID_AMOUNT, 2500);
+
+    const cAddress = await getNextPosAddress();
+    if (!cAddress) return;
+    const strAddress = cAddress.address;
+    const cSale = {
+        address: strAddress,
+        index: cAddress.index,
+        sats: nSats,
+        fiat: fPosFiat ? nAmount : (nSats / COIN) * nPrice,
+        currency: nPrice ? strCurrency : '',
+    };
+    cPosSale = cSale;
+
+    doms.domPosPayAmount.innerText = `${nSats / COIN} ${
+        cChainParams.current.TICKER
+    }`;
+    doms.domPosPayAddress.innerText = strAddress;
+    doms.domPosPayStatus.innerText = translation.posWaiting;
+    createQR(
+        createBIP21Request(strAddress, { amount: nSats / COIN }),
+        doms.domPosQR,
+        0
+    );
+    doms.domPosQR.firstChild.classList.add('no-antialias');
+    showPosScreen(doms.domPosPayScreen);
+    watchPosSale(cSale);
+}
+
+/**
+ * Cancel the sale awaiting payment, returning to the keypad
+ */
+export async function guiPosCancel() {
+    cPosSale = null;
+    showPosScreen(doms.domPosKeypadScreen);
+}
+
+/**
+ * Clear the keypad, ready for the next sale
+ */
+export async function guiPosNewSale() {
+    cPosSale = null;
+    strPosAmount = '';
+    await renderPosAmount();
+    showPosScreen(doms.domPosKeypadScreen);
+}
+
+/**
+ * Show the daily sales report: the totals of each recent day, and today's sales
+ */
+export async function guiPosReport() {
+    const strTicker = cChainParams.current.TICKER;
+
+    // Total the sales of each day, newest first
+    const mapDays = new Map();
+    for (const cSale of [...cPosConfig.sales].reverse()) {
+        const strDay = new Date(cSale.time * 1000).toLocaleDateString();
+        const cDay = mapDays.get(strDay) || { count: 0, sats: 0, fiat: {} };
+        cDay.count++;
+        cDay.sats += cSale.received;
+        if (cSale.currency)
+            cDay.fiat[cSale.currency] =
+                (cDay.fiat[cSale.currency] || 0) + cSale.fiat;
+        mapDays.set(strDay, cDay);
+    }
+    const strToday = new Date().toLocaleDateString();
+    const arrToday = cPosConfig.sales.filter(
+        (cSale) => new Date(cSale.time * 1000).toLocaleDateString() === strToday
+    );
+
+    const strDays = [...mapDays]
+        .slice(0, REPORT_DAYS)
+        .map(
+            ([strDay, cDay]) => `<tr>
+                <td>${strDay}</td>
+                <td>${cDay.count}</td>
+                <td>${cDay.sats / COIN} ${strTicker}</td>
+                <td>${Object.entries(cDay.fiat)
+                    .map(([strFiat, nFiat]) => formatFiat(nFiat, strFiat))
+                    .join('<br>')}</td>
+            </tr>`
+        )
+        .join('');
+    const strSales = arrToday
+        .reverse()
+        .map(
+            (cSale) => `<tr>
+                <td>${new Date(cSale.time * 1000).toLocaleTimeString()}</td>
+                <td>${cSale.received / COIN} ${strTicker}</td>
+                <td>${
+                    cSale.currency ? formatFiat(cSale.fiat, cSale.currency) : ''
+                }</td>
+            </tr>`
+        )
+        .join('');
+
+    await confirmPopup({
+        title: translation.posReport,
+        html: `<b>${translation.posDailyTotals}</b>
+               <table class="table table-sm" style="color: inherit;">
+                   <tr><th>${translation.posDate}</th><th>${
+            translation.posSales
+        }</th><th>${strTicker}</th><th>${translation.posFiat}</th></tr>
+                   ${
+                       strDays ||
+                       `<tr><td colspan="4">${translation.posNoSales}</td></tr>`
+                   }
+               </table>
+               <b>${tr(translation.posSalesOn, [{ date: strToday }])}</b>
+               <table class="table table-sm" style="color: inherit;">
+                   ${strSales || `<tr><td>${translation.posNoSales}</td></tr>`}
+               </table>
+               <button class="pivx-button-small" onclick="MPW.guiPosExportSales()">${
+                   translation.invoiceExport
+               }</button>`,
+        hideConfirm: true,
+        purpleModal: true,
+    });
+}
+
+/**
+ * Export every sale as a CSV file
+ */
+export function guiPosExportSales() {
+    const strTicker = cChainParams.current.TICKER;
+    const arrCSV = [
+        // Titles
+        [
+            'Time',
+            'Address',
+            `Charged (${strTicker})`,
+            `Received (${strTicker})`,
+            'Fiat Value',
+            'Currency',
+            'Transactions',
+        ],
+    ];
+    for (const cSale of cPosConfig.sales) {
+        arrCSV.push([
+            new Date(cSale.time * 1000).toISOString(),
+            cSale.address,
+            cSale.sats / COIN,
+            cSale.received / COIN,
+            cSale.currency ? Number(cSale.fiat.toFixed(8)) : '',
+            cSale.currency.toUpperCase(),
+            cSale.txids.join(' '),
+        ]);
+    }
+    downloadBlob(arrayToCSV(arrCSV), 'sales.csv', 'text/csv;charset=utf-8;');
+}
@@ -0,0 +1,773 @@
+import { Account } from './accounts.js';
+import { decrypt, encrypt } from './aes-gcm.js';
+import { cChainParams, MIN_PASS_LENGTH } from './chain_params.js';
+import { Contact } from './contacts-book.js';
+import { Database } from './database.js';
+import { decodeAddressHash } from './encoding.js';
+import { doms } from './global.js';
+import { HtlcRole } from './htlc.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import Masternode from './masternode.js';
+import {
+    confirmPopup,
+    createAlert,
+    downloadBlob,
+    isScriptAddress,
+    isStandardAddress,
+    isXPub,
+    sanitizeHTML,
+} from './misc.js';
+import { isValidMultisig } from './multisig.js';
+import { PromoWallet } from './promos.js';
+import { Settings } from './settings.js';
+import {
+    isColdStakingAddress,
+    MAX_PROVIDER_NAME,
+} from './staking-providers.js';
+import { wallet } from './wallet.js';
+import { isWatchOnlyKey, WatchOnlyEntry } from './watchonly.js';
+
+/** The identifier of MPW profile backup files */
+const PROFILE_FORMAT = 'mpw-profile';
+
+/** The current profile backup version */
+const PROFILE_VERSION = 1;
+
+/**
+ * A snapshot of every MPW database store, for a single network
+ * @typedef {Object} Profile
+ * @property {Object?} account - The Account, including it's (already encrypted) key, contacts and proposals
+ * @property {Array<Object>} promos - The saved Promo Codes
+ * @property {Object?} masternode - The Masternode config
+ * @property {Array<Object>} watchOnly - The Watch-only portfolio
+ * @property {Object} settings - The user settings
+ */
+
+/**
+ * A difference between the local and backup profiles, which the user must resolve
+ * @typedef {Object} ProfileConflict
+ * @property {string} kind - What is conflicting (i.e: 'Contact')
+ * @property {string} local - A description of the local version
+ * @property {string} backup - A description of the backup version
+ * @property {function} resolve - Apply the backup version over the local version
+ */
+
+/**
+ * Snapshot the current network's database in to a Profile
+ * @returns {Promise<Profile>}
+ */
+async function createProfile() {
+    const database = await Database.getInstance();
+    const cMasternode = await database.getMasternode();
+    const cSettings = await database.getSettings();
+    // An unfinished Vanity search, and a Point-of-Sale kiosk, are specific to this device
+    cSettings.vanityCheckpoint = null;
+    cSettings.pointOfSale = null;
+    return {
+        account: await database.getAccount(),
+        promos: (await database.getAllPromos()).map((cPromo) => ({
+            code: cPromo.code,
+            address: cPromo.address,
+            pkBytes: Array.from(cPromo.pkBytes),
+            time: cPromo.time.getTime(),
+        })),
+        masternode: cMasternode.collateralTxId ? { ...cMasternode } : null,
+        watchOnly: (await database.getAllWatchOnly()).map((cEntry) => ({
+            label: cEntry.label,
+            pubkey: cEntry.pubkey,
+            time: cEntry.time.getTime(),
+        })),
+        settings: { ...cSettings },
+    };
+}
+
+/** The longest user-chosen name (of a Contact, account, vault, etc) a backup may contain */
+const MAX_NAME_LENGTH = 32;
+
+/** The longest free text (i.e: an invoice message) a backup may contain */
+const MAX_TEXT_LENGTH = 128;
+
+/** The settings which are specific to a device, and never restored */
+const DEVICE_SETTINGS = ['vanityCheckpoint', 'pointOfSale'];
+
+/**
+ * Check if a value is a string, within a maximum length
+ * @param {any} str
+ * @param {number} nMax
+ * @returns {boolean}
+ */
+function isText(str, nMax) {
+    return typeof str === 'string' && str.length <= nMax;
+}
+
+/**
+ * Check if a value is a lowercase hex string of an exact byte length
+ * @param {any} str
+ * @param {number} nBytes
+ * @returns {boolean}
+ */
+function isHexBytes(str, nBytes) {
+    return (
+        typeof str === 'string' &&
+        new RegExp(`^[0-9a-f]{${nBytes * 2}}$`).test(str)
+    );
+}
+
+/**
+ * Check if a value is a non-negative integer
+ * @param {any} n
+ * @returns {boolean}
+ */
+function isUint(n) {
+    return Number.isSafeInteger(n) && n >= 0;
+}
+
+/**
+ * Check if a value is a checksummed standard or P2SH address of the current network
+ * @param {any} str
+ * @returns {boolean}
+ */
+function isAddress(str) {
+    return (
+        typeof str === 'string' &&
+        (isStandardAddress(str) || isScriptAddress(str)) &&
+        !!decodeAddressHash(str)
+    );
+}
+
+/**
+ * Check if a value is a BIP32 derivation path, i.e: `m/44'/119'/0'/0/1`, or the path of a Legacy wallet's key
+ * @param {any} str
+ * @returns {boolean}
+ */
+function isPath(str) {
+    return typeof str === 'string' && /^(m|:\)\/)(\/\d+'?)+$/.test(str);
+}
+
+/**
+ * Check if a value is a lock time: a block height or unix timestamp
+ * @param {any} n
+ * @returns {boolean}
+ */
+function isLocktime(n) {
+    return isUint(n) && n > 0 && n <= 0xffffffff;
+}
+
+/**
+ * @param {Object} c - A backup Contact
+ * @returns {boolean}
+ */
+function isValidContact(c) {
+    return (
+        isText(c?.label, MAX_NAME_LENGTH) &&
+        c.label.length > 0 &&
+        typeof c.pubkey === 'string' &&
+        (isXPub(c.pubkey) ||
+            (isStandardAddress(c.pubkey) && isAddress(c.pubkey))) &&
+        (!c.icon ||
+            (typeof c.icon === 'string' &&
+                /^data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=]+$/i.test(
+                    c.icon
+                ))) &&
+        (c.date === undefined || Number.isFinite(c.date))
+    );
+}
+
+/**
+ * @param {Object} a - A backup BIP44 account
+ * @returns {boolean}
+ */
+function isValidHdAccount(a) {
+    return (
+        isUint(a?.index) &&
+        isText(a.name ?? '', MAX_NAME_LENGTH) &&
+        typeof a.publicKey === 'string' &&
+        isXPub(a.publicKey) &&
+        (a.hidden === undefined || typeof a.hidden === 'boolean')
+    );
+}
+
+/**
+ * @param {Object} p - A backup local proposal
+ * @returns {boolean}
+ */
+function isValidProposal(p) {
+    return (
+        typeof p?.name === 'string' &&
+        typeof p.url === 'string' &&
+        isUint(p.nPayments) &&
+        isUint(p.monthlyPayment) &&
+        isUint(p.start) &&
+        isAddress(p.address) &&
+        (p.txid === undefined || isHexBytes(p.txid, 32)) &&
+        Masternode.isValidProposal(p).ok
+    );
+}
+
+/**
+ * @param {Object} v - A backup vault
+ * @returns {boolean}
+ */
+function isValidVault(v) {
+    return (
+        isText(v?.name, MAX_NAME_LENGTH) &&
+        isLocktime(v.locktime) &&
+        isHexBytes(v.pubkey, 33) &&
+        isPath(v.path)
+    );
+}
+
+/**
+ * @param {Object} h - A backup HTLC
+ * @returns {boolean}
+ */
+function isValidHtlc(h) {
+    return (
+        isText(h?.name, MAX_NAME_LENGTH) &&
+        isHexBytes(h.hash, 32) &&
+        (h.secret === '' || isHexBytes(h.secret, 32)) &&
+        isAddress(h.recipient) &&
+        isAddress(h.refund) &&
+        isLocktime(h.locktime) &&
+        Object.values(HtlcRole).includes(h.role) &&
+        isPath(h.path)
+    );
+}
+
+/**
+ * @param {Object} i - A backup invoice
+ * @returns {boolean}
+ */
+function isValidInvoice(i) {
+    return (
+        isText(i?.label, MAX_TEXT_LENGTH) &&
+        isText(i.message, MAX_TEXT_LENGTH) &&
+        isUint(i.sats) &&
+        Number.isFinite(i.fiat) &&
+        typeof i.currency === 'string' &&
+        /^[a-z]{0,8}$/.test(i.currency) &&
+        isAddress(i.address) &&
+        isPath(i.path) &&
+        Number.isFinite(i.created) &&
+        Number.isFinite(i.expiry) &&
+        Array.isArray(i.payments) &&
+        i.payments.every(
+            (p) => isHexBytes(p?.txid, 32) && isUint(p.vout) && isUint(p.sats)
+        )
+    );
+}
+
+/**
+ * @param {Object} p - A backup Promo Code
+ * @returns {boolean}
+ */
+function isValidPromo(p) {
+    return (
+        isText(p?.code, 64) &&
+        /^[^<>&"'`\\]+$/.test(p.code) &&
+        isAddress(p.address) &&
+        Array.isArray(p.pkBytes) &&
+        p.pkBytes.length === 32 &&
+        p.pkBytes.every((n) => isUint(n) && n <= 255) &&
+        Number.isFinite(p.time)
+    );
+}
+
+/**
+ * @param {Object} m - A backup Masternode config
+ * @returns {boolean}
+ */
+function isValidMasternode(m) {
+    return (
+        isHexBytes(m?.collateralTxId, 32) &&
+        isUint(m.outidx) &&
+        (m.walletPrivateKeyPath === 'legacy' ||
+            isPath(m.walletPrivateKeyPath)) &&
+        isText(m.mnPrivateKey, 64) &&
+        /^[1-9A-HJ-NP-Za-km-z]*$/.test(m.mnPrivateKey) &&
+        isText(m.addr, 64) &&
+        /^[0-9a-z.:[\]]*$/i.test(m.addr)
+    );
+}
+
+/**
+ * @param {Object} e - A backup watch-only entry
+ * @returns {boolean}
+ */
+function isValidWatchOnly(e) {
+    return (
+        isText(e?.label, MAX_NAME_LENGTH) &&
+        isWatchOnlyKey(e.pubkey) &&
+        Number.isFinite(e.time)
+    );
+}
+
+/**
+ * @param {Object} p - A backup staking provider
+ * @returns {boolean}
+ */
+function isValidStakingProvider(p) {
+    return (
+        isText(p?.name, MAX_PROVIDER_NAME) &&
+        !!p.name.trim() &&
+        typeof p.address === 'string' &&
+        isColdStakingAddress(p.address)
+    );
+}
+
+/**
+ * Validate every entry of a decrypted Profile before anything is merged, as it may have been crafted,
+ * ... dropping any invalid entry (or the whole Account, if it's key is invalid)
+ * @param {Profile} cProfile - The decrypted Profile
+ * @returns {{cProfile: Profile, nRejected: number}} The valid Profile, and the amount of entries dropped
+ */
+function validateProfile(cProfile) {
+    let nRejected = 0;
+    const filterValid = (arr, fnIsValid) => {
+        const arrValid = Array.isArray(arr) ? arr.filter(fnIsValid) : [];
+        nRejected += (Array.isArray(arr) ? arr.length : 0) - arrValid.length;
+        return arrValid;
+    };
+
+    // Account: only kept if it's key is valid, then each of it's collections are filtered
+    let account = null;
+    const cAccount = cProfile?.account;
+    if (cAccount) {
+        if (
+            typeof cAccount.publicKey === 'string' &&
+            (isXPub(cAccount.publicKey) || isAddress(cAccount.publicKey)) &&
+            typeof (cAccount.encWif ?? '') === 'string' &&
+            isText(cAccount.name ?? '', MAX_NAME_LENGTH) &&
+            isUint(cAccount.activeAccount ?? 0)
+        ) {
+            account = {
+                publicKey: cAccount.publicKey,
+                encWif: cAccount.encWif,
+                name: cAccount.name,
+                activeAccount: cAccount.activeAccount,
+                contacts: filterValid(cAccount.contacts, isValidContact),
+                hdAccounts: filterValid(cAccount.hdAccounts, isValidHdAccount),
+                localProposals: filterValid(
+                    cAccount.localProposals,
+                    isValidProposal
+                ),
+                multisigs: filterValid(cAccount.multisigs, isValidMultisig),
+                vaults: filterValid(cAccount.vaults, isValidVault),
+                htlcs: filterValid(cAccount.htlcs, isValidHtlc),
+                invoices: filterValid(cAccount.invoices, isValidInvoice),
+            };
+        } else {
+            nRejected++;
+        }
+    }
+
+    // Masternode
+    let masternode = null;
+    if (cProfile?.masternode) {
+        if (isValidMasternode(cProfile.masternode))
+            masternode = cProfile.masternode;
+        else nRejected++;
+    }
+
+    // Settings: only known settings, of the same type as their defaults
+    const cDefaults = new Settings();
+    const settings = {};
+    for (const [strKey, value] of Object.entries(cProfile?.settings || {})) {
+        if (DEVICE_SETTINGS.includes(strKey) || !(strKey in cDefaults))
+            continue;
+        const fValid =
+            cDefaults[strKey] === undefined || cDefaults[strKey] === null
+                ? typeof value === 'string'
+                : typeof value === typeof cDefaults[strKey] &&
+                  Array.isArray(value) === Array.isArray(cDefaults[strKey]) &&
+                  (typeof value !== 'number' || Number.isFinite(value));
+        if (fValid) settings[strKey] = value;
+        else nRejected++;
+    }
+    // The Cold Staking address, and staking providers, are rendered and delegated to, so they must be real
+    if (
+        settings.coldAddress !== undefined &&
+        !isColdStakingAddress(settings.coldAddress)
+    ) {
+        delete settings.coldAddress;
+        nRejected++;
+    }
+    if (settings.stakingProviders !== undefined)
+        settings.stakingProviders = filterValid(
+            settings.stakingProviders,
+            isValidStakingProvider
+        ).map((p) => ({ name: p.name, address: p.address }));
+    if (
+        settings.displayCurrency !== undefined &&
+        !/^[a-z]{1,8}$/.test(settings.displayCurrency)
+    ) {
+        delete settings.displayCurrency;
+        nRejected++;
+    }
+
+    return {
+        cProfile: {
+            account,
+            promos: filterValid(cProfile?.promos, isValidPromo),
+            masternode,
+            watchOnly: filterValid(cProfile?.watchOnly, isValidWatchOnly),
+            settings,
+        },
+        nRejected,
+    };
+}
+
+/**
+ * Merge the backup Contacts in to the local Contacts, collecting conflicts
+ * @param {Array<Contact>} arrLocal - The local Contacts, which will be merged in to
+ * @param {Array<Contact>} arrBackup - The backup Contacts
+ * @param {Array<ProfileConflict>} arrConflicts - The conflicts list to add to
+ */
+function mergeContacts(arrLocal, arrBackup, arrConflicts) {
+    for (const cBackup of arrBackup.map((c) => new Contact(c))) {
+        // Contacts are unique by both their name and their pubkey
+        const cLocal = arrLocal.find(
+            (c) => c.pubkey === cBackup.pubkey || c.label === cBackup.label
+        );
+        if (!cLocal) {
+            arrLocal.push(cBackup);
+        } else if (
+            cLocal.pubkey !== cBackup.pubkey ||
+            cLocal.label !== cBackup.label
+        ) {
+            arrConflicts.push({
+                kind: translation.profileConflictContact,
+                local: `${cLocal.label} (${cLocal.pubkey})`,
+                backup: `${cBackup.label} (${cBackup.pubkey})`,
+                resolve: () =>
+                    arrLocal.splice(arrLocal.indexOf(cLocal), 1, cBackup),
+            });
+        }
+    }
+}
+
+/**
+ * Merge a Profile in to the current network's database, prompting the user to resolve any conflicts
+ * @param {Profile} cBackupProfile - The decrypted Profile, straight from the backup
+ * @returns {Promise<boolean>} - `true` if the Profile was restored, `false` if cancelled
+ */
+async function restoreProfile(cBackupProfile) {
+    const database = await Database.getInstance();
+    /** @type {Array<ProfileConflict>} */
+    const arrConflicts = [];
+
+    // Nothing from the backup is trusted until it's validated
+    const { cProfile, nRejected } = validateProfile(cBackupProfile);
+
+    // Account: only restore the backup's wallet to a device without one, otherwise, merge it's Contacts (and if the same wallet, it's data)
+    const cLocalAccount = await database.getAccount();
+    const cBackupAccount = cProfile.account
+        ? new Account(cProfile.account)
+        : null;
+    let fRestoreAccount = false;
+    let fWalletSkipped = false;
+    if (cBackupAccount && !cLocalAccount) {
+        cBackupAccount.contacts = cBackupAccount.contacts.map(
+            (c) => new Contact(c)
+        );
+        // An unsaved wallet is loaded, so we'd be saving another wallet's data on top of it
+        if (wallet.isLoaded()) fWalletSkipped = true;
+        else fRestoreAccount = true;
+    } else if (cBackupAccount) {
+        mergeContacts(
+            cLocalAccount.contacts,
+            cBackupAccount.contacts,
+            arrConflicts
+        );
+        if (cLocalAccount.publicKey === cBackupAccount.publicKey) {
+            for (const cHdAccount of cBackupAccount.hdAccounts) {
+                if (!cLocalAccount.getHdAccount(cHdAccount.index))
+                    cLocalAccount.hdAccounts.push(cHdAccount);
+            }
+            for (const cProposal of cBackupAccount.localProposals) {
+                if (
+                    !cLocalAccount.localProposals.some(
+                        (p) => p.txid === cProposal.txid
+                    )
+                )
+                    cLocalAccount.localProposals.push(cProposal);
+            }
+            for (const cMultisig of cBackupAccount.multisigs) {
+                const strXPubs = cMultisig.xpubs.join();
+                if (
+                    !cLocalAccount.multisigs.some(
+                        (m) =>
+                            m.xpubs.join() === strXPubs &&
+                            m.index === cMultisig.index
+                    )
+                )
+                    cLocalAccount.multisigs.push(cMultisig);
+            }
+            for (const cVault of cBackupAccount.vaults) {
+                if (
+                    !cLocalAccount.vaults.some(
+                        (v) =>
+                            v.pubkey === cVault.pubkey &&
+                            v.locktime === cVault.locktime
+                    )
+                )
+                    cLocalAccount.vaults.push(cVault);
+            }
+            for (const cHtlc of cBackupAccount.htlcs) {
+                const cLocal = cLocalAccount.htlcs.find(
+                    (h) =>
+                        h.hash === cHtlc.hash &&
+                        h.recipient === cHtlc.recipient &&
+                        h.refund === cHtlc.refund &&
+                        h.locktime === cHtlc.locktime
+                );
+                if (!cLocal) cLocalAccount.htlcs.push(cHtlc);
+                // Keep any secret that's only known to the backup
+                else if (!cLocal.secret) cLocal.secret = cHtlc.secret;
+            }
+            for (const cInvoice of cBackupAccount.invoices) {
+                const cLocal = cLocalAccount.invoices.find(
+                    (i) => i.address === cInvoice.address
+                );
+                if (!cLocal) {
+                    cLocalAccount.invoices.push(cInvoice);
+                    continue;
+                }
+                // Keep any payment that's only known to the backup
+                for (const cPayment of cInvoice.payments) {
+                    if (
+                        !cLocal.payments.some(
+                            (p) =>
+                                p.txid === cPayment.txid &&
+                                p.vout === cPayment.vout
+                        )
+                    )
+                        cLocal.payments.push(cPayment);
+                }
+            }
+        } else {
+            // Wallet-specific data (proposals, multisigs, vaults, HTLCs, invoices) can't apply to a different wallet
+            fWalletSkipped = true;
+        }
+    }
+
+    // Promos: unique by their code
+    const arrLocalPromos = await database.getAllPromos();
+    const arrNewPromos = [];
+    for (const cPromoData of cProfile.promos) {
+        const cBackup = new PromoWallet({
+            ...cPromoData,
+            pkBytes: Uint8Array.from(cPromoData.pkBytes),
+            utxos: [],
+        });
+        const cLocal = arrLocalPromos.find((p) => p.code === cBackup.code);
+        if (!cLocal) {
+            arrNewPromos.push(cBackup);
+        } else if (
+            cLocal.address !== cBackup.address ||
+            cLocal.time.getTime() !== cBackup.time.getTime()
+        ) {
+            arrConflicts.push({
+                kind: translation.profileConflictPromo,
+                local: `${cLocal.code} (${cLocal.time.toLocaleString()})`,
+                backup: `${cBackup.code} (${cBackup.time.toLocaleString()})`,
+                resolve: () => arrNewPromos.push(cBackup),
+            });
+        }
+    }
+
+    // Masternode: only one may be saved
+    const cLocalMasternode = await database.getMasternode();
+    let cNewMasternode = null;
+    if (cProfile.masternode) {
+        const cBackup = new Masternode(cProfile.masternode);
+        if (!cLocalMasternode.collateralTxId) {
+            cNewMasternode = cBackup;
+        } else if (
+            cLocalMasternode.collateralTxId !== cBackup.collateralTxId ||
+            cLocalMasternode.outidx !== cBackup.outidx
+        ) {
+            arrConflicts.push({
+                kind: translation.profileConflictMasternode,
+                local: `${cLocalMasternode.addr} (${cLocalMasternode.collateralTxId}:${cLocalMasternode.outidx})`,
+                backup: `${cBackup.addr} (${cBackup.collateralTxId}:${cBackup.outidx})`,
+                resolve: () => (cNewMasternode = cBackup),
+            });
+        }
+    }
+
+    // Let the user resolve any conflicts, before anything is written
+    if (arrConflicts.length && !(await resolveConflicts(arrConflicts)))
+        return false;
+
+    // Write the merged Profile
+    if (fRestoreAccount) await database.addAccount(cBackupAccount);
+    else if (cLocalAccount) await database.updateAccount(cLocalAccount, true);
+    for (const cPromo of arrNewPromos) await database.addPromo(cPromo);
+    if (cNewMasternode) await database.addMasternode(cNewMasternode);
+    const arrLocalWatchOnly = await database.getAllWatchOnly();
+    for (const cEntry of cProfile.watchOnly) {
+        if (!arrLocalWatchOnly.some((e) => e.pubkey === cEntry.pubkey))
+            await database.addWatchOnly(new WatchOnlyEntry(cEntry));
+    }
+    // Settings: carry over the backup's preferences, but never the device-specific ones
+    const cLocalSettings = await database.getSettings();
+    // Staking providers: unique by their address
+    const arrProviders = [...cLocalSettings.stakingProviders];
+    for (const cProvider of cProfile.settings.stakingProviders || []) {
+        if (!arrProviders.some((p) => p.address === cProvider.address))
+            arrProviders.push(cProvider);
+    }
+    await database.setSettings({
+        ...cProfile.settings,
+        vanityCheckpoint: null,
+        pointOfSale: cLocalSettings.pointOfSale,
+        stakingProviders: arrProviders,
+    });
+
+    if (fWalletSkipped)
+        createAlert('warning', ALERTS.PROFILE_WALLET_SKIPPED, 7500);
+    if (nRejected)
+        createAlert(
+            'warning',
+            tr(ALERTS.PROFILE_ENTRIES_REJECTED, [{ count: nRejected }]),
+            7500
+        );
+    return true;
+}
+
+/**
+ * Prompt the user to pick between the local and backup version of each conflict
+ * @param {Array<ProfileConflict>} arrConflicts - The conflicts to resolve
+ * @returns {Promise<boolean>} - `true` if resolved, `false` if the restore was cancelled
+ */
+async function resolveConflicts(arrConflicts) {
+    let strHTML = `<p style="opacity: 0.75">${translation.profileConflictNote}</p>`;
+    arrConflicts.forEach((cConflict, i) => {
+        strHTML += `
+            <b>${cConflict.kind}</b>
+            <select class="form-control" id="profileConflict${i}">
+                <option value="local">${tr(translation.profileKeepLocal, [
+                    { item: sanitizeHTML(cConflict.local) },
+                ])}</option>
+                <option value="backup">${tr(translation.profileUseBackup, [
+                    { item: sanitizeHTML(cConflict.backup) },
+                ])}</option>
+            </select>
+            <br>`;
+    });
+    if (
+        !(await confirmPopup({
+            title: translation.profileConflicts,
+            html: strHTML,
+            textLeft: true,
+        }))
+    )
+        return false;
+
+    arrConflicts.forEach((cConflict, i) => {
+        if (document.getElementById(`profileConflict${i}`).value === 'backup')
+            cConflict.resolve();
+    });
+    return true;
+}
+
+/**
+ * Export the full MPW profile of the current network as a password-encrypted file
+ */
+export async function guiExportProfile() {
+    if (
+        !(await confirmPopup({
+            title: translation.profileExport,
+            html: `<p style="opacity: 0.75">${translation.profileExportNote}</p>
+                   <input type="password" id="profilePassword" placeholder="${translation.encryptPasswordFirst}" style="text-align: center;">
+                   <input type="password" id="profilePasswordRetype" placeholder="${translation.encryptPasswordSecond}" style="text-align: center;">`,
+        }))
+    )
+        return;
+
+    // Grab the passwords, and wipe the inputs immediately
+    const domPassword = document.getElementById('profilePassword');
+    const domPasswordRetype = document.getElementById('profilePasswordRetype');
+    const strPassword = domPassword.value;
+    const strPasswordRetype = domPasswordRetype.value;
+    domPassword.value = domPasswordRetype.value = '';
+    if (strPassword.length < MIN_PASS_LENGTH)
+        return createAlert(
+            'warning',
+            tr(ALERTS.PASSWORD_TOO_SMALL, [
+                { MIN_PASS_LENGTH: MIN_PASS_LENGTH },
+            ]),
+            4000
+        );
+    if (strPassword !== strPasswordRetype)
+        return createAlert('warning', ALERTS.PASSWORD_DOESNT_MATCH, 2250);
+
+    const strData = await encrypt(
+        JSON.stringify(await createProfile()),
+        strPassword
+    );
+    if (!strData) return;
+    const strNetwork = cChainParams.current.name;
+    downloadBlob(
+        JSON.stringify({
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            network: strNetwork,
+            time: Date.now(),
+            data: strData,
+        }),
+        `mpw-profile-${strNetwork}-${new Date()
+            .toISOString()
+            .slice(0, 10)}.json`,
+        'application/json'
+    );
+}
+
+/**
+ * Restore a password-encrypted MPW profile from the selected backup file
+ */
+export async function guiImportProfile() {
+    const cFile = doms.domProfileFile.files[0];
+    // Reset the file input, so the same file may be selected again
+    doms.domProfileFile.value = '';
+    if (!cFile) return;
+
+    // Parse and sanity check the backup
+    let cBackup;
+    try {
+        cBackup = JSON.parse(await cFile.text());
+    } catch (e) {
+        cBackup = null;
+    }
+    if (cBackup?.format !== PROFILE_FORMAT || cBackup.version > PROFILE_VERSION)
+        return createAlert('warning', ALERTS.PROFILE_INVALID, 5000);
+    if (cBackup.network !== cChainParams.current.name)
+        return createAlert(
+            'warning',
+            tr(ALERTS.PROFILE_WRONG_NETWORK, [
+                { network: sanitizeHTML(cBackup.network) },
+            ]),
+            5000
+        );
+
+    if (
+        !(await confirmPopup({
+            title: translation.profileImport,
+            html: `<p style="opacity: 0.75">${translation.profileImportNote}</p>
+                   <input type="password" id="profilePassword" placeholder="${translation.password}" style="text-align: center;">`,
+        }))
+    )
+        return;
+    const domPassword = document.getElementById('profilePassword');
+    const strPassword = domPassword.value;
+    domPassword.value = '';
+
+    const strProfile = await decrypt(cBackup.data, strPassword);
+    if (!strProfile) return;
+    if (strProfile === 'decryption failed!')
+        return createAlert('warning', ALERTS.INCORRECT_PASSWORD, 6000);
+
+    if (await restoreProfile(JSON.parse(strProfile)))
+        createAlert('success', ALERTS.PROFILE_RESTORED, 7500);
+}
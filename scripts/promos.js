@@ -475,6 +475,8 @@ export async function updatePromoCreationTick(fRecursive = false) {
                 const res = await createAndSendTransaction({
                     address: strAddress,
                     amount: cThread.amount * COIN + 10000,
+                    // Codes are filled in the background, so there's nobody to confirm the fee
+                    confirmFee: false,
                 }).catch((_) => {
                     // Failed to create this code - mark it as errored
                     cThread.end_state = 'Errored';
@@ -1,3 +1,5 @@
+import { hexToBytes } from './utils.js';
+
 export const OP = {
     // push value
     0: 0x00,
@@ -145,6 +147,70 @@ export const OP = {
 };
 Object.freeze(OP);
 
+/**
+ * Encode a data push for a script, using the smallest opcode that fits
+ * @param {Array<number>} bData - The bytes to push
+ * @returns {Array<number>}
+ */
+export function pushData(bData) {
+    if (bData.length < OP['PUSHDATA1']) return [bData.length, ...bData];
+    if (bData.length <= 0xff) return [OP['PUSHDATA1'], bData.length, ...bData];
+    return [OP['PUSHDATA2'], bData.length & 0xff, bData.length >> 8, ...bData];
+}
+
+/**
+ * Decode the data pushes of a script (i.e: an input's signature script)
+ * @param {Array<number>|Uint8Array} bScript - The script bytes
+ * @returns {Array<Array<number>>?} The pushed data, or null if the script contains anything but pushes
+ */
+export function decodePushes(bScript) {
+    const arrPushes = [];
+    let i = 0;
+    while (i < bScript.length) {
+        const nOp = bScript[i++];
+        let nLength;
+        if (nOp === OP['0']) {
+            arrPushes.push([]);
+            continue;
+        } else if (nOp >= OP['1'] && nOp <= OP['16']) {
+            arrPushes.push([nOp - OP['1'] + 1]);
+            continue;
+        } else if (nOp < OP['PUSHDATA1']) {
+            nLength = nOp;
+        } else if (nOp === OP['PUSHDATA1']) {
+            nLength = bScript[i++];
+        } else if (nOp === OP['PUSHDATA2']) {
+            nLength = bScript[i] | (bScript[i + 1] << 8);
+            i += 2;
+        } else {
+            return null;
+        }
+        if (i + nLength > bScript.length) return null;
+        arrPushes.push(Array.from(bScript.slice(i, i + nLength)));
+        i += nLength;
+    }
+    return arrPushes;
+}
+
+/**
+ * Encode a number as a script number: minimal little-endian bytes, with the top bit as the sign
+ * @param {number} nValue - The number to encode
+ * @returns {Array<number>}
+ */
+export function encodeScriptNum(nValue) {
+    const bNum = [];
+    let nAbs = Math.abs(nValue);
+    while (nAbs > 0) {
+        bNum.push(nAbs % 256);
+        nAbs = Math.floor(nAbs / 256);
+    }
+    // If the top bit is already used by the value, the sign needs an extra byte
+    if (bNum.length && bNum[bNum.length - 1] & 0x80)
+        bNum.push(nValue < 0 ? 0x80 : 0x00);
+    else if (nValue < 0) bNum[bNum.length - 1] |= 0x80;
+    return bNum;
+}
+
 export function getScriptForBurn(data) {
     let cScript = [];
     // Check if we're fitting any data into the TX
@@ -163,3 +229,29 @@ export function getScriptForBurn(data) {
     // Return the burn script
     return cScript;
 }
+
+/**
+ * Decode the text data (i.e: a memo) of an OP_RETURN script
+ * @param {string} strHex - The script, in hex
+ * @returns {string?} - The text, or null if the script holds no valid UTF-8 text
+ */
+export function getDataFromBurnScript(strHex) {
+    if (!strHex || !strHex.startsWith(OP['RETURN'].toString(16))) return null;
+    const bScript = hexToBytes(strHex);
+    // Data is either pushed directly (up to 75 bytes), or with a PUSHDATA1 length prefix
+    let nStart = 2;
+    let nLength = bScript[1];
+    if (bScript[1] === OP['PUSHDATA1']) {
+        nStart = 3;
+        nLength = bScript[2];
+    }
+    if (!nLength || nStart + nLength !== bScript.length) return null;
+    try {
+        // Binary data (i.e: proposal hashes) isn't valid UTF-8, so isn't mistaken for text
+        return new TextDecoder('utf-8', { fatal: true }).decode(
+            bScript.slice(nStart)
+        );
+    } catch (e) {
+        return null;
+    }
+}
@@ -11,8 +11,15 @@ import {
     activityDashboard,
     stakingDashboard,
 } from './global.js';
-import { wallet, hasEncryptedWallet, importWallet } from './wallet.js';
-import { cChainParams } from './chain_params.js';
+import { wallet, hasEncryptedWallet, importSavedWallet } from './wallet.js';
+import {
+    cChainParams,
+    MAX_ACCOUNT_GAP,
+    MAX_GAP_LIMIT,
+    DEFAULT_AUTO_LOCK,
+    MAX_AUTO_LOCK,
+    MAX_MIN_CONFIRMATIONS,
+} from './chain_params.js';
 import { setNetwork, ExplorerNetwork, getNetwork } from './network.js';
 import { confirmPopup, createAlert, isEmpty } from './misc.js';
 import {
@@ -24,6 +31,7 @@ import {
 } from './i18n.js';
 import { CoinGecko, refreshPriceDisplay } from './prices.js';
 import { Database } from './database.js';
+import { guiClearCoinControl } from './coin-control.js';
 
 // --- Default Settings
 /** A mode that emits verbose console info for internal MPW operations */
@@ -46,8 +54,19 @@ export let cNode = cChainParams.current.Nodes[0];
 export let fAutoSwitch = true;
 /** The active Cold Staking address: default is the PIVX Labs address */
 export let strColdStakingAddress = 'SdgQDpS8jDRJDX8yK8m9KnTMarsE84zdsy';
+/**
+ * The user's named Cold Staking providers, to choose from for each delegation
+ * @type {Array<{name: string, address: string}>}
+ */
+export let arrStakingProviders = [];
 /** The decimals to display for the wallet balance */
 export let nDisplayDecimals = 2;
+/** The amount of consecutive unused addresses to scan before HD discovery ends, on each chain */
+export let nGapLimit = MAX_ACCOUNT_GAP;
+/** The minutes of inactivity before an unlocked wallet locks itself (0 = never) */
+export let nAutoLockMinutes = DEFAULT_AUTO_LOCK;
+/** The confirmations a UTXO needs before it may be spent (0 = spend unconfirmed) */
+export let nMinConfirmations = 0;
 /** A mode which configures MPW towards Advanced users, with low-level feature access and less restrictions (Potentially dangerous) */
 export let fAdvancedMode = false;
 
@@ -74,6 +93,10 @@ export class Settings {
      * @type {String} The user's active Cold Staking address
      */
     coldAddress;
+    /**
+     * @type {Array<{name: string, address: string}>} The user's named Cold Staking providers
+     */
+    stakingProviders;
     /**
      * @type {String} translation to use
      */
@@ -86,30 +109,62 @@ export class Settings {
      * @type {number} The decimals to display for the wallet balance
      */
     displayDecimals;
+    /**
+     * @type {number} The HD discovery gap limit
+     */
+    gapLimit;
+    /**
+     * @type {number} The minutes of inactivity before the wallet locks itself
+     */
+    autoLock;
+    /**
+     * @type {number} The confirmations a UTXO needs before it may be spent
+     */
+    minConfirmations;
     /**
      * @type {boolean} Whether Advanced Mode is enabled or disabled
      */
     advancedMode;
+    /**
+     * @type {Object?} The checkpoint of an unfinished Vanity search, allowing it to resume after a reload
+     */
+    vanityCheckpoint;
+    /**
+     * @type {import('./pos.js').PosConfig?} The Point-of-Sale kiosk, and it's sales
+     */
+    pointOfSale;
     constructor({
         analytics,
         explorer,
         node,
         autoswitch = true,
         coldAddress = strColdStakingAddress,
+        stakingProviders = [],
         translation = '',
         displayCurrency = 'usd',
         displayDecimals = nDisplayDecimals,
+        gapLimit = nGapLimit,
+        autoLock = nAutoLockMinutes,
+        minConfirmations = nMinConfirmations,
         advancedMode = false,
+        vanityCheckpoint = null,
+        pointOfSale = null,
     } = {}) {
         this.analytics = analytics;
         this.explorer = explorer;
         this.node = node;
         this.autoswitch = autoswitch;
         this.coldAddress = coldAddress;
+        this.stakingProviders = stakingProviders;
         this.translation = translation;
         this.displayCurrency = displayCurrency;
         this.displayDecimals = displayDecimals;
+        this.gapLimit = gapLimit;
+        this.autoLock = autoLock;
+        this.minConfirmations = minConfirmations;
         this.advancedMode = advancedMode;
+        this.vanityCheckpoint = vanityCheckpoint;
+        this.pointOfSale = pointOfSale;
     }
 }
 
@@ -161,6 +216,21 @@ export async function start() {
         setDecimals(Number(evt.target.value));
     };
 
+    // Hook up the 'gap limit' input UI
+    doms.domGapLimitInput.onchange = function (evt) {
+        setGapLimit(Number(evt.target.value));
+    };
+
+    // Hook up the 'auto-lock' input UI
+    doms.domAutoLockInput.onchange = function (evt) {
+        setAutoLock(Number(evt.target.value));
+    };
+
+    // Hook up the 'minimum confirmations' input UI
+    doms.domMinConfirmationsInput.onchange = function (evt) {
+        setMinConfirmations(Number(evt.target.value));
+    };
+
     // Hook up the 'explorer' select UI
     document.getElementById('explorer').onchange = function (evt) {
         setExplorer(
@@ -198,13 +268,18 @@ export async function start() {
         analytics: strSettingAnalytics,
         autoswitch,
         coldAddress,
+        stakingProviders,
         displayCurrency,
         displayDecimals,
+        gapLimit,
+        autoLock,
+        minConfirmations,
         advancedMode,
     } = await database.getSettings();
 
-    // Set the Cold Staking address
+    // Set the Cold Staking address, and providers
     strColdStakingAddress = coldAddress;
+    arrStakingProviders = stakingProviders;
 
     // Set any Toggles to their default or DB state
     // Network Auto-Switch
@@ -223,6 +298,18 @@ export async function start() {
     nDisplayDecimals = displayDecimals;
     doms.domDisplayDecimalsSlider.value = nDisplayDecimals;
 
+    // Set the HD discovery gap limit
+    nGapLimit = gapLimit;
+    doms.domGapLimitInput.value = nGapLimit;
+
+    // Set the inactivity auto-lock timeout
+    nAutoLockMinutes = autoLock;
+    doms.domAutoLockInput.value = nAutoLockMinutes;
+
+    // Set the minimum confirmations to spend UTXOs
+    nMinConfirmations = minConfirmations;
+    doms.domMinConfirmationsInput.value = nMinConfirmations;
+
     // Apply translations to the transparency report
     STATS = {
         // Stat key   // Description of the stat, it's data, and it's purpose
@@ -343,6 +430,70 @@ async function setDecimals(decimals) {
     getStakingBalance(true);
 }
 
+/**
+ * Sets and saves the HD discovery gap limit in runtime and database
+ * @param {number} nLimit - The amount of consecutive unused addresses to scan
+ */
+async function setGapLimit(nLimit) {
+    if (!Number.isSafeInteger(nLimit) || nLimit < 1 || nLimit > MAX_GAP_LIMIT) {
+        doms.domGapLimitInput.value = nGapLimit;
+        return createAlert(
+            'warning',
+            tr(ALERTS.GAP_LIMIT_INVALID, [{ max: MAX_GAP_LIMIT }]),
+            3000
+        );
+    }
+    nGapLimit = nLimit;
+    const database = await Database.getInstance();
+    database.setSettings({ gapLimit: nGapLimit });
+}
+
+/**
+ * Sets and saves the inactivity auto-lock timeout in runtime and database
+ * @param {number} nMinutes - The minutes of inactivity before locking, or 0 to never lock
+ */
+async function setAutoLock(nMinutes) {
+    if (
+        !Number.isSafeInteger(nMinutes) ||
+        nMinutes < 0 ||
+        nMinutes > MAX_AUTO_LOCK
+    ) {
+        doms.domAutoLockInput.value = nAutoLockMinutes;
+        return createAlert(
+            'warning',
+            tr(ALERTS.AUTO_LOCK_INVALID, [{ max: MAX_AUTO_LOCK }]),
+            3000
+        );
+    }
+    nAutoLockMinutes = nMinutes;
+    const database = await Database.getInstance();
+    database.setSettings({ autoLock: nAutoLockMinutes });
+}
+
+/**
+ * Sets and saves the minimum confirmations to spend UTXOs in runtime and database
+ * @param {number} nConfirmations - The confirmations a UTXO needs before it may be spent
+ */
+async function setMinConfirmations(nConfirmations) {
+    if (
+        !Number.isSafeInteger(nConfirmations) ||
+        nConfirmations < 0 ||
+        nConfirmations > MAX_MIN_CONFIRMATIONS
+    ) {
+        doms.domMinConfirmationsInput.value = nMinConfirmations;
+        return createAlert(
+            'warning',
+            tr(ALERTS.MIN_CONFIRMATIONS_INVALID, [
+                { max: MAX_MIN_CONFIRMATIONS },
+            ]),
+            3000
+        );
+    }
+    nMinConfirmations = nConfirmations;
+    const database = await Database.getInstance();
+    database.setSettings({ minConfirmations: nMinConfirmations });
+}
+
 /**
  * Sets and saves the active Cold Staking address
  * @param {string} strColdAddress - The Cold Staking address
@@ -353,6 +504,16 @@ export async function setColdStakingAddress(strColdAddress) {
     database.setSettings({ coldAddress: strColdAddress });
 }
 
+/**
+ * Sets and saves the named Cold Staking providers
+ * @param {Array<{name: string, address: string}>} arrProviders - The providers
+ */
+export async function setStakingProviders(arrProviders) {
+    arrStakingProviders = arrProviders;
+    const database = await Database.getInstance();
+    await database.setSettings({ stakingProviders: arrProviders });
+}
+
 /**
  * Fills the translation dropbox on the settings page
  */
@@ -515,7 +676,7 @@ export async function toggleTestnet() {
     const cNewAccount = await cNewDB.getAccount();
     if (cNewAccount?.publicKey) {
         // Import the new wallet (overwriting the existing in-memory wallet)
-        await importWallet({ newWif: cNewAccount.publicKey });
+        await importSavedWallet(cNewAccount);
     } else {
         // Nuke the Master Key
         wallet.setMasterKey(null);
@@ -657,4 +818,8 @@ async function configureAdvancedMode() {
     // Hide or Show the "Mnemonic Passphrase" in the Seed Creation modal, and reset it's input
     doms.domMnemonicModalPassphrase.value = '';
     doms.domMnemonicModalPassphrase.hidden = !fAdvancedMode;
+
+    // Coin Control is an Advanced feature, so it's selection is dropped along with it
+    doms.domCoinControlToggle.hidden = !fAdvancedMode;
+    if (!fAdvancedMode) guiClearCoinControl();
 }
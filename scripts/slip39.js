@@ -0,0 +1,447 @@
+import { hmac } from '@noble/hashes/hmac';
+import { pbkdf2 } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { getSafeRand } from './misc.js';
+import { arrSlip39Wordlist } from './slip39-wordlist.js';
+
+/*
+ * An implementation of SLIP-39: Shamir's Secret-Sharing for Mnemonic Codes
+ * Spec: https://github.com/satoshilabs/slips/blob/master/slip-0039.md
+ */
+
+/** The amount of bits encoded by each word */
+const RADIX_BITS = 10;
+
+/** The amount of words holding the share metadata (identifier, flags, indexes and thresholds) */
+const METADATA_WORDS = 4;
+
+/** The amount of words holding the RS1024 checksum */
+const CHECKSUM_WORDS = 3;
+
+/** The Shamir x-coordinates of the shared secret, and it's digest */
+const SECRET_INDEX = 255;
+const DIGEST_INDEX = 254;
+
+/** The amount of bytes of the digest used to verify a recovered secret */
+const DIGEST_LENGTH = 4;
+
+/** The amount of Feistel rounds, and the PBKDF2 iterations they share, used to encrypt the Master Secret */
+const ROUND_COUNT = 4;
+const BASE_ITERATION_COUNT = 10000;
+
+/** The default iteration exponent (i.e: 2^1 * BASE_ITERATION_COUNT iterations) */
+const ITERATION_EXPONENT = 1;
+
+/** The maximum amount of shares (and groups), as indexes are 4 bits */
+export const MAX_SHARE_COUNT = 16;
+
+/** A Map of SLIP-39 words to their indexes, for fast lookups */
+const mapWordIndex = new Map(arrSlip39Wordlist.map((w, i) => [w, i]));
+
+/** The GF(256) exp and log tables, using the Rijndael polynomial (x^8 + x^4 + x^3 + x + 1) */
+const arrExp = new Array(255);
+const arrLog = new Array(256).fill(0);
+for (let i = 0, nPoly = 1; i < 255; i++) {
+    arrExp[i] = nPoly;
+    arrLog[nPoly] = i;
+    // Multiply by (x + 1), then reduce
+    nPoly = (nPoly << 1) ^ nPoly;
+    if (nPoly & 0x100) nPoly ^= 0x11b;
+}
+
+/**
+ * @typedef {Object} Slip39Share
+ * @property {number} id - The random identifier shared by all shares of a secret
+ * @property {boolean} extendable - Whether the encryption salt is independent of the identifier
+ * @property {number} iterationExp - The PBKDF2 iteration exponent
+ * @property {number} groupIndex - The index of the share's group
+ * @property {number} groupThreshold - The amount of groups needed to recover the secret
+ * @property {number} groupCount - The total amount of groups
+ * @property {number} memberIndex - The index of the share within it's group
+ * @property {number} memberThreshold - The amount of shares needed to recover the group
+ * @property {Uint8Array} value - The share value
+ */
+
+/**
+ * Compute the RS1024 checksum polymod of a list of 10-bit values
+ * @param {Array<number>} arrValues
+ * @returns {number}
+ */
+function rs1024Polymod(arrValues) {
+    const GEN = [
+        0xe0e040, 0x1c1c080, 0x3838100, 0x7070200, 0xe0e0009, 0x1c0c2412,
+        0x38086c24, 0x3090fc48, 0x21b1f890, 0x3f3f120,
+    ];
+    let nChk = 1;
+    for (const v of arrValues) {
+        const b = nChk >> 20;
+        nChk = ((nChk & 0xfffff) << 10) ^ v;
+        for (let i = 0; i < 10; i++) {
+            if ((b >> i) & 1) nChk ^= GEN[i];
+        }
+    }
+    return nChk;
+}
+
+/**
+ * Get the checksum customisation string as 10-bit values
+ * @param {boolean} fExtendable
+ * @returns {Array<number>}
+ */
+function getCustomisation(fExtendable) {
+    return [...(fExtendable ? 'shamir_extendable' : 'shamir')].map((c) =>
+        c.charCodeAt(0)
+    );
+}
+
+/**
+ * Evaluate the polynomial that passes through the given shares at `x`, in GF(256)
+ * @param {Array<[number, Uint8Array]>} arrShares - The (x, value) points
+ * @param {number} x - The x-coordinate to evaluate
+ * @returns {Uint8Array}
+ */
+function interpolate(arrShares, x) {
+    const cExact = arrShares.find(([nX]) => nX === x);
+    if (cExact) return cExact[1];
+
+    const nLogProd = arrShares.reduce((n, [nX]) => n + arrLog[nX ^ x], 0);
+    const result = new Uint8Array(arrShares[0][1].length);
+    for (const [nX, value] of arrShares) {
+        const nLogBasis =
+            (((nLogProd -
+                arrLog[nX ^ x] -
+                arrShares.reduce((n, [nOther]) => n + arrLog[nX ^ nOther], 0)) %
+                255) +
+                255) %
+            255;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] !== 0) {
+                result[i] ^= arrExp[(arrLog[value[i]] + nLogBasis) % 255];
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Create the digest used to verify a recovered secret
+ * @param {Uint8Array} randomPart
+ * @param {Uint8Array} secret
+ * @returns {Uint8Array}
+ */
+function createDigest(randomPart, secret) {
+    return hmac(sha256, randomPart, secret).slice(0, DIGEST_LENGTH);
+}
+
+/**
+ * Split a secret into `nCount` shares, of which `nThreshold` are needed to recover it
+ * @param {number} nThreshold
+ * @param {number} nCount
+ * @param {Uint8Array} secret
+ * @returns {Array<[number, Uint8Array]>} The (index, value) shares
+ */
+function splitSecret(nThreshold, nCount, secret) {
+    if (nThreshold === 1) {
+        return Array.from({ length: nCount }, (_, i) => [i, secret]);
+    }
+    const nRandom = nThreshold - 2;
+    const arrShares = Array.from({ length: nRandom }, (_, i) => [
+        i,
+        getSafeRand(secret.length),
+    ]);
+    const randomPart = getSafeRand(secret.length - DIGEST_LENGTH);
+    const digest = new Uint8Array([
+        ...createDigest(randomPart, secret),
+        ...randomPart,
+    ]);
+    const arrBase = [
+        ...arrShares,
+        [DIGEST_INDEX, digest],
+        [SECRET_INDEX, secret],
+    ];
+    for (let i = nRandom; i < nCount; i++) {
+        arrShares.push([i, interpolate(arrBase, i)]);
+    }
+    return arrShares;
+}
+
+/**
+ * Recover a secret from `nThreshold` shares, verifying it's digest
+ * @param {number} nThreshold
+ * @param {Array<[number, Uint8Array]>} arrShares
+ * @returns {Uint8Array}
+ */
+function recoverSecret(nThreshold, arrShares) {
+    if (nThreshold === 1) return arrShares[0][1];
+    const secret = interpolate(arrShares, SECRET_INDEX);
+    const digest = interpolate(arrShares, DIGEST_INDEX);
+    const expected = createDigest(digest.slice(DIGEST_LENGTH), secret);
+    if (expected.some((b, i) => b !== digest[i])) {
+        throw new Error('Invalid digest of the shared secret');
+    }
+    return secret;
+}
+
+/**
+ * Encrypt or decrypt a Master Secret with the four-round Feistel network
+ * @param {Uint8Array} secret - The Master Secret (or Encrypted Master Secret, when decrypting)
+ * @param {string} strPassphrase - The SLIP-39 passphrase
+ * @param {Slip39Share} cShare - Any share, for it's identifier and encryption parameters
+ * @param {boolean} fDecrypt
+ * @returns {Uint8Array}
+ */
+function feistel(secret, strPassphrase, cShare, fDecrypt) {
+    const nHalf = secret.length / 2;
+    let l = secret.slice(0, nHalf);
+    let r = secret.slice(nHalf);
+    const salt = cShare.extendable
+        ? new Uint8Array()
+        : new Uint8Array([
+              ...getCustomisation(false),
+              cShare.id >> 8,
+              cShare.id & 0xff,
+          ]);
+    const passphrase = new TextEncoder().encode(strPassphrase);
+    const nIterations =
+        (BASE_ITERATION_COUNT << cShare.iterationExp) / ROUND_COUNT;
+    for (let n = 0; n < ROUND_COUNT; n++) {
+        const i = fDecrypt ? ROUND_COUNT - 1 - n : n;
+        const f = pbkdf2(
+            sha256,
+            new Uint8Array([i, ...passphrase]),
+            new Uint8Array([...salt, ...r]),
+            { c: nIterations, dkLen: r.length }
+        );
+        [l, r] = [r, l.map((b, j) => b ^ f[j])];
+    }
+    return new Uint8Array([...r, ...l]);
+}
+
+/**
+ * Encode a share as a SLIP-39 mnemonic
+ * @param {Slip39Share} cShare
+ * @returns {string}
+ */
+function encodeShare(cShare) {
+    // Pack the metadata (40 bits) and the share value into 10-bit words
+    const nValueWords = Math.ceil((cShare.value.length * 8) / RADIX_BITS);
+    let nBits = BigInt(cShare.id);
+    for (const [n, nLen] of [
+        [cShare.extendable ? 1 : 0, 1],
+        [cShare.iterationExp, 4],
+        [cShare.groupIndex, 4],
+        [cShare.groupThreshold - 1, 4],
+        [cShare.groupCount - 1, 4],
+        [cShare.memberIndex, 4],
+        [cShare.memberThreshold - 1, 4],
+    ]) {
+        nBits = (nBits << BigInt(nLen)) | BigInt(n);
+    }
+    // The value is left-padded with zero bits, to fit a whole amount of words
+    nBits <<= BigInt(nValueWords * RADIX_BITS - cShare.value.length * 8);
+    for (const b of cShare.value) nBits = (nBits << 8n) | BigInt(b);
+    const nWords = METADATA_WORDS + nValueWords;
+    const arrData = [];
+    for (let i = nWords - 1; i >= 0; i--) {
+        arrData.push(Number((nBits >> BigInt(i * RADIX_BITS)) & 1023n));
+    }
+
+    // Append the checksum
+    const nPolymod =
+        rs1024Polymod([
+            ...getCustomisation(cShare.extendable),
+            ...arrData,
+            0,
+            0,
+            0,
+        ]) ^ 1;
+    for (let i = CHECKSUM_WORDS - 1; i >= 0; i--) {
+        arrData.push((nPolymod >> (i * RADIX_BITS)) & 1023);
+    }
+    return arrData.map((n) => arrSlip39Wordlist[n]).join(' ');
+}
+
+/**
+ * Decode a SLIP-39 mnemonic into a share, verifying it's checksum
+ * @param {string} strMnemonic
+ * @returns {Slip39Share}
+ */
+export function decodeShare(strMnemonic) {
+    const arrWords = strMnemonic.trim().toLowerCase().split(/\s+/);
+    const arrData = arrWords.map((w) => {
+        if (!mapWordIndex.has(w)) throw new Error(`Invalid word: ${w}`);
+        return mapWordIndex.get(w);
+    });
+    if (arrData.length < METADATA_WORDS + CHECKSUM_WORDS + 13) {
+        throw new Error('Share is too short');
+    }
+
+    // The extendable flag is the 16th bit, and it determines the checksum's customisation string
+    const fExtendable = ((arrData[1] >> 4) & 1) === 1;
+    if (rs1024Polymod([...getCustomisation(fExtendable), ...arrData]) !== 1) {
+        throw new Error('Invalid share checksum');
+    }
+
+    let nBits = 0n;
+    const arrBody = arrData.slice(0, -CHECKSUM_WORDS);
+    for (const n of arrBody) nBits = (nBits << 10n) | BigInt(n);
+    const nTotalBits = arrBody.length * RADIX_BITS;
+    const read = (nOffset, nLen) =>
+        Number(
+            (nBits >> BigInt(nTotalBits - nOffset - nLen)) &
+                ((1n << BigInt(nLen)) - 1n)
+        );
+
+    // Unpack the value, which must have at most 8 (zeroed) padding bits
+    const nValueBits = (arrBody.length - METADATA_WORDS) * RADIX_BITS;
+    const nPadding = nValueBits % 16;
+    if (nPadding > 8) throw new Error('Invalid share length');
+    const nValueBytes = (nValueBits - nPadding) / 8;
+    if (read(METADATA_WORDS * RADIX_BITS, nPadding) !== 0) {
+        throw new Error('Invalid share padding');
+    }
+    const value = new Uint8Array(nValueBytes);
+    for (let i = 0; i < nValueBytes; i++) {
+        value[i] = read(METADATA_WORDS * RADIX_BITS + nPadding + i * 8, 8);
+    }
+
+    const cShare = {
+        id: read(0, 15),
+        extendable: fExtendable,
+        iterationExp: read(16, 4),
+        groupIndex: read(20, 4),
+        groupThreshold: read(24, 4) + 1,
+        groupCount: read(28, 4) + 1,
+        memberIndex: read(32, 4),
+        memberThreshold: read(36, 4) + 1,
+        value,
+    };
+    if (cShare.groupThreshold > cShare.groupCount) {
+        throw new Error('Invalid group threshold');
+    }
+    return cShare;
+}
+
+/**
+ * Check if a word is part of the SLIP-39 wordlist
+ * @param {string} strWord
+ * @returns {boolean}
+ */
+export function isSlip39Word(strWord) {
+    return mapWordIndex.has(strWord);
+}
+
+/**
+ * Split a Master Secret into `nCount` SLIP-39 shares, of which `nThreshold` are needed to recover it
+ * @param {Uint8Array} masterSecret - The secret to split (at least 16 bytes, of even length)
+ * @param {number} nThreshold - The amount of shares needed for recovery
+ * @param {number} nCount - The total amount of shares
+ * @param {string} [strPassphrase] - An optional SLIP-39 passphrase
+ * @returns {Array<string>} The share mnemonics
+ */
+export function generateShares(
+    masterSecret,
+    nThreshold,
+    nCount,
+    strPassphrase = ''
+) {
+    if (masterSecret.length < 16 || masterSecret.length % 2 !== 0) {
+        throw new Error('The Master Secret must be at least 16 even bytes');
+    }
+    if (nThreshold < 1 || nThreshold > nCount || nCount > MAX_SHARE_COUNT) {
+        throw new Error('Invalid threshold or share count');
+    }
+    if (nThreshold === 1 && nCount > 1) {
+        // Per the spec: a 1-of-M split would just be M copies of the same secret
+        throw new Error('A threshold of 1 requires a single share');
+    }
+
+    // A single group, holding all of the member shares
+    const cParams = {
+        id: new DataView(getSafeRand(2).buffer).getUint16(0) & 0x7fff,
+        extendable: true,
+        iterationExp: ITERATION_EXPONENT,
+        groupIndex: 0,
+        groupThreshold: 1,
+        groupCount: 1,
+        memberThreshold: nThreshold,
+    };
+    const encSecret = feistel(masterSecret, strPassphrase, cParams, false);
+    return splitSecret(nThreshold, nCount, encSecret).map(([nIndex, value]) =>
+        encodeShare({ ...cParams, memberIndex: nIndex, value })
+    );
+}
+
+/**
+ * Recover a Master Secret from a set of SLIP-39 shares
+ * @param {Array<string>} arrMnemonics - The share mnemonics
+ * @param {string} [strPassphrase] - The SLIP-39 passphrase, if one was used
+ * @returns {{ secret: Uint8Array?, missing: number }} The Master Secret, or `null` with the amount of missing shares
+ */
+export function combineShares(arrMnemonics, strPassphrase = '') {
+    const arrShares = arrMnemonics.map(decodeShare);
+    if (!arrShares.length) throw new Error('No shares given');
+    const cFirst = arrShares[0];
+    for (const cShare of arrShares) {
+        if (
+            cShare.id !== cFirst.id ||
+            cShare.extendable !== cFirst.extendable ||
+            cShare.iterationExp !== cFirst.iterationExp ||
+            cShare.groupThreshold !== cFirst.groupThreshold ||
+            cShare.groupCount !== cFirst.groupCount ||
+            cShare.value.length !== cFirst.value.length
+        ) {
+            throw new Error('The shares belong to different secrets');
+        }
+    }
+
+    /** @type {Map<number, Map<number, Slip39Share>>} Shares by group, then member index (ignoring duplicates) */
+    const mapGroups = new Map();
+    for (const cShare of arrShares) {
+        if (!mapGroups.has(cShare.groupIndex)) {
+            mapGroups.set(cShare.groupIndex, new Map());
+        }
+        mapGroups.get(cShare.groupIndex).set(cShare.memberIndex, cShare);
+    }
+
+    // Recover every complete group, and count how many shares are missing for the rest
+    const arrGroupShares = [];
+    const arrMissing = [];
+    for (const [nGroup, mapMembers] of mapGroups) {
+        const arrMembers = [...mapMembers.values()];
+        const nThreshold = arrMembers[0].memberThreshold;
+        if (arrMembers.some((c) => c.memberThreshold !== nThreshold)) {
+            throw new Error(
+                'The shares of a group have mismatching thresholds'
+            );
+        }
+        if (arrMembers.length >= nThreshold) {
+            const arrPoints = arrMembers
+                .slice(0, nThreshold)
+                .map((c) => [c.memberIndex, c.value]);
+            arrGroupShares.push([nGroup, recoverSecret(nThreshold, arrPoints)]);
+        } else {
+            arrMissing.push(nThreshold - arrMembers.length);
+        }
+    }
+
+    if (arrGroupShares.length < cFirst.groupThreshold) {
+        // Estimate with the closest incomplete groups, or a full group if none were started
+        const nGroupsLeft = cFirst.groupThreshold - arrGroupShares.length;
+        arrMissing.sort((a, b) => a - b);
+        const nMissing = Array.from(
+            { length: nGroupsLeft },
+            (_, i) => arrMissing[i] ?? 1
+        ).reduce((a, b) => a + b, 0);
+        return { secret: null, missing: nMissing };
+    }
+
+    const encSecret = recoverSecret(
+        cFirst.groupThreshold,
+        arrGroupShares.slice(0, cFirst.groupThreshold)
+    );
+    return {
+        secret: feistel(encSecret, strPassphrase, cFirst, true),
+        missing: 0,
+    };
+}
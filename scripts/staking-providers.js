@@ -0,0 +1,252 @@
+import { cChainParams, COIN } from './chain_params.js';
+import { decodeAddressHash, encodeAddressHash } from './encoding.js';
+import { doms, mempool } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { confirmPopup, createAlert, sanitizeHTML } from './misc.js';
+import { OP } from './script.js';
+import {
+    arrStakingProviders,
+    setColdStakingAddress,
+    setStakingProviders,
+    strColdStakingAddress,
+} from './settings.js';
+import { hexToBytes } from './utils.js';
+
+/** The longest staking provider name, in characters */
+export const MAX_PROVIDER_NAME = 32;
+
+/**
+ * Check if an address is a valid Cold Staking address
+ * @param {string} strAddress
+ * @returns {boolean}
+ */
+export function isColdStakingAddress(strAddress) {
+    const bHash = decodeAddressHash(strAddress);
+    // Re-encoding with the staking version byte must give back the same address
+    return (
+        !!bHash &&
+        encodeAddressHash(bHash, cChainParams.current.STAKING_ADDRESS) ===
+            strAddress
+    );
+}
+
+/**
+ * Get the staker of a Cold Staking delegation
+ * @param {string} strScript - The delegation's output script, in hex
+ * @returns {string?} The staker's Cold Staking address, or null if it's not a delegation
+ */
+export function getStakerAddress(strScript) {
+    // DUP HASH160 ROT IF CHECKCOLDSTAKEVERIFY <staker> ELSE <owner> ENDIF EQUALVERIFY CHECKSIG
+    const bScript = hexToBytes(strScript);
+    if (
+        bScript.length !== 51 ||
+        bScript[0] !== OP['DUP'] ||
+        bScript[1] !== OP['HASH160'] ||
+        bScript[2] !== OP['ROT'] ||
+        bScript[3] !== OP['IF'] ||
+        bScript[5] !== 20
+    )
+        return null;
+    return encodeAddressHash(
+        bScript.slice(6, 26),
+        cChainParams.current.STAKING_ADDRESS
+    );
+}
+
+/**
+ * Get the name of a staker, if it's one of our staking providers
+ * @param {string} strAddress - The staker's Cold Staking address
+ * @returns {string?}
+ */
+function getStakingProviderName(strAddress) {
+    return arrStakingProviders.find((p) => p.address === strAddress)?.name;
+}
+
+/**
+ * Fill the Stake menu's staking providers: the default Cold Staking address first, then the others
+ */
+export function renderStakingProviderSelect() {
+    const strDefault =
+        getStakingProviderName(strColdStakingAddress) ||
+        translation.stakingProviderDefault;
+    let strHTML = `<option value="">${sanitizeHTML(strDefault)} (${
+        strColdStakingAddress?.substring(0, 6) || '-'
+    }...)</option>`;
+    for (const cProvider of arrStakingProviders) {
+        if (cProvider.address === strColdStakingAddress) continue;
+        strHTML += `<option value="${cProvider.address}">${sanitizeHTML(
+            cProvider.name
+        )} (${cProvider.address.substring(0, 6)}...)</option>`;
+    }
+    doms.domStakeProvider.innerHTML = strHTML;
+}
+
+/**
+ * Render our delegations on the staking dashboard, grouped by their staker
+ */
+export function renderStakers() {
+    const mapStakers = new Map();
+    for (const cUTXO of mempool.getDelegatedUTXOs()) {
+        const strStaker = getStakerAddress(cUTXO.script);
+        if (!strStaker) continue;
+        const cStaker = mapStakers.get(strStaker) || { sats: 0, count: 0 };
+        cStaker.sats += cUTXO.sats;
+        cStaker.count++;
+        mapStakers.set(strStaker, cStaker);
+    }
+
+    let strHTML = '';
+    for (const [strStaker, cStaker] of [...mapStakers].sort(
+        (a, b) => b[1].sats - a[1].sats
+    )) {
+        const strName = getStakingProviderName(strStaker);
+        strHTML += `
+            <div class="d-flex px-3 py-2 contactItem">
+                <div style="width: 100%; text-align: left;">
+                    <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600;">${
+                        strName ? sanitizeHTML(strName) : strStaker
+                    }</span><br>
+                    <small style="opacity: 0.75;">${tr(
+                        translation.stakingDelegations,
+                        [{ count: cStaker.count }]
+                    )}</small>
+                </div>
+                <div style="white-space: nowrap; padding-left: 15px;">${
+                    cStaker.sats / COIN
+                } ${cChainParams.current.TICKER}</div>
+            </div>
+        `;
+    }
+    doms.domStakers.innerHTML = strHTML
+        ? `<b>${translation.stakingByStaker}</b>${strHTML}`
+        : '';
+}
+
+/**
+ * Render the staking providers list
+ */
+export function guiRenderStakingProviders() {
+    let strHTML = '';
+    arrStakingProviders.forEach((cProvider, i) => {
+        const fDefault = cProvider.address === strColdStakingAddress;
+        strHTML += `
+            <div class="d-flex px-3 py-3 contactItem">
+                <div style="width: 100%; line-height: 15px;">
+                    <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+                        cProvider.name
+                    )}${
+            fDefault
+                ? ` <small>(${translation.stakingProviderDefault})</small>`
+                : ''
+        }</span>
+                    <span class="ptr" onclick="MPW.toClipboard('${
+                        cProvider.address
+                    }', this)" style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${
+            cProvider.address
+        }</span>
+                </div>
+                <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                    <i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiSetDefaultStakingProvider(${i})" class="fa-${
+            fDefault ? 'solid' : 'regular'
+        } fa-star"></i>
+                    <i style="cursor:pointer;" onclick="MPW.guiRemoveStakingProvider(${i})" class="fa-solid fa-trash"></i>
+                </div>
+            </div>
+        `;
+    });
+
+    // The "Add a provider" UI
+    strHTML += `
+        <div class="px-3" style="margin-top:20px;">
+            <p style="opacity: 0.75; text-align: center;">${translation.stakingProvidersNote}</p>
+            <input id="stakingProviderNameInput" class="m-0" style="width: 100%;" placeholder="${translation.name}" autocomplete="nope">
+            <div class="d-flex addContact" style="margin-top: 5px;">
+                <div class="contactName" style="width: 100%;">
+                    <input id="stakingProviderAddressInput" class="m-0" style="width: 100%;" placeholder="${translation.stakingProviderAddressPlaceholder}" autocomplete="nope">
+                </div>
+                <div class="d-flex" style="align-items: center;">
+                    <div onclick="MPW.guiAddStakingProvider()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                        <i class="fas fa-plus"></i>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    doms.domStakingProvidersTable.innerHTML = strHTML;
+}
+
+/**
+ * Re-render everything showing the staking providers, after they change
+ */
+function refreshStakingProviders() {
+    guiRenderStakingProviders();
+    renderStakingProviderSelect();
+    renderStakers();
+}
+
+/**
+ * Add a staking provider from the user's input
+ */
+export async function guiAddStakingProvider() {
+    const strName = document
+        .getElementById('stakingProviderNameInput')
+        .value.trim();
+    const strAddress = document
+        .getElementById('stakingProviderAddressInput')
+        .value.trim();
+
+    if (!strName)
+        return createAlert('warning', ALERTS.STAKING_PROVIDER_NO_NAME, 2500);
+    if (strName.length > MAX_PROVIDER_NAME)
+        return createAlert(
+            'warning',
+            tr(ALERTS.STAKING_PROVIDER_NAME_TOO_LONG, [
+                { max: MAX_PROVIDER_NAME },
+            ]),
+            2500
+        );
+    if (!isColdStakingAddress(strAddress))
+        return createAlert('warning', ALERTS.STAKE_ADDR_BAD, 2500);
+    if (arrStakingProviders.some((p) => p.address === strAddress))
+        return createAlert('warning', ALERTS.STAKING_PROVIDER_EXISTS, 2500);
+
+    await setStakingProviders([
+        ...arrStakingProviders,
+        { name: strName, address: strAddress },
+    ]);
+    refreshStakingProviders();
+}
+
+/**
+ * Make a staking provider the default for new delegations (the Cold Staking address)
+ * @param {number} nIndex - The index of the provider
+ */
+export async function guiSetDefaultStakingProvider(nIndex) {
+    const cProvider = arrStakingProviders[nIndex];
+    if (!cProvider) return;
+    await setColdStakingAddress(cProvider.address);
+    createAlert('info', ALERTS.STAKE_ADDR_SET, 5000);
+    refreshStakingProviders();
+}
+
+/**
+ * Remove a staking provider (its existing delegations are unaffected)
+ * @param {number} nIndex - The index of the provider
+ */
+export async function guiRemoveStakingProvider(nIndex) {
+    const cProvider = arrStakingProviders[nIndex];
+    if (!cProvider) return;
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.stakingProviderRemoveTitle, [
+            { strName: sanitizeHTML(cProvider.name) },
+        ]),
+        html: translation.stakingProviderRemoveNote,
+    });
+    if (!fConfirmed) return;
+
+    await setStakingProviders(
+        arrStakingProviders.filter((_, i) => i !== nIndex)
+    );
+    refreshStakingProviders();
+}
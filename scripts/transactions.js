@@ -1,6 +1,7 @@
 import bitjs from './bitTrx.js';
-import { debug, strColdStakingAddress } from './settings.js';
+import { debug, nMinConfirmations, strColdStakingAddress } from './settings.js';
 import { ALERTS, translation, tr } from './i18n.js';
+import { pauseAutoLock } from './auto-lock.js';
 import {
     doms,
     getBalance,
@@ -15,16 +16,30 @@ import { wallet } from './wallet.js';
 import { HdMasterKey } from './masterkey.js';
 import { Mempool, UTXO } from './mempool.js';
 import { getNetwork } from './network.js';
-import { cChainParams, COIN, COIN_DECIMALS } from './chain_params.js';
+import {
+    cChainParams,
+    COIN,
+    COIN_DECIMALS,
+    MAX_MEMO_BYTES,
+} from './chain_params.js';
 import {
     createAlert,
     generateMasternodePrivkey,
     confirmPopup,
     isXPub,
     isStandardAddress,
+    isScriptAddress,
+    sanitizeHTML,
 } from './misc.js';
 import { bytesToHex, hexToBytes, dSHA256 } from './utils.js';
 import { Database } from './database.js';
+import {
+    getCoinControlSelection,
+    guiClearCoinControl,
+} from './coin-control.js';
+import { getChangeCost, getOutputsFee, selectCoins } from './coin-selection.js';
+import { getFeeRate } from './fees.js';
+import { createOfflineTx, guiShowOfflineTx } from './offline-signing.js';
 
 function validateAmount(nAmountSats, nMinSats = 10000) {
     // Validate the amount is a valid number, and meets the minimum (if any)
@@ -58,22 +73,12 @@ function validateAmount(nAmountSats, nMinSats = 10000) {
 }
 
 /**
- * Create a transaction using input from the user interface
+ * Resolve a user-entered receiver in to an Address: Contacts are replaced with their Pubkey, and XPubs
+ * ... with a fresh address derived from them
+ * @param {string} strRawReceiver - The receiver, as entered by the user
+ * @returns {Promise<string?>} - The receiver Address, or null if an XPub can't be resolved while offline
  */
-export async function createTxGUI() {
-    // Ensure a wallet is loaded
-    if (!(await wallet.hasWalletUnlocked(true))) return;
-
-    // Ensure the wallet is unlocked
-    if (
-        wallet.isViewOnly() &&
-        !(await restoreWallet(translation.walletUnlockTx))
-    )
-        return;
-
-    // Sanity check the receiver
-    const strRawReceiver = doms.domAddress1s.value.trim();
-
+export async function getReceiverAddress(strRawReceiver) {
     // Cache the "end" receiver, which will be an Address
     let strReceiverAddress = strRawReceiver;
 
@@ -92,12 +97,7 @@ export async function createTxGUI() {
     // If this is an XPub, we'll fetch their last used 'index', and derive a new public key for enhanced privacy
     if (isXPub(strReceiverAddress)) {
         const cNet = getNetwork();
-        if (!cNet.enabled)
-            return createAlert(
-                'warning',
-                ALERTS.WALLET_OFFLINE_AUTOMATIC,
-                3500
-            );
+        if (!cNet.enabled) return null;
 
         // Fetch the XPub info
         const cXPub = await cNet.getXPubInfo(strReceiverAddress);
@@ -112,6 +112,32 @@ export async function createTxGUI() {
         // Set the 'receiver address' as the unused XPub-derived address
         strReceiverAddress = cReceiverWallet.getAddress(strPath);
     }
+    return strReceiverAddress;
+}
+
+/**
+ * Create a transaction using input from the user interface
+ * @param {boolean} fUnsigned - If true, the transaction is exported unsigned, to be signed by an offline wallet
+ */
+export async function createTxGUI(fUnsigned = false) {
+    // Ensure a wallet is loaded
+    if (!(await wallet.hasWalletUnlocked(true))) return;
+
+    // Ensure the wallet is unlocked (unsigned transactions need no keys)
+    if (
+        !fUnsigned &&
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockTx))
+    )
+        return;
+
+    // Sanity check the receiver
+    const strRawReceiver = doms.domAddress1s.value.trim();
+
+    // Resolve the receiver (a Contact or XPub) in to an Address
+    const strReceiverAddress = await getReceiverAddress(strRawReceiver);
+    if (strReceiverAddress === null)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
 
     // If Staking address: redirect to staking page
     if (
@@ -125,8 +151,11 @@ export async function createTxGUI() {
         return doms.domStakeTab.click();
     }
 
-    // Check if the Receiver Address is a valid P2PKH address
-    if (!isStandardAddress(strReceiverAddress))
+    // Check if the Receiver Address is a valid P2PKH or P2SH (Multisig) address
+    if (
+        !isStandardAddress(strReceiverAddress) &&
+        !isScriptAddress(strReceiverAddress)
+    )
         return createAlert(
             'warning',
             tr(ALERTS.INVALID_ADDRESS, [{ address: strReceiverAddress }]),
@@ -139,15 +168,31 @@ export async function createTxGUI() {
     );
     if (!validateAmount(nValue)) return;
 
+    // Sanity check the memo fits in an OP_RETURN output
+    const strMemo = doms.domSendMemo.value.trim();
+    if (new TextEncoder().encode(strMemo).length > MAX_MEMO_BYTES)
+        return createAlert(
+            'warning',
+            tr(ALERTS.MEMO_TOO_LONG, [{ max: MAX_MEMO_BYTES }]),
+            3500
+        );
+
     // Create and send the TX
     const cRes = await createAndSendTransaction({
         address: strReceiverAddress,
         amount: nValue,
         isDelegation: false,
+        utxos: getCoinControlSelection(),
+        memo: strMemo,
+        unsigned: fUnsigned,
     });
 
     // If successful, wipe Tx input
     if (cRes.ok) {
+        // Memo
+        doms.domSendMemo.value = '';
+        // Coin Control selection (the inputs are now spent)
+        guiClearCoinControl();
         // Address
         doms.domAddress1s.value = '';
         // Amount
@@ -181,19 +226,53 @@ export async function delegateGUI() {
     const nAmount = Math.round(Number(doms.domStakeAmount.value.trim()) * COIN);
     if (!validateAmount(nAmount, COIN)) return;
 
-    // Ensure the user has an address set - if not, request one!
-    if (
-        (!strColdStakingAddress ||
-            strColdStakingAddress[0] !== cChainParams.current.STAKING_PREFIX) &&
-        (await guiSetColdStakingAddress()) === false
-    )
-        return;
+    // Delegate to the chosen staking provider, or by default, the Cold Staking address
+    let strStaker = doms.domStakeProvider.value;
+    if (!strStaker) {
+        // Ensure the user has an address set - if not, request one!
+        if (
+            (!strColdStakingAddress ||
+                strColdStakingAddress[0] !==
+                    cChainParams.current.STAKING_PREFIX) &&
+            (await guiSetColdStakingAddress()) === false
+        )
+            return;
+        strStaker = strColdStakingAddress;
+    }
+
+    // The owner may be any address (or Contact, or XPub): by default, it's a fresh address of ours
+    const strRawOwner = doms.domStakeOwner.value.trim();
+    let strOwner = null;
+    if (strRawOwner) {
+        strOwner = await getReceiverAddress(strRawOwner);
+        if (!strOwner || !isStandardAddress(strOwner))
+            return createAlert(
+                'warning',
+                tr(ALERTS.INVALID_ADDRESS, [
+                    { address: sanitizeHTML(strRawOwner) },
+                ]),
+                2500
+            );
+
+        // Coins owned by another address leave this wallet: so make sure that's intended
+        if (
+            !(await wallet.isOwnAddress(strOwner)) &&
+            !(await confirmPopup({
+                title: translation.stakeOwnerExternalTitle,
+                html: tr(translation.stakeOwnerExternalNote, [
+                    { address: strOwner },
+                ]),
+            }))
+        )
+            return;
+    }
 
     // Perform the TX
     const cTxRes = await createAndSendTransaction({
         amount: nAmount,
-        address: strColdStakingAddress,
+        address: strStaker,
         isDelegation: true,
+        ownerAddress: strOwner,
         useDelegatedInputs: false,
     });
 
@@ -201,6 +280,7 @@ export async function delegateGUI() {
     if (cTxRes.ok) {
         doms.domStakeAmount.value = '';
         doms.domStakeAmountValue.value = '';
+        doms.domStakeOwner.value = '';
 
         // And close the modal
         toggleBottomMenu('stakingDelegate', 'transferAnimation');
@@ -261,47 +341,87 @@ export async function undelegateGUI() {
  * @param {Object} options
  * @param {string} options.address - base58 encoded address to send funds to
  * @param {Number} options.amount - Number of satoshi to send
+ * @param {Array<{address: string, amount: number}>?} options.recipients - If set, each address is paid it's amount (in satoshi) in a single transaction, instead of options.address
  * @param {boolean} options.isDelegation - Whether to delegate the amount. Address will be the cold staking address
+ * @param {string?} options.ownerAddress - If set, the owner of the delegation, instead of a fresh address of ours
  * @param {boolean} options.useDelegatedInputs - If true, only delegated coins will be used in the transaction
  * @param {delegateChange} options.delegateChange - If there is at least 1.01 PIV of change, the change will be delegated to options.changeDelegationAddress
  * @param {string|null} options.changeDelegationAddress - See options.delegateChange
+ * @param {Array<UTXO>?} options.utxos - If set, exactly these UTXOs will be spent (Coin Control) instead of selecting them automatically
+ * @param {boolean} options.confirmFee - If true, the user must confirm the amount and exact fee before signing
+ * @param {string} options.memo - Optional text attached to the payment (i.e: a payment reference), as an OP_RETURN output
+ * @param {boolean} options.unsigned - If true, the transaction is exported unsigned for an offline wallet to sign, instead of being signed and sent
  * @returns {Promise<{ok: boolean, err: string?}>}
  */
-export async function createAndSendTransaction({
+export async function createAndSendTransaction(options) {
+    // The keys must stay loaded from the confirmation until the transaction is signed
+    const resumeAutoLock = pauseAutoLock();
+    try {
+        return await buildAndSendTransaction(options);
+    } finally {
+        resumeAutoLock();
+    }
+}
+
+/**
+ * Create, confirm, sign and broadcast a transaction, see `createAndSendTransaction`
+ * @param {Parameters<typeof createAndSendTransaction>[0]} options
+ */
+async function buildAndSendTransaction({
     address,
     amount,
     isDelegation = false,
+    ownerAddress = null,
     useDelegatedInputs = false,
     delegateChange = false,
     changeDelegationAddress = null,
     isProposal = false,
+    utxos = null,
+    confirmFee = true,
+    recipients = null,
+    memo = '',
+    unsigned = false,
 }) {
     if (!(await wallet.hasWalletUnlocked(true))) return;
     if ((isDelegation || useDelegatedInputs) && wallet.isHardwareWallet()) {
         return createAlert('warning', ALERTS.STAKING_LEDGER_NO_SUPPORT, 6000);
     }
 
-    // Ensure the wallet is unlocked
+    // Ensure the wallet is unlocked (unsigned transactions need no keys)
     if (
+        !unsigned &&
         wallet.isViewOnly() &&
         !(await restoreWallet(translation.walletUnlockTx))
     )
         return;
 
+    // A batch send pays the sum of it's recipients
+    if (recipients) amount = recipients.reduce((a, b) => a + b.amount, 0);
+
+    // The outputs which the TX size doesn't account for until they're added: a batch's extra recipients, and the memo
+    const nOutputsFee = getOutputsFee((recipients || []).slice(1), memo);
+
     // Construct a TX and fetch Standard inputs
     const nBalance = getBalance();
     const cTx = new bitjs.transaction();
-    const cCoinControl = await chooseUTXOs(cTx, amount, 0, useDelegatedInputs);
+    const cCoinControl = await chooseUTXOs(
+        cTx,
+        amount + nOutputsFee,
+        0,
+        useDelegatedInputs,
+        utxos
+    );
     if (!cCoinControl.success)
         return createAlert('warning', cCoinControl.msg, 5000);
     // Compute fee
-    const nFee = getNetwork().getFee(cTx.serialize().length);
+    const nFee = getNetwork().getFee(cTx.serialize().length) + nOutputsFee;
 
-    // Compute change (or lack thereof)
-    const nChange = cCoinControl.nValue - (nFee + amount);
-    const [changeAddress, changeAddressPath] = await wallet.getNewAddress({
-        verify: wallet.isHardwareWallet(),
-    });
+    // Compute change (or lack thereof), sent to a fresh address on our change chain
+    let nChange = cCoinControl.nValue - (nFee + amount);
+    // Change worth less than the fee to spend it would be dust, so it's left to the fee instead
+    if (nChange > 0 && nChange < getChangeCost()) nChange = 0;
+    const [changeAddress, changeAddressPath] =
+        await wallet.getNewChangeAddress();
 
     /**
      * Array containing known UTXOs we can spend after the transaction is complete
@@ -342,43 +462,85 @@ export async function createAndSendTransaction({
                 isDelegate: delegateChange && nChange > 1.01 * COIN,
             })
         );
-    } else {
+    } else if (nChange < 0) {
+        // A batch can't know which recipient should pay the fee, so it must be covered by the balance
+        if (recipients) {
+            createAlert('warning', ALERTS.BATCH_NO_FEE, 5000);
+            return { ok: false, err: 'No fee' };
+        }
         // We're sending alot! So we deduct the fee from the send amount. There's not enough change to pay it with!
         amount -= nFee;
     }
 
+    // The receivers of the transaction: either a batch, or the single address
+    const arrRecipients = recipients || [{ address, amount }];
+
     // Primary output (receiver)
     if (isDelegation) {
-        const [primaryAddress, primaryAddressPath] =
-            await wallet.getNewAddress();
+        // The owner of the delegation: a fresh address of ours, unless another was chosen
+        const [primaryAddress, primaryAddressPath] = ownerAddress
+            ? [ownerAddress, await wallet.isOwnAddress(ownerAddress)]
+            : await wallet.getNewAddress();
         cTx.addcoldstakingoutput(primaryAddress, address, amount / COIN);
         outputs.push([primaryAddress, address, amount / COIN]);
 
-        knownUTXOs.push(
-            new UTXO({
-                id: null,
-                path: primaryAddressPath,
-                script: cTx.outputs[cTx.outputs.length - 1].script,
-                sats: amount,
-                vout: cTx.outputs.length - 1,
-                status: Mempool.PENDING,
-                isDelegate: true,
-            })
-        );
+        // A delegation owned by someone else is no longer ours to track
+        if (primaryAddressPath) {
+            knownUTXOs.push(
+                new UTXO({
+                    id: null,
+                    path: primaryAddressPath,
+                    script: cTx.outputs[cTx.outputs.length - 1].script,
+                    sats: amount,
+                    vout: cTx.outputs.length - 1,
+                    status: Mempool.PENDING,
+                    isDelegate: true,
+                })
+            );
+        }
     } else if (isProposal) {
         cTx.addproposaloutput(address, amount / COIN);
     } else {
-        cTx.addoutput(address, amount / COIN);
-        outputs.push([address, amount / COIN]);
+        for (const cRecipient of arrRecipients) {
+            cTx.addoutput(cRecipient.address, cRecipient.amount / COIN);
+            outputs.push([cRecipient.address, cRecipient.amount / COIN]);
+        }
+        // The memo is last, so it doesn't shift the outputs we may own
+        if (memo) cTx.addmemooutput(memo);
     }
 
+    // Show the exact fee (including any dust left to it) before signing, so the user may back out
+    // ... hardware wallets show it alongside their own confirmation instead, so the user isn't asked twice
+    const nFinalFee = cCoinControl.nValue - amount - Math.max(nChange, 0);
+    const fConfirmed =
+        !confirmFee ||
+        (wallet.isHardwareWallet() && !unsigned) ||
+        (await confirmPopup({
+            title: ALERTS.CONFIRM_POPUP_TRANSACTION,
+            html:
+                // The recipients (skipping our change), then the fee
+                createTxConfirmation(outputs.slice(nChange > 0 ? 1 : 0)) +
+                '<br><br>' +
+                (memo
+                    ? tr(translation.memoConfirm, [
+                          { memo: sanitizeHTML(memo) },
+                      ]) + '<br><br>'
+                    : '') +
+                tr(translation.feeConfirm, [
+                    { fee: nFinalFee / COIN },
+                    { ticker: cChainParams.current.TICKER },
+                    { rate: getFeeRate() },
+                ]),
+        }));
+    if (!fConfirmed) return { ok: false, err: 'Cancelled' };
+
     // Debug-only verbose response
     if (debug) {
         console.log(`
             ---- NEW TRANSACTION (Debug Mode) ----
              Old Balance : ${nBalance / COIN}
              Fee         : ${nFee / COIN}
-             To          : ${address}
+             To          : ${arrRecipients.map((r) => r.address).join(', ')}
              Sent        : ${amount / COIN}
              Inputs Qty  : ${cTx.inputs.length}
              Outputs Qty : ${outputs.length}
@@ -389,7 +551,23 @@ export async function createAndSendTransaction({
         `);
     }
 
-    const sign = await signTransaction(cTx, wallet, outputs, delegateChange);
+    // Unsigned transactions are handed to an offline wallet to sign, then brought back here to broadcast
+    if (unsigned) {
+        // Plain change is marked for the signer's review (delegated change isn't a standard address)
+        const cOfflineTx = await createOfflineTx(
+            cTx,
+            cCoinControl.arrSelectedUTXOs,
+            nChange > 0 && !knownUTXOs[0].isDelegate ? changeAddressPath : null
+        );
+        if (!cOfflineTx) return { ok: false, err: 'No previous transactions' };
+        guiShowOfflineTx(cOfflineTx);
+        return { ok: true };
+    }
+
+    const sign = await signTransaction(cTx, wallet, outputs, delegateChange, {
+        nFee: nFinalFee,
+        strChangePath: nChange > 0 ? changeAddressPath : null,
+    });
     const result = await getNetwork().sendTransaction(sign);
     // Update the mempool
     if (result) {
@@ -410,16 +588,17 @@ export async function createAndSendTransaction({
         }
 
         if (!isDelegation && !isProposal) {
-            const path = await wallet.isOwnAddress(address);
+            for (const [i, cRecipient] of arrRecipients.entries()) {
+                const path = await wallet.isOwnAddress(cRecipient.address);
 
-            // If the tx was sent to yourself, add it to the mempool
-            if (path) {
-                const vout = nChange > 0 ? 1 : 0;
+                // If the tx was sent to yourself, add it to the mempool
+                if (!path) continue;
+                const vout = (nChange > 0 ? 1 : 0) + i;
                 mempool.addUTXO(
                     new UTXO({
                         id: futureTxid,
                         path,
-                        sats: amount,
+                        sats: cRecipient.amount,
                         vout,
                         script: bytesToHex(cTx.outputs[vout].script),
                         status: Mempool.PENDING,
@@ -468,7 +647,25 @@ export async function createMasternode() {
     database.removeMasternode();
 }
 
-export async function signTransaction(cTx, wallet, outputs, undelegate) {
+/**
+ * Sign a transaction, with the wallet's keys or it's hardware wallet
+ * @param {bitjs.transaction} cTx - The transaction to sign
+ * @param {import('./wallet.js').Wallet} wallet - The wallet to sign with
+ * @param {Array<Array<string|number>>} [outputs] - The outputs, for the hardware wallet confirmation
+ * @param {boolean} [undelegate] - Whether the transaction spends delegated inputs
+ * @param {Object} [options]
+ * @param {number} [options.nFee] - The fee, for the hardware wallet confirmation
+ * @param {string?} [options.strChangePath] - The path of our change (the first output), so the hardware wallet
+ * ... verifies it's ours instead of asking the user to approve it as a payment
+ * @returns {Promise<string>} The signed transaction, in hex
+ */
+export async function signTransaction(
+    cTx,
+    wallet,
+    outputs,
+    undelegate,
+    { nFee = 0, strChangePath = null } = {}
+) {
     if (!wallet.isHardwareWallet()) {
         return await cTx.sign(
             wallet.getMasterKey(),
@@ -495,11 +692,25 @@ export async function signTransaction(cTx, wallet, outputs, undelegate) {
     // Sign the transaction via Ledger
     return await confirmPopup({
         title: ALERTS.CONFIRM_POPUP_TRANSACTION,
-        html: createTxConfirmation(outputs),
+        html:
+            'Confirm this transaction matches the one on your ' +
+            strHardwareName +
+            '.<br><br>' +
+            // Like the device, we only show the change if it's not known to be ours
+            createTxConfirmation(strChangePath ? outputs.slice(1) : outputs) +
+            (nFee
+                ? '<br><br>' +
+                  tr(translation.feeConfirm, [
+                      { fee: nFee / COIN },
+                      { ticker: cChainParams.current.TICKER },
+                      { rate: getFeeRate() },
+                  ])
+                : ''),
         resolvePromise: cHardwareWallet.createPaymentTransaction({
             inputs: arrInputs,
             associatedKeysets: arrAssociatedKeysets,
             outputScriptHex: strOutputScriptHex,
+            ...(strChangePath ? { changePath: strChangePath } : {}),
         }),
     });
 }
@@ -517,7 +728,8 @@ async function chooseUTXOs(
     cTx,
     nTotalSatsRequired = 0,
     nMinInputSize = 0,
-    fColdOnly = false
+    fColdOnly = false,
+    arrManualUTXOs = null
 ) {
     console.log(
         'Constructing TX of value: ' +
@@ -526,10 +738,11 @@ async function chooseUTXOs(
             cChainParams.current.TICKER
     );
 
-    // Select the UTXO type bucket
-
-    //const arrUTXOs
-    const arrUTXOs = fColdOnly
+    // Select the UTXO type bucket, or the user's manual selection, which is spent in full
+    const fManual = Array.isArray(arrManualUTXOs);
+    const arrUTXOs = fManual
+        ? arrManualUTXOs
+        : fColdOnly
         ? mempool.getDelegatedUTXOs()
         : mempool.getStandardUTXOs();
 
@@ -537,35 +750,35 @@ async function chooseUTXOs(
     const cCoinControl = { nValue: 0, nChange: 0, arrSelectedUTXOs: [] };
     const masternode = await (await Database.getInstance()).getMasternode();
 
-    for (let i = 0; i < arrUTXOs.length; i++) {
-        const cUTXO = arrUTXOs[i];
-        if (!Mempool.isValidUTXO(cUTXO)) {
-            continue;
-        }
-        // Don't spend locked Masternode collaterals
-        if (isMasternodeUTXO(cUTXO, masternode)) continue; //CHANGE THIS
+    const arrSpendable = arrUTXOs.filter(
+        (cUTXO) =>
+            Mempool.isValidUTXO(cUTXO) &&
+            // Don't spend locked Masternode collaterals
+            !isMasternodeUTXO(cUTXO, masternode) &&
+            // Don't spend UTXOs with less confirmations than the user requires
+            cUTXO.getConfirmations() >= nMinConfirmations &&
+            // Does the UTXO meet size requirements?
+            cUTXO.sats >= nMinInputSize
+    );
 
-        // Have we met the required sats threshold?
-        if (
-            cCoinControl.nValue >=
-            nTotalSatsRequired + getNetwork().getFee(cTx.serialize().length)
-        ) {
-            // Required Coin Control value met, yahoo!
+    // Pick the selection strategy with the least fees and dust, unless the user chose the inputs
+    // ... if nothing covers the amount (i.e: sending the full balance), everything is spent
+    let arrInputs = arrSpendable;
+    if (!fManual) {
+        const cSelection = selectCoins(arrSpendable, nTotalSatsRequired);
+        if (cSelection) {
+            arrInputs = cSelection.arrUTXOs;
             console.log(
                 'Coin Control: TX Constructed! Selected ' +
-                    cCoinControl.arrSelectedUTXOs.length +
-                    ' input(s) (' +
-                    cCoinControl.nValue / COIN +
-                    ' ' +
-                    cChainParams.current.TICKER +
-                    ')'
+                    arrInputs.length +
+                    ' input(s) using the ' +
+                    cSelection.strategy +
+                    ' strategy'
             );
-            break;
         }
+    }
 
-        // Does the UTXO meet size requirements?
-        if (cUTXO.sats < nMinInputSize) continue;
-
+    for (const cUTXO of arrInputs) {
         // Push UTXO and cache new total value
         cCoinControl.arrSelectedUTXOs.push(cUTXO);
         cCoinControl.nValue += cUTXO.sats;
@@ -607,15 +820,19 @@ async function chooseUTXOs(
     return ccSuccess(cCoinControl);
 }
 
-function createTxConfirmation(outputs) {
-    let strHtml =
-        'Confirm this transaction matches the one on your ' +
-        strHardwareName +
-        '.';
-    for (const output of outputs) {
-        strHtml += `<br> <br> You will send <b>${output[1].toFixed(2)} ${
-            cChainParams.current.TICKER
-        }</b> to <div class="inline-address">${output[0]}</div>`;
-    }
-    return strHtml;
+/**
+ * Create a summary of transaction outputs, one row per output, for the user to confirm
+ * @param {Array<Array<string|number>>} outputs - The outputs, as `[address, amount]` or `[owner, staker, amount]`
+ * @returns {string} - The summary HTML
+ */
+export function createTxConfirmation(outputs) {
+    return outputs
+        .map((output) =>
+            tr(translation.txConfirmRow, [
+                { amount: output[output.length - 1] },
+                { ticker: cChainParams.current.TICKER },
+                { address: output[output.length - 2] },
+            ])
+        )
+        .join('<br><br>');
 }
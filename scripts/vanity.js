@@ -0,0 +1,111 @@
+import { MAP_B58 } from './misc.js';
+
+/** The maximum length of a single vanity pattern */
+export const MAX_VANITY_LENGTH = 12;
+
+/** The length of a standard PIVX address, in Base58 characters */
+const ADDRESS_LENGTH = 34;
+
+/**
+ * Where in an address a vanity pattern should appear
+ * @enum {string}
+ */
+export const VanityMode = {
+    PREFIX: 'prefix',
+    SUFFIX: 'suffix',
+    CONTAINS: 'contains',
+};
+
+/**
+ * A vanity address search, shared between the UI and the search workers
+ * @typedef {Object} VanitySearch
+ * @property {Array<string>} patterns - The patterns to search for, any of which is a match
+ * @property {VanityMode} mode - Where in the address the patterns should appear
+ * @property {boolean} fCaseSensitive - Whether the patterns must match case exactly
+ * @property {boolean} fHD - Whether to search HD seeds (the first address) instead of raw keys
+ */
+
+/**
+ * Split a user-entered list of vanity patterns, ignoring spacing and duplicates
+ * @param {string} strInput - Comma or space separated patterns
+ * @returns {Array<string>} - The unique patterns
+ */
+export function parseVanityPatterns(strInput) {
+    const arrPatterns = strInput.split(/[\s,]+/).filter((p) => p.length > 0);
+    return [...new Set(arrPatterns)];
+}
+
+/**
+ * Check if an address matches any pattern of a vanity search
+ * @param {string} strAddress - The address to check
+ * @param {VanitySearch} cSearch - The search to check against
+ * @returns {boolean}
+ */
+export function isVanityMatch(strAddress, cSearch) {
+    const strAddr = cSearch.fCaseSensitive
+        ? strAddress
+        : strAddress.toLowerCase();
+    return cSearch.patterns.some((strPattern) => {
+        if (!cSearch.fCaseSensitive) strPattern = strPattern.toLowerCase();
+        switch (cSearch.mode) {
+            case VanityMode.SUFFIX:
+                return strAddr.endsWith(strPattern);
+            case VanityMode.CONTAINS:
+                // The network character is fixed, so it can't be part of a match
+                return strAddr.includes(strPattern, 1);
+            default:
+                return strAddr.startsWith(strPattern, 1);
+        }
+    });
+}
+
+/**
+ * Estimate the average amount of keys needed to find a vanity match
+ * @param {VanitySearch} cSearch - The search to estimate
+ * @returns {number} - The expected keys per match
+ */
+export function getVanityDifficulty(cSearch) {
+    let nProbability = 0;
+    for (const strPattern of cSearch.patterns) {
+        let nPatternProbability = 1;
+        for (const char of strPattern) {
+            // Case-insensitive letters may match both their lower and upper case (if both are Base58)
+            let nMatches = 1;
+            if (!cSearch.fCaseSensitive) {
+                nMatches = new Set(
+                    [char.toLowerCase(), char.toUpperCase()].filter((c) =>
+                        MAP_B58.includes(c)
+                    )
+                ).size;
+            }
+            nPatternProbability *= nMatches / MAP_B58.length;
+        }
+        // A substring may appear at any position after the network character
+        if (cSearch.mode === VanityMode.CONTAINS)
+            nPatternProbability *= ADDRESS_LENGTH - strPattern.length;
+        nProbability += nPatternProbability;
+    }
+    return nProbability > 0 ? Math.ceil(1 / nProbability) : Infinity;
+}
+
+/**
+ * Format a duration in to a short, human-readable string (i.e: '3h', '12d')
+ * @param {number} nSeconds - The duration in seconds
+ * @returns {string}
+ */
+export function formatVanityDuration(nSeconds) {
+    if (!Number.isFinite(nSeconds)) return '∞';
+    const arrUnits = [
+        ['y', 31536000],
+        ['d', 86400],
+        ['h', 3600],
+        ['m', 60],
+    ];
+    for (const [strUnit, nUnitSeconds] of arrUnits) {
+        if (nSeconds >= nUnitSeconds)
+            return (
+                Math.round(nSeconds / nUnitSeconds).toLocaleString() + strUnit
+            );
+    }
+    return Math.ceil(nSeconds) + 's';
+}
@@ -1,12 +1,47 @@
+import { entropyToMnemonic, mnemonicToSeedSync } from 'bip39';
+import HDKey from 'hdkey';
+import { cChainParams } from './chain_params.js';
 import { deriveAddress } from './encoding';
 import { getSafeRand } from './misc.js';
+import { isVanityMatch } from './vanity.js';
 
-onmessage = function (_evt) {
+// How many keys to search between progress reports to the UI
+const REPORT_INTERVAL = 250;
+
+/**
+ * Search for a vanity address, reporting progress and posting the match
+ * @param {MessageEvent<{search: import('./vanity.js').VanitySearch, fTestnet: boolean}>} evt
+ */
+onmessage = function (evt) {
+    const { search: cSearch, fTestnet } = evt.data;
+    cChainParams.current = fTestnet ? cChainParams.testnet : cChainParams.main;
+
+    let nAttempts = 0;
     while (true) {
         const cKeypair = {};
-        cKeypair.priv = getSafeRand();
+        if (cSearch.fHD) {
+            // Search the first receiving address of a fresh seed phrase
+            cKeypair.mnemonic = entropyToMnemonic(getSafeRand(16));
+            const cRoot = HDKey.fromMasterSeed(
+                mnemonicToSeedSync(cKeypair.mnemonic)
+            );
+            cKeypair.pub = deriveAddress({
+                pkBytes: cRoot.derive(
+                    `m/44'/${cChainParams.current.BIP44_TYPE}'/0'/0/0`
+                ).privateKey,
+            });
+        } else {
+            cKeypair.priv = getSafeRand();
+            cKeypair.pub = deriveAddress({ pkBytes: cKeypair.priv });
+        }
+        nAttempts++;
 
-        cKeypair.pub = deriveAddress({ pkBytes: cKeypair.priv });
-        postMessage(cKeypair);
+        if (isVanityMatch(cKeypair.pub, cSearch)) {
+            postMessage({ attempts: nAttempts, keypair: cKeypair });
+            nAttempts = 0;
+        } else if (nAttempts >= REPORT_INTERVAL) {
+            postMessage({ attempts: nAttempts });
+            nAttempts = 0;
+        }
     }
 };
@@ -0,0 +1,419 @@
+import bitjs from './bitTrx.js';
+import { encodeScriptNum, OP, pushData } from './script.js';
+import { Database } from './database.js';
+import { doms, restoreWallet } from './global.js';
+import { ALERTS, tr, translation } from './i18n.js';
+import { confirmPopup, createAlert, sanitizeHTML } from './misc.js';
+import { deriveAddress, deriveScriptAddress } from './encoding.js';
+import { getNetwork } from './network.js';
+import { cChainParams, COIN } from './chain_params.js';
+import { FlipDown } from './flipdown.js';
+import {
+    getLocktimeText,
+    getLocktimeTimestamp,
+    isLocktimeFinal,
+    parseLocktime,
+} from './locktime.js';
+import {
+    createAndSendTransaction,
+    createTxConfirmation,
+} from './transactions.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+import { wallet, hasEncryptedWallet, isActiveAccountPath } from './wallet.js';
+
+/** The smallest amount that may be locked in, or redeemed from, a vault, in satoshis */
+const MIN_VAULT_SATS = 10000;
+
+/**
+ * A time-locked savings vault: a P2SH output which only our key can spend, and only after it's lock time
+ */
+export class Vault {
+    /**
+     * Create a Vault.
+     * @param {Object} options
+     * @param {string} options.name - The user-chosen name of the vault
+     * @param {number} options.locktime - The block height, or unix timestamp (in seconds), the vault unlocks at
+     * @param {string} options.pubkey - The compressed public key (hex) which may spend the vault
+     * @param {string} options.path - The derivation path of the public key
+     */
+    constructor({ name, locktime, pubkey, path }) {
+        this.name = name;
+        this.locktime = locktime;
+        this.pubkey = pubkey;
+        this.path = path;
+    }
+
+    /** The user-chosen name of the vault
+     * @type {string}
+     */
+    name;
+
+    /** The block height, or unix timestamp (in seconds), the vault unlocks at
+     * @type {number}
+     */
+    locktime;
+
+    /** The compressed public key (hex) which may spend the vault
+     * @type {string}
+     */
+    pubkey;
+
+    /** The derivation path of the public key
+     * @type {string}
+     */
+    path;
+}
+
+/** @type {Array<FlipDown>} The countdowns of the rendered vaults */
+let arrFlipdowns = [];
+
+/**
+ * Construct the redeem script of a vault: `<locktime> OP_CHECKLOCKTIMEVERIFY OP_DROP <pubkey> OP_CHECKSIG`
+ * @param {Vault} cVault
+ * @returns {Array<number>} The redeem script bytes
+ */
+export function getVaultRedeemScript(cVault) {
+    return [
+        ...pushData(encodeScriptNum(cVault.locktime)),
+        OP['CHECKLOCKTIMEVERIFY'],
+        OP['DROP'],
+        ...pushData(hexToBytes(cVault.pubkey)),
+        OP['CHECKSIG'],
+    ];
+}
+
+/**
+ * Get the P2SH address of a vault
+ * @param {Vault} cVault
+ * @returns {string}
+ */
+export function getVaultAddress(cVault) {
+    return deriveScriptAddress(getVaultRedeemScript(cVault));
+}
+
+/**
+ * Describe when a vault unlocks, for the user
+ * @param {Vault} cVault
+ * @returns {string}
+ */
+function getVaultUnlockText(cVault) {
+    return tr(translation.vaultUnlocks, [
+        { unlock: getLocktimeText(cVault.locktime) },
+    ]);
+}
+
+/**
+ * Construct and sign the transaction redeeming every UTXO of an unlocked vault to a fresh address of ours
+ * @param {Vault} cVault
+ * @param {Array<import('./network.js').BlockbookUTXO>} arrUTXOs - The vault's UTXOs
+ * @returns {Promise<{strHex: string, nSats: number, strAddress: string, nFee: number}?>} The signed transaction,
+ * ... or null if the vault's balance can't cover the fee
+ */
+async function createVaultRedeem(cVault, arrUTXOs) {
+    const bRedeemScript = getVaultRedeemScript(cVault);
+    const cTx = new bitjs.transaction();
+    // The lock time must be set before adding inputs, so they're given a non-final sequence, and CLTV is enforced
+    cTx.locktime = cVault.locktime;
+    for (const cUTXO of arrUTXOs) {
+        // When signing P2SH inputs, the redeem script takes the place of the output script
+        cTx.addinput({
+            txid: cUTXO.txid,
+            index: cUTXO.vout,
+            script: bytesToHex(bRedeemScript),
+            path: cVault.path,
+        });
+    }
+
+    // Fees are computed in the same (hex length) units as regular transactions, including the signature and it's pushes
+    const nValue = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+    const [strAddress] = await wallet.getNewAddress();
+    cTx.addoutput(strAddress, nValue / COIN);
+    const nSigInputBytes = 1 + 73 + 1;
+    const nFee = getNetwork().getFee(
+        cTx.serialize().length + cTx.inputs.length * nSigInputBytes * 2
+    );
+    const nSats = nValue - nFee;
+    if (nSats < MIN_VAULT_SATS) return null;
+    cTx.outputs = [];
+    cTx.addoutput(strAddress, nSats / COIN);
+
+    // Sign every input with the vault's key, then finalise them: `<sig> <redeemScript>`
+    const strWIF = await wallet.getMasterKey().getPrivateKey(cVault.path);
+    const arrSigs = [];
+    for (let i = 0; i < cTx.inputs.length; i++) {
+        arrSigs.push(await cTx.transactionSig(i, strWIF));
+    }
+    cTx.inputs.forEach((cInput, i) => {
+        cInput.script = [...pushData(arrSigs[i]), ...pushData(bRedeemScript)];
+    });
+    return { strHex: cTx.serialize(), nSats, strAddress, nFee };
+}
+
+/**
+ * Check that the wallet can hold vaults, alerting the user if not
+ * @returns {Promise<boolean>}
+ */
+async function canUseVaults() {
+    if (wallet.isHardwareWallet()) {
+        createAlert('warning', ALERTS.VAULT_HARDWARE, 4000);
+        return false;
+    }
+    if (!(await hasEncryptedWallet())) {
+        createAlert('warning', ALERTS.VAULT_ENCRYPT_FIRST, 4000);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Render the vaults list with their countdowns, and fetch their balances
+ */
+export async function guiRenderVaults() {
+    if (!(await canUseVaults())) return;
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+
+    // Stop the countdowns of the previous render
+    for (const cFlipdown of arrFlipdowns) clearInterval(cFlipdown.countdown);
+    arrFlipdowns = [];
+
+    let strHTML = '';
+    cAccount.vaults.forEach((cVault, i) => {
+        // Only the active account's vaults are shown
+        if (!isActiveAccountPath(cVault.path)) return;
+        const strAddress = getVaultAddress(cVault);
+        const fUnlocked = isLocktimeFinal(cVault.locktime);
+        strHTML += `
+            <div class="d-flex px-3 py-3 contactItem">
+                <div style="width: 100%; line-height: 15px;">
+                    <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+                        cVault.name
+                    )} <small>(${getVaultUnlockText(cVault)})</small></span>
+                    <span class="ptr" onclick="MPW.toClipboard('${strAddress}', this)" style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${strAddress}</span><br>
+                    <span id="vaultBalance${i}" style="font-size: 13px; position: relative; top: 6px;"></span>
+                    ${
+                        fUnlocked
+                            ? ''
+                            : `<div id="vaultFlipdown${i}" class="flipdown" style="margin-top: 15px;"></div>`
+                    }
+                </div>
+                <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                    ${
+                        fUnlocked
+                            ? `<i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiRedeemVault(${i})" class="fa-solid fa-lock-open"></i>`
+                            : '<i style="margin-right: 15px; opacity: 0.5;" class="fa-solid fa-lock"></i>'
+                    }
+                    <i style="cursor:pointer;" onclick="MPW.guiRemoveVault(${i})" class="fa-solid fa-trash"></i>
+                </div>
+            </div>
+        `;
+    });
+
+    // The "Create Vault" UI
+    strHTML += `
+        <div class="px-3" style="margin-top:20px;">
+            <p style="opacity: 0.75; text-align: center;">${translation.vaultNote}</p>
+            <input id="vaultNameInput" class="m-0" style="width: 100%;" placeholder="${translation.name}" autocomplete="nope">
+            <input id="vaultAmountInput" type="number" class="m-0" style="width: 100%; margin-top: 5px !important;" placeholder="${translation.amount}" autocomplete="nope">
+            <div class="d-flex addContact" style="margin-top: 5px;">
+                <div class="contactName" style="width: 100%;">
+                    <input id="vaultUnlockInput" class="m-0" style="width: 100%;" placeholder="${translation.vaultUnlockPlaceholder}" autocomplete="nope">
+                </div>
+                <div class="d-flex" style="align-items: center;">
+                    <div onclick="MPW.guiCreateVault()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                        <i class="fas fa-plus"></i>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    doms.domVaultTable.innerHTML = strHTML;
+
+    // Count down to the locked vaults
+    cAccount.vaults.forEach((cVault, i) => {
+        if (
+            !isActiveAccountPath(cVault.path) ||
+            isLocktimeFinal(cVault.locktime)
+        )
+            return;
+        arrFlipdowns.push(
+            new FlipDown(
+                getLocktimeTimestamp(cVault.locktime),
+                `vaultFlipdown${i}`
+            ).start()
+        );
+    });
+
+    // Watch the balances in the background
+    if (!getNetwork().enabled) return;
+    cAccount.vaults.forEach(async (cVault, i) => {
+        if (!isActiveAccountPath(cVault.path)) return;
+        const arrUTXOs =
+            (await getNetwork().getUTXOs(getVaultAddress(cVault))) || [];
+        const nBalance = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+        const domBalance = document.getElementById(`vaultBalance${i}`);
+        if (domBalance) {
+            domBalance.innerText = `${nBalance / COIN} ${
+                cChainParams.current.TICKER
+            }`;
+        }
+    });
+}
+
+/**
+ * Create a vault from the user's input, and lock the chosen amount in to it
+ */
+export async function guiCreateVault() {
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+
+    const strName = document.getElementById('vaultNameInput').value.trim();
+    if (!strName) return createAlert('warning', ALERTS.VAULT_NO_NAME, 2500);
+
+    const nSats = Math.round(
+        Number(document.getElementById('vaultAmountInput').value) * COIN
+    );
+    if (!Number.isSafeInteger(nSats) || nSats < MIN_VAULT_SATS)
+        return createAlert('warning', ALERTS.INVALID_AMOUNT, 2500);
+
+    const nLocktime = parseLocktime(
+        document.getElementById('vaultUnlockInput').value.trim()
+    );
+    if (nLocktime === null)
+        return createAlert('warning', ALERTS.VAULT_INVALID_UNLOCK, 4000);
+
+    // Make sure the user understands the coins can't be moved early, by anyone
+    const cPreview = new Vault({ name: strName, locktime: nLocktime });
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.vaultCreateTitle, [
+            { strName: sanitizeHTML(strName) },
+        ]),
+        html: tr(translation.vaultCreateNote, [
+            { amount: nSats / COIN },
+            { ticker: cChainParams.current.TICKER },
+            { unlock: getVaultUnlockText(cPreview) },
+        ]),
+    });
+    if (!fConfirmed) return;
+
+    // The vault is locked to a fresh key of ours, which needs the wallet unlocked to derive
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockVault))
+    )
+        return;
+    const [, strPath] = await wallet.getNewAddress();
+    const strPubkey = deriveAddress({
+        pkBytes: await wallet.getMasterKey().getPrivateKeyBytes(strPath),
+        output: 'COMPRESSED_HEX',
+    });
+    const cVault = new Vault({
+        name: strName,
+        locktime: nLocktime,
+        pubkey: strPubkey,
+        path: strPath,
+    });
+
+    // Save the vault before funding it, so it's coins can never be sent somewhere we can't redeem
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    cAccount.vaults.push(cVault);
+    await cDB.updateAccount(cAccount);
+
+    const cRes = await createAndSendTransaction({
+        address: getVaultAddress(cVault),
+        amount: nSats,
+    });
+    if (!cRes?.ok) {
+        // Nothing was locked, so the vault isn't needed
+        const cFreshAccount = await cDB.getAccount();
+        cFreshAccount.vaults = cFreshAccount.vaults.filter(
+            (v) => getVaultAddress(v) !== getVaultAddress(cVault)
+        );
+        await cDB.updateAccount(cFreshAccount, true);
+        return;
+    }
+    createAlert(
+        'success',
+        tr(ALERTS.VAULT_CREATED, [
+            { strName: sanitizeHTML(strName) },
+            { unlock: getVaultUnlockText(cVault) },
+        ]),
+        5000
+    );
+    await guiRenderVaults();
+}
+
+/**
+ * Redeem every coin of an unlocked vault back to the wallet
+ * @param {number} nIndex - The index of the vault
+ */
+export async function guiRedeemVault(nIndex) {
+    const cDB = await Database.getInstance();
+    const cVault = (await cDB.getAccount()).vaults[nIndex];
+    if (!cVault) return;
+    if (!getNetwork().enabled)
+        return createAlert('warning', ALERTS.WALLET_OFFLINE_AUTOMATIC, 3500);
+    if (!isLocktimeFinal(cVault.locktime))
+        return createAlert(
+            'warning',
+            tr(ALERTS.VAULT_LOCKED, [{ unlock: getVaultUnlockText(cVault) }]),
+            4000
+        );
+
+    const arrUTXOs =
+        (await getNetwork().getUTXOs(getVaultAddress(cVault))) || [];
+    if (!arrUTXOs.length)
+        return createAlert('warning', ALERTS.VAULT_EMPTY, 3500);
+
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockVault))
+    )
+        return;
+    const cRedeem = await createVaultRedeem(cVault, arrUTXOs);
+    if (!cRedeem) return createAlert('warning', ALERTS.VAULT_EMPTY, 3500);
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.vaultRedeemTitle, [
+            { strName: sanitizeHTML(cVault.name) },
+        ]),
+        html:
+            createTxConfirmation([[cRedeem.strAddress, cRedeem.nSats / COIN]]) +
+            '<br><br>' +
+            tr(translation.txFee, [
+                { fee: cRedeem.nFee / COIN },
+                { ticker: cChainParams.current.TICKER },
+            ]),
+    });
+    if (!fConfirmed) return;
+
+    const strTxid = await getNetwork().sendTransaction(cRedeem.strHex);
+    if (strTxid) {
+        createAlert('success', ALERTS.VAULT_REDEEMED, 4000);
+        await guiRenderVaults();
+    }
+}
+
+/**
+ * Remove a vault from the Account (it's coins stay locked, but it's details are needed to redeem them)
+ * @param {number} nIndex - The index of the vault
+ */
+export async function guiRemoveVault(nIndex) {
+    const cDB = await Database.getInstance();
+    const cAccount = await cDB.getAccount();
+    const cVault = cAccount.vaults[nIndex];
+    if (!cVault) return;
+
+    const fConfirmed = await confirmPopup({
+        title: tr(translation.vaultRemoveTitle, [
+            { strName: sanitizeHTML(cVault.name) },
+        ]),
+        html: translation.vaultRemoveNote,
+    });
+    if (!fConfirmed) return;
+
+    cAccount.vaults.splice(nIndex, 1);
+    await cDB.updateAccount(cAccount, true);
+    await guiRenderVaults();
+}
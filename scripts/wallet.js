@@ -1,5 +1,11 @@
 import { parseWIF } from './encoding.js';
-import { generateMnemonic, mnemonicToSeed, validateMnemonic } from 'bip39';
+import {
+    generateMnemonic,
+    mnemonicToSeed,
+    validateMnemonic,
+    mnemonicToEntropy,
+    entropyToMnemonic,
+} from 'bip39';
 import { doms, beforeUnloadListener } from './global.js';
 import { getNetwork } from './network.js';
 import { MAX_ACCOUNT_GAP } from './chain_params.js';
@@ -14,21 +20,35 @@ import {
     createAlert,
     isXPub,
     isStandardAddress,
+    sanitizeHTML,
 } from './misc.js';
 import {
     refreshChainData,
     setDisplayForAllWalletOptions,
     getBalance,
     getStakingBalance,
+    restoreWallet,
+    mempool,
+    activityDashboard,
+    stakingDashboard,
 } from './global.js';
 import { ALERTS, tr, translation } from './i18n.js';
-import { encrypt, decrypt } from './aes-gcm.js';
+import { encrypt, decrypt, needsReencryption } from './aes-gcm.js';
 import * as jdenticon from 'jdenticon';
 import { Database } from './database.js';
 import { guiRenderCurrentReceiveModal } from './contacts-book.js';
-import { Account } from './accounts.js';
-import { debug, fAdvancedMode } from './settings.js';
+import { Account, HdAccount } from './accounts.js';
+import { debug, fAdvancedMode, nGapLimit } from './settings.js';
 import { strHardwareName, getHardwareWalletKeys } from './ledger.js';
+import { getUnknownWords, guiRepairSeedPhrase } from './mnemonic.js';
+import {
+    generateShares,
+    combineShares,
+    isSlip39Word,
+    MAX_SHARE_COUNT,
+} from './slip39.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+import { guiDecryptBIP38, isBIP38 } from './bip38.js';
 export let fWalletLoaded = false;
 
 /**
@@ -49,6 +69,11 @@ export class Wallet {
      * @type {number}
      */
     #addressIndex = 0;
+    /**
+     * The index of the latest address generated on the internal (change) chain
+     * @type {number}
+     */
+    #changeIndex = 0;
     /**
      * Map our own address -> Path
      * @type {Map<String, String?>}
@@ -114,6 +139,22 @@ export class Wallet {
         await getNetwork().setWallet(this);
     }
 
+    /**
+     * Switch to another BIP44 account of the loaded Master Key
+     *
+     * This wipes the address state of the previous account, the caller is responsible for re-syncing chain data
+     * @param {number} nAccount - The BIP44 account index
+     */
+    async setAccount(nAccount) {
+        this.#nAccount = nAccount;
+        this.#addressIndex = 0;
+        this.#changeIndex = 0;
+        this.#ownAddresses = new Map();
+        // Wipe the network state, as the account xpub has changed
+        getNetwork().reset();
+        await getNetwork().setWallet(this);
+    }
+
     /**
      * Derive the current address (by internal index)
      * @return {Promise<String>} Address
@@ -164,10 +205,11 @@ export class Wallet {
         // Hide the encryption warning
         doms.domGenKeyWarning.style.display = 'none';
 
-        // Prepare to Add/Update an account in the DB
+        // Prepare to Add/Update an account in the DB: it's identified by the seed's first account, whichever is active
         const cAccount = new Account({
-            publicKey: await this.getKeyToExport(),
+            publicKey: await this.#masterKey.getKeyToExport(0),
             encWif: strEncWIF,
+            activeAccount: this.#nAccount,
         });
 
         // Incase of a "Change Password", we check if an Account already exists
@@ -176,6 +218,16 @@ export class Wallet {
             // Update the existing Account (new encWif) in the DB
             await database.updateAccount(cAccount);
         } else {
+            // List the active BIP44 account, so it's xpub is loaded at startup
+            if (this.isHD()) {
+                cAccount.hdAccounts.push(
+                    new HdAccount({
+                        index: this.#nAccount,
+                        name: '',
+                        publicKey: await this.getKeyToExport(),
+                    })
+                );
+            }
             // Add the new Account to the DB
             await database.addAccount(cAccount);
         }
@@ -193,14 +245,73 @@ export class Wallet {
         const last = getNetwork().lastWallet;
         this.#addressIndex =
             (this.#addressIndex > last ? this.#addressIndex : last) + 1;
-        if (this.#addressIndex - last > MAX_ACCOUNT_GAP) {
-            // If the user creates more than ${MAX_ACCOUNT_GAP} empty wallets we will not be able to sync them!
+        if (this.#addressIndex - last > nGapLimit) {
+            // If the user creates more than ${nGapLimit} empty wallets we will not be able to sync them!
             this.#addressIndex = last;
         }
         const path = this.getDerivationPath(0, this.#addressIndex);
         const address = await this.getAddress(0, this.#addressIndex);
         return [address, path];
     }
+
+    /**
+     * Derive a fresh address on the internal (change) chain, so change isn't linked to our receiving addresses
+     * @return Promise<[string, string]> Address and its BIP32 derivation path
+     */
+    async getNewChangeAddress() {
+        const last = getNetwork().lastChange;
+        this.#changeIndex = Math.max(this.#changeIndex, last) + 1;
+        if (this.#changeIndex - last > nGapLimit) {
+            // Same as receiving addresses: stay within the gap limit, or the change can't be synced!
+            this.#changeIndex = last;
+        }
+        const path = this.getDerivationPath(1, this.#changeIndex);
+        const address = await this.getAddress(1, this.#changeIndex);
+        return [address, path];
+    }
+
+    /**
+     * @typedef {Object} DiscoveryProgress
+     * @property {number} nReceiving - The chain being scanned (0: receiving, 1: change)
+     * @property {number} nIndex - The index of the address that was just scanned
+     * @property {number} nUsed - The amount of used addresses found so far
+     */
+
+    /**
+     * Walk the receiving and change chains until `nGapLimit` consecutive unused addresses are found on each,
+     * remembering every used address as our own
+     * @param {(progress: DiscoveryProgress) => void} [fnProgress] - Called after each scanned address
+     * @returns {Promise<number>} The amount of used addresses found
+     */
+    async discoverAddresses(fnProgress = () => {}) {
+        if (!this.isHD()) return 0;
+        const cNet = getNetwork();
+        const strKey = await this.getKeyToExport();
+        let nUsed = 0;
+        for (const nReceiving of [0, 1]) {
+            let nGap = 0;
+            for (let i = 0; nGap < nGapLimit; i++) {
+                const path = this.getDerivationPath(nReceiving, i);
+                const address = await this.#masterKey.getAddress(path);
+                const { txs } = await cNet.getAddressInfo(address);
+
+                // Stop if the account was switched mid-discovery
+                if (strKey !== (await this.getKeyToExport())) return nUsed;
+
+                if (txs > 0) {
+                    this.#ownAddresses.set(address, path);
+                    cNet.updateLastIndex(path.split('/'));
+                    nUsed++;
+                    nGap = 0;
+                } else {
+                    nGap++;
+                }
+                fnProgress({ nReceiving, nIndex: i, nUsed });
+            }
+        }
+        return nUsed;
+    }
+
     // If the privateKey is null then the user connected a hardware wallet
     isHardwareWallet() {
         if (!this.#masterKey) return false;
@@ -215,16 +326,20 @@ export class Wallet {
         if (this.#ownAddresses.has(address)) {
             return this.#ownAddresses.get(address);
         }
-        const last = getNetwork().lastWallet;
-        this.#addressIndex =
-            this.#addressIndex > last ? this.#addressIndex : last;
         if (this.isHD()) {
-            for (let i = 0; i < this.#addressIndex; i++) {
-                const path = this.getDerivationPath(0, i);
-                const testAddress = await this.#masterKey.getAddress(path);
-                if (address === testAddress) {
-                    this.#ownAddresses.set(address, path);
-                    return path;
+            // Scan both the external (receiving) and internal (change) chains
+            const arrChains = [
+                [0, Math.max(this.#addressIndex, getNetwork().lastWallet)],
+                [1, Math.max(this.#changeIndex, getNetwork().lastChange)],
+            ];
+            for (const [nReceiving, nLastIndex] of arrChains) {
+                for (let i = 0; i <= nLastIndex; i++) {
+                    const path = this.getDerivationPath(nReceiving, i);
+                    const testAddress = await this.#masterKey.getAddress(path);
+                    if (address === testAddress) {
+                        this.#ownAddresses.set(address, path);
+                        return path;
+                    }
                 }
             }
         } else {
@@ -257,7 +372,7 @@ export class Wallet {
 /**
  * @type{Wallet}
  */
-export const wallet = new Wallet(0); // For now we are using only the 0-th account, (TODO: update once account system is done)
+export const wallet = new Wallet(0); // The active account may be switched via `switchAccount()`
 
 /**
  * Import a wallet (with it's private, public or encrypted data)
@@ -321,11 +436,41 @@ export async function importWallet({
                 });
             }
 
-            // Select WIF from internal source OR user input (could be: WIF, Mnemonic or xpriv)
-            const privateImportValue = newWif || doms.domPrivKey.value;
+            // Select WIF from internal source OR user input (could be: WIF, Mnemonic, Shamir Shares or xpriv)
+            let privateImportValue = newWif || doms.domPrivKey.value;
             const passphrase = doms.domPrivKeyPassword.value;
             doms.domPrivKey.value = '';
             doms.domPrivKeyPassword.value = '';
+            doms.domImportSeedSuggestions.innerHTML = '';
+
+            // If SLIP-39 Shamir Shares were given, recover the Seed Phrase they protect
+            if (isShamirInput(privateImportValue)) {
+                const cShamirResult = await recoverSeedFromShares(
+                    privateImportValue
+                );
+                if (!cShamirResult.ok)
+                    return createAlert('warning', cShamirResult.msg, 5000);
+                privateImportValue = cShamirResult.phrase;
+            }
+
+            // If a BIP38 key was given, decrypt it in to a plain WIF key
+            if (isBIP38(privateImportValue)) {
+                const cKey = await guiDecryptBIP38(
+                    privateImportValue,
+                    passphrase
+                );
+                if (!cKey) return;
+                // MPW wallets use compressed keys, so uncompressed keys must be swept instead
+                if (!cKey.fCompressed)
+                    return createAlert(
+                        'warning',
+                        ALERTS.BIP38_UNCOMPRESSED,
+                        7500
+                    );
+                privateImportValue = generateOrEncodePrivkey(
+                    cKey.pkBytes
+                ).strWIF;
+            }
 
             // Clean and verify the Seed Phrase (if one exists)
             const cPhraseValidator = await cleanAndVerifySeedPhrase(
@@ -349,7 +494,15 @@ export async function importWallet({
                 await wallet.setMasterKey(new HdMasterKey({ seed }));
             } else if (cPhraseValidator.phrase.includes(' ')) {
                 // The Phrase Validator failed, but the input contains at least one space; possibly a Seed Typo?
-                return createAlert('warning', cPhraseValidator.msg, 5000);
+                // ... so we'll offer the user any valid phrases that are a single typo away
+                const strRepaired = await guiRepairSeedPhrase(
+                    cPhraseValidator.phrase,
+                    passphrase
+                );
+                if (!strRepaired)
+                    return createAlert('warning', cPhraseValidator.msg, 5000);
+                const seed = await mnemonicToSeed(strRepaired, passphrase);
+                await wallet.setMasterKey(new HdMasterKey({ seed }));
             } else {
                 // The input definitely isn't a seed, so we'll try every other import method
                 try {
@@ -441,6 +594,11 @@ export async function importWallet({
         if (getNetwork().enabled && !fStartup) {
             refreshChainData();
             getNetwork().getUTXOs();
+
+            // A raised gap limit may hide addresses beyond the default range, so scan for them
+            if (wallet.isHD() && nGapLimit > MAX_ACCOUNT_GAP) {
+                guiDiscoverAddresses();
+            }
         }
 
         // Hide all wallet starter options
@@ -449,15 +607,22 @@ export async function importWallet({
 }
 
 // Wallet Generation
-export async function generateWallet(noUI = false) {
+/**
+ * Generate a new HD wallet, or load a pre-generated Seed Phrase (i.e: from VanityGen)
+ * @param {boolean} noUI - Skip displaying the Seed Phrase to the user
+ * @param {string} strMnemonic - An optional pre-generated Seed Phrase to use
+ * @returns {Promise<Wallet>}
+ */
+export async function generateWallet(noUI = false, strMnemonic = '') {
     // TODO: remove `walletConfirm`, it is useless as Accounts cannot be overriden, and multi-accounts will come soon anyway
     // ... just didn't want to add a huge whitespace change from removing the `if (walletConfirm) {` line
     const walletConfirm = true;
     if (walletConfirm) {
-        const mnemonic = generateMnemonic();
+        const mnemonic = strMnemonic || generateMnemonic();
 
+        // A passphrase would change a pre-generated seed's addresses, so only allow it for fresh seeds
         const passphrase = !noUI
-            ? await informUserOfMnemonic(mnemonic)
+            ? await informUserOfMnemonic(mnemonic, !strMnemonic)
             : undefined;
         const seed = await mnemonicToSeed(mnemonic, passphrase);
 
@@ -479,7 +644,12 @@ export async function generateWallet(noUI = false) {
         doms.domIdenticon.dataset.jdenticonValue = await wallet.getAddress();
         jdenticon.update('#identicon');
 
-        await getNewAddress({ updateGUI: true });
+        // A pre-generated (vanity) seed was chosen for it's first address, so display that rather than advancing past it
+        if (strMnemonic) {
+            await guiRenderCurrentReceiveModal();
+        } else {
+            await getNewAddress({ updateGUI: true });
+        }
 
         // Refresh the balance UI (why? because it'll also display any 'get some funds!' alerts)
         getBalance(true);
@@ -511,12 +681,19 @@ export async function cleanAndVerifySeedPhrase(
         if (!validateMnemonic(strPhrase)) {
             // If a popup is allowed and Advanced Mode is enabled, warn the user that the
             // ... seed phrase is potentially bad, and ask for confirmation to proceed
-            if (!fPopupConfirm || !fAdvancedMode)
+            if (!fPopupConfirm || !fAdvancedMode) {
+                // If some words aren't in the wordlist, point them out
+                const arrUnknown = getUnknownWords(strPhrase);
                 return {
                     ok: false,
-                    msg: translation.importSeedErrorTypo,
+                    msg: arrUnknown.length
+                        ? tr(translation.importSeedErrorWords, [
+                              { words: sanitizeHTML(arrUnknown.join(', ')) },
+                          ])
+                        : translation.importSeedErrorTypo,
                     phrase: strPhrase,
                 };
+            }
 
             // The reason we want to ask the user for confirmation is that the mnemonic
             // could have been generated with another app that has a different dictionary
@@ -558,24 +735,160 @@ export async function cleanAndVerifySeedPhrase(
     }
 }
 
+/**
+ * Split a whitespace-separated list of SLIP-39 words into individual shares
+ * @param {string} strInput - One or more SLIP-39 shares
+ * @returns {Array<string>} The shares, or an empty array if the words don't split evenly
+ */
+function splitShareInput(strInput) {
+    const arrWords = strInput.trim().toLowerCase().split(/\s+/);
+    // Shares of 128-bit and 256-bit secrets are 20 and 33 words respectively
+    const nShareLength = [20, 33].find((n) => arrWords.length % n === 0);
+    if (!nShareLength) return [];
+    const arrShares = [];
+    for (let i = 0; i < arrWords.length; i += nShareLength) {
+        arrShares.push(arrWords.slice(i, i + nShareLength).join(' '));
+    }
+    return arrShares;
+}
+
+/**
+ * Check if an import input looks like SLIP-39 Shamir Shares, rather than a BIP39 Seed Phrase
+ * @param {string} strInput - The import input
+ * @returns {boolean}
+ */
+export function isShamirInput(strInput = '') {
+    const arrWords = strInput.trim().toLowerCase().split(/\s+/);
+    return (
+        splitShareInput(strInput).length > 0 &&
+        arrWords.every((w) => isSlip39Word(w))
+    );
+}
+
+/**
+ * Recover a Seed Phrase from SLIP-39 Shamir Shares, prompting the user for more shares until there's enough
+ *
+ * This returns an object of the recovery status and the recovered Seed Phrase, much like `cleanAndVerifySeedPhrase`.
+ * @param {string} strInput - One or more SLIP-39 shares
+ */
+export async function recoverSeedFromShares(strInput) {
+    const arrShares = splitShareInput(strInput);
+    for (;;) {
+        let cResult;
+        try {
+            cResult = combineShares(arrShares);
+        } catch (e) {
+            console.error(e);
+            return { ok: false, msg: ALERTS.SHAMIR_INVALID, phrase: '' };
+        }
+
+        // Enough shares: the Master Secret is the entropy of the original Seed Phrase
+        if (cResult.secret) {
+            return {
+                ok: true,
+                msg: translation.importSeedValid,
+                phrase: entropyToMnemonic(bytesToHex(cResult.secret)),
+            };
+        }
+
+        // Not enough shares yet, so ask for the rest
+        const fContinue = await confirmPopup({
+            title: translation.shamirMoreTitle,
+            html: `<p>${tr(translation.shamirMoreNote, [
+                { missing: cResult.missing },
+            ])}</p>
+            <textarea id="shamirExtraShares" rows="5" style="width: 100%;"></textarea>`,
+        });
+        if (!fContinue) {
+            return { ok: false, msg: ALERTS.SHAMIR_NOT_ENOUGH, phrase: '' };
+        }
+        const arrExtra = splitShareInput(
+            document.getElementById('shamirExtraShares').value
+        );
+        if (!arrExtra.length) {
+            return { ok: false, msg: ALERTS.SHAMIR_INVALID, phrase: '' };
+        }
+        arrShares.push(...arrExtra);
+    }
+}
+
+/**
+ * Split the Seed Phrase shown in the Mnemonic Modal into SLIP-39 Shamir Shares, and render them
+ * @param {string} mnemonic - The Seed Phrase to split
+ */
+function guiRenderMnemonicShares(mnemonic) {
+    const nThreshold = Number(doms.domMnemonicModalShamirThreshold.value);
+    const nCount = Number(doms.domMnemonicModalShamirCount.value);
+    if (
+        !Number.isSafeInteger(nThreshold) ||
+        !Number.isSafeInteger(nCount) ||
+        nThreshold < 2 ||
+        nCount < nThreshold ||
+        nCount > MAX_SHARE_COUNT
+    ) {
+        return createAlert(
+            'warning',
+            tr(ALERTS.SHAMIR_INVALID_PARAMS, [{ max: MAX_SHARE_COUNT }]),
+            4000
+        );
+    }
+
+    const arrShares = generateShares(
+        hexToBytes(mnemonicToEntropy(mnemonic)),
+        nThreshold,
+        nCount
+    );
+    // The shares only hold the seed phrase, so a passphrase must be backed up alongside them
+    const strWarning = `<p id="shamirPassphraseWarning" style="color: #ff6b6b;"${
+        doms.domMnemonicModalPassphrase.value ? '' : ' hidden'
+    }><b>${translation.shamirPassphraseWarning}</b></p>`;
+    doms.domMnemonicModalShares.innerHTML =
+        strWarning +
+        arrShares
+            .map(
+                (strShare, i) => `
+            <span>${tr(translation.shamirShareLabel, [
+                { index: i + 1 },
+                { count: nCount },
+                { threshold: nThreshold },
+            ])}</span>
+            <b><div translate="no" class="seed-phrase noselect notranslate">${strShare}</div></b>`
+            )
+            .join('');
+}
+
 /**
  * Display a Seed Phrase popup to the user and optionally wait for a Seed Passphrase
  * @param {string} mnemonic - The Seed Phrase to display to the user
+ * @param {boolean} fAllowPassphrase - Whether the user may add a Seed Passphrase
  * @returns {Promise<string>} - The Mnemonic Passphrase (empty string if omitted by user)
  */
-function informUserOfMnemonic(mnemonic) {
+function informUserOfMnemonic(mnemonic, fAllowPassphrase = true) {
     return new Promise((res, _) => {
         // Configure the modal
         $('#mnemonicModal').modal({ keyboard: false });
+        doms.domMnemonicModalPassphrase.hidden =
+            !fAdvancedMode || !fAllowPassphrase;
 
         // Render the Seed Phrase and configure the button
         doms.domMnemonicModalContent.innerText = mnemonic;
+        doms.domMnemonicModalShamirButton.onclick = () =>
+            guiRenderMnemonicShares(mnemonic);
+        // A passphrase added after splitting must still be warned about
+        doms.domMnemonicModalPassphrase.oninput = () => {
+            const domWarning = document.getElementById(
+                'shamirPassphraseWarning'
+            );
+            if (domWarning)
+                domWarning.hidden = !doms.domMnemonicModalPassphrase.value;
+        };
         doms.domMnemonicModalButton.onclick = () => {
             res(doms.domMnemonicModalPassphrase.value);
             $('#mnemonicModal').modal('hide');
 
             // Wipe the mnemonic displays of sensitive data
             doms.domMnemonicModalContent.innerText = '';
+            doms.domMnemonicModalShares.innerHTML = '';
             doms.domMnemonicModalPassphrase.value = '';
         };
 
@@ -590,8 +903,14 @@ export async function decryptWallet(strPassword = '') {
     const { encWif: strEncWIF } = await database.getAccount();
     if (!strEncWIF || strEncWIF.length < 1) return false;
 
-    // Prompt to decrypt it via password
-    const strDecWIF = await decrypt(strEncWIF, strPassword);
+    // Prompt for the password, as it's needed beyond decryption to upgrade outdated encryption
+    const strPass =
+        strPassword ||
+        window.prompt('Please enter your wallet unlock password');
+    if (!strPass) return false;
+
+    // Decrypt it via password
+    const strDecWIF = await decrypt(strEncWIF, strPass);
     if (!strDecWIF || strDecWIF === 'decryption failed!') {
         if (strDecWIF)
             return createAlert('warning', ALERTS.INCORRECT_PASSWORD, 6000);
@@ -601,10 +920,41 @@ export async function decryptWallet(strPassword = '') {
             // Save the public key to disk for View Only mode
             fSavePublicKey: true,
         });
+
+        // Migrate outdated encryption in-place, now that we have the password
+        if (needsReencryption(strEncWIF)) {
+            const cAccount = await database.getAccount();
+            cAccount.encWif = await encrypt(strDecWIF, strPass);
+            if (cAccount.encWif) await database.updateAccount(cAccount);
+        }
         return true;
     }
 }
 
+/**
+ * Re-encrypt the stored wallet with a new password, without loading it's keys
+ * @param {string} strOldPassword - The current password
+ * @param {string} strNewPassword - The password to re-encrypt with
+ * @returns {Promise<boolean>} - `true` if the password was changed
+ */
+export async function changeWalletPassword(strOldPassword, strNewPassword) {
+    const database = await Database.getInstance();
+    const cAccount = await database.getAccount();
+    if (!cAccount?.encWif) return false;
+
+    // The current password must decrypt the existing wallet
+    const strDecWIF = await decrypt(cAccount.encWif, strOldPassword);
+    if (!strDecWIF || strDecWIF === 'decryption failed!') {
+        if (strDecWIF) createAlert('warning', ALERTS.INCORRECT_PASSWORD, 6000);
+        return false;
+    }
+
+    cAccount.encWif = await encrypt(strDecWIF, strNewPassword);
+    if (!cAccount.encWif) return false;
+    await database.updateAccount(cAccount);
+    return true;
+}
+
 /**
  * @returns {Promise<bool>} If the wallet has an encrypted database backup
  */
@@ -643,3 +993,399 @@ function createAddressConfirmation(address) {
     return `${translation.popupHardwareAddrCheck} ${strHardwareName}.
               <div class="seed-phrase">${address}</div>`;
 }
+
+/** Whether hidden accounts are displayed in the Accounts list */
+let fShowHiddenAccounts = false;
+
+/**
+ * Fetch the saved DB Account, ensuring the active BIP44 account is listed within it
+ *
+ * Wallets saved before the account system only know of their active account, so we add it on first use
+ * @returns {Promise<Account?>} - The DB Account, or null if the wallet isn't saved
+ */
+async function getAccountWithHdAccounts() {
+    const database = await Database.getInstance();
+    const cAccount = await database.getAccount();
+    if (!cAccount) return null;
+
+    if (!cAccount.getHdAccount(wallet.nAccount)) {
+        cAccount.hdAccounts.push(
+            new HdAccount({
+                index: wallet.nAccount,
+                name: '',
+                publicKey: await wallet.getKeyToExport(),
+            })
+        );
+        await database.updateAccount(cAccount);
+    }
+    return cAccount;
+}
+
+/**
+ * Import a saved wallet in to it's last active BIP44 account, or the seed's first account if that one isn't listed
+ * @param {Account} cAccount - The DB Account
+ * @param {boolean} [fStartup] - Whether MPW is starting up, see `importWallet`
+ */
+export async function importSavedWallet(cAccount, fStartup = false) {
+    const cHdAccount = cAccount.getHdAccount(cAccount.activeAccount);
+    // Set the account first, so that unlocking derives the same account as the saved xpub
+    await wallet.setAccount(cHdAccount ? cHdAccount.index : 0);
+    await importWallet({
+        newWif: cHdAccount?.publicKey || cAccount.publicKey,
+        fStartup,
+    });
+}
+
+/**
+ * Check if a derivation path belongs to the active BIP44 account, as per-account data (i.e: Invoices, Vaults and
+ * ... HTLCs) is only shown, and synced, within it's own account
+ * @param {string} strPath - The derivation path
+ * @returns {boolean}
+ */
+export function isActiveAccountPath(strPath) {
+    // Non-HD wallets have no accounts
+    if (!wallet.isHD()) return true;
+    return parseInt(strPath.split('/')[3]) === wallet.nAccount;
+}
+
+/**
+ * Get the display name of a BIP44 account
+ * @param {HdAccount} cHdAccount
+ * @returns {string}
+ */
+export function getAccountName(cHdAccount) {
+    return (
+        cHdAccount.name ||
+        tr(translation.accountDefaultName, [{ index: cHdAccount.index }])
+    );
+}
+
+/**
+ * Create a new BIP44 account after the highest known account, the wallet must be unlocked
+ * @param {string} strName - The name of the new account
+ * @returns {Promise<HdAccount?>} - The new account, or null if the wallet isn't saved
+ */
+export async function createAccount(strName = '') {
+    const cAccount = await getAccountWithHdAccounts();
+    if (!cAccount) return null;
+
+    const nIndex = Math.max(...cAccount.hdAccounts.map((a) => a.index)) + 1;
+    const cHdAccount = new HdAccount({
+        index: nIndex,
+        name: strName,
+        publicKey: await wallet.getMasterKey().getKeyToExport(nIndex),
+    });
+    cAccount.hdAccounts.push(cHdAccount);
+
+    const database = await Database.getInstance();
+    await database.updateAccount(cAccount);
+    return cHdAccount;
+}
+
+/**
+ * Switch the wallet to another saved BIP44 account, then re-sync it's balance, activity and receive address
+ * @param {number} nAccount - The BIP44 account index
+ * @returns {Promise<boolean>} - `true` if the account was switched
+ */
+export async function switchAccount(nAccount) {
+    const database = await Database.getInstance();
+    const cAccount = await database.getAccount();
+    const cHdAccount = cAccount?.getHdAccount(nAccount);
+    if (!cHdAccount) return false;
+
+    // A locked wallet cannot derive hardened keys, so we use the account's saved xpub
+    await wallet.setAccount(nAccount);
+    if (wallet.isViewOnly()) {
+        await wallet.setMasterKey(
+            new HdMasterKey({ xpub: cHdAccount.publicKey })
+        );
+    }
+
+    // Save the active account, it's xpub is loaded (from `hdAccounts`) for View Only mode at startup
+    cAccount.activeAccount = nAccount;
+    await database.updateAccount(cAccount);
+
+    // Wipe the previous account's UTXOs and Activity
+    mempool.reset();
+    getBalance(true);
+    getStakingBalance(true);
+    activityDashboard.reset();
+    stakingDashboard.reset();
+
+    // Update the identicon and receive address
+    doms.domIdenticon.dataset.jdenticonValue = await wallet.getAddress();
+    jdenticon.update('#identicon');
+    await getNewAddress({ updateGUI: true });
+
+    // Fetch the new account's state from the explorer
+    if (getNetwork().enabled) {
+        refreshChainData();
+        getNetwork().getUTXOs();
+    }
+    return true;
+}
+
+/**
+ * Check if the loaded wallet can use Accounts, alerting the user if not
+ * @returns {Promise<boolean>}
+ */
+async function canUseAccounts() {
+    if (!wallet.isHD() || wallet.isHardwareWallet()) {
+        createAlert('warning', ALERTS.ACCOUNTS_NOT_HD, 3500);
+        return false;
+    }
+    if (!(await hasEncryptedWallet())) {
+        createAlert(
+            'warning',
+            tr(ALERTS.ACCOUNTS_ENCRYPT_FIRST, [
+                { button: translation.secureYourWallet },
+            ]),
+            3500
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * A GUI wrapper that renders the saved BIP44 accounts list
+ */
+export async function guiRenderAccounts() {
+    if (!(await canUseAccounts())) return;
+    const cAccount = await getAccountWithHdAccounts();
+
+    let strHTML = '';
+    const arrHidden = cAccount.hdAccounts.filter((a) => a.hidden);
+    for (const cHdAccount of cAccount.hdAccounts) {
+        if (cHdAccount.hidden && !fShowHiddenAccounts) continue;
+        const fActive = cHdAccount.index === wallet.nAccount;
+        const strPath = wallet
+            .getMasterKey()
+            .getDerivationPath(cHdAccount.index, 0, 0)
+            .split('/')
+            .slice(0, 4)
+            .join('/');
+        strHTML += `
+            <div class="d-flex px-3 py-3 contactItem" style="${
+                cHdAccount.hidden ? 'opacity: 0.5;' : ''
+            }">
+                <div style="width: 100%; line-height: 15px;">
+                    <span onclick="MPW.guiEditAccountNamePrompt(${
+                        cHdAccount.index
+                    })" style="word-wrap: anywhere; cursor:pointer; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+            getAccountName(cHdAccount)
+        )}</span>
+                    <span style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${strPath}</span>
+                </div>
+                <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                    ${
+                        fActive
+                            ? `<b>${translation.accountActive}</b>`
+                            : `<i style="cursor:pointer; margin-right: 15px;" onclick="MPW.guiToggleAccountHidden(${
+                                  cHdAccount.index
+                              })" class="fa-solid ${
+                                  cHdAccount.hidden ? 'fa-eye' : 'fa-eye-slash'
+                              }"></i>
+                               <i style="cursor:pointer;" onclick="MPW.guiSwitchAccount(${
+                                   cHdAccount.index
+                               })" class="fa-solid fa-right-to-bracket"></i>`
+                    }
+                </div>
+            </div>
+        `;
+    }
+
+    // Allow toggling the visibility of hidden accounts
+    if (arrHidden.length) {
+        strHTML += `
+            <span class="d-flex px-3 py-3 contactItem ptr" onclick="MPW.guiToggleHiddenAccounts()">
+                ${
+                    fShowHiddenAccounts
+                        ? translation.accountHideHidden
+                        : tr(translation.accountShowHidden, [
+                              { count: arrHidden.length },
+                          ])
+                }
+            </span>
+        `;
+    }
+
+    // Lastly, inject the "Create Account" UI
+    strHTML += `
+        <div class="d-flex px-3 addContact" style="margin-top:20px;">
+            <div class="contactName" style="width: 100%;">
+                <input id="accountsNameInput" class="m-0" style="width: 100%;" placeholder="${translation.name}" autocomplete="nope">
+            </div>
+            <div class="d-flex" style="align-items: center;">
+                <div onclick="MPW.guiCreateAccount()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                    <i class="fas fa-plus"></i>
+                </div>
+            </div>
+        </div>
+    `;
+
+    doms.domAccountsTable.innerHTML = strHTML;
+}
+
+/**
+ * Verify an account name, alerting the user if it's invalid
+ * @param {string} strName - The name to verify
+ * @returns {boolean} - `true` if valid
+ */
+function isValidAccountName(strName) {
+    if (strName.length < 1) {
+        createAlert('warning', ALERTS.CONTACTS_NAME_REQUIRED, 2500);
+        return false;
+    }
+    if (strName.length > 32) {
+        createAlert('warning', ALERTS.CONTACTS_NAME_TOO_LONG, 2500);
+        return false;
+    }
+    return true;
+}
+
+/** A GUI wrapper that creates a new BIP44 account, then switches to it */
+export async function guiCreateAccount() {
+    const strName = document.getElementById('accountsNameInput').value.trim();
+    if (!isValidAccountName(strName)) return;
+
+    // Deriving a new account's xpub requires the private key
+    if (
+        wallet.isViewOnly() &&
+        !(await restoreWallet(translation.walletUnlockAccount))
+    )
+        return;
+
+    const cHdAccount = await createAccount(strName);
+    if (!cHdAccount) return;
+    await switchAccount(cHdAccount.index);
+    createAlert(
+        'success',
+        tr(ALERTS.ACCOUNTS_CREATED, [{ strName: sanitizeHTML(strName) }]),
+        3000
+    );
+    await guiRenderAccounts();
+}
+
+/**
+ * A GUI wrapper that switches to a BIP44 account
+ * @param {number} nAccount - The BIP44 account index
+ */
+export async function guiSwitchAccount(nAccount) {
+    if (!(await switchAccount(nAccount))) return;
+    const cAccount = await getAccountWithHdAccounts();
+    createAlert(
+        'success',
+        tr(ALERTS.ACCOUNTS_SWITCHED, [
+            {
+                strName: sanitizeHTML(
+                    getAccountName(cAccount.getHdAccount(nAccount))
+                ),
+            },
+        ]),
+        2500
+    );
+    await guiRenderAccounts();
+}
+
+/**
+ * Prompt the user to rename a BIP44 account
+ * @param {number} nAccount - The BIP44 account index
+ * @returns {Promise<boolean>} - `true` if the account was renamed
+ */
+export async function guiEditAccountNamePrompt(nAccount) {
+    const cAccount = await getAccountWithHdAccounts();
+    const cHdAccount = cAccount.getHdAccount(nAccount);
+
+    const fContinue = await confirmPopup({
+        title: tr(translation.editAccountTitle, [
+            { strName: sanitizeHTML(getAccountName(cHdAccount)) },
+        ]),
+        html: `<input type="text" id="accountsNewNameInput" style="text-align: center;" placeholder="${translation.newName}">`,
+    });
+    if (!fContinue) return false;
+
+    const strNewName = document
+        .getElementById('accountsNewNameInput')
+        .value.trim();
+    if (!isValidAccountName(strNewName)) return false;
+
+    // Edit it (since it's a pointer to the Account's HD Accounts) and commit to DB
+    cHdAccount.name = strNewName;
+    const database = await Database.getInstance();
+    await database.updateAccount(cAccount);
+
+    await guiRenderAccounts();
+    return true;
+}
+
+/**
+ * Hide or un-hide a BIP44 account from the Accounts list
+ * @param {number} nAccount - The BIP44 account index
+ */
+export async function guiToggleAccountHidden(nAccount) {
+    if (nAccount === wallet.nAccount)
+        return createAlert('warning', ALERTS.ACCOUNTS_CANNOT_HIDE_ACTIVE, 2500);
+    const cAccount = await getAccountWithHdAccounts();
+    const cHdAccount = cAccount.getHdAccount(nAccount);
+    cHdAccount.hidden = !cHdAccount.hidden;
+
+    const database = await Database.getInstance();
+    await database.updateAccount(cAccount);
+
+    await guiRenderAccounts();
+}
+
+/** Toggle the visibility of hidden accounts in the Accounts list */
+export async function guiToggleHiddenAccounts() {
+    fShowHiddenAccounts = !fShowHiddenAccounts;
+    await guiRenderAccounts();
+}
+
+/** Whether an HD discovery is currently running */
+let fDiscovering = false;
+
+/**
+ * Scan the wallet's chains for used addresses up to the gap limit, displaying progress in the Settings
+ */
+export async function guiDiscoverAddresses() {
+    if (!wallet.isLoaded() || fDiscovering) return;
+    if (!wallet.isHD()) {
+        return createAlert('warning', ALERTS.DISCOVERY_NOT_HD, 3000);
+    }
+    if (!getNetwork().enabled) {
+        return createAlert('warning', ALERTS.DISCOVERY_OFFLINE, 3000);
+    }
+
+    fDiscovering = true;
+    try {
+        const nUsed = await wallet.discoverAddresses(
+            ({ nReceiving, nIndex, nUsed }) => {
+                doms.domDiscoveryProgress.innerText = tr(
+                    translation.discoveryProgress,
+                    [
+                        {
+                            chain: nReceiving
+                                ? translation.discoveryChange
+                                : translation.discoveryReceiving,
+                        },
+                        { index: nIndex },
+                        { used: nUsed },
+                    ]
+                );
+            }
+        );
+        doms.domDiscoveryProgress.innerText = tr(translation.discoveryDone, [
+            { used: nUsed },
+        ]);
+
+        // Re-sync with the newly discovered addresses in mind
+        getNetwork().getUTXOs();
+    } catch (e) {
+        console.error(e);
+        doms.domDiscoveryProgress.innerText = '';
+        createAlert('warning', ALERTS.DISCOVERY_FAILED, 3000);
+    } finally {
+        fDiscovering = false;
+    }
+}
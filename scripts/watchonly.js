@@ -0,0 +1,307 @@
+import { cChainParams, COIN } from './chain_params.js';
+import { Database } from './database.js';
+import { decodeAddressHash } from './encoding.js';
+import { doms } from './global.js';
+import {
+    createAlert,
+    isScriptAddress,
+    isStandardAddress,
+    isXPub,
+    sanitizeHTML,
+} from './misc.js';
+import { ALERTS, translation, tr } from './i18n.js';
+import { getNetwork, HistoricalTxType } from './network.js';
+
+/** The amount of recent transactions to display per watch-only entry */
+const WATCH_ONLY_HISTORY_SIZE = 10;
+
+/**
+ * Check if a string may be watched: an xpub, or a (checksummed) standard or P2SH address
+ * @param {string} strPubkey
+ * @returns {boolean}
+ */
+export function isWatchOnlyKey(strPubkey) {
+    if (typeof strPubkey !== 'string') return false;
+    if (isXPub(strPubkey)) return true;
+    return (
+        (isStandardAddress(strPubkey) || isScriptAddress(strPubkey)) &&
+        !!decodeAddressHash(strPubkey)
+    );
+}
+
+export class WatchOnlyEntry {
+    /**
+     * @param {object} data - An object containing the watch-only entry data
+     * @param {string} data.label - The user-chosen label of the entry
+     * @param {string} data.pubkey - The external address or xpub being watched
+     * @param {Date|number} data.time - The Date or timestamp the entry was added
+     */
+    constructor({ label, pubkey, time }) {
+        /** @type {string} The user-chosen label of the entry */
+        this.label = label;
+        /** @type {string} The external address or xpub being watched */
+        this.pubkey = pubkey;
+        /** @type {Date|number} The Date or timestamp the entry was added */
+        this.time = time instanceof Date ? time : new Date(time);
+    }
+
+    /** The last synced balance, in sats (or `null` if not yet synced) */
+    balance = null;
+
+    /**
+     * Synchronise and return the balance of the entry
+     * @returns {Promise<number>} - The balance in sats
+     */
+    async getBalance() {
+        const cNet = getNetwork();
+        if (isXPub(this.pubkey)) {
+            const cXPub = await cNet.getXPubInfo(this.pubkey);
+            this.balance = parseInt(cXPub.balance);
+        } else {
+            const arrUTXOs = (await cNet.getUTXOs(this.pubkey)) || [];
+            this.balance = arrUTXOs.reduce((a, b) => a + parseInt(b.value), 0);
+        }
+        return this.balance;
+    }
+
+    /**
+     * Fetch the recent transaction history of the entry
+     * @returns {Promise<Array<import('./network').HistoricalTx>>}
+     */
+    async getHistory() {
+        return await getNetwork().getExternalTxHistory(
+            this.pubkey,
+            WATCH_ONLY_HISTORY_SIZE
+        );
+    }
+}
+
+/** The block height the watch-only balances were last synced at */
+let nLastSyncHeight = 0;
+
+/**
+ * The watch-only entry whose history is expanded in the UI, if any
+ * @type {string?}
+ */
+let strExpandedEntry = null;
+
+/**
+ * Sum and render the combined balance of all watch-only entries on the Dashboard
+ * @param {Array<WatchOnlyEntry>} arrEntries - The synced entries
+ */
+function renderWatchOnlyTotal(arrEntries) {
+    const nTotal = arrEntries.reduce((a, b) => a + (b.balance || 0), 0);
+    const strTotal = tr(translation.watchOnlyTotal, [
+        { balance: nTotal / COIN },
+        { ticker: cChainParams.current.TICKER },
+    ]);
+    doms.domWatchOnlyBalance.innerText = arrEntries.length ? strTotal : '';
+    doms.domWatchOnlyTotal.innerText = strTotal;
+}
+
+/**
+ * Synchronise every watch-only entry's balance, and update the combined balance on the Dashboard
+ * @param {boolean} fNewBlocksOnly - Skip the sync if no new blocks were found since the last one
+ * @returns {Promise<Array<WatchOnlyEntry>>} - The synced entries
+ */
+export async function refreshWatchOnly(fNewBlocksOnly = false) {
+    const cNet = getNetwork();
+    if (fNewBlocksOnly && cNet.cachedBlockCount === nLastSyncHeight) return;
+    nLastSyncHeight = cNet.cachedBlockCount;
+
+    const cDB = await Database.getInstance();
+    const arrEntries = await cDB.getAllWatchOnly();
+    if (cNet.enabled) {
+        await Promise.all(
+            arrEntries.map((cEntry) =>
+                cEntry.getBalance().catch((e) => console.error(e))
+            )
+        );
+    }
+    renderWatchOnlyTotal(arrEntries);
+    return arrEntries;
+}
+
+/**
+ * Render the watch-only portfolio, with per-entry balances and the history of the expanded entry
+ */
+export async function guiRenderWatchOnly() {
+    const arrEntries = await refreshWatchOnly();
+
+    let strHTML = '';
+    // The key is used within attributes too, so anything that isn't a valid key (i.e: from an old backup) isn't rendered
+    for (const cEntry of arrEntries.filter((c) => isWatchOnlyKey(c.pubkey))) {
+        const strBalance =
+            cEntry.balance === null
+                ? '-'
+                : `${cEntry.balance / COIN} ${cChainParams.current.TICKER}`;
+        strHTML += `
+            <div class="px-3 py-3 contactItem">
+                <div class="d-flex">
+                    <div class="ptr" style="width: 100%; line-height: 15px;" onclick="MPW.guiToggleWatchOnlyHistory('${
+                        cEntry.pubkey
+                    }')">
+                        <span style="word-wrap: anywhere; color: #d5adff; font-weight: 600; margin-top: 8px; display: block;">${sanitizeHTML(
+                            cEntry.label
+                        )}</span>
+                        <span style="word-wrap: anywhere; font-size: 13px; position: relative; top: 3px;">${sanitizeHTML(
+                            cEntry.pubkey
+                        )}</span>
+                    </div>
+                    <div style="display: flex; justify-content: flex-end; align-items: center; padding-right: 6px; padding-left: 15px; white-space: nowrap;">
+                        <b style="margin-right: 15px;">${strBalance}</b>
+                        <i style="cursor:pointer;" onclick="MPW.guiRemoveWatchOnly('${
+                            cEntry.pubkey
+                        }')" class="fa-solid fa-trash"></i>
+                    </div>
+                </div>
+                <div id="watchOnlyHistory-${cEntry.pubkey}"></div>
+            </div>
+        `;
+    }
+
+    // Lastly, inject the "Add Entry" UI
+    strHTML += `
+        <div class="d-flex px-3 addContact" style="margin-top:20px;">
+            <div class="contactName" style="width: 100%;">
+                <input id="watchOnlyLabelInput" class="m-0" style="width: 100%;" placeholder="${translation.name}" autocomplete="nope">
+                <input id="watchOnlyKeyInput" class="m-0" style="width: 100%;" placeholder="${translation.watchOnlyKey}" autocomplete="nope">
+            </div>
+            <div class="d-flex" style="align-items: center;">
+                <div onclick="MPW.guiAddWatchOnly()" class="addContactBtn" style="border-top-right-radius: 7px; border-bottom-right-radius: 7px;">
+                    <i class="fas fa-plus"></i>
+                </div>
+            </div>
+        </div>
+    `;
+    doms.domWatchOnlyTable.innerHTML = strHTML;
+
+    // Re-expand the previously expanded entry, if it's still here
+    if (arrEntries.some((cEntry) => cEntry.pubkey === strExpandedEntry)) {
+        await renderWatchOnlyHistory(strExpandedEntry);
+    } else {
+        strExpandedEntry = null;
+    }
+}
+
+/**
+ * Render the recent history of a watch-only entry beneath it
+ * @param {string} strPubkey - The address or xpub of the entry
+ */
+async function renderWatchOnlyHistory(strPubkey) {
+    const domHistory = document.getElementById(`watchOnlyHistory-${strPubkey}`);
+    if (!domHistory) return;
+    if (!getNetwork().enabled) {
+        domHistory.innerHTML = `<small>${translation.watchOnlyOffline}</small>`;
+        return;
+    }
+
+    domHistory.innerHTML = `<small>${translation.watchOnlyLoading}</small>`;
+    const cDB = await Database.getInstance();
+    const cEntry = (await cDB.getAllWatchOnly()).find(
+        (c) => c.pubkey === strPubkey
+    );
+    if (!cEntry) return;
+
+    let arrTXs;
+    try {
+        arrTXs = await cEntry.getHistory();
+    } catch (e) {
+        console.error(e);
+        domHistory.innerHTML = '';
+        return;
+    }
+    if (!arrTXs.length) {
+        domHistory.innerHTML = `<small>${translation.watchOnlyNoHistory}</small>`;
+        return;
+    }
+
+    domHistory.innerHTML = arrTXs
+        .map((cTx) => {
+            const fIncoming =
+                cTx.type === HistoricalTxType.RECEIVED ||
+                cTx.type === HistoricalTxType.STAKE;
+            return `
+            <div class="d-flex" style="font-size: 13px; margin-top: 8px;">
+                <span style="width: 100%;">${new Date(
+                    cTx.time * 1000
+                ).toLocaleDateString()}</span>
+                <a href="${getNetwork().strUrl}/tx/${
+                cTx.id
+            }" target="_blank" rel="noopener noreferrer" style="white-space: nowrap; color: ${
+                fIncoming ? '#5cff5c' : '#f93c4c'
+            };">${fIncoming ? '+' : '-'}${cTx.amount} ${
+                cChainParams.current.TICKER
+            }</a>
+            </div>`;
+        })
+        .join('');
+}
+
+/**
+ * Expand (or collapse) the history of a watch-only entry
+ * @param {string} strPubkey - The address or xpub of the entry
+ */
+export async function guiToggleWatchOnlyHistory(strPubkey) {
+    // Collapse the currently expanded entry
+    if (strExpandedEntry) {
+        const domPrev = document.getElementById(
+            `watchOnlyHistory-${strExpandedEntry}`
+        );
+        if (domPrev) domPrev.innerHTML = '';
+    }
+    if (strExpandedEntry === strPubkey) {
+        strExpandedEntry = null;
+        return;
+    }
+    strExpandedEntry = strPubkey;
+    await renderWatchOnlyHistory(strPubkey);
+}
+
+/**
+ * Add an external address or xpub to the watch-only portfolio, from the UI inputs
+ */
+export async function guiAddWatchOnly() {
+    const strLabel = document
+        .getElementById('watchOnlyLabelInput')
+        .value.trim();
+    const strPubkey = document.getElementById('watchOnlyKeyInput').value.trim();
+
+    if (!strLabel)
+        return createAlert('warning', ALERTS.WATCH_ONLY_NO_LABEL, 2500);
+    if (!isWatchOnlyKey(strPubkey))
+        return createAlert(
+            'warning',
+            tr(ALERTS.INVALID_ADDRESS, [{ address: sanitizeHTML(strPubkey) }]),
+            2500
+        );
+
+    const cDB = await Database.getInstance();
+    const arrEntries = await cDB.getAllWatchOnly();
+    if (arrEntries.some((c) => c.pubkey === strPubkey))
+        return createAlert('warning', ALERTS.WATCH_ONLY_EXISTS, 2500);
+
+    await cDB.addWatchOnly(
+        new WatchOnlyEntry({
+            label: strLabel,
+            pubkey: strPubkey,
+            time: Date.now(),
+        })
+    );
+    createAlert(
+        'success',
+        tr(ALERTS.WATCH_ONLY_ADDED, [{ label: sanitizeHTML(strLabel) }]),
+        2500
+    );
+    await guiRenderWatchOnly();
+}
+
+/**
+ * Remove an entry from the watch-only portfolio
+ * @param {string} strPubkey - The address or xpub of the entry
+ */
+export async function guiRemoveWatchOnly(strPubkey) {
+    const cDB = await Database.getInstance();
+    await cDB.removeWatchOnly(strPubkey);
+    await guiRenderWatchOnly();
+}